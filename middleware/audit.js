@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+// Normalize a value (id, document or array of either) into a list of ObjectIds
+const toIdList = (value) => {
+  if (!value) return [];
+
+  return (Array.isArray(value) ? value : [value])
+    .filter(Boolean)
+    .map((item) => (item._id ? item._id : item))
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => id.toString());
+};
+
+const resolveOutcome = (statusCode) => {
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  if (statusCode >= 400) return 'failure';
+  return 'success';
+};
+
+// Attach the patients/records a request touched so the audit entry can reference them
+const setAuditTarget = (res, { patients, medicalRecords, details, flags } = {}) => {
+  const target = res.locals.auditTarget || {};
+
+  res.locals.auditTarget = {
+    patients: [...toIdList(target.patients), ...toIdList(patients)],
+    medicalRecords: [...toIdList(target.medicalRecords), ...toIdList(medicalRecords)],
+    details: details ? { ...target.details, ...details } : target.details,
+    flags: [...(target.flags || []), ...(flags || [])]
+  };
+};
+
+// Write an audit entry for a request
+const recordAudit = (req, { action, statusCode, accessType, patients, medicalRecords, details, flags }) => {
+  const user = req.user;
+  const hospital = user?.profile?.hospitalId;
+
+  return AuditLog.create({
+    actor: user?._id,
+    actorRole: user ? user.role : 'public',
+    actorEmail: user?.email,
+    hospital: hospital ? hospital._id || hospital : undefined,
+    action,
+    accessType: accessType || (READ_METHODS.includes(req.method) ? 'read' : 'write'),
+    outcome: resolveOutcome(statusCode),
+    statusCode,
+    method: req.method,
+    path: req.originalUrl,
+    patients: [...new Set(toIdList(patients))],
+    medicalRecords: [...new Set(toIdList(medicalRecords))],
+    details,
+    flags: [...new Set(flags || [])],
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+};
+
+// Record an audit entry once the response has been sent.
+// options.patientParam / options.recordParam name route params holding the target ids.
+const auditAccess = (action, options = {}) => {
+  return (req, res, next) => {
+    const params = { ...req.params };
+
+    res.on('finish', () => {
+      const target = res.locals.auditTarget || {};
+
+      recordAudit(req, {
+        action,
+        statusCode: res.statusCode,
+        accessType: options.accessType,
+        patients: [
+          ...toIdList(target.patients),
+          ...toIdList(options.patientParam && params[options.patientParam])
+        ],
+        medicalRecords: [
+          ...toIdList(target.medicalRecords),
+          ...toIdList(options.recordParam && params[options.recordParam])
+        ],
+        details: target.details,
+        flags: target.flags
+      }).catch((error) => {
+        console.error('Audit log error:', error);
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditAccess,
+  setAuditTarget,
+  recordAudit
+};
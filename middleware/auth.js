@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { setAuditTarget } = require('./audit');
+
+const READ_METHODS = ['GET', 'HEAD'];
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -15,6 +19,16 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a server-side session that can be revoked
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended - please log in again'
+      });
+    }
+
     const user = await User.findById(decoded.userId).populate('profile.hospitalId');
     
     if (!user) {
@@ -31,7 +45,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed - please log in again'
+      });
+    }
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -133,10 +155,11 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// Check if user can access patient data
-const canAccessPatient = async (req, res, next) => {
+// Check if user can access patient data. Partner hospitals need an all_records consent unless
+// the route opts in to emergency_summary consents and limits what it returns itself.
+const checkPatientAccess = ({ allowEmergencySummary = false } = {}) => async (req, res, next) => {
   try {
-    const { patientId } = req.params;
+    const patientId = req.params.patientId || req.params.id;
     const user = req.user;
 
     // Admin can access all patients
@@ -156,24 +179,49 @@ const canAccessPatient = async (req, res, next) => {
         });
       }
 
+      const hospitalId = user.getHospitalId();
+
       // Check if patient is registered at the user's hospital
-      const isRegisteredAtHospital = patient.registeredHospitals.some(
-        reg => reg.hospital.toString() === user.profile.hospitalId.toString() && reg.isActive
-      );
+      if (patient.isRegisteredAt(hospitalId)) {
+        req.patientAccess = { via: 'registration' };
+        return next();
+      }
 
-      if (!isRegisteredAtHospital && patient.primaryHospital.toString() !== user.profile.hospitalId.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied - patient not registered at your hospital'
-        });
+      // Partner hospitals may read the patient's data under an active consent
+      let summaryOnly = false;
+      if (READ_METHODS.includes(req.method)) {
+        const Consent = require('../models/Consent');
+        const consent = await Consent.findActive(patient._id, hospitalId);
+
+        if (consent && (consent.scope === 'all_records' || allowEmergencySummary)) {
+          req.patientAccess = { via: 'consent', consent };
+          setAuditTarget(res, { details: { consent: consent._id, consentScope: consent.scope } });
+          return next();
+        }
+        summaryOnly = Boolean(consent);
       }
 
-      return next();
+      // Break-glass grants give the requesting clinician temporary full access
+      const EmergencyAccess = require('../models/EmergencyAccess');
+      const emergencyAccess = await EmergencyAccess.findActive(user._id, patient._id);
+
+      if (emergencyAccess) {
+        req.patientAccess = { via: 'break_glass', emergencyAccess };
+        setAuditTarget(res, { details: { emergencyAccess: emergencyAccess._id }, flags: ['break_glass'] });
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: summaryOnly
+          ? 'Access denied - consent covers the emergency summary only'
+          : 'Access denied - patient not registered at your hospital'
+      });
     }
 
-    // Patients can only access their own data
+    // Patients can only access the Patient record linked to their account
     if (user.role === 'patient') {
-      if (user.patientId !== patientId) {
+      if (user.getLinkedPatientId() !== patientId) {
         return res.status(403).json({
           success: false,
           message: 'Access denied - can only access own records'
@@ -194,7 +242,14 @@ const canAccessPatient = async (req, res, next) => {
   }
 };
 
-// Check if user can access medical records
+const canAccessPatient = checkPatientAccess();
+
+// For routes that return only the emergency summary fields under an emergency_summary consent
+const canAccessPatientSummary = checkPatientAccess({ allowEmergencySummary: true });
+
+// Check if user can access medical records.
+// Reads need read access; any other method needs write access (see MedicalRecord#getAccessLevelFor).
+// Consents and break-glass grants can raise the level for staff from other hospitals.
 const canAccessMedicalRecord = async (req, res, next) => {
   try {
     const { recordId } = req.params;
@@ -212,37 +267,59 @@ const canAccessMedicalRecord = async (req, res, next) => {
       });
     }
 
-    // Admin can access all records
-    if (user.role === 'admin') {
-      return next();
+    setAuditTarget(res, { patients: record.patient, medicalRecords: record });
+
+    let accessLevel = record.getAccessLevelFor(user);
+    const requiredLevel = READ_METHODS.includes(req.method) ? 'read' : 'write';
+
+    // Partner hospitals get read access under an active full-records consent
+    if (accessLevel === 'none' && user.role === 'medical_personnel' && record.confidentiality?.level !== 'restricted') {
+      const Consent = require('../models/Consent');
+      const consent = await Consent.findActive(record.patient._id, user.getHospitalId(), 'all_records');
+
+      if (consent) {
+        accessLevel = 'read';
+        setAuditTarget(res, { details: { consent: consent._id, consentScope: consent.scope } });
+      }
     }
 
-    // Medical personnel can access records from their hospital
-    if (user.role === 'medical_personnel') {
-      if (record.hospital._id.toString() !== user.profile.hospitalId.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied - record not from your hospital'
-        });
+    // Break-glass grants override hospital and confidentiality restrictions
+    if (user.role === 'medical_personnel' && !MedicalRecord.hasAccessLevel(accessLevel, requiredLevel)) {
+      const EmergencyAccess = require('../models/EmergencyAccess');
+      const emergencyAccess = await EmergencyAccess.findActive(user._id, record.patient._id);
+
+      if (emergencyAccess) {
+        accessLevel = 'write';
+        setAuditTarget(res, { details: { emergencyAccess: emergencyAccess._id }, flags: ['break_glass'] });
       }
-      return next();
     }
 
-    // Patients can only access their own records
-    if (user.role === 'patient') {
-      if (record.patient._id.toString() !== user.patientId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied - can only access own records'
-        });
+    if (accessLevel === 'none') {
+      let message = 'Access denied';
+      if (record.confidentiality?.level === 'restricted') {
+        message = 'Access denied - record is restricted';
+      } else if (user.role === 'medical_personnel') {
+        message = 'Access denied - record not from your hospital';
+      } else if (user.role === 'patient') {
+        message = 'Access denied - can only access own records';
       }
-      return next();
+
+      return res.status(403).json({
+        success: false,
+        message
+      });
     }
 
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied'
-    });
+    if (!MedicalRecord.hasAccessLevel(accessLevel, requiredLevel)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied - ${requiredLevel} access to this record is required`
+      });
+    }
+
+    req.medicalRecord = record;
+    req.recordAccessLevel = accessLevel;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -251,6 +328,22 @@ const canAccessMedicalRecord = async (req, res, next) => {
   }
 };
 
+// Require a minimum access level on the record loaded by canAccessMedicalRecord
+const requireRecordAccess = (requiredLevel) => {
+  return (req, res, next) => {
+    const MedicalRecord = require('../models/MedicalRecord');
+
+    if (!req.recordAccessLevel || !MedicalRecord.hasAccessLevel(req.recordAccessLevel, requiredLevel)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied - ${requiredLevel} access to this record is required`
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authenticateToken,
   authorize,
@@ -258,6 +351,8 @@ module.exports = {
   requirePatient,
   requireAdmin,
   canAccessPatient,
-  canAccessMedicalRecord
+  canAccessPatientSummary,
+  canAccessMedicalRecord,
+  requireRecordAccess
 };
 
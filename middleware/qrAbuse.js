@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const QrLookupFailure = require('../models/QrLookupFailure');
+const QrBlock = require('../models/QrBlock');
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Failed lookups from one IP within the window that trigger a block
+const FAILURE_THRESHOLD = envInt('QR_FAILURE_THRESHOLD', 10);
+const FAILURE_WINDOW_MINUTES = envInt('QR_FAILURE_WINDOW_MINUTES', 15);
+// First block length; each further block within a day doubles it, up to a day
+const BLOCK_MINUTES = envInt('QR_BLOCK_MINUTES', 30);
+const MAX_BLOCK_MINUTES = 24 * 60;
+
+// Per-minute request limits for each public QR route, per IP
+const ROUTE_LIMITS = {
+  validate: envInt('QR_RATE_LIMIT_VALIDATE', 30),
+  scan: envInt('QR_RATE_LIMIT_SCAN', 20),
+  patient_access: envInt('QR_RATE_LIMIT_PATIENT_ACCESS', 20),
+  patient_records: envInt('QR_RATE_LIMIT_PATIENT_RECORDS', 10),
+  offline_verify: envInt('QR_RATE_LIMIT_OFFLINE_VERIFY', 60)
+};
+
+// Expired and revoked codes are genuine codes, e.g. an old card; they do not count towards a block
+const IGNORED_REASONS = ['expired', 'revoked'];
+
+// Rate limiter for one public QR route
+const qrRateLimit = (route) => rateLimit({
+  windowMs: 60 * 1000,
+  max: ROUTE_LIMITS[route],
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${route}:${req.ip}`,
+  message: {
+    success: false,
+    message: 'Too many QR requests, please try again later'
+  }
+});
+
+// Reject requests from IPs blocked for repeated failed lookups
+const blockAbusiveIps = async (req, res, next) => {
+  try {
+    const block = await QrBlock.findActive(req.ip);
+    if (!block) return next();
+
+    res.setHeader('Retry-After', String(Math.ceil((block.blockedUntil - Date.now()) / 1000)));
+    return res.status(429).json({
+      success: false,
+      message: 'Too many failed QR lookups, please try again later'
+    });
+  } catch (error) {
+    // Never lock everyone out because the block list is unavailable
+    console.error('QR block check error:', error);
+    next();
+  }
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code || '')).digest('hex').slice(0, 16);
+
+// Record a failed public lookup and block the IP once it crosses the threshold.
+// Errors are logged, not thrown, so the caller's response is unaffected.
+const recordQrMiss = async (req, { route, reason, code }) => {
+  try {
+    await QrLookupFailure.create({
+      ipAddress: req.ip,
+      route,
+      reason,
+      codeHash: hashCode(code),
+      userAgent: req.headers['user-agent']
+    });
+
+    if (IGNORED_REASONS.includes(reason)) return;
+
+    // Misses before the last block was raised or lifted already led to it; only later ones count
+    const windowStart = new Date(Date.now() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+    const lastBlock = await QrBlock.findOne({ ipAddress: req.ip }).sort({ createdAt: -1 });
+    const lastBlockAt = lastBlock && (lastBlock.liftedAt || lastBlock.createdAt);
+    const since = lastBlockAt > windowStart ? lastBlockAt : windowStart;
+    const match = { ipAddress: req.ip, createdAt: { $gte: since }, reason: { $nin: IGNORED_REASONS } };
+    const failures = await QrLookupFailure.countDocuments(match);
+    if (failures < FAILURE_THRESHOLD) return;
+
+    if (await QrBlock.findActive(req.ip)) return;
+
+    // Blocks an admin lifted early do not lengthen the next one
+    const previousBlocks = await QrBlock.countDocuments({
+      ipAddress: req.ip,
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      liftedAt: null
+    });
+    const minutes = Math.min(BLOCK_MINUTES * 2 ** previousBlocks, MAX_BLOCK_MINUTES);
+    const distinctCodes = (await QrLookupFailure.distinct('codeHash', match)).length;
+
+    await QrBlock.create({
+      ipAddress: req.ip,
+      failures,
+      distinctCodes,
+      blockedUntil: new Date(Date.now() + minutes * 60 * 1000)
+    });
+    console.warn(`Blocked ${req.ip} from QR lookups for ${minutes} minutes after ${failures} failed lookups`);
+  } catch (error) {
+    console.error('Record QR miss error:', error);
+  }
+};
+
+module.exports = {
+  qrRateLimit,
+  blockAbusiveIps,
+  recordQrMiss
+};
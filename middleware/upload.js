@@ -0,0 +1,68 @@
+const multer = require('multer');
+
+const MAX_ATTACHMENT_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10;
+
+// Allowed attachment types and a check of each file's leading bytes,
+// so a renamed executable cannot pass as a PDF or image
+const ALLOWED_TYPES = {
+  'application/pdf': (buffer) => buffer.subarray(0, 4).toString('latin1') === '%PDF',
+  'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/png': (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    buffer.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/dicom': (buffer) => buffer.subarray(128, 132).toString('latin1') === 'DICM',
+  'text/plain': (buffer) => !buffer.subarray(0, 1024).includes(0)
+};
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+// Accept a single attachment in the "file" field
+const uploadAttachment = (req, res, next) => {
+  attachmentUpload(req, res, (error) => {
+    if (error) {
+      let message = 'File upload failed';
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        message = `File exceeds the ${MAX_ATTACHMENT_SIZE_MB}MB size limit`;
+      } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        message = `Unsupported file type. Allowed types: ${Object.keys(ALLOWED_TYPES).join(', ')}`;
+      }
+
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required in the "file" field'
+      });
+    }
+
+    if (!ALLOWED_TYPES[req.file.mimetype](req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'File content does not match its declared type'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadAttachment
+};
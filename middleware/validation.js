@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { isValidPrefix, isValidPatientId } = require('../utils/patientId');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -37,6 +38,19 @@ const validateUserRegistration = [
     .if(body('role').equals('medical_personnel'))
     .isMongoId()
     .withMessage('Valid hospital ID is required for medical personnel'),
+  body('patientId')
+    .if(body('role').equals('patient'))
+    .notEmpty()
+    .trim()
+    .withMessage('Patient ID is required for patient accounts')
+    .bail()
+    .custom(isValidPatientId)
+    .withMessage('Patient ID is not valid, please check it for typos'),
+  body('verificationCode')
+    .if(body('role').equals('patient'))
+    .notEmpty()
+    .trim()
+    .withMessage('Verification code is required for patient accounts'),
   handleValidationErrors
 ];
 
@@ -52,6 +66,36 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Refresh token validation
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  handleValidationErrors
+];
+
+// Reset password validation
+const validateResetPassword = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  handleValidationErrors
+];
+
 // Hospital validation
 const validateHospital = [
   body('name')
@@ -78,6 +122,15 @@ const validateHospital = [
     .optional()
     .isEmail()
     .withMessage('Valid email is required'),
+  body('patientIdPrefix')
+    .optional()
+    .custom(isValidPrefix)
+    .withMessage('Patient ID prefix must be 2 to 6 letters'),
+  body('timeZone')
+    .optional()
+    // Throws a RangeError for unknown zones
+    .custom((value) => Boolean(new Intl.DateTimeFormat('en-US', { timeZone: value })))
+    .withMessage('Time zone must be an IANA zone such as Africa/Lagos'),
   handleValidationErrors
 ];
 
@@ -133,6 +186,528 @@ const validateMedicalRecord = [
   handleValidationErrors
 ];
 
+// Assessment validation
+const validateAssessment = [
+  body('assessment')
+    .isObject()
+    .withMessage('Assessment is required'),
+  body('assessment.primaryDiagnosisCode')
+    .optional()
+    .isString()
+    .withMessage('Primary diagnosis code must be a string'),
+  body('assessment.secondaryDiagnoses')
+    .optional()
+    .isArray()
+    .withMessage('Secondary diagnoses must be an array'),
+  body('assessment.secondaryDiagnosisCodes')
+    .optional()
+    .isArray()
+    .withMessage('Secondary diagnosis codes must be an array'),
+  body('assessment.icd10Codes')
+    .optional()
+    .isArray()
+    .withMessage('ICD-10 codes must be an array'),
+  body('assessment.severity')
+    .optional()
+    .isIn(['mild', 'moderate', 'severe', 'critical'])
+    .withMessage('Severity must be mild, moderate, severe or critical'),
+  handleValidationErrors
+];
+
+// Medical record access list entry validation
+const validateAccessListEntry = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('accessLevel')
+    .isIn(['read', 'write', 'admin'])
+    .withMessage('Access level must be read, write or admin'),
+  handleValidationErrors
+];
+
+// Medical record confidentiality validation
+const validateConfidentialityLevel = [
+  body('level')
+    .isIn(['public', 'confidential', 'restricted'])
+    .withMessage('Confidentiality level must be public, confidential or restricted'),
+  handleValidationErrors
+];
+
+// Attachment metadata validation (runs after the multipart body is parsed)
+const validateAttachment = [
+  body('category')
+    .optional()
+    .isIn(['document', 'imaging', 'laboratory', 'other'])
+    .withMessage('Category must be document, imaging, laboratory or other'),
+  body('imagingResultId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid imaging result ID is required'),
+  handleValidationErrors
+];
+
+// Medical record version validation
+const validateRecordVersion = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  handleValidationErrors
+];
+
+// QR code regeneration validation
+const validateQrRegenerate = [
+  body('reason')
+    .optional()
+    .isIn(['regenerated', 'lost', 'compromised'])
+    .withMessage('Reason must be regenerated, lost or compromised'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Expiry must be between 1 and 3650 days')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Offline QR payload verification
+const validateOfflineQrVerify = [
+  body('payload')
+    .isString()
+    .notEmpty()
+    .isLength({ max: 4096 })
+    .withMessage('Scanned QR payload is required'),
+  handleValidationErrors
+];
+
+// ID card batch validation
+const validateIdCardBatch = [
+  body('hospitalId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid hospital ID is required'),
+  body('patientIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Patient IDs must be a non-empty array'),
+  body('patientIds.*')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  body('registeredSince')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid registration date is required'),
+  body('includePrinted')
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  body('offline')
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Consent request validation (partner hospital asking for access)
+const validateConsentRequest = [
+  body('patientId')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  body('scope')
+    .isIn(['all_records', 'emergency_summary'])
+    .withMessage('Scope must be all_records or emergency_summary'),
+  body('durationDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number of days'),
+  body('reason')
+    .notEmpty()
+    .trim()
+    .withMessage('Reason for the request is required'),
+  handleValidationErrors
+];
+
+// Consent grant validation (patient or staff granting access directly)
+const validateConsentGrant = [
+  body('patientId')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  body('hospitalId')
+    .isMongoId()
+    .withMessage('Valid hospital ID is required'),
+  body('scope')
+    .isIn(['all_records', 'emergency_summary'])
+    .withMessage('Scope must be all_records or emergency_summary'),
+  body('durationDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number of days'),
+  handleValidationErrors
+];
+
+// Consent decision validation (approve/reject/revoke)
+const validateConsentDecision = [
+  body('durationDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number of days'),
+  body('reason')
+    .optional()
+    .trim(),
+  handleValidationErrors
+];
+
+// Break-glass request validation
+const validateBreakGlassRequest = [
+  body('patientId')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  body('justification')
+    .trim()
+    .isLength({ min: 20 })
+    .withMessage('Justification of at least 20 characters is required'),
+  handleValidationErrors
+];
+
+// Break-glass review validation
+const validateBreakGlassReview = [
+  body('status')
+    .isIn(['justified', 'unjustified'])
+    .withMessage('Review status must be justified or unjustified'),
+  body('notes')
+    .optional()
+    .trim(),
+  handleValidationErrors
+];
+
+// Referral validation
+const validateReferral = [
+  body('patientId')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  body('receivingHospitalId')
+    .isMongoId()
+    .withMessage('Valid receiving hospital ID is required'),
+  body('medicalRecordId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid medical record ID is required'),
+  body('urgency')
+    .optional()
+    .isIn(['routine', 'urgent', 'emergency'])
+    .withMessage('Urgency must be routine, urgent or emergency'),
+  body('reason')
+    .notEmpty()
+    .trim()
+    .withMessage('Reason for referral is required'),
+  body('clinicalSummary')
+    .notEmpty()
+    .trim()
+    .withMessage('Clinical summary is required'),
+  handleValidationErrors
+];
+
+// Referral rejection validation
+const validateReferralRejection = [
+  body('reason')
+    .notEmpty()
+    .trim()
+    .withMessage('Reason for rejection is required'),
+  handleValidationErrors
+];
+
+// Referral cancellation validation
+const validateReferralCancellation = [
+  body('reason')
+    .notEmpty()
+    .trim()
+    .withMessage('Reason for cancellation is required'),
+  handleValidationErrors
+];
+
+// Appointment booking validation
+const validateAppointment = [
+  body('patientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  body('hospitalId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid hospital ID is required'),
+  body('clinicianId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid clinician ID is required'),
+  body('startTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid date'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('Duration must be between 5 and 480 minutes'),
+  body('type')
+    .optional()
+    .isIn(['consultation', 'follow_up', 'procedure', 'review'])
+    .withMessage('Invalid appointment type'),
+  handleValidationErrors
+];
+
+// Appointment reschedule validation
+const validateAppointmentReschedule = [
+  body('startTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid date'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('Duration must be between 5 and 480 minutes'),
+  handleValidationErrors
+];
+
+// Appointment status validation (outcome of a booked appointment)
+const validateAppointmentStatus = [
+  body('status')
+    .isIn(['completed', 'no_show'])
+    .withMessage('Status must be completed or no_show'),
+  handleValidationErrors
+];
+
+// Slot lookup validation
+const validateSlotQuery = [
+  query('hospitalId')
+    .isMongoId()
+    .withMessage('Valid hospital ID is required'),
+  query('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  query('clinicianId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid clinician ID is required'),
+  handleValidationErrors
+];
+
+// Patient merge validation
+const validatePatientMerge = [
+  body('survivorId')
+    .isMongoId()
+    .withMessage('Valid surviving patient ID is required'),
+  body('mergedId')
+    .isMongoId()
+    .withMessage('Valid duplicate patient ID is required')
+    .custom((value, { req }) => value !== req.body.survivorId)
+    .withMessage('A patient cannot be merged into itself'),
+  body('reason')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason for the merge is required (max 500 characters)'),
+  handleValidationErrors
+];
+
+const validateMergeRevert = [
+  body('reason')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason for reverting the merge is required (max 500 characters)'),
+  handleValidationErrors
+];
+
+// Prescription safety check validation
+const validatePrescriptionCheck = [
+  body('drug')
+    .notEmpty()
+    .trim()
+    .withMessage('Drug ID or name is required'),
+  handleValidationErrors
+];
+
+// Prescription validation
+const validatePrescription = [
+  body('drug')
+    .notEmpty()
+    .trim()
+    .withMessage('Drug ID or name is required'),
+  body('medicalRecordId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid medical record ID is required'),
+  body('dose.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Dose amount must be a positive number'),
+  body('dose.unit')
+    .notEmpty()
+    .trim()
+    .withMessage('Dose unit is required'),
+  body('frequency')
+    .isIn(['OD', 'BD', 'TDS', 'QDS', 'Q4H', 'Q6H', 'Q8H', 'Q12H', 'NOCTE', 'WEEKLY', 'PRN', 'STAT'])
+    .withMessage('Frequency must be one of OD, BD, TDS, QDS, Q4H, Q6H, Q8H, Q12H, NOCTE, WEEKLY, PRN or STAT'),
+  body('durationDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Duration must be between 1 and 365 days'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive whole number'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  body('overrideReason')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Override reason must be 10-500 characters'),
+  handleValidationErrors
+];
+
+// Prescription discontinuation validation
+const validatePrescriptionDiscontinue = [
+  body('reason')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason for discontinuing is required (max 500 characters)'),
+  handleValidationErrors
+];
+
+// Formulary drug validation
+const validateDrug = [
+  body('genericName')
+    .notEmpty()
+    .trim()
+    .withMessage('Generic name is required'),
+  body('drugClass')
+    .notEmpty()
+    .trim()
+    .withMessage('Drug class is required'),
+  body('brandNames')
+    .optional()
+    .isArray()
+    .withMessage('Brand names must be an array'),
+  body('allergyGroups')
+    .optional()
+    .isArray()
+    .withMessage('Allergy groups must be an array'),
+  body('forms')
+    .optional()
+    .isArray()
+    .withMessage('Forms must be an array'),
+  body('interactions')
+    .optional()
+    .isArray()
+    .withMessage('Interactions must be an array'),
+  body('interactions.*.severity')
+    .isIn(['contraindicated', 'major', 'moderate', 'minor'])
+    .withMessage('Interaction severity must be contraindicated, major, moderate or minor'),
+  handleValidationErrors
+];
+
+// Laboratory result validation
+const validateLaboratoryResult = [
+  body('laboratoryResult')
+    .isObject()
+    .withMessage('Laboratory result is required'),
+  body('laboratoryResult.testDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid test date is required'),
+  body('laboratoryResult.analytes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Analytes must be a non-empty array'),
+  body('laboratoryResult.analytes.*')
+    .custom((analyte) => Boolean(analyte && (analyte.code || analyte.name)))
+    .withMessage('Each analyte needs a code or name'),
+  handleValidationErrors
+];
+
+// Lab test catalogue entry validation
+const validateLabTest = [
+  body('code')
+    .notEmpty()
+    .trim()
+    .withMessage('Test code is required'),
+  body('name')
+    .notEmpty()
+    .trim()
+    .withMessage('Test name is required'),
+  body('category')
+    .optional()
+    .isIn(['haematology', 'chemistry', 'microbiology', 'serology', 'immunology', 'urinalysis', 'endocrinology', 'other'])
+    .withMessage('Invalid test category'),
+  body('valueType')
+    .optional()
+    .isIn(['numeric', 'text'])
+    .withMessage('Value type must be numeric or text'),
+  body('components')
+    .optional()
+    .isArray()
+    .withMessage('Components must be an array of test codes'),
+  body('referenceRanges')
+    .optional()
+    .isArray()
+    .withMessage('Reference ranges must be an array'),
+  body('referenceRanges.*.sex')
+    .optional()
+    .isIn(['male', 'female', 'any'])
+    .withMessage('Reference range sex must be male, female or any'),
+  body('referenceRanges.*')
+    .custom((range) => !(range.low !== undefined && range.high !== undefined && range.low > range.high))
+    .withMessage('Reference range low must not be above high'),
+  handleValidationErrors
+];
+
+// Critical alert acknowledgement validation
+const validateAlertAcknowledgement = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Acknowledgement note must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+// Alert list filter validation
+const validateAlertQuery = [
+  query('status')
+    .optional()
+    .isIn(['open', 'acknowledged', 'all'])
+    .withMessage('Status must be open, acknowledged or all'),
+  query('type')
+    .optional()
+    .isIn(['lab_result', 'news2'])
+    .withMessage('Type must be lab_result or news2'),
+  handleValidationErrors
+];
+
+// On-call status validation
+const validateOnCall = [
+  body('onCall')
+    .isBoolean()
+    .withMessage('onCall must be true or false'),
+  handleValidationErrors
+];
+
+// FHIR Bundle import validation
+const validateFhirImport = [
+  body('resourceType')
+    .equals('Bundle')
+    .withMessage('Request body must be a FHIR Bundle'),
+  body('type')
+    .isIn(['transaction', 'batch'])
+    .withMessage('Bundle type must be transaction or batch'),
+  body('entry')
+    .isArray({ min: 1, max: parseInt(process.env.FHIR_IMPORT_MAX_ENTRIES, 10) || 5000 })
+    .withMessage('Bundle must have at least one entry and no more than FHIR_IMPORT_MAX_ENTRIES'),
+  query('hospitalId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid hospital ID is required'),
+  handleValidationErrors
+];
+
 // Query parameter validation
 const validatePagination = [
   query('page')
@@ -196,9 +771,44 @@ module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
   validateHospital,
   validatePatient,
   validateMedicalRecord,
+  validateAssessment,
+  validateRecordVersion,
+  validateAccessListEntry,
+  validateConfidentialityLevel,
+  validateAttachment,
+  validateQrRegenerate,
+  validateOfflineQrVerify,
+  validateIdCardBatch,
+  validateConsentRequest,
+  validateConsentGrant,
+  validateConsentDecision,
+  validateBreakGlassRequest,
+  validateBreakGlassReview,
+  validateReferral,
+  validateReferralRejection,
+  validateReferralCancellation,
+  validateAppointment,
+  validateAppointmentReschedule,
+  validateAppointmentStatus,
+  validateSlotQuery,
+  validatePatientMerge,
+  validateMergeRevert,
+  validatePrescriptionCheck,
+  validatePrescription,
+  validatePrescriptionDiscontinue,
+  validateDrug,
+  validateLaboratoryResult,
+  validateLabTest,
+  validateAlertAcknowledgement,
+  validateAlertQuery,
+  validateOnCall,
+  validateFhirImport,
   validatePagination,
   validateObjectId,
   validateSearch,
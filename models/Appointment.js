@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Step of the slot keys a booking holds; any two overlapping bookings share at least one
+const SLOT_KEY_MINUTES = 5;
+const SLOT_KEY_MS = SLOT_KEY_MINUTES * 60 * 1000;
+
+const appointmentSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  department: String,
+  clinician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['consultation', 'follow_up', 'procedure', 'review'],
+    default: 'consultation'
+  },
+  // pending appointments were created from a record follow-up and still need a slot
+  status: {
+    type: String,
+    enum: ['pending', 'booked', 'cancelled', 'completed', 'no_show'],
+    default: 'booked'
+  },
+  reason: String,
+  notes: String,
+
+  // Time a booked appointment holds: its clinician (or hospital department when no clinician is
+  // named) and every SLOT_KEY_MINUTES step it covers. Unique, so two concurrent bookings that
+  // overlap can't both succeed, whatever their start times and lengths.
+  slotKeys: {
+    type: [String],
+    default: undefined
+  },
+
+  // Record follow-up the appointment was created from
+  source: {
+    medicalRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedicalRecord'
+    },
+    field: {
+      type: String,
+      enum: ['treatment.followUp', 'discharge.followUpAppointment']
+    },
+    requestedDate: Date
+  },
+
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+  rescheduleHistory: [{
+    startTime: Date,
+    endTime: Date,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+appointmentSchema.index({ hospital: 1, startTime: 1, status: 1 });
+appointmentSchema.index({ clinician: 1, startTime: 1, status: 1 });
+appointmentSchema.index({ patient: 1, startTime: -1 });
+appointmentSchema.index({ 'source.medicalRecord': 1, 'source.field': 1, createdAt: -1 });
+appointmentSchema.index({ slotKeys: 1 }, { unique: true, partialFilterExpression: { slotKeys: { $exists: true } } });
+
+// Only booked appointments hold their slot
+appointmentSchema.pre('validate', function(next) {
+  if (this.status !== 'booked' || !this.startTime) {
+    this.slotKeys = undefined;
+  } else {
+    const owner = this.clinician
+      ? `clinician:${this.clinician._id || this.clinician}`
+      : `department:${this.hospital._id || this.hospital}:${this.department || ''}`;
+    const start = this.startTime.getTime();
+    const end = Math.max(this.endTime ? this.endTime.getTime() : start, start + 1);
+
+    this.slotKeys = [];
+    for (let step = Math.floor(start / SLOT_KEY_MS) * SLOT_KEY_MS; step < end; step += SLOT_KEY_MS) {
+      this.slotKeys.push(`${owner}@${new Date(step).toISOString()}`);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
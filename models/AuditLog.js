@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action (empty for public QR access)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['admin', 'medical_personnel', 'patient', 'public'],
+    required: true
+  },
+  actorEmail: String,
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+
+  // What was done
+  action: {
+    type: String,
+    required: true
+  },
+  accessType: {
+    type: String,
+    enum: ['read', 'write'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'denied', 'failure'],
+    required: true
+  },
+  statusCode: Number,
+  method: String,
+  path: String,
+
+  // Which clinical data was touched
+  patients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  }],
+  medicalRecords: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord'
+  }],
+  details: mongoose.Schema.Types.Mixed,
+  // Markers for entries that need attention, e.g. break_glass
+  flags: [String],
+
+  // Where it came from
+  ipAddress: String,
+  userAgent: String,
+
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes for better performance
+auditLogSchema.index({ patients: 1, timestamp: -1 });
+auditLogSchema.index({ medicalRecords: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ hospital: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ flags: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+// Audit entries are append-only
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((operation) => {
+  auditLogSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const consentSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Partner hospital being given access
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['all_records', 'emergency_summary'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+
+  // Request
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestReason: String,
+  requestedDurationDays: Number,
+
+  // Decision
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  grantedAt: Date,
+  expiresAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: String,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revocationReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+consentSchema.index({ patient: 1, hospital: 1, status: 1, expiresAt: 1 });
+consentSchema.index({ hospital: 1, status: 1 });
+
+// Virtual for whether the consent currently grants access
+consentSchema.virtual('isCurrentlyActive').get(function() {
+  return this.status === 'active' && Boolean(this.expiresAt) && this.expiresAt > new Date();
+});
+
+// Find the active consent letting a hospital see a patient's data.
+// Without a scope, a full-records consent is preferred over an emergency summary one.
+consentSchema.statics.findActive = async function(patientId, hospitalId, scope) {
+  if (!patientId || !hospitalId) return null;
+
+  const query = {
+    patient: patientId,
+    hospital: hospitalId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  };
+  if (scope) query.scope = scope;
+
+  const consents = await this.find(query).sort({ expiresAt: -1 });
+  return consents.find((consent) => consent.scope === 'all_records') || consents[0] || null;
+};
+
+module.exports = mongoose.model('Consent', consentSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Named sequences, incremented atomically so concurrent writers never get the same value
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Next value of a sequence, starting at 1
+counterSchema.statics.nextValue = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Move a sequence forward to at least the given value; never moves it back
+counterSchema.statics.ensureAtLeast = async function(name, value) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $max: { seq: value } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
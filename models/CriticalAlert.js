@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// An alert raised for a critical laboratory result or a NEWS2 score that crossed the alerting
+// level. It stays open until someone acknowledges it, and escalates to the hospital's admins and
+// on-call staff while it is left unacknowledged.
+const criticalAlertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['lab_result', 'news2'],
+    default: 'lab_result'
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  medicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord',
+    required: true
+  },
+  // _id of the entry in the record's laboratoryResults
+  laboratoryResult: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: function() {
+      return this.type === 'lab_result';
+    }
+  },
+  testName: String,
+  testCode: String,
+  vitalObservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VitalObservation',
+    required: function() {
+      return this.type === 'news2';
+    }
+  },
+  news2Score: Number,
+  news2Level: String,
+  // What triggered it, e.g. "Hb 5.5 g/dL (critical low)" or "NEWS2 7 (high)"
+  summary: String,
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Everyone notified so far, and why
+  recipients: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      enum: ['record_author', 'on_call', 'escalation']
+    },
+    level: {
+      type: Number,
+      default: 0
+    },
+    notifiedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged'],
+    default: 'open'
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  acknowledgementNote: String,
+
+  // Number of times the alert has been escalated
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  lastEscalatedAt: Date,
+  // Cleared once acknowledged or when no escalations are left
+  nextEscalationAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+criticalAlertSchema.index({ hospital: 1, status: 1, createdAt: -1 });
+criticalAlertSchema.index({ status: 1, nextEscalationAt: 1 });
+criticalAlertSchema.index({ 'recipients.user': 1, status: 1 });
+// One alert per laboratory result or vital observation
+criticalAlertSchema.index(
+  { medicalRecord: 1, laboratoryResult: 1 },
+  { unique: true, partialFilterExpression: { laboratoryResult: { $exists: true } } }
+);
+criticalAlertSchema.index(
+  { vitalObservation: 1 },
+  { unique: true, partialFilterExpression: { vitalObservation: { $exists: true } } }
+);
+
+criticalAlertSchema.methods.isRecipient = function(user) {
+  return this.recipients.some((recipient) => recipient.user && (recipient.user._id || recipient.user).toString() === user._id.toString());
+};
+
+module.exports = mongoose.model('CriticalAlert', criticalAlertSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const INTERACTION_SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+// A drug in the local formulary, used to structure prescriptions and check them for safety
+const drugSchema = new mongoose.Schema({
+  genericName: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  brandNames: [{
+    type: String,
+    trim: true
+  }],
+  drugClass: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Allergen names that match this drug, e.g. a penicillin allergy matches amoxicillin
+  allergyGroups: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Allergen names with partial cross-reactivity, e.g. penicillin for cephalosporins
+  crossSensitivity: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  forms: [{
+    form: {
+      type: String,
+      required: true
+    },
+    route: {
+      type: String,
+      enum: ['oral', 'intravenous', 'intramuscular', 'subcutaneous', 'topical', 'rectal', 'inhalation', 'sublingual', 'ophthalmic', 'otic', 'nasal', 'vaginal'],
+      required: true
+    },
+    strengths: [{
+      value: Number,
+      unit: String
+    }]
+  }],
+  // Interactions with another drug by generic name, or with every drug in a class
+  interactions: [{
+    drug: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    drugClass: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    severity: {
+      type: String,
+      enum: INTERACTION_SEVERITIES,
+      required: true
+    },
+    effect: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+drugSchema.index({ genericName: 'text', brandNames: 'text' });
+drugSchema.index({ drugClass: 1 });
+drugSchema.index({ brandNames: 1 });
+
+drugSchema.statics.INTERACTION_SEVERITIES = INTERACTION_SEVERITIES;
+
+// Find a formulary drug by generic or brand name, case-insensitively
+drugSchema.statics.findByName = function(name) {
+  const value = String(name || '').trim();
+  if (!value) return Promise.resolve(null);
+
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return this.findOne({
+    isActive: true,
+    $or: [
+      { genericName: value.toLowerCase() },
+      { brandNames: new RegExp(`^${escaped}$`, 'i') }
+    ]
+  });
+};
+
+module.exports = mongoose.model('Drug', drugSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Delivery is tracked on the linked outbox notification
+const notificationStatusSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'skipped']
+  },
+  recipient: String,
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  reason: String
+}, { _id: false });
+
+const emergencyAccessSchema = new mongoose.Schema({
+  // Clinician who broke the glass and the hospital they work at
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Patient's primary hospital at the time, which reviews the access
+  primaryHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  justification: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Who was told about the access
+  notifications: {
+    primaryHospital: {
+      type: notificationStatusSchema,
+      default: () => ({})
+    },
+    emergencyContact: {
+      type: notificationStatusSchema,
+      default: () => ({})
+    }
+  },
+
+  // Follow-up review by the patient's primary hospital or an admin
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'justified', 'unjustified'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+emergencyAccessSchema.index({ user: 1, patient: 1, expiresAt: -1 });
+emergencyAccessSchema.index({ patient: 1, createdAt: -1 });
+emergencyAccessSchema.index({ primaryHospital: 1, createdAt: -1 });
+emergencyAccessSchema.index({ 'review.status': 1, createdAt: -1 });
+
+// Virtual for whether the grant currently gives access
+emergencyAccessSchema.virtual('isCurrentlyActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Find the user's active break-glass grant for a patient
+emergencyAccessSchema.statics.findActive = function(userId, patientId) {
+  if (!userId || !patientId) return null;
+
+  return this.findOne({
+    user: userId,
+    patient: patientId,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ expiresAt: -1 });
+};
+
+module.exports = mongoose.model('EmergencyAccess', emergencyAccessSchema);
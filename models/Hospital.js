@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// Time zone of hospitals that don't set one
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Africa/Lagos';
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
 const hospitalSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -75,6 +87,13 @@ const hospitalSchema = new mongoose.Schema({
       phone: String
     }
   },
+  // Prefix for patient IDs issued with this as primary hospital (PATIENT_ID_PREFIX otherwise)
+  patientIdPrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2,6}$/, 'Patient ID prefix must be 2 to 6 letters']
+  },
   status: {
     type: String,
     enum: ['active', 'inactive', 'suspended'],
@@ -84,6 +103,12 @@ const hospitalSchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number
   },
+  // IANA time zone the working hours are in, e.g. Africa/Lagos
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: [isTimeZone, 'Unknown time zone']
+  },
   workingHours: {
     monday: { open: String, close: String, isOpen: Boolean },
     tuesday: { open: String, close: String, isOpen: Boolean },
@@ -112,6 +137,8 @@ hospitalSchema.index({ name: 'text', 'address.city': 'text', 'address.state': 't
 hospitalSchema.index({ 'partnership.isPartner': 1 });
 hospitalSchema.index({ status: 1 });
 
+hospitalSchema.statics.DEFAULT_TIME_ZONE = DEFAULT_TIME_ZONE;
+
 // Virtual for full address
 hospitalSchema.virtual('fullAddress').get(function() {
   const addr = this.address;
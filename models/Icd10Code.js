@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { normalizeCode, categoryOf, chapterFor } = require('../utils/icd10');
+
+// An entry in the ICD-10 catalogue used to code diagnoses
+const icd10CodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    set: normalizeCode
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Three-character category, e.g. B50 for B50.9
+  category: String,
+  chapter: String,
+  // Codes without subdivisions in the catalogue; only these should be used for reporting
+  billable: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+icd10CodeSchema.index({ title: 'text' });
+icd10CodeSchema.index({ chapter: 1, code: 1 });
+
+// Category and chapter follow from the code
+icd10CodeSchema.pre('validate', function(next) {
+  if (this.isModified('code')) {
+    this.category = categoryOf(this.code);
+    this.chapter = chapterFor(this.code)?.chapter;
+  }
+  next();
+});
+
+// Active catalogue entries for a list of codes, keyed by normalized code
+icd10CodeSchema.statics.findByCodes = async function(codes) {
+  const normalized = [...new Set(codes.map(normalizeCode))];
+  const entries = await this.find({ code: { $in: normalized }, isActive: true });
+  return new Map(entries.map((entry) => [entry.code, entry]));
+};
+
+module.exports = mongoose.model('Icd10Code', icd10CodeSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Outcome of importing one Bundle entry
+const importResultSchema = new mongoose.Schema({
+  entry: Number, // Position in Bundle.entry
+  fullUrl: String,
+  resourceType: String,
+  status: {
+    type: String,
+    enum: ['created', 'matched', 'skipped', 'failed']
+  },
+  // Document the resource was imported into
+  target: {
+    model: {
+      type: String,
+      enum: ['Patient', 'MedicalRecord']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  message: String
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['fhir_bundle'],
+    default: 'fhir_bundle'
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Submitted Bundle, kept until the job finishes
+  bundle: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Job state
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  lockedAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  error: String,
+
+  summary: {
+    created: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  results: [importResultSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ hospital: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
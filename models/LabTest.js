@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// A laboratory test in the local catalogue: a single analyte with reference ranges, or a panel
+// (e.g. full blood count) whose components are other catalogue tests
+const labTestSchema = new mongoose.Schema({
+  // LOINC code, or a local code where LOINC has none
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  shortName: {
+    type: String,
+    trim: true
+  },
+  // Other names clinicians use, matched case-insensitively ("PCV", "Packed cell volume")
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  category: {
+    type: String,
+    enum: ['haematology', 'chemistry', 'microbiology', 'serology', 'immunology', 'urinalysis', 'endocrinology', 'other'],
+    default: 'other'
+  },
+  specimen: String,
+  // Codes of the analytes in a panel; empty for a single analyte
+  components: [String],
+  valueType: {
+    type: String,
+    enum: ['numeric', 'text'],
+    default: 'numeric'
+  },
+  unit: String,
+  // Decimal places results are reported to
+  precision: Number,
+  // Numeric analytes: the most specific range matching the patient's sex and age is used.
+  // Ages are in years and may be fractional (0.08 is about a month); ageMax is exclusive.
+  referenceRanges: [{
+    sex: {
+      type: String,
+      enum: ['male', 'female', 'any'],
+      default: 'any'
+    },
+    ageMin: Number,
+    ageMax: Number,
+    low: Number,
+    high: Number,
+    criticalLow: Number,
+    criticalHigh: Number
+  }],
+  // Text analytes: expected results, and results that are critical; anything else is abnormal
+  normalValues: [String],
+  criticalValues: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+labTestSchema.index({ name: 1 });
+labTestSchema.index({ aliases: 1 });
+labTestSchema.index({ category: 1 });
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find an active test by code, name, short name or alias
+labTestSchema.statics.findByReference = function(reference) {
+  const value = String(reference || '').trim();
+  if (!value) return Promise.resolve(null);
+
+  const exact = new RegExp(`^${escapeRegex(value)}$`, 'i');
+  return this.findOne({
+    isActive: true,
+    $or: [
+      { code: value },
+      { name: exact },
+      { shortName: exact },
+      { aliases: exact }
+    ]
+  });
+};
+
+labTestSchema.methods.isPanel = function() {
+  return this.components.length > 0;
+};
+
+module.exports = mongoose.model('LabTest', labTestSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { CONSCIOUSNESS_LEVELS, normalizeVitals } = require('../utils/vitals');
+
+// Record access levels, lowest first
+const ACCESS_LEVELS = ['none', 'read', 'write', 'admin'];
 
 const medicalRecordSchema = new mongoose.Schema({
   patient: {
@@ -85,7 +89,18 @@ const medicalRecordSchema = new mongoose.Schema({
         default: 'cm'
       }
     },
-    bmi: Number
+    // Worked out from weight and height when both are given
+    bmi: Number,
+    // For NEWS2: on supplemental oxygen, ACVPU level, and SpO2 scale 2 for hypercapnic respiratory failure
+    supplementalOxygen: Boolean,
+    consciousness: {
+      type: String,
+      enum: CONSCIOUSNESS_LEVELS
+    },
+    spo2Scale: {
+      type: Number,
+      enum: [1, 2]
+    }
   },
 
   // Physical examination
@@ -134,8 +149,12 @@ const medicalRecordSchema = new mongoose.Schema({
   // Assessment and diagnosis
   assessment: {
     primaryDiagnosis: String,
+    primaryDiagnosisCode: String,
     secondaryDiagnoses: [String],
+    // ICD-10 code for each secondary diagnosis, in the same order ('' where uncoded)
+    secondaryDiagnosisCodes: [String],
     differentialDiagnoses: [String],
+    // Every ICD-10 code on the assessment, checked against the catalogue
     icd10Codes: [String],
     severity: {
       type: String,
@@ -152,7 +171,12 @@ const medicalRecordSchema = new mongoose.Schema({
       frequency: String,
       duration: String,
       instructions: String,
-      prescribedBy: String
+      prescribedBy: String,
+      // Set for medications added through a structured prescription
+      prescription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Prescription'
+      }
     }],
     procedures: [{
       name: String,
@@ -161,6 +185,10 @@ const medicalRecordSchema = new mongoose.Schema({
       notes: String
     }],
     referrals: [{
+      referral: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Referral'
+      },
       department: String,
       doctor: String,
       reason: String,
@@ -180,9 +208,32 @@ const medicalRecordSchema = new mongoose.Schema({
   // Laboratory results
   laboratoryResults: [{
     testName: String,
+    // Lab test catalogue code; set for structured results
+    testCode: String,
     testDate: Date,
+    // Free-form results, for tests entered without the catalogue
     results: mongoose.Schema.Types.Mixed,
     normalRange: String,
+    // Structured results, flagged against the catalogue reference range for the patient
+    analytes: [{
+      code: String,
+      name: String,
+      value: Number,
+      valueText: String,
+      unit: String,
+      referenceRange: {
+        low: Number,
+        high: Number,
+        criticalLow: Number,
+        criticalHigh: Number,
+        text: String
+      },
+      flag: {
+        type: String,
+        enum: ['normal', 'low', 'high', 'critical_low', 'critical_high', 'abnormal', 'critical', 'pending']
+      }
+    }],
+    // Worst analyte flag for structured results; set by hand otherwise
     status: {
       type: String,
       enum: ['normal', 'abnormal', 'critical', 'pending']
@@ -232,8 +283,21 @@ const medicalRecordSchema = new mongoose.Schema({
   attachments: [{
     filename: String,
     fileType: String,
-    filePath: String,
-    uploadedBy: String,
+    filePath: String, // Storage key
+    storageDriver: String,
+    size: Number,
+    checksum: String, // SHA-256 hex digest
+    category: {
+      type: String,
+      enum: ['document', 'imaging', 'laboratory', 'other'],
+      default: 'document'
+    },
+    description: String,
+    imagingResult: mongoose.Schema.Types.ObjectId,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadDate: Date
   }],
 
@@ -247,6 +311,11 @@ const medicalRecordSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Incremented on every change; RecordVersion holds the diff for each version
+  version: {
+    type: Number,
+    default: 1
+  },
   confidentiality: {
     level: {
       type: String,
@@ -265,7 +334,8 @@ const medicalRecordSchema = new mongoose.Schema({
     }]
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  optimisticConcurrency: true
 });
 
 // Indexes for better performance
@@ -275,6 +345,63 @@ medicalRecordSchema.index({ createdBy: 1 });
 medicalRecordSchema.index({ 'visitInfo.visitDate': -1 });
 medicalRecordSchema.index({ status: 1 });
 medicalRecordSchema.index({ isEmergency: 1 });
+medicalRecordSchema.index({ 'assessment.icd10Codes': 1 });
+medicalRecordSchema.index({ patient: 1, 'laboratoryResults.analytes.code': 1 });
+
+// Keep BMI in step with weight and height
+medicalRecordSchema.pre('validate', function(next) {
+  if (this.isModified('vitalSigns') && this.vitalSigns) {
+    const { bmi } = normalizeVitals({ weight: this.vitalSigns.weight, height: this.vitalSigns.height });
+    if (bmi !== undefined) this.vitalSigns.bmi = bmi;
+  }
+  next();
+});
+
+const toIdString = (value) => (value ? (value._id || value).toString() : null);
+
+// Resolve a user's effective access level (none/read/write/admin) for this record
+medicalRecordSchema.methods.getAccessLevelFor = function(user) {
+  if (user.role === 'admin') return 'admin';
+
+  const userId = user._id.toString();
+  if (toIdString(this.createdBy) === userId) return 'admin';
+
+  const entry = (this.confidentiality?.accessList || []).find(
+    (item) => toIdString(item.user) === userId
+  );
+  const listedLevel = entry ? entry.accessLevel : 'none';
+
+  // Restricted records are visible only to listed users
+  if (this.confidentiality?.level === 'restricted') return listedLevel;
+
+  let baseLevel = 'none';
+  if (user.role === 'medical_personnel' && toIdString(this.hospital) === toIdString(user.profile?.hospitalId)) {
+    baseLevel = 'write';
+  }
+  if (user.role === 'patient' && toIdString(this.patient) === user.getLinkedPatientId()) {
+    baseLevel = 'read';
+  }
+
+  return ACCESS_LEVELS.indexOf(listedLevel) > ACCESS_LEVELS.indexOf(baseLevel) ? listedLevel : baseLevel;
+};
+
+// Check whether an access level satisfies a required level
+medicalRecordSchema.statics.hasAccessLevel = function(accessLevel, requiredLevel) {
+  return ACCESS_LEVELS.indexOf(accessLevel) >= ACCESS_LEVELS.indexOf(requiredLevel);
+};
+
+// Query filter hiding restricted records the user is not listed on
+medicalRecordSchema.statics.visibilityFilterFor = function(user) {
+  if (user.role === 'admin') return {};
+
+  return {
+    $or: [
+      { 'confidentiality.level': { $ne: 'restricted' } },
+      { 'confidentiality.accessList.user': user._id },
+      { createdBy: user._id }
+    ]
+  };
+};
 
 // Virtual for visit summary
 medicalRecordSchema.virtual('visitSummary').get(function() {
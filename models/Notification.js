@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'in_app'],
+    required: true
+  },
+  // Email address or phone number; empty for in-app notifications
+  to: String,
+
+  // Rendered content
+  template: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  body: {
+    type: String,
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  // Body and data are cleared once delivery ends (reset links are never stored, see services/notifications)
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+
+  // Outbox state
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  providerMessageId: String,
+
+  // In-app inbox
+  readAt: Date,
+
+  // Prevents the same reminder being queued twice
+  dedupeKey: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, channel: 1, createdAt: -1 });
+notificationSchema.index(
+  { dedupeKey: 1, channel: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,17 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const Hospital = require('./Hospital');
+const { DEFAULT_PREFIX, formatPatientId, normalizePatientId } = require('../utils/patientId');
+const { issueQrToken } = require('../services/qrTokens');
+
+// Unambiguous characters for staff-issued account claim codes
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CLAIM_CODE_LENGTH = 8;
+
+const hashClaimCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+};
 
 const patientSchema = new mongoose.Schema({
   // Basic identification
@@ -7,10 +20,23 @@ const patientSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
+  // IDs this patient had before they were reissued (legacy IDs without a check digit)
+  previousPatientIds: [String],
+  // Current signed QR token (see services/qrTokens), its token id and optional expiry
   qrCode: {
     type: String,
     unique: true
   },
+  qrTokenId: String,
+  qrCodeExpiresAt: Date,
+  // Last time an ID card was printed in a batch
+  idCardPrintedAt: Date,
+  // Identifiers assigned by other systems, e.g. a partner hospital's MRN from a FHIR import
+  externalIdentifiers: [{
+    _id: false,
+    system: String,
+    value: String
+  }],
   
   // Biodata
   biodata: {
@@ -228,6 +254,28 @@ const patientSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when this patient was merged into another as a duplicate (see PatientMerge)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  mergedAt: Date,
+  // QR codes of duplicates merged into this patient, which keep working
+  mergedQrCodes: [String],
+
+  // Verification code issued by staff so the patient can claim a user account
+  accountClaim: {
+    codeHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAt: Date
+  },
 
   // Additional metadata
   notes: String,
@@ -245,6 +293,10 @@ patientSchema.index({ 'biodata.firstName': 1, 'biodata.lastName': 1 });
 patientSchema.index({ 'biodata.contact.phone': 1 });
 patientSchema.index({ primaryHospital: 1 });
 patientSchema.index({ isActive: 1 });
+patientSchema.index({ 'externalIdentifiers.system': 1, 'externalIdentifiers.value': 1 });
+patientSchema.index({ mergedQrCodes: 1 });
+patientSchema.index({ previousPatientIds: 1 });
+patientSchema.index({ 'biodata.dateOfBirth': 1 });
 
 // Virtual for full name
 patientSchema.virtual('fullName').get(function() {
@@ -266,15 +318,143 @@ patientSchema.virtual('calculatedAge').get(function() {
   return age;
 });
 
-// Pre-save middleware to generate patient ID and QR code
-patientSchema.pre('save', async function(next) {
-  if (this.isNew) {
+// Check whether the patient is registered (primary or active registration) at a hospital
+patientSchema.methods.isRegisteredAt = function(hospitalId) {
+  if (!hospitalId) return false;
+
+  const target = (hospitalId._id || hospitalId).toString();
+  const toId = (value) => (value ? (value._id || value).toString() : null);
+
+  return toId(this.primaryHospital) === target || this.registeredHospitals.some(
+    (reg) => toId(reg.hospital) === target && reg.isActive
+  );
+};
+
+// Add an active registration at a hospital.
+// Returns false when the patient already has an active registration there.
+patientSchema.methods.registerAtHospital = function(hospitalId) {
+  const target = (hospitalId._id || hospitalId).toString();
+  const existingRegistration = this.registeredHospitals.find(
+    reg => reg.hospital.toString() === target && reg.isActive
+  );
+
+  if (existingRegistration) {
+    return false;
+  }
+
+  this.registeredHospitals.push({
+    hospital: target,
+    registrationDate: new Date(),
+    isActive: true
+  });
+
+  return true;
+};
+
+// Issue a new account claim code, storing only its hash
+patientSchema.methods.createClaimCode = function(issuedBy) {
+  const bytes = crypto.randomBytes(CLAIM_CODE_LENGTH);
+  const code = Array.from(bytes, (byte) => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]).join('');
+  const expiresInHours = parseInt(process.env.PATIENT_CLAIM_CODE_EXPIRE_HOURS, 10) || 72;
+
+  this.accountClaim = {
+    codeHash: hashClaimCode(code),
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    issuedBy
+  };
+
+  return code;
+};
+
+// Check a claim code (requires accountClaim.codeHash to be selected)
+patientSchema.methods.verifyClaimCode = function(code) {
+  const claim = this.accountClaim;
+  if (!code || !claim || !claim.codeHash || !claim.expiresAt || claim.expiresAt < new Date()) {
+    return false;
+  }
+
+  const expected = Buffer.from(claim.codeHash, 'hex');
+  const actual = Buffer.from(hashClaimCode(code), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Mark the claim code as used
+patientSchema.methods.markClaimed = function() {
+  this.accountClaim.codeHash = undefined;
+  this.accountClaim.expiresAt = undefined;
+  this.accountClaim.claimedAt = new Date();
+};
+
+// Replace the QR code with a newly signed token. The caller revokes the old one.
+patientSchema.methods.issueQrCode = function(options) {
+  const { token, tokenId, expiresAt } = issueQrToken(this._id, options);
+  this.qrCode = token;
+  this.qrTokenId = tokenId;
+  this.qrCodeExpiresAt = expiresAt;
+  return token;
+};
+
+// Find the active patient a legacy (unsigned) QR code belongs to, including codes of merged duplicates
+patientSchema.statics.findByQrCode = function(qrCode) {
+  return this.findOne({
+    $or: [{ qrCode }, { mergedQrCodes: qrCode }],
+    isActive: true
+  });
+};
+
+// Find a patient by the ID staff type or read out, including IDs reissued by the migration
+patientSchema.statics.findByPatientId = function(patientId, filter = {}) {
+  const id = normalizePatientId(patientId);
+  return this.findOne({
+    $or: [{ patientId: id }, { previousPatientIds: id }],
+    ...filter
+  });
+};
+
+// Counter a prefix's patient IDs are numbered from
+patientSchema.statics.patientIdCounter = function(prefix) {
+  return `patientId:${prefix}`;
+};
+
+// Allocate the next patient ID for the given primary hospital, using its prefix if it has one.
+// Numbers still held by an unmigrated legacy ID are skipped so the two never read alike.
+patientSchema.statics.allocatePatientId = async function(hospitalId) {
+  const hospital = hospitalId && await Hospital.findById(hospitalId).select('patientIdPrefix');
+  const prefix = hospital?.patientIdPrefix || DEFAULT_PREFIX;
+
+  for (;;) {
+    const sequence = await Counter.nextValue(this.patientIdCounter(prefix));
+    const patientId = formatPatientId(prefix, sequence);
+    const legacyId = `${prefix}${String(sequence).padStart(6, '0')}`;
+    const taken = await this.exists({ patientId: { $in: [patientId, legacyId] } });
+    if (!taken) return patientId;
+  }
+};
+
+// Fields an emergency_summary consent exposes: identification and critical history
+patientSchema.statics.EMERGENCY_SUMMARY_FIELDS = [
+  'patientId',
+  'biodata.firstName',
+  'biodata.lastName',
+  'biodata.middleName',
+  'biodata.dateOfBirth',
+  'biodata.gender',
+  'biodata.contact.emergencyContact',
+  'medicalHistory.bloodGroup',
+  'medicalHistory.genotype',
+  'medicalHistory.allergies',
+  'medicalHistory.chronicIllnesses',
+  'primaryHospital'
+].join(' ');
+
+// Generate patient ID and QR code before validation, since patientId is required
+patientSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.patientId) {
     // Generate unique patient ID
-    const count = await this.constructor.countDocuments();
-    this.patientId = `PA${String(count + 1).padStart(6, '0')}`;
-    
-    // Generate QR code data
-    this.qrCode = `LAMR-${this.patientId}-${Date.now()}`;
+    this.patientId = await this.constructor.allocatePatientId(this.primaryHospital);
+
+    // Generate signed QR code
+    this.issueQrCode();
   }
   next();
 });
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A pair of patients the matching engine thinks may be the same person
+const patientDuplicateSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Both ids sorted and joined, so a pair is only flagged once whichever side found it
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  reasons: [String],
+  source: {
+    type: String,
+    enum: ['registration', 'scan', 'import'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'merged'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+patientDuplicateSchema.index({ status: 1, score: -1 });
+patientDuplicateSchema.index({ patient: 1 });
+patientDuplicateSchema.index({ candidate: 1 });
+
+patientDuplicateSchema.statics.pairKeyFor = function(a, b) {
+  return [a, b].map((id) => (id._id || id).toString()).sort().join(':');
+};
+
+module.exports = mongoose.model('PatientDuplicate', patientDuplicateSchema);
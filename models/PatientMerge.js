@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const objectIds = (ref) => [{
+  type: mongoose.Schema.Types.ObjectId,
+  ref
+}];
+
+// Merge of a duplicate patient into a surviving one. Everything moved or added is listed
+// so the merge can be reverted.
+const patientMergeSchema = new mongoose.Schema({
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  merged: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  duplicate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PatientDuplicate'
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: String,
+
+  // Documents re-pointed from the merged patient to the survivor
+  moved: {
+    medicalRecords: objectIds('MedicalRecord'),
+    appointments: objectIds('Appointment'),
+    referrals: objectIds('Referral'),
+    consents: objectIds('Consent'),
+    emergencyAccess: objectIds('EmergencyAccess'),
+    vitalObservations: objectIds('VitalObservation'),
+    prescriptions: objectIds('Prescription'),
+    criticalAlerts: objectIds('CriticalAlert'),
+    users: objectIds('User')
+  },
+
+  // What the survivor gained from the merged patient
+  added: {
+    registrations: objectIds('Hospital'),
+    externalIdentifiers: [{
+      _id: false,
+      system: String,
+      value: String
+    }],
+    qrCode: String,
+    allergies: [mongoose.Schema.Types.ObjectId],
+    chronicIllnesses: [mongoose.Schema.Types.ObjectId],
+    bloodGroup: String,
+    genotype: String
+  },
+
+  status: {
+    type: String,
+    enum: ['merged', 'reverted'],
+    default: 'merged'
+  },
+  revertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revertedAt: Date,
+  revertReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+patientMergeSchema.index({ survivor: 1, createdAt: -1 });
+patientMergeSchema.index({ merged: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PatientMerge', patientMergeSchema);
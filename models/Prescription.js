@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+// Standard dosing frequencies and the doses per day they imply (PRN and STAT have no fixed count)
+const FREQUENCIES = {
+  OD: 1,
+  BD: 2,
+  TDS: 3,
+  QDS: 4,
+  Q4H: 6,
+  Q6H: 4,
+  Q8H: 3,
+  Q12H: 2,
+  NOCTE: 1,
+  WEEKLY: 1 / 7,
+  PRN: null,
+  STAT: null
+};
+
+// Dose units that can be counted out, so a quantity to dispense can be worked out
+const COUNTABLE_UNITS = /^(tablet|capsule|sachet|puff|suppository|drop|ampoule|vial)s?$/i;
+
+// A structured prescription for one drug, checked against the patient's allergies and medications
+const prescriptionSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  medicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord'
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  prescriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  drug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Drug',
+    required: true
+  },
+  // Snapshot of the formulary entry, so the prescription reads the same if the formulary changes
+  drugName: {
+    type: String,
+    required: true
+  },
+  drugClass: String,
+  form: String,
+  route: String,
+  strength: {
+    value: Number,
+    unit: String
+  },
+  dose: {
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    unit: {
+      type: String,
+      required: true
+    }
+  },
+  frequency: {
+    type: String,
+    enum: Object.keys(FREQUENCIES),
+    required: true
+  },
+  durationDays: {
+    type: Number,
+    min: 0
+  },
+  quantity: Number,
+  instructions: String,
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: Date,
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'discontinued', 'cancelled'],
+    default: 'active'
+  },
+  // Safety checks found when prescribing; blocking ones need an override reason
+  warnings: [{
+    type: {
+      type: String,
+      enum: ['allergy', 'cross_sensitivity', 'interaction', 'duplicate_therapy']
+    },
+    severity: String,
+    blocking: Boolean,
+    message: String,
+    // The allergen or interacting prescription
+    allergen: String,
+    interactingDrug: String,
+    interactingPrescription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prescription'
+    }
+  }],
+  override: {
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  },
+  discontinuedAt: Date,
+  discontinuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  discontinueReason: String
+}, {
+  timestamps: true
+});
+
+prescriptionSchema.index({ patient: 1, status: 1, endDate: 1 });
+prescriptionSchema.index({ medicalRecord: 1 });
+prescriptionSchema.index({ prescriber: 1, createdAt: -1 });
+
+prescriptionSchema.statics.FREQUENCIES = FREQUENCIES;
+
+// End date and quantity follow from the duration when not given
+prescriptionSchema.pre('validate', function(next) {
+  if (this.durationDays && !this.endDate) {
+    const start = this.startDate || new Date();
+    this.endDate = new Date(start.getTime() + this.durationDays * 24 * 60 * 60 * 1000);
+  }
+
+  const perDay = FREQUENCIES[this.frequency];
+  if (!this.quantity && perDay && this.durationDays && COUNTABLE_UNITS.test(this.dose?.unit || '')) {
+    this.quantity = Math.ceil(this.dose.amount * perDay * this.durationDays);
+  }
+  next();
+});
+
+// Prescriptions still being taken: active and not past their end date
+prescriptionSchema.statics.findCurrent = function(patientId) {
+  return this.find({
+    patient: patientId,
+    status: 'active',
+    $or: [{ endDate: null }, { endDate: { $gte: new Date() } }]
+  });
+};
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Temporary block on public QR routes for an IP address with repeated failed lookups
+const qrBlockSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  // Failed lookups in the window that triggered the block
+  failures: {
+    type: Number,
+    required: true
+  },
+  distinctCodes: Number,
+  blockedUntil: {
+    type: Date,
+    required: true
+  },
+  liftedAt: Date,
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+qrBlockSchema.index({ ipAddress: 1, blockedUntil: -1 });
+qrBlockSchema.index({ createdAt: -1 });
+
+// The block currently in force for an IP, if any
+qrBlockSchema.statics.findActive = function(ipAddress) {
+  return this.findOne({
+    ipAddress,
+    blockedUntil: { $gt: new Date() },
+    liftedAt: null
+  }).sort({ blockedUntil: -1 });
+};
+
+module.exports = mongoose.model('QrBlock', qrBlockSchema);
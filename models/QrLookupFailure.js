@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A public QR lookup that did not resolve to a patient, kept for a day to spot enumeration
+const qrLookupFailureSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  route: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  // Short hash of the scanned code, so distinct guesses can be counted without storing them
+  codeHash: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+qrLookupFailureSchema.index({ ipAddress: 1, createdAt: -1 });
+qrLookupFailureSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('QrLookupFailure', qrLookupFailureSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Revocation list for signed QR tokens, checked on every scan
+const qrRevocationSchema = new mongoose.Schema({
+  // The token's jti claim
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['regenerated', 'lost', 'compromised'],
+    required: true
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Token expiry; the entry is dropped once the token could no longer be used anyway
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+qrRevocationSchema.index({ patient: 1, createdAt: -1 });
+qrRevocationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('QrRevocation', qrRevocationSchema);
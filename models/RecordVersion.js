@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const recordVersionSchema = new mongoose.Schema({
+  medicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+
+  // Field-level diff from the previous version
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+recordVersionSchema.index({ medicalRecord: 1, version: -1 }, { unique: true });
+
+// Versions are a medico-legal trail and must never change
+const rejectMutation = function(next) {
+  next(new Error('Medical record versions are immutable'));
+};
+
+recordVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((operation) => {
+  recordVersionSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('RecordVersion', recordVersionSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const referralSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  sendingHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  receivingHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  // Record of the visit the referral was made from
+  medicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord'
+  },
+
+  urgency: {
+    type: String,
+    enum: ['routine', 'urgent', 'emergency'],
+    default: 'routine'
+  },
+  department: String,
+  reason: {
+    type: String,
+    required: true
+  },
+  clinicalSummary: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['sent', 'accepted', 'rejected', 'completed', 'cancelled'],
+    default: 'sent'
+  },
+
+  // Sending side
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Receiving side
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: String,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  outcome: String,
+
+  // Withdrawn by the sending side
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+referralSchema.index({ receivingHospital: 1, status: 1, createdAt: -1 });
+referralSchema.index({ sendingHospital: 1, status: 1, createdAt: -1 });
+referralSchema.index({ patient: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
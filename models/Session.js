@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token replaced by the last rotation, kept to detect reuse
+  previousRefreshTokenHash: String,
+
+  // Device information
+  deviceName: String,
+  userAgent: String,
+  ipAddress: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'password_changed', 'password_reset', 'account_deactivated', 'refresh_token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Generate an opaque refresh token of the form <sessionId>.<secret>
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+const getRefreshTokenLifetime = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Replace the refresh token, returning the new plain token
+sessionSchema.methods.rotate = async function(req) {
+  const refreshToken = buildRefreshToken(this._id);
+
+  this.previousRefreshTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.lastUsedAt = new Date();
+  if (req) {
+    this.userAgent = req.headers['user-agent'] || this.userAgent;
+    this.ipAddress = req.ip || this.ipAddress;
+  }
+  await this.save();
+
+  return refreshToken;
+};
+
+sessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return this;
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Start a new session for a user, returning the session and its plain refresh token
+sessionSchema.statics.start = async function(user, req) {
+  const session = new this({
+    user: user._id,
+    deviceName: req.body?.deviceName,
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetime())
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Resolve a refresh token to its session.
+// Returns { session, reused } where reused means a rotated-out token was presented.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { session: null, reused: false };
+  }
+
+  const session = await this.findById(sessionId);
+  if (!session) {
+    return { session: null, reused: false };
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  if (session.refreshTokenHash === tokenHash) {
+    return { session, reused: false };
+  }
+  if (session.previousRefreshTokenHash === tokenHash) {
+    return { session, reused: true };
+  }
+
+  return { session: null, reused: false };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
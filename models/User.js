@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
@@ -23,6 +24,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Patient record this account belongs to (patient role only)
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
   profile: {
     firstName: {
       type: String,
@@ -47,16 +53,27 @@ const userSchema = new mongoose.Schema({
     department: String,
     licenseNumber: String
   },
+  // On-call medical personnel receive critical result alerts for their hospital
+  onCall: {
+    type: Boolean,
+    default: false
+  },
+  onCallSince: Date,
   lastLogin: {
     type: Date,
     default: Date.now
   },
+  passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date
 }, {
   timestamps: true
 });
 
+// A patient record can be claimed by a single account
+userSchema.index({ patient: 1 }, { unique: true, sparse: true });
+userSchema.index({ 'profile.hospitalId': 1, onCall: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -64,6 +81,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdate by a second so tokens issued right after the change stay valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -75,6 +97,45 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the password changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Generate a password reset token, storing only its hash on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Find the user holding an unexpired reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Get the linked Patient _id as a string (patient role only)
+userSchema.methods.getLinkedPatientId = function() {
+  if (!this.patient) return null;
+  return (this.patient._id || this.patient).toString();
+};
+
+// Get the user's hospital _id (medical personnel), whether or not it is populated
+userSchema.methods.getHospitalId = function() {
+  const hospital = this.profile?.hospitalId;
+  return hospital ? hospital._id || hospital : null;
+};
+
 // Get user's full name
 userSchema.virtual('fullName').get(function() {
   if (this.profile.firstName && this.profile.lastName) {
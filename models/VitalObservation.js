@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { CONSCIOUSNESS_LEVELS, NEWS2_LEVELS } = require('../utils/vitals');
+
+// One set of vital signs taken at a point in time, normalised from a record's vitalSigns or a
+// nursing note so a patient's vitals can be charted across visits. Units are fixed (see
+// MEASUREMENTS in utils/vitals.js): temperature in °C, weight in kg, height in cm.
+const vitalObservationSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  medicalRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord',
+    required: true
+  },
+  // Where the values were entered; sourceId is the nursing note's _id
+  source: {
+    type: String,
+    enum: ['visit', 'nursing_note'],
+    required: true
+  },
+  sourceId: mongoose.Schema.Types.ObjectId,
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  systolic: Number,
+  diastolic: Number,
+  heartRate: Number,
+  respiratoryRate: Number,
+  temperature: Number,
+  oxygenSaturation: Number,
+  supplementalOxygen: Boolean,
+  consciousness: {
+    type: String,
+    enum: CONSCIOUSNESS_LEVELS
+  },
+  weight: Number,
+  height: Number,
+  bmi: Number,
+
+  news2: {
+    score: Number,
+    level: {
+      type: String,
+      enum: NEWS2_LEVELS
+    },
+    // Some single parameter scored 3
+    redScore: Boolean,
+    components: {
+      respiratoryRate: Number,
+      oxygenSaturation: Number,
+      supplementalOxygen: Number,
+      systolic: Number,
+      heartRate: Number,
+      consciousness: Number,
+      temperature: Number
+    },
+    // Parameters not measured, which scored 0
+    missing: [String],
+    spo2Scale: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+vitalObservationSchema.index({ patient: 1, recordedAt: -1 });
+vitalObservationSchema.index({ medicalRecord: 1, source: 1, recordedAt: -1 });
+// One observation per nursing note
+vitalObservationSchema.index(
+  { medicalRecord: 1, sourceId: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $exists: true } } }
+);
+
+module.exports = mongoose.model('VitalObservation', vitalObservationSchema);
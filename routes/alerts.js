@@ -0,0 +1,395 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const CriticalAlert = require('../models/CriticalAlert');
+const MedicalRecord = require('../models/MedicalRecord');
+const User = require('../models/User');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const {
+  validateAlertAcknowledgement,
+  validateAlertQuery,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helpers
+const isSameId = (a, b) => Boolean(a) && Boolean(b) && (a._id || a).toString() === (b._id || b).toString();
+
+const isStaffAt = (user, hospitalId) => {
+  return user.role === 'medical_personnel' && isSameId(user.getHospitalId(), hospitalId);
+};
+
+// Admins, staff at the alert's hospital and anyone it was sent to
+const canHandleAlert = (user, alert) => {
+  return user.role === 'admin' || isStaffAt(user, alert.hospital) || alert.isRecipient(user);
+};
+
+// Alerts on records the user has no access to, e.g. one restricted after it was raised, stay closed
+const recordAccessDenied = async (user, alert) => {
+  if (user.role === 'admin') return false;
+
+  const record = await MedicalRecord.findById(alert.medicalRecord).select('patient hospital createdBy confidentiality');
+  return !record || record.getAccessLevelFor(user) === 'none';
+};
+
+// Status/type filter from the query string; the values were whitelisted by validateAlertQuery
+const listFilter = (query) => {
+  const status = String(query.status || 'open');
+  const filter = status === 'all' ? {} : { status };
+
+  if (query.type) filter.type = String(query.type);
+  return { status, filter };
+};
+
+// Keeps alerts on restricted records the user can't see off the dashboard, unless sent to them
+const dashboardVisibilityFilter = async (user, hospital) => {
+  if (user.role === 'admin') return {};
+
+  const hiddenRecords = await MedicalRecord.find({
+    hospital,
+    $nor: [MedicalRecord.visibilityFilterFor(user)]
+  }).distinct('_id');
+  if (hiddenRecords.length === 0) return {};
+
+  return { $or: [{ 'recipients.user': user._id }, { medicalRecord: { $nin: hiddenRecords } }] };
+};
+
+const populateAlert = (queryOrDocument) => {
+  return queryOrDocument.populate([
+    { path: 'patient', select: 'patientId biodata.firstName biodata.lastName biodata.dateOfBirth biodata.gender' },
+    { path: 'hospital', select: 'name' },
+    { path: 'vitalObservation' },
+    { path: 'raisedBy', select: 'email profile.firstName profile.lastName' },
+    { path: 'acknowledgedBy', select: 'email profile.firstName profile.lastName' },
+    { path: 'recipients.user', select: 'email profile.firstName profile.lastName profile.department' }
+  ]);
+};
+
+const hospitalAccessDenied = (req, res) => {
+  if (req.user.role === 'admin' || isStaffAt(req.user, req.params.hospitalId)) return false;
+
+  res.status(403).json({
+    success: false,
+    message: 'Access denied - only staff at this hospital can view its alerts'
+  });
+  return true;
+};
+
+// @route   GET /api/alerts
+// @desc    Alerts sent to the current user (open by default; ?status=acknowledged|all, ?type=lab_result|news2)
+// @access  Private (Medical personnel, Admin)
+router.get(
+  '/',
+  authenticateToken,
+  auditAccess('alert.list'),
+  authorize('medical_personnel', 'admin'),
+  validateAlertQuery,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const query = { 'recipients.user': req.user._id, ...listFilter(req.query).filter };
+
+      const perPage = parseInt(limit, 10);
+      const currentPage = parseInt(page, 10);
+
+      const [alerts, total] = await Promise.all([
+        populateAlert(
+          CriticalAlert.find(query)
+            .sort({ createdAt: -1 })
+            .limit(perPage)
+            .skip((currentPage - 1) * perPage)
+        ),
+        CriticalAlert.countDocuments(query)
+      ]);
+      setAuditTarget(res, {
+        patients: alerts.map((alert) => alert.patient),
+        medicalRecords: alerts.map((alert) => alert.medicalRecord)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          alerts,
+          pagination: {
+            current: currentPage,
+            pages: Math.ceil(total / perPage),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get alerts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get alerts',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/alerts/hospital/:hospitalId
+// @desc    Alert dashboard for a hospital: open alerts, oldest first, with escalation and response summary
+// @access  Private (Hospital staff, Admin)
+router.get(
+  '/hospital/:hospitalId',
+  authenticateToken,
+  auditAccess('alert.list_hospital'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('hospitalId'),
+  validateAlertQuery,
+  validatePagination,
+  async (req, res) => {
+    try {
+      if (hospitalAccessDenied(req, res)) return;
+
+      const { page = 1, limit = 20 } = req.query;
+      const hospital = new mongoose.Types.ObjectId(req.params.hospitalId);
+      const { status, filter } = listFilter(req.query);
+      const visibility = await dashboardVisibilityFilter(req.user, hospital);
+      const query = { hospital, ...filter, ...visibility };
+
+      const perPage = parseInt(limit, 10);
+      const currentPage = parseInt(page, 10);
+      const since = new Date(Date.now() - DAY_MS);
+
+      const [alerts, total, [summary = {}]] = await Promise.all([
+        populateAlert(
+          CriticalAlert.find(query)
+            // Open alerts that have waited longest come first
+            .sort(status === 'open' ? { createdAt: 1 } : { createdAt: -1 })
+            .limit(perPage)
+            .skip((currentPage - 1) * perPage)
+        ),
+        CriticalAlert.countDocuments(query),
+        CriticalAlert.aggregate([
+          {
+            $match: {
+              hospital,
+              $and: [{ $or: [{ status: 'open' }, { acknowledgedAt: { $gte: since } }] }, visibility]
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+              escalated: {
+                $sum: { $cond: [{ $and: [{ $eq: ['$status', 'open'] }, { $gt: ['$escalationLevel', 0] }] }, 1, 0] }
+              },
+              oldestOpenAt: { $min: { $cond: [{ $eq: ['$status', 'open'] }, '$createdAt', null] } },
+              acknowledgedLast24h: { $sum: { $cond: [{ $eq: ['$status', 'acknowledged'] }, 1, 0] } },
+              averageAcknowledgeMs: {
+                $avg: {
+                  $cond: [{ $eq: ['$status', 'acknowledged'] }, { $subtract: ['$acknowledgedAt', '$createdAt'] }, null]
+                }
+              }
+            }
+          }
+        ])
+      ]);
+      setAuditTarget(res, {
+        patients: alerts.map((alert) => alert.patient),
+        medicalRecords: alerts.map((alert) => alert.medicalRecord)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          alerts,
+          summary: {
+            open: summary.open || 0,
+            escalated: summary.escalated || 0,
+            oldestOpenAt: summary.oldestOpenAt || null,
+            acknowledgedLast24h: summary.acknowledgedLast24h || 0,
+            averageMinutesToAcknowledge: summary.averageAcknowledgeMs
+              ? Math.round(summary.averageAcknowledgeMs / 60000)
+              : null
+          },
+          pagination: {
+            current: currentPage,
+            pages: Math.ceil(total / perPage),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get hospital alerts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get hospital alerts',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/alerts/hospital/:hospitalId/on-call
+// @desc    Staff currently on call at a hospital, who receive its critical result alerts
+// @access  Private (Hospital staff, Admin)
+router.get(
+  '/hospital/:hospitalId/on-call',
+  authenticateToken,
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('hospitalId'),
+  async (req, res) => {
+    try {
+      if (hospitalAccessDenied(req, res)) return;
+
+      const staff = await User.find({
+        role: 'medical_personnel',
+        isActive: true,
+        onCall: true,
+        'profile.hospitalId': req.params.hospitalId
+      })
+        .select('email profile.firstName profile.lastName profile.department profile.phoneNumber onCallSince')
+        .sort({ onCallSince: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          staff
+        }
+      });
+    } catch (error) {
+      console.error('Get on-call staff error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get on-call staff',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/alerts/:alertId
+// @desc    Get an alert
+// @access  Private (Hospital staff, Recipients, Admin)
+router.get(
+  '/:alertId',
+  authenticateToken,
+  auditAccess('alert.read'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('alertId'),
+  async (req, res) => {
+    try {
+      const alert = await CriticalAlert.findById(req.params.alertId);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found'
+        });
+      }
+
+      setAuditTarget(res, {
+        patients: alert.patient,
+        medicalRecords: alert.medicalRecord,
+        details: { criticalAlert: alert._id }
+      });
+
+      if (!canHandleAlert(req.user, alert) || await recordAccessDenied(req.user, alert)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      await populateAlert(alert);
+
+      res.json({
+        success: true,
+        data: {
+          alert
+        }
+      });
+    } catch (error) {
+      console.error('Get alert error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get alert',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/alerts/:alertId/acknowledge
+// @desc    Acknowledge an alert, stopping further escalation
+// @access  Private (Hospital staff, Recipients, Admin)
+router.put(
+  '/:alertId/acknowledge',
+  authenticateToken,
+  auditAccess('alert.acknowledge'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('alertId'),
+  validateAlertAcknowledgement,
+  async (req, res) => {
+    try {
+      const alert = await CriticalAlert.findById(req.params.alertId);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found'
+        });
+      }
+
+      setAuditTarget(res, {
+        patients: alert.patient,
+        medicalRecords: alert.medicalRecord,
+        details: { criticalAlert: alert._id }
+      });
+
+      if (!canHandleAlert(req.user, alert) || await recordAccessDenied(req.user, alert)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      // Conditional update, so a concurrent escalation or second acknowledgement can't interleave
+      const acknowledged = await CriticalAlert.findOneAndUpdate(
+        { _id: alert._id, status: 'open' },
+        {
+          status: 'acknowledged',
+          acknowledgedBy: req.user._id,
+          acknowledgedAt: new Date(),
+          acknowledgementNote: req.body.note,
+          nextEscalationAt: null
+        },
+        { new: true }
+      );
+
+      if (!acknowledged) {
+        return res.status(409).json({
+          success: false,
+          message: 'Alert has already been acknowledged'
+        });
+      }
+
+      await populateAlert(acknowledged);
+
+      res.json({
+        success: true,
+        message: 'Alert acknowledged',
+        data: {
+          alert: acknowledged
+        }
+      });
+    } catch (error) {
+      console.error('Acknowledge alert error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to acknowledge alert',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
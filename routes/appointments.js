@@ -0,0 +1,529 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const {
+  isSlotTaken,
+  checkWorkingHours,
+  findConflicts,
+  getSlots,
+  slotEnd
+} = require('../services/scheduling');
+const {
+  validateAppointment,
+  validateAppointmentReschedule,
+  validateAppointmentStatus,
+  validateSlotQuery,
+  validatePagination,
+  validateObjectId,
+  validateDateRange
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Helpers
+const isSameId = (a, b) => Boolean(a) && Boolean(b) && (a._id || a).toString() === (b._id || b).toString();
+
+// Admins, staff at the appointment's hospital and the patient can act on an appointment
+const canManageAppointment = (user, appointment) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'patient') return isSameId(user.getLinkedPatientId(), appointment.patient);
+  return user.role === 'medical_personnel' && isSameId(user.getHospitalId(), appointment.hospital);
+};
+
+const populateAppointment = (queryOrDocument) => {
+  return queryOrDocument.populate([
+    { path: 'patient', select: 'patientId biodata.firstName biodata.lastName biodata.contact.phone' },
+    { path: 'hospital', select: 'name address contact' },
+    { path: 'clinician', select: 'email profile.firstName profile.lastName profile.department' },
+    { path: 'bookedBy', select: 'email profile.firstName profile.lastName' }
+  ]);
+};
+
+// Check a time range against working hours and existing bookings.
+// Sends the error response and returns false when the range cannot be booked.
+const checkAvailability = async (res, hospital, booking) => {
+  const hoursError = checkWorkingHours(hospital, booking.startTime, booking.endTime);
+  if (hoursError) {
+    res.status(400).json({
+      success: false,
+      message: hoursError
+    });
+    return false;
+  }
+
+  const conflicts = await findConflicts(booking);
+  if (conflicts.length) {
+    res.status(409).json({
+      success: false,
+      message: 'Requested time conflicts with an existing appointment',
+      data: {
+        conflicts: conflicts.map((appointment) => ({
+          id: appointment._id,
+          startTime: appointment.startTime,
+          endTime: appointment.endTime,
+          samePatient: isSameId(appointment.patient, booking.patient)
+        }))
+      }
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Another booking took the slot between the availability check and the save
+const respondSlotTaken = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: 'Requested time was just booked by someone else - choose another slot'
+  });
+};
+
+// Load an appointment the user may act on
+const loadAppointment = async (req, res) => {
+  const appointment = await Appointment.findById(req.params.appointmentId);
+
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+    return null;
+  }
+
+  setAuditTarget(res, {
+    patients: appointment.patient,
+    medicalRecords: appointment.source?.medicalRecord,
+    details: { appointment: appointment._id }
+  });
+
+  if (!canManageAppointment(req.user, appointment)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return appointment;
+};
+
+// @route   GET /api/appointments/slots
+// @desc    Get a day's slots for a hospital, department or clinician with availability
+// @access  Private
+router.get('/slots', authenticateToken, validateSlotQuery, async (req, res) => {
+  try {
+    const { hospitalId, date, department, clinicianId } = req.query;
+
+    const hospital = await Hospital.findById(hospitalId);
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    const slots = await getSlots(hospital, date, { department, clinician: clinicianId });
+
+    res.json({
+      success: true,
+      data: {
+        hospital: hospital._id,
+        department,
+        clinician: clinicianId,
+        slots
+      }
+    });
+  } catch (error) {
+    console.error('Get appointment slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get appointment slots',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/appointments
+// @desc    List appointments (patients: own; staff: their hospital) with filtering and pagination
+// @access  Private
+router.get('/', authenticateToken, auditAccess('appointment.list'), validatePagination, validateDateRange, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      type,
+      department,
+      clinicianId,
+      patientId,
+      hospitalId,
+      startDate,
+      endDate
+    } = req.query;
+    const user = req.user;
+    const query = {};
+
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (department) query.department = department;
+    if (clinicianId && mongoose.Types.ObjectId.isValid(clinicianId)) query.clinician = clinicianId;
+    if (patientId && mongoose.Types.ObjectId.isValid(patientId)) query.patient = patientId;
+
+    if (startDate || endDate) {
+      query.startTime = {};
+      if (startDate) query.startTime.$gte = new Date(startDate);
+      if (endDate) query.startTime.$lte = new Date(endDate);
+    }
+
+    if (user.role === 'patient') {
+      query.patient = user.getLinkedPatientId();
+    } else if (user.role === 'medical_personnel') {
+      query.hospital = user.getHospitalId() || null;
+    } else if (hospitalId && mongoose.Types.ObjectId.isValid(hospitalId)) {
+      query.hospital = hospitalId;
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [appointments, total] = await Promise.all([
+      populateAppointment(
+        Appointment.find(query)
+          .sort({ startTime: 1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage)
+      ),
+      Appointment.countDocuments(query)
+    ]);
+
+    setAuditTarget(res, { patients: appointments.map((appointment) => appointment.patient) });
+
+    res.json({
+      success: true,
+      data: {
+        appointments,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get appointments',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/appointments/:appointmentId
+// @desc    Get a single appointment
+// @access  Private (Patient - own, hospital staff, Admin)
+router.get(
+  '/:appointmentId',
+  authenticateToken,
+  auditAccess('appointment.read'),
+  validateObjectId('appointmentId'),
+  async (req, res) => {
+    try {
+      const appointment = await loadAppointment(req, res);
+      if (!appointment) return;
+
+      await populateAppointment(appointment);
+
+      res.json({
+        success: true,
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      console.error('Get appointment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get appointment',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   POST /api/appointments
+// @desc    Book an appointment
+// @access  Private (Patient - own, at a hospital they are registered with; Medical personnel - own hospital; Admin)
+router.post(
+  '/',
+  authenticateToken,
+  auditAccess('appointment.book'),
+  validateAppointment,
+  async (req, res) => {
+    try {
+      const { clinicianId, department, durationMinutes, type, reason, notes } = req.body;
+      const user = req.user;
+
+      const patientId = user.role === 'patient' ? user.getLinkedPatientId() : req.body.patientId;
+      const hospitalId = user.role === 'medical_personnel' ? user.getHospitalId() : req.body.hospitalId;
+
+      if (!patientId || !hospitalId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Patient and hospital are required'
+        });
+      }
+
+      const [patient, hospital] = await Promise.all([
+        Patient.findById(patientId),
+        Hospital.findById(hospitalId)
+      ]);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: patient });
+
+      if (!hospital || hospital.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Hospital not found or not active'
+        });
+      }
+
+      if (user.role === 'patient' && !patient.isRegisteredAt(hospital._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied - you are not registered at this hospital'
+        });
+      }
+
+      if (clinicianId) {
+        const clinician = await User.findById(clinicianId);
+        if (!clinician || clinician.role !== 'medical_personnel' || !clinician.isActive ||
+          !isSameId(clinician.getHospitalId(), hospital._id)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Clinician not found at this hospital'
+          });
+        }
+      }
+
+      const startTime = new Date(req.body.startTime);
+      const booking = {
+        patient: patient._id,
+        hospital: hospital._id,
+        department,
+        clinician: clinicianId,
+        startTime,
+        endTime: slotEnd(startTime, durationMinutes)
+      };
+
+      if (!(await checkAvailability(res, hospital, booking))) return;
+
+      const appointment = await Appointment.create({
+        ...booking,
+        type,
+        reason,
+        notes,
+        status: 'booked',
+        bookedBy: user._id
+      });
+
+      setAuditTarget(res, { details: { appointment: appointment._id } });
+      await populateAppointment(appointment);
+
+      res.status(201).json({
+        success: true,
+        message: 'Appointment booked successfully',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      if (isSlotTaken(error)) return respondSlotTaken(res);
+      console.error('Book appointment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to book appointment',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/appointments/:appointmentId/reschedule
+// @desc    Move an appointment to a new time; pending follow-ups become booked
+// @access  Private (Patient - own, hospital staff, Admin)
+router.put(
+  '/:appointmentId/reschedule',
+  authenticateToken,
+  auditAccess('appointment.reschedule'),
+  validateObjectId('appointmentId'),
+  validateAppointmentReschedule,
+  async (req, res) => {
+    try {
+      const appointment = await loadAppointment(req, res);
+      if (!appointment) return;
+
+      if (!['pending', 'booked'].includes(appointment.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot reschedule a ${appointment.status} appointment`
+        });
+      }
+
+      const hospital = await Hospital.findById(appointment.hospital);
+      if (!hospital) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hospital not found'
+        });
+      }
+
+      const startTime = new Date(req.body.startTime);
+      const currentDuration = (appointment.endTime - appointment.startTime) / (60 * 1000);
+      const endTime = slotEnd(startTime, req.body.durationMinutes || currentDuration);
+
+      const available = await checkAvailability(res, hospital, {
+        patient: appointment.patient,
+        hospital: appointment.hospital,
+        department: appointment.department,
+        clinician: appointment.clinician,
+        startTime,
+        endTime,
+        excludeId: appointment._id
+      });
+      if (!available) return;
+
+      appointment.rescheduleHistory.push({
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        changedBy: req.user._id,
+        reason: req.body.reason
+      });
+      appointment.startTime = startTime;
+      appointment.endTime = endTime;
+      appointment.status = 'booked';
+      await appointment.save();
+      await populateAppointment(appointment);
+
+      res.json({
+        success: true,
+        message: 'Appointment rescheduled successfully',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      if (isSlotTaken(error)) return respondSlotTaken(res);
+      console.error('Reschedule appointment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reschedule appointment',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/appointments/:appointmentId/cancel
+// @desc    Cancel an appointment
+// @access  Private (Patient - own, hospital staff, Admin)
+router.put(
+  '/:appointmentId/cancel',
+  authenticateToken,
+  auditAccess('appointment.cancel'),
+  validateObjectId('appointmentId'),
+  async (req, res) => {
+    try {
+      const appointment = await loadAppointment(req, res);
+      if (!appointment) return;
+
+      if (!['pending', 'booked'].includes(appointment.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot cancel a ${appointment.status} appointment`
+        });
+      }
+
+      appointment.status = 'cancelled';
+      appointment.cancelledBy = req.user._id;
+      appointment.cancelledAt = new Date();
+      appointment.cancellationReason = req.body.reason;
+      await appointment.save();
+      await populateAppointment(appointment);
+
+      res.json({
+        success: true,
+        message: 'Appointment cancelled successfully',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      console.error('Cancel appointment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel appointment',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/appointments/:appointmentId/status
+// @desc    Record whether a booked appointment was attended
+// @access  Private (Hospital staff, Admin)
+router.put(
+  '/:appointmentId/status',
+  authenticateToken,
+  auditAccess('appointment.update_status'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('appointmentId'),
+  validateAppointmentStatus,
+  async (req, res) => {
+    try {
+      const appointment = await loadAppointment(req, res);
+      if (!appointment) return;
+
+      if (appointment.status !== 'booked') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only booked appointments can be marked completed or no-show'
+        });
+      }
+
+      appointment.status = req.body.status;
+      await appointment.save();
+      await populateAppointment(appointment);
+
+      res.json({
+        success: true,
+        message: 'Appointment status updated successfully',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      console.error('Update appointment status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update appointment status',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requireAdmin, canAccessPatient } = require('../middleware/auth');
+const {
+  validatePagination,
+  validateObjectId,
+  validateDateRange
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  'timestamp',
+  'action',
+  'accessType',
+  'outcome',
+  'flags',
+  'statusCode',
+  'actorEmail',
+  'actorRole',
+  'hospital',
+  'patients',
+  'medicalRecords',
+  'ipAddress',
+  'method',
+  'path'
+];
+
+// Helpers
+const buildAuditQuery = (filters) => {
+  const {
+    actor,
+    actorRole,
+    hospital,
+    patient,
+    medicalRecord,
+    action,
+    accessType,
+    outcome,
+    flag,
+    startDate,
+    endDate
+  } = filters;
+
+  const query = {};
+
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) query.actor = actor;
+  if (actorRole) query.actorRole = actorRole;
+  if (hospital && mongoose.Types.ObjectId.isValid(hospital)) query.hospital = hospital;
+  if (patient && mongoose.Types.ObjectId.isValid(patient)) query.patients = patient;
+  if (medicalRecord && mongoose.Types.ObjectId.isValid(medicalRecord)) query.medicalRecords = medicalRecord;
+  if (action) query.action = action;
+  if (accessType) query.accessType = accessType;
+  if (outcome) query.outcome = outcome;
+  if (flag) query.flags = flag;
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = new Date(startDate);
+    if (endDate) query.timestamp.$lte = new Date(endDate);
+  }
+
+  return query;
+};
+
+// Cells starting with a formula character are prefixed with ' so spreadsheets show them as text
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const raw = String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (entries) => {
+  const rows = entries.map((entry) => CSV_COLUMNS.map((column) => {
+    const value = entry[column];
+    if (column === 'timestamp') return escapeCsvValue(value && value.toISOString());
+    if (column === 'hospital') return escapeCsvValue(value && (value.name || value));
+    if (Array.isArray(value)) return escapeCsvValue(value.join(';'));
+    return escapeCsvValue(value);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+const sendExport = (res, entries, format, filename) => {
+  if (format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.json`);
+    return res.json({
+      success: true,
+      data: {
+        entries
+      }
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+  return res.send(toCsv(entries));
+};
+
+// Shape an entry for the patient-facing access report
+const formatAccessEntry = (entry) => ({
+  timestamp: entry.timestamp,
+  action: entry.action,
+  accessType: entry.accessType,
+  outcome: entry.outcome,
+  breakGlass: (entry.flags || []).includes('break_glass'),
+  accessedBy: entry.actor
+    ? {
+        name: [entry.actor.profile?.firstName, entry.actor.profile?.lastName].filter(Boolean).join(' ') || undefined,
+        role: entry.actorRole
+      }
+    : { role: 'public' },
+  hospital: entry.hospital ? entry.hospital.name : undefined,
+  medicalRecords: entry.medicalRecords
+});
+
+// @route   GET /api/audit
+// @desc    Query the audit trail with filtering and pagination
+// @access  Private (Admin)
+router.get('/', authenticateToken, requireAdmin, validatePagination, validateDateRange, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = buildAuditQuery(req.query);
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'email role profile.firstName profile.lastName')
+        .populate('hospital', 'name')
+        .sort({ timestamp: -1 })
+        .limit(perPage)
+        .skip((currentPage - 1) * perPage),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get audit log',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/audit/export
+// @desc    Export the audit trail as CSV (default) or JSON
+// @access  Private (Admin)
+router.get('/export', authenticateToken, requireAdmin, validateDateRange, async (req, res) => {
+  try {
+    const entries = await AuditLog.find(buildAuditQuery(req.query))
+      .populate('hospital', 'name')
+      .sort({ timestamp: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    return sendExport(res, entries, req.query.format, 'audit-log');
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit log',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/audit/patients/:patientId
+// @desc    Who accessed a patient's data
+// @access  Private (Patient - own record, Medical personnel, Admin)
+router.get(
+  '/patients/:patientId',
+  authenticateToken,
+  validateObjectId('patientId'),
+  canAccessPatient,
+  validatePagination,
+  validateDateRange,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const { actorRole, hospital, action, accessType, startDate, endDate } = req.query;
+      const query = buildAuditQuery({
+        actorRole,
+        hospital,
+        action,
+        accessType,
+        startDate,
+        endDate,
+        patient: req.params.patientId
+      });
+
+      const perPage = parseInt(limit, 10);
+      const currentPage = parseInt(page, 10);
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+          .populate('actor', 'role profile.firstName profile.lastName')
+          .populate('hospital', 'name')
+          .sort({ timestamp: -1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage),
+        AuditLog.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          entries: entries.map(formatAccessEntry),
+          pagination: {
+            current: currentPage,
+            pages: Math.ceil(total / perPage),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get patient access log error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get patient access log',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/audit/patients/:patientId/export
+// @desc    Export who accessed a patient's data as CSV (default) or JSON
+// @access  Private (Patient - own record, Medical personnel, Admin)
+router.get(
+  '/patients/:patientId/export',
+  authenticateToken,
+  validateObjectId('patientId'),
+  canAccessPatient,
+  validateDateRange,
+  async (req, res) => {
+    try {
+      const { actorRole, hospital, action, accessType, startDate, endDate } = req.query;
+      const query = buildAuditQuery({
+        actorRole,
+        hospital,
+        action,
+        accessType,
+        startDate,
+        endDate,
+        patient: req.params.patientId
+      });
+
+      const entries = await AuditLog.find(query)
+        .populate('actor', 'role profile.firstName profile.lastName')
+        .populate('hospital', 'name')
+        .sort({ timestamp: -1 })
+        .limit(EXPORT_LIMIT);
+
+      const report = entries.map(formatAccessEntry);
+
+      if (req.query.format === 'json') {
+        return sendExport(res, report, 'json', 'patient-access-log');
+      }
+
+      const rows = report.map((entry) => [
+        entry.timestamp.toISOString(),
+        entry.action,
+        entry.accessType,
+        entry.outcome,
+        entry.breakGlass,
+        entry.accessedBy.name,
+        entry.accessedBy.role,
+        entry.hospital
+      ].map(escapeCsvValue).join(','));
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=patient-access-log.csv');
+      return res.send(['timestamp,action,accessType,outcome,breakGlass,accessedBy,role,hospital', ...rows].join('\n'));
+    } catch (error) {
+      console.error('Export patient access log error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export patient access log',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,26 +2,58 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
 const { authenticateToken, authorize } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateOnCall,
+  validateObjectId
+} = require('../middleware/validation');
+const { notifyAccountEvent } = require('../services/notifications/triggers');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+// Start a session and issue its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, req);
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+const formatSession = (session, currentSessionId) => ({
+  sessionId: session._id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public (for patients), Private (for medical personnel)
 router.post('/register', validateUserRegistration, async (req, res) => {
   try {
-    const { email, password, role, profile } = req.body;
+    const { email, password, role, profile = {}, patientId, verificationCode } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -43,30 +75,71 @@ router.post('/register', validateUserRegistration, async (req, res) => {
       }
     }
 
+    // Patients claim an existing Patient record with a staff-issued verification code
+    let patient = null;
+    if (role === 'patient') {
+      patient = await Patient.findByPatientId(patientId, { isActive: true })
+        .select('+accountClaim.codeHash');
+
+      if (!patient || !patient.verifyClaimCode(verificationCode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid patient ID or verification code'
+        });
+      }
+
+      const alreadyClaimed = await User.exists({ patient: patient._id });
+      if (alreadyClaimed) {
+        return res.status(400).json({
+          success: false,
+          message: 'This patient record is already linked to an account'
+        });
+      }
+    }
+
     // Create new user
     const user = new User({
       email,
       password,
       role,
-      profile
+      profile: patient
+        ? {
+            firstName: patient.biodata.firstName,
+            lastName: patient.biodata.lastName,
+            phoneNumber: patient.biodata.contact?.phone,
+            ...profile
+          }
+        : profile,
+      patient: patient ? patient._id : undefined
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (patient) {
+      patient.markClaimed();
+      await patient.save();
+    }
+
+    await notifyAccountEvent(user, 'account_registered', { firstName: user.profile?.firstName || 'there' });
+
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
 
     // Populate hospital info for medical personnel
     if (role === 'medical_personnel') {
       await user.populate('profile.hospitalId');
     }
 
+    if (patient) {
+      await user.populate('patient', 'patientId biodata.firstName biodata.lastName');
+    }
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -116,8 +189,8 @@ router.post('/login', validateUserLogin, async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
 
     // Populate hospital info for medical personnel
     if (user.role === 'medical_personnel') {
@@ -129,7 +202,7 @@ router.post('/login', validateUserLogin, async (req, res) => {
       message: 'Login successful',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -142,13 +215,67 @@ router.post('/login', validateUserLogin, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const { session, reused } = await Session.findByRefreshToken(req.body.refreshToken);
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // A rotated-out token being replayed means it leaked; end the session
+    if (reused) {
+      await session.revoke('refresh_token_reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used - session revoked'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('account_deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    const refreshToken = await session.rotate(req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: generateToken(user._id, session._id),
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
 router.get('/me', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate('profile.hospitalId');
-    
+    const user = await User.findById(req.user._id)
+      .populate('profile.hospitalId')
+      .populate('patient', 'patientId biodata.firstName biodata.lastName');
+
     res.json({
       success: true,
       data: {
@@ -205,6 +332,40 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Set or clear a user's on-call flag, keeping when they went on call
+const setOnCall = (userId, onCall) => {
+  return User.findByIdAndUpdate(
+    userId,
+    onCall ? { onCall: true, onCallSince: new Date() } : { onCall: false, $unset: { onCallSince: 1 } },
+    { new: true }
+  ).populate('profile.hospitalId');
+};
+
+// @route   PUT /api/auth/on-call
+// @desc    Go on or off call; on-call staff receive their hospital's critical result alerts
+// @access  Private (Medical personnel)
+router.put('/on-call', authenticateToken, authorize('medical_personnel'), validateOnCall, async (req, res) => {
+  try {
+    const onCall = req.body.onCall === true || req.body.onCall === 'true';
+    const user = await setOnCall(req.user._id, onCall);
+
+    res.json({
+      success: true,
+      message: onCall ? 'You are now on call' : 'You are now off call',
+      data: {
+        user: user.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Update on-call status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update on-call status',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
@@ -241,9 +402,15 @@ router.post('/change-password', authenticateToken, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Tokens issued before the change are rejected; end every session and start a fresh one
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    await notifyAccountEvent(user, 'password_changed');
+    const tokens = await issueTokens(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: tokens
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -255,14 +422,179 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link to the user's email
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    // Respond identically whether or not the account exists
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // Delivered through the notification outbox, which retries failed sends. The reset token is
+    // issued when the email is sent, so the outbox never holds a usable link.
+    await notifyAccountEvent(user, 'password_reset');
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send password reset email',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using a reset token
+// @access  Public
+router.post('/reset-password/:token', validateResetPassword, async (req, res) => {
+  try {
+    const user = await User.findByPasswordResetToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Tokens are single-use; setting the password also stamps passwordChangedAt,
+    // which invalidates every token issued before the reset
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await notifyAccountEvent(user, 'password_changed');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
 // @access  Private
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout from every device
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout from all devices',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) for the current user
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => formatSession(session, req.authSession._id))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, validateObjectId('sessionId'), async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
 });
 
 // @route   GET /api/auth/verify-token
@@ -339,6 +671,11 @@ router.put('/users/:userId/status', authenticateToken, authorize('admin'), async
       });
     }
 
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id, 'account_deactivated');
+      await notifyAccountEvent(user, 'account_deactivated');
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -356,5 +693,53 @@ router.put('/users/:userId/status', authenticateToken, authorize('admin'), async
   }
 });
 
+// @route   PUT /api/auth/users/:userId/on-call
+// @desc    Put a member of staff on or off call (admin only)
+// @access  Private (Admin)
+router.put(
+  '/users/:userId/on-call',
+  authenticateToken,
+  authorize('admin'),
+  validateObjectId('userId'),
+  validateOnCall,
+  async (req, res) => {
+    try {
+      const target = await User.findById(req.params.userId);
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (target.role !== 'medical_personnel') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only medical personnel can be on call'
+        });
+      }
+
+      const onCall = req.body.onCall === true || req.body.onCall === 'true';
+      const user = await setOnCall(target._id, onCall);
+
+      res.json({
+        success: true,
+        message: `User ${onCall ? 'put on' : 'taken off'} call`,
+        data: {
+          user: user.toJSON()
+        }
+      });
+    } catch (error) {
+      console.error('Update user on-call status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update on-call status',
+        error: error.message
+      });
+    }
+  }
+);
+
 module.exports = router;
 
@@ -0,0 +1,482 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Consent = require('../models/Consent');
+const Patient = require('../models/Patient');
+const Hospital = require('../models/Hospital');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const {
+  validateConsentRequest,
+  validateConsentGrant,
+  validateConsentDecision,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DURATION_DAYS = parseInt(process.env.CONSENT_DEFAULT_DAYS, 10) || 30;
+const MAX_DURATION_DAYS = parseInt(process.env.CONSENT_MAX_DAYS, 10) || 365;
+
+// Helpers
+const resolveExpiry = (durationDays) => {
+  const days = Math.min(parseInt(durationDays, 10) || DEFAULT_DURATION_DAYS, MAX_DURATION_DAYS);
+  return new Date(Date.now() + days * DAY_MS);
+};
+
+// Patients, staff at the patient's own hospitals and admins decide on consents
+const canManageConsentFor = (user, patient) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'patient') return user.getLinkedPatientId() === patient._id.toString();
+  if (user.role === 'medical_personnel') return patient.isRegisteredAt(user.getHospitalId());
+  return false;
+};
+
+const isConsentedHospitalStaff = (user, consent) => {
+  const hospitalId = user.getHospitalId();
+  return user.role === 'medical_personnel' &&
+    Boolean(hospitalId) &&
+    (consent.hospital._id || consent.hospital).toString() === hospitalId.toString();
+};
+
+const populateConsent = (queryOrDocument) => {
+  return queryOrDocument.populate([
+    { path: 'patient', select: 'patientId biodata.firstName biodata.lastName' },
+    { path: 'hospital', select: 'name address' },
+    { path: 'requestedBy', select: 'email profile.firstName profile.lastName' },
+    { path: 'grantedBy', select: 'email role profile.firstName profile.lastName' }
+  ]);
+};
+
+// Load a consent and its patient, checking the user may decide on it
+const loadManageableConsent = async (req, res) => {
+  const consent = await Consent.findById(req.params.consentId);
+
+  if (!consent) {
+    res.status(404).json({
+      success: false,
+      message: 'Consent not found'
+    });
+    return null;
+  }
+
+  setAuditTarget(res, { patients: consent.patient, details: { consent: consent._id } });
+
+  const patient = await Patient.findById(consent.patient);
+  if (!patient || !canManageConsentFor(req.user, patient)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied - only the patient or their hospital can manage this consent'
+    });
+    return null;
+  }
+
+  return consent;
+};
+
+// @route   GET /api/consents
+// @desc    List consents (patients: own; staff: granted to their hospital, or for ?patientId at their hospital)
+// @access  Private
+router.get('/', authenticateToken, auditAccess('consent.list'), validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, scope, patientId } = req.query;
+    const user = req.user;
+    const query = {};
+
+    if (status) query.status = status;
+    if (scope) query.scope = scope;
+
+    if (user.role === 'patient') {
+      query.patient = user.getLinkedPatientId();
+    } else if (patientId && mongoose.Types.ObjectId.isValid(patientId)) {
+      const patient = await Patient.findById(patientId);
+      if (!patient || !canManageConsentFor(user, patient)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied - patient not registered at your hospital'
+        });
+      }
+      query.patient = patientId;
+    } else if (user.role === 'medical_personnel') {
+      query.hospital = user.getHospitalId();
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [consents, total] = await Promise.all([
+      populateConsent(
+        Consent.find(query)
+          .sort({ createdAt: -1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage)
+      ),
+      Consent.countDocuments(query)
+    ]);
+    setAuditTarget(res, { patients: consents.map((consent) => consent.patient) });
+
+    res.json({
+      success: true,
+      data: {
+        consents,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get consents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get consents',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/consents/:consentId
+// @desc    Get a single consent
+// @access  Private (Patient, patient's hospital staff, consented hospital staff, Admin)
+router.get('/:consentId', authenticateToken, auditAccess('consent.read'), validateObjectId('consentId'), async (req, res) => {
+  try {
+    const consent = await Consent.findById(req.params.consentId);
+
+    if (!consent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent not found'
+      });
+    }
+
+    setAuditTarget(res, { patients: consent.patient, details: { consent: consent._id } });
+
+    const patient = await Patient.findById(consent.patient);
+    if (!isConsentedHospitalStaff(req.user, consent) && (!patient || !canManageConsentFor(req.user, patient))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await populateConsent(consent);
+
+    res.json({
+      success: true,
+      data: {
+        consent
+      }
+    });
+  } catch (error) {
+    console.error('Get consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get consent',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/consents/request
+// @desc    Request access to a patient's data for the user's (partner) hospital
+// @access  Private (Medical personnel)
+router.post(
+  '/request',
+  authenticateToken,
+  auditAccess('consent.request'),
+  authorize('medical_personnel'),
+  validateConsentRequest,
+  async (req, res) => {
+    try {
+      const { patientId, scope, reason, durationDays } = req.body;
+      const hospitalId = req.user.getHospitalId();
+
+      const [patient, hospital] = await Promise.all([
+        Patient.findById(patientId),
+        Hospital.findById(hospitalId)
+      ]);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: patient });
+
+      if (!hospital || !hospital.partnership?.isPartner || hospital.status !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only active partner hospitals can request consent'
+        });
+      }
+
+      if (patient.isRegisteredAt(hospitalId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Patient is already registered at your hospital'
+        });
+      }
+
+      const pendingRequest = await Consent.findOne({
+        patient: patientId,
+        hospital: hospitalId,
+        scope,
+        status: 'pending'
+      });
+      if (pendingRequest) {
+        return res.status(400).json({
+          success: false,
+          message: 'A consent request for this patient is already pending'
+        });
+      }
+
+      const consent = await Consent.create({
+        patient: patientId,
+        hospital: hospitalId,
+        scope,
+        status: 'pending',
+        requestedBy: req.user._id,
+        requestReason: reason,
+        requestedDurationDays: durationDays
+      });
+
+      await populateConsent(consent);
+
+      res.status(201).json({
+        success: true,
+        message: 'Consent requested successfully',
+        data: {
+          consent
+        }
+      });
+    } catch (error) {
+      console.error('Request consent error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to request consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   POST /api/consents
+// @desc    Grant a partner hospital time-limited access to a patient's data
+// @access  Private (Patient - own data, patient's hospital staff, Admin)
+router.post(
+  '/',
+  authenticateToken,
+  auditAccess('consent.grant'),
+  validateConsentGrant,
+  async (req, res) => {
+    try {
+      const { patientId, hospitalId, scope, durationDays, reason } = req.body;
+
+      const [patient, hospital] = await Promise.all([
+        Patient.findById(patientId),
+        Hospital.findById(hospitalId)
+      ]);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: patient });
+
+      if (!canManageConsentFor(req.user, patient)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied - only the patient or their hospital can grant consent'
+        });
+      }
+
+      if (!hospital || !hospital.partnership?.isPartner || hospital.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Consent can only be granted to active partner hospitals'
+        });
+      }
+
+      const consent = await Consent.create({
+        patient: patientId,
+        hospital: hospitalId,
+        scope,
+        status: 'active',
+        requestReason: reason,
+        grantedBy: req.user._id,
+        grantedAt: new Date(),
+        expiresAt: resolveExpiry(durationDays)
+      });
+
+      await populateConsent(consent);
+
+      res.status(201).json({
+        success: true,
+        message: 'Consent granted successfully',
+        data: {
+          consent
+        }
+      });
+    } catch (error) {
+      console.error('Grant consent error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to grant consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/consents/:consentId/approve
+// @desc    Approve a pending consent request
+// @access  Private (Patient - own data, patient's hospital staff, Admin)
+router.put(
+  '/:consentId/approve',
+  authenticateToken,
+  auditAccess('consent.approve'),
+  validateObjectId('consentId'),
+  validateConsentDecision,
+  async (req, res) => {
+    try {
+      const consent = await loadManageableConsent(req, res);
+      if (!consent) return;
+
+      if (consent.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Consent is ${consent.status}, only pending requests can be approved`
+        });
+      }
+
+      consent.status = 'active';
+      consent.grantedBy = req.user._id;
+      consent.grantedAt = new Date();
+      consent.expiresAt = resolveExpiry(req.body.durationDays || consent.requestedDurationDays);
+      await consent.save();
+      await populateConsent(consent);
+
+      res.json({
+        success: true,
+        message: 'Consent approved successfully',
+        data: {
+          consent
+        }
+      });
+    } catch (error) {
+      console.error('Approve consent error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to approve consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/consents/:consentId/reject
+// @desc    Reject a pending consent request
+// @access  Private (Patient - own data, patient's hospital staff, Admin)
+router.put(
+  '/:consentId/reject',
+  authenticateToken,
+  auditAccess('consent.reject'),
+  validateObjectId('consentId'),
+  validateConsentDecision,
+  async (req, res) => {
+    try {
+      const consent = await loadManageableConsent(req, res);
+      if (!consent) return;
+
+      if (consent.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Consent is ${consent.status}, only pending requests can be rejected`
+        });
+      }
+
+      consent.status = 'rejected';
+      consent.rejectedBy = req.user._id;
+      consent.rejectedAt = new Date();
+      consent.rejectionReason = req.body.reason;
+      await consent.save();
+      await populateConsent(consent);
+
+      res.json({
+        success: true,
+        message: 'Consent request rejected',
+        data: {
+          consent
+        }
+      });
+    } catch (error) {
+      console.error('Reject consent error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reject consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/consents/:consentId/revoke
+// @desc    Revoke a consent (the consented hospital may also give it up)
+// @access  Private (Patient - own data, patient's hospital staff, consented hospital staff, Admin)
+router.put(
+  '/:consentId/revoke',
+  authenticateToken,
+  auditAccess('consent.revoke'),
+  validateObjectId('consentId'),
+  validateConsentDecision,
+  async (req, res) => {
+    try {
+      let consent = await Consent.findById(req.params.consentId);
+
+      if (consent && isConsentedHospitalStaff(req.user, consent)) {
+        setAuditTarget(res, { patients: consent.patient, details: { consent: consent._id } });
+      } else {
+        consent = await loadManageableConsent(req, res);
+        if (!consent) return;
+      }
+
+      if (!['pending', 'active'].includes(consent.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Consent is already ${consent.status}`
+        });
+      }
+
+      consent.status = 'revoked';
+      consent.revokedBy = req.user._id;
+      consent.revokedAt = new Date();
+      consent.revocationReason = req.body.reason;
+      await consent.save();
+      await populateConsent(consent);
+
+      res.json({
+        success: true,
+        message: 'Consent revoked successfully',
+        data: {
+          consent
+        }
+      });
+    } catch (error) {
+      console.error('Revoke consent error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
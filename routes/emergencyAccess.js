@@ -0,0 +1,411 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const Patient = require('../models/Patient');
+const Hospital = require('../models/Hospital');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const { notify } = require('../services/notifications');
+const {
+  validateBreakGlassRequest,
+  validateBreakGlassReview,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+const ACCESS_DURATION_MINUTES = parseInt(process.env.BREAK_GLASS_DURATION_MINUTES, 10) || 240;
+
+// Helpers
+const toId = (value) => (value && value._id ? value._id : value);
+
+const isSameId = (a, b) => Boolean(a) && Boolean(b) && toId(a).toString() === toId(b).toString();
+
+// Admins and staff at the patient's primary hospital review break-glass access,
+// but never their own
+const canReview = (user, access) => {
+  if (isSameId(user._id, access.user)) return false;
+  if (user.role === 'admin') return true;
+  return user.role === 'medical_personnel' && isSameId(user.getHospitalId(), access.primaryHospital);
+};
+
+const canView = (user, access) => {
+  if (isSameId(user._id, access.user)) return true;
+  if (user.role === 'patient') return isSameId(user.getLinkedPatientId(), access.patient);
+  return canReview(user, access);
+};
+
+const populateAccess = (queryOrDocument) => {
+  return queryOrDocument.populate([
+    { path: 'user', select: 'email profile.firstName profile.lastName profile.department' },
+    { path: 'hospital', select: 'name address' },
+    { path: 'primaryHospital', select: 'name' },
+    { path: 'patient', select: 'patientId biodata.firstName biodata.lastName' },
+    { path: 'review.reviewedBy', select: 'email profile.firstName profile.lastName' }
+  ]);
+};
+
+// Queue notices to the patient's primary hospital (email) and emergency contact (SMS),
+// recording on the grant where each one went
+const notifyBreakGlass = async (access, { patient, user, hospital }) => {
+  const primaryHospital = patient.primaryHospital
+    ? await Hospital.findById(patient.primaryHospital)
+    : null;
+  const hospitalEmail = primaryHospital?.contact?.email || primaryHospital?.partnership?.contactPerson?.email;
+  const emergencyPhone = patient.biodata.contact?.emergencyContact?.phone;
+  const patientName = `${patient.biodata.firstName} ${patient.biodata.lastName}`;
+
+  if (hospitalEmail) {
+    const [notification] = await notify({
+      template: 'break_glass_access',
+      recipient: { email: hospitalEmail, patient: patient._id },
+      data: {
+        clinicianName: `${user.profile.firstName} ${user.profile.lastName}`,
+        clinicianEmail: user.email,
+        hospitalName: hospital.name,
+        patientName,
+        patientId: patient.patientId,
+        justification: access.justification,
+        expiresAt: access.expiresAt,
+        accessId: access._id.toString()
+      }
+    });
+    access.notifications.primaryHospital = { status: 'queued', recipient: hospitalEmail, notification: notification?._id };
+  } else {
+    access.notifications.primaryHospital = { status: 'skipped', reason: 'Primary hospital has no contact email' };
+  }
+
+  if (emergencyPhone) {
+    const [notification] = await notify({
+      template: 'break_glass_emergency_contact',
+      channels: ['sms'],
+      recipient: { phone: emergencyPhone, patient: patient._id },
+      data: { patientName, hospitalName: hospital.name }
+    });
+    access.notifications.emergencyContact = { status: 'queued', recipient: emergencyPhone, notification: notification?._id };
+  } else {
+    access.notifications.emergencyContact = { status: 'skipped', reason: 'Patient has no emergency contact phone' };
+  }
+
+  await access.save();
+};
+
+// @route   POST /api/emergency-access
+// @desc    Break the glass: obtain temporary full access to a patient not registered at the user's hospital
+// @access  Private (Medical personnel)
+router.post(
+  '/',
+  authenticateToken,
+  auditAccess('patient.break_glass'),
+  authorize('medical_personnel'),
+  validateBreakGlassRequest,
+  async (req, res) => {
+    try {
+      const { patientId, justification } = req.body;
+      const hospitalId = req.user.getHospitalId();
+
+      const [patient, hospital] = await Promise.all([
+        Patient.findById(patientId),
+        Hospital.findById(hospitalId)
+      ]);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: patient, flags: ['break_glass'] });
+
+      if (!hospital) {
+        return res.status(403).json({
+          success: false,
+          message: 'Break-glass access requires a hospital affiliation'
+        });
+      }
+
+      if (patient.isRegisteredAt(hospitalId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Patient is already registered at your hospital'
+        });
+      }
+
+      const existing = await EmergencyAccess.findActive(req.user._id, patient._id);
+      if (existing) {
+        await populateAccess(existing);
+        return res.json({
+          success: true,
+          message: 'Break-glass access is already active',
+          data: {
+            emergencyAccess: existing
+          }
+        });
+      }
+
+      const access = await EmergencyAccess.create({
+        user: req.user._id,
+        hospital: hospitalId,
+        patient: patient._id,
+        primaryHospital: patient.primaryHospital,
+        justification,
+        expiresAt: new Date(Date.now() + ACCESS_DURATION_MINUTES * 60 * 1000)
+      });
+
+      setAuditTarget(res, { details: { emergencyAccess: access._id, justification } });
+
+      // Access is already granted, so a failed notice is logged rather than failing the request
+      await notifyBreakGlass(access, { patient, user: req.user, hospital }).catch((error) => {
+        console.error('Break-glass notification error:', error);
+      });
+      await populateAccess(access);
+
+      res.status(201).json({
+        success: true,
+        message: `Break-glass access granted for ${ACCESS_DURATION_MINUTES} minutes. This access is logged and will be reviewed.`,
+        data: {
+          emergencyAccess: access
+        }
+      });
+    } catch (error) {
+      console.error('Break-glass access error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to grant break-glass access',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/emergency-access
+// @desc    List break-glass grants (own, for review by the patient's hospital, or the patient's own)
+// @access  Private
+router.get('/', authenticateToken, auditAccess('patient.break_glass_list'), validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, reviewStatus, active, patientId } = req.query;
+    const user = req.user;
+    const query = {};
+
+    if (reviewStatus) query['review.status'] = reviewStatus;
+    if (patientId && mongoose.Types.ObjectId.isValid(patientId)) query.patient = patientId;
+    if (active === 'true') {
+      query.endedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    if (user.role === 'patient') {
+      query.patient = user.getLinkedPatientId();
+    } else if (user.role === 'medical_personnel') {
+      query.$or = [
+        { user: user._id },
+        { primaryHospital: user.getHospitalId() }
+      ];
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [grants, total] = await Promise.all([
+      populateAccess(
+        EmergencyAccess.find(query)
+          .sort({ createdAt: -1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage)
+      ),
+      EmergencyAccess.countDocuments(query)
+    ]);
+
+    setAuditTarget(res, { patients: grants.map((grant) => grant.patient) });
+
+    res.json({
+      success: true,
+      data: {
+        emergencyAccess: grants,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get break-glass access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get break-glass access',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/emergency-access/:accessId
+// @desc    Get a single break-glass grant
+// @access  Private (Requesting clinician, patient, reviewers)
+router.get(
+  '/:accessId',
+  authenticateToken,
+  auditAccess('patient.break_glass_read'),
+  validateObjectId('accessId'),
+  async (req, res) => {
+    try {
+      const access = await EmergencyAccess.findById(req.params.accessId);
+
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          message: 'Break-glass access not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: access.patient, details: { emergencyAccess: access._id } });
+
+      if (!canView(req.user, access)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      await populateAccess(access);
+
+      res.json({
+        success: true,
+        data: {
+          emergencyAccess: access
+        }
+      });
+    } catch (error) {
+      console.error('Get break-glass access error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get break-glass access',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/emergency-access/:accessId/end
+// @desc    End a break-glass grant before it expires
+// @access  Private (Requesting clinician, Admin)
+router.put(
+  '/:accessId/end',
+  authenticateToken,
+  auditAccess('patient.break_glass_end'),
+  validateObjectId('accessId'),
+  async (req, res) => {
+    try {
+      const access = await EmergencyAccess.findById(req.params.accessId);
+
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          message: 'Break-glass access not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: access.patient, details: { emergencyAccess: access._id }, flags: ['break_glass'] });
+
+      if (req.user.role !== 'admin' && !isSameId(req.user._id, access.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (!access.isCurrentlyActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Break-glass access has already ended'
+        });
+      }
+
+      access.endedAt = new Date();
+      access.endedBy = req.user._id;
+      await access.save();
+      await populateAccess(access);
+
+      res.json({
+        success: true,
+        message: 'Break-glass access ended',
+        data: {
+          emergencyAccess: access
+        }
+      });
+    } catch (error) {
+      console.error('End break-glass access error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to end break-glass access',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/emergency-access/:accessId/review
+// @desc    Record the review outcome of a break-glass grant
+// @access  Private (Patient's primary hospital staff, Admin)
+router.put(
+  '/:accessId/review',
+  authenticateToken,
+  auditAccess('patient.break_glass_review'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('accessId'),
+  validateBreakGlassReview,
+  async (req, res) => {
+    try {
+      const { status, notes } = req.body;
+      const access = await EmergencyAccess.findById(req.params.accessId);
+
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          message: 'Break-glass access not found'
+        });
+      }
+
+      setAuditTarget(res, {
+        patients: access.patient,
+        details: { emergencyAccess: access._id, reviewStatus: status },
+        flags: ['break_glass']
+      });
+
+      if (!canReview(req.user, access)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied - only the patient's primary hospital or an admin can review this access"
+        });
+      }
+
+      access.review = {
+        status,
+        notes,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      };
+      await access.save();
+      await populateAccess(access);
+
+      res.json({
+        success: true,
+        message: 'Break-glass access reviewed',
+        data: {
+          emergencyAccess: access
+        }
+      });
+    } catch (error) {
+      console.error('Review break-glass access error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review break-glass access',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,498 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const Hospital = require('../models/Hospital');
+const ImportJob = require('../models/ImportJob');
+const { authenticateToken, authorize, canAccessPatientSummary, canAccessMedicalRecord } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const { runImportJob, scheduleImportJobs } = require('../services/fhir/import');
+const { validateFhirImport, validatePagination, validateObjectId } = require('../middleware/validation');
+const {
+  PATIENT_OWNED_KINDS,
+  patientResources,
+  recordResources,
+  mergeResources,
+  searchsetBundle,
+  parseDerivedId,
+  toFhirPatient,
+  toFhirEncounter
+} = require('../services/fhir');
+
+const router = express.Router();
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+// Bundles with more entries than this are imported by a background job
+const IMPORT_SYNC_MAX_ENTRIES = parseInt(process.env.FHIR_IMPORT_SYNC_MAX_ENTRIES, 10) || 50;
+
+// Resource types searchable by ?patient=
+const SEARCH_TYPES = ['Encounter', 'Observation', 'Condition', 'AllergyIntolerance', 'MedicationRequest'];
+
+// Resource types whose ids are derived from embedded data (see services/fhir/helpers)
+const DERIVED_TYPES = ['Observation', 'Condition', 'AllergyIntolerance', 'MedicationRequest'];
+
+// Helpers
+const sendFhir = (res, body) => res.type(FHIR_CONTENT_TYPE).json(body);
+
+const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const isSameId = (a, b) => Boolean(a) && Boolean(b) && toId(a).toString() === toId(b).toString();
+
+// Import jobs are visible to admins, their creator and staff of the importing hospital
+const canViewImportJob = (user, job) => {
+  if (user.role === 'admin' || isSameId(user._id, job.createdBy)) return true;
+  return user.role === 'medical_personnel' && isSameId(user.getHospitalId(), job.hospital);
+};
+
+// The main JSON parser only handles application/json
+const parseFhirJson = express.json({ type: FHIR_CONTENT_TYPE, limit: '10mb' });
+
+// Patient routes accept emergency summary consents and export only the summary under them
+const isEmergencySummary = (req) => req.patientAccess?.consent?.scope === 'emergency_summary';
+
+const isSupportedType = (types) => (req, res, next) => {
+  if (!types.includes(req.params.resourceType)) {
+    return res.status(404).json({
+      success: false,
+      message: `Resource type ${req.params.resourceType} is not supported`
+    });
+  }
+  next();
+};
+
+// ?patient=<id> or ?patient=Patient/<id> -> req.params.patientId, so canAccessPatientSummary can check it
+const patientFromQuery = (req, res, next) => {
+  const patientId = String(req.query.patient || '').replace(/^Patient\//, '');
+
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid patient search parameter is required'
+    });
+  }
+
+  req.params.patientId = patientId;
+  next();
+};
+
+// Derived ids name their owning document; check access to that patient or record
+const canAccessDerivedResource = (req, res, next) => {
+  const { ownerId, kind } = parseDerivedId(req.params.id);
+
+  if (!mongoose.Types.ObjectId.isValid(ownerId) || !kind) {
+    return res.status(404).json({
+      success: false,
+      message: `${req.params.resourceType} not found`
+    });
+  }
+
+  if (PATIENT_OWNED_KINDS.includes(kind)) {
+    req.params.patientId = ownerId;
+    setAuditTarget(res, { patients: ownerId });
+    return canAccessPatientSummary(req, res, next);
+  }
+
+  req.params.recordId = ownerId;
+  return canAccessMedicalRecord(req, res, next);
+};
+
+const loadPatient = (req) => {
+  const query = Patient.findById(req.params.patientId).populate('primaryHospital', 'name');
+
+  // Emergency summary consents only expose identification and critical history
+  if (isEmergencySummary(req)) {
+    query.select(Patient.EMERGENCY_SUMMARY_FIELDS);
+  }
+
+  return query.lean();
+};
+
+// Every resource for a patient the user may see, keyed by resource type
+const loadPatientResources = async (req, res, patient) => {
+  const patientLevel = patientResources(patient);
+
+  if (isEmergencySummary(req)) {
+    return patientLevel;
+  }
+
+  // Break-glass grants see every record; otherwise restricted records stay hidden
+  const records = await MedicalRecord.find({
+    patient: patient._id,
+    ...(req.patientAccess?.via === 'break_glass' ? {} : MedicalRecord.visibilityFilterFor(req.user))
+  })
+    .populate('hospital', 'name')
+    .sort({ 'visitInfo.visitDate': -1 })
+    .lean();
+
+  setAuditTarget(res, { medicalRecords: records });
+
+  return mergeResources(patientLevel, ...records.map(recordResources));
+};
+
+// @route   GET /api/fhir/Patient/:patientId
+// @desc    Read a patient as a FHIR R4 Patient resource
+// @access  Private (Patient - own record, Medical personnel, Admin)
+router.get(
+  '/Patient/:patientId',
+  authenticateToken,
+  auditAccess('fhir.read', { patientParam: 'patientId' }),
+  validateObjectId('patientId'),
+  canAccessPatientSummary,
+  async (req, res) => {
+    try {
+      const patient = await loadPatient(req);
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      sendFhir(res, toFhirPatient(patient));
+    } catch (error) {
+      console.error('FHIR read patient error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export patient',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/fhir/Patient/:patientId/$everything
+// @desc    Everything we hold on a patient as a FHIR searchset Bundle
+// @access  Private (Patient - own record, Medical personnel, Admin)
+router.get(
+  '/Patient/:patientId/\\$everything',
+  authenticateToken,
+  auditAccess('fhir.everything', { patientParam: 'patientId' }),
+  validateObjectId('patientId'),
+  canAccessPatientSummary,
+  async (req, res) => {
+    try {
+      const patient = await loadPatient(req);
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      const resources = await loadPatientResources(req, res, patient);
+
+      sendFhir(res, searchsetBundle(Object.values(resources).flat(), baseUrlOf(req)));
+    } catch (error) {
+      console.error('FHIR patient everything error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export patient record',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/fhir/Encounter/:recordId
+// @desc    Read a medical record as a FHIR R4 Encounter resource
+// @access  Private (Users with read access to the record)
+router.get(
+  '/Encounter/:recordId',
+  authenticateToken,
+  auditAccess('fhir.read'),
+  validateObjectId('recordId'),
+  canAccessMedicalRecord,
+  async (req, res) => {
+    try {
+      sendFhir(res, toFhirEncounter(req.medicalRecord.toObject()));
+    } catch (error) {
+      console.error('FHIR read encounter error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export encounter',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   POST /api/fhir/import
+// @desc    Import a FHIR transaction or batch Bundle of patients and records into a hospital.
+//          Small bundles are imported immediately; larger ones are queued as a background job.
+// @access  Private (Medical personnel, Admin - pass ?hospitalId=)
+router.post(
+  '/import',
+  authenticateToken,
+  auditAccess('fhir.import'),
+  authorize('medical_personnel', 'admin'),
+  // Only parse large bundles once the caller is known to be allowed to import
+  parseFhirJson,
+  validateFhirImport,
+  async (req, res) => {
+    try {
+      const hospitalId = req.user.role === 'admin' ? req.query.hospitalId : req.user.getHospitalId();
+
+      if (!hospitalId) {
+        return res.status(400).json({
+          success: false,
+          message: req.user.role === 'admin'
+            ? 'hospitalId is required'
+            : 'Importing requires a hospital affiliation'
+        });
+      }
+
+      const hospital = await Hospital.findById(hospitalId);
+      if (!hospital) {
+        return res.status(400).json({
+          success: false,
+          message: 'Hospital not found'
+        });
+      }
+
+      const runNow = req.body.entry.length <= IMPORT_SYNC_MAX_ENTRIES;
+      const job = await ImportJob.create({
+        hospital: hospital._id,
+        createdBy: req.user._id,
+        bundle: req.body,
+        entryCount: req.body.entry.length,
+        status: runNow ? 'processing' : 'queued',
+        lockedAt: runNow ? new Date() : undefined,
+        startedAt: runNow ? new Date() : undefined
+      });
+
+      setAuditTarget(res, { details: { importJob: job._id, entries: job.entryCount } });
+
+      if (!runNow) {
+        scheduleImportJobs();
+
+        return res.status(202).json({
+          success: true,
+          message: 'Import queued',
+          data: {
+            job: {
+              id: job._id,
+              status: job.status,
+              entryCount: job.entryCount
+            }
+          }
+        });
+      }
+
+      await runImportJob(job);
+      const finished = await ImportJob.findById(job._id);
+
+      setAuditTarget(res, {
+        patients: finished.results.filter((result) => result.target?.model === 'Patient').map((result) => result.target.id),
+        medicalRecords: finished.results.filter((result) => result.target?.model === 'MedicalRecord').map((result) => result.target.id)
+      });
+
+      res.status(finished.status === 'completed' ? 201 : 500).json({
+        success: finished.status === 'completed',
+        message: finished.status === 'completed' ? 'Import completed' : 'Import failed',
+        data: {
+          job: finished
+        }
+      });
+    } catch (error) {
+      console.error('FHIR import error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import bundle',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/fhir/import
+// @desc    List import jobs (filter by status)
+// @access  Private (Medical personnel - own hospital, Admin)
+router.get(
+  '/import',
+  authenticateToken,
+  auditAccess('fhir.import_list'),
+  authorize('medical_personnel', 'admin'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      const query = {};
+
+      if (status) query.status = status;
+      if (req.user.role !== 'admin') {
+        query.hospital = req.user.getHospitalId() || null;
+      }
+
+      const perPage = parseInt(limit, 10);
+      const currentPage = parseInt(page, 10);
+
+      const [jobs, total] = await Promise.all([
+        ImportJob.find(query)
+          .select('-results')
+          .populate('hospital', 'name')
+          .populate('createdBy', 'email profile.firstName profile.lastName')
+          .sort({ createdAt: -1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage),
+        ImportJob.countDocuments(query)
+      ]);
+
+      setAuditTarget(res, { details: { importJobs: jobs.map((job) => job._id) } });
+
+      res.json({
+        success: true,
+        data: {
+          jobs,
+          pagination: {
+            current: currentPage,
+            pages: Math.ceil(total / perPage),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get import jobs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get import jobs',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/fhir/import/:jobId
+// @desc    Get an import job with its per-resource results
+// @access  Private (Job creator, staff of the importing hospital, Admin)
+router.get(
+  '/import/:jobId',
+  authenticateToken,
+  auditAccess('fhir.import_read'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('jobId'),
+  async (req, res) => {
+    try {
+      const job = await ImportJob.findById(req.params.jobId)
+        .populate('hospital', 'name')
+        .populate('createdBy', 'email profile.firstName profile.lastName');
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import job not found'
+        });
+      }
+
+      setAuditTarget(res, {
+        patients: job.results.filter((result) => result.target?.model === 'Patient').map((result) => result.target.id),
+        medicalRecords: job.results.filter((result) => result.target?.model === 'MedicalRecord').map((result) => result.target.id),
+        details: { importJob: job._id }
+      });
+
+      if (!canViewImportJob(req.user, job)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          job
+        }
+      });
+    } catch (error) {
+      console.error('Get import job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get import job',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/fhir/:resourceType?patient=:patientId
+// @desc    Search Encounter, Observation, Condition, AllergyIntolerance or MedicationRequest by patient
+// @access  Private (Patient - own record, Medical personnel, Admin)
+router.get(
+  '/:resourceType',
+  authenticateToken,
+  isSupportedType(SEARCH_TYPES),
+  patientFromQuery,
+  auditAccess('fhir.search', { patientParam: 'patientId' }),
+  canAccessPatientSummary,
+  async (req, res) => {
+    try {
+      const patient = await loadPatient(req);
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      const resources = await loadPatientResources(req, res, patient);
+
+      sendFhir(res, searchsetBundle(resources[req.params.resourceType] || [], baseUrlOf(req)));
+    } catch (error) {
+      console.error('FHIR search error:', error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to search ${req.params.resourceType} resources`,
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/fhir/:resourceType/:id
+// @desc    Read an Observation, Condition, AllergyIntolerance or MedicationRequest by id
+// @access  Private (Users with access to the owning patient or record)
+router.get(
+  '/:resourceType/:id',
+  authenticateToken,
+  isSupportedType(DERIVED_TYPES),
+  auditAccess('fhir.read'),
+  canAccessDerivedResource,
+  async (req, res) => {
+    try {
+      const { resourceType, id } = req.params;
+      let resources;
+
+      if (req.medicalRecord) {
+        resources = recordResources(req.medicalRecord.toObject());
+      } else {
+        const patient = await loadPatient(req);
+        resources = patient ? patientResources(patient) : {};
+      }
+
+      const resource = (resources[resourceType] || []).find((entry) => entry.id === id);
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${resourceType} not found`
+        });
+      }
+
+      sendFhir(res, resource);
+    } catch (error) {
+      console.error('FHIR read resource error:', error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to export ${req.params.resourceType}`,
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
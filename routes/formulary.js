@@ -0,0 +1,196 @@
+const express = require('express');
+const Drug = require('../models/Drug');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  validateDrug,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Helpers
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields clients may not set directly
+const PROTECTED_DRUG_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const drugUpdate = (body) => {
+  const update = { ...body };
+  PROTECTED_DRUG_FIELDS.forEach((field) => delete update[field]);
+  return update;
+};
+
+// @route   GET /api/formulary
+// @desc    Search the drug formulary by generic or brand name and class
+// @access  Private
+router.get('/', authenticateToken, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, drugClass, includeInactive } = req.query;
+    const query = {};
+
+    if (!(includeInactive === 'true' && req.user.role === 'admin')) query.isActive = true;
+    if (drugClass) query.drugClass = String(drugClass).toLowerCase();
+    if (search) {
+      // Prefix match, so partial names work as the prescriber types
+      const pattern = new RegExp(`^${escapeRegex(search)}`, 'i');
+      query.$or = [
+        { genericName: pattern },
+        { brandNames: pattern }
+      ];
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [drugs, total] = await Promise.all([
+      Drug.find(query)
+        .sort({ genericName: 1 })
+        .limit(perPage)
+        .skip((currentPage - 1) * perPage),
+      Drug.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        drugs,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Search formulary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search formulary',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/formulary/classes
+// @desc    List drug classes in the formulary
+// @access  Private
+router.get('/classes', authenticateToken, async (req, res) => {
+  try {
+    const classes = await Drug.distinct('drugClass', { isActive: true });
+
+    res.json({
+      success: true,
+      data: {
+        classes: classes.sort()
+      }
+    });
+  } catch (error) {
+    console.error('List drug classes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list drug classes',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/formulary/:drugId
+// @desc    Get a formulary drug with its forms, strengths and interactions
+// @access  Private
+router.get('/:drugId', authenticateToken, validateObjectId('drugId'), async (req, res) => {
+  try {
+    const drug = await Drug.findById(req.params.drugId);
+
+    if (!drug) {
+      return res.status(404).json({
+        success: false,
+        message: 'Drug not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        drug
+      }
+    });
+  } catch (error) {
+    console.error('Get drug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get drug',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/formulary
+// @desc    Add a drug to the formulary
+// @access  Private (Admin only)
+router.post('/', authenticateToken, requireAdmin, validateDrug, async (req, res) => {
+  try {
+    const existing = await Drug.findOne({ genericName: String(req.body.genericName).trim().toLowerCase() });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A drug with this generic name is already in the formulary'
+      });
+    }
+
+    const drug = await Drug.create(drugUpdate(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Drug added to formulary',
+      data: {
+        drug
+      }
+    });
+  } catch (error) {
+    console.error('Create drug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add drug',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/formulary/:drugId
+// @desc    Update a formulary drug; set isActive to false to withdraw it
+// @access  Private (Admin only)
+router.put('/:drugId', authenticateToken, requireAdmin, validateObjectId('drugId'), async (req, res) => {
+  try {
+    const drug = await Drug.findByIdAndUpdate(
+      req.params.drugId,
+      drugUpdate(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!drug) {
+      return res.status(404).json({
+        success: false,
+        message: 'Drug not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Drug updated successfully',
+      data: {
+        drug
+      }
+    });
+  } catch (error) {
+    console.error('Update drug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update drug',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
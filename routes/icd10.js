@@ -0,0 +1,147 @@
+const express = require('express');
+const Icd10Code = require('../models/Icd10Code');
+const { authenticateToken } = require('../middleware/auth');
+const { validatePagination } = require('../middleware/validation');
+const { CHAPTERS, normalizeCode, isWellFormedCode } = require('../utils/icd10');
+
+const router = express.Router();
+
+// Helpers
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text that starts like a code ("B5", "b50.9") searches codes; anything else searches titles
+const looksLikeCode = (value) => /^[A-Za-z][0-9]/.test(String(value).trim());
+
+// @route   GET /api/icd10
+// @desc    Search the ICD-10 catalogue by code prefix or title words, for autocomplete
+// @access  Private
+router.get('/', authenticateToken, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, chapter, billable } = req.query;
+    const query = { isActive: true };
+
+    if (chapter) query.chapter = String(chapter).toUpperCase();
+    if (billable === 'true') query.billable = true;
+    if (search && looksLikeCode(search)) {
+      query.code = new RegExp(`^${escapeRegex(normalizeCode(search))}`);
+    } else if (search) {
+      // Every word must start a word in the title: "fal mal" finds "Plasmodium falciparum malaria"
+      query.$and = String(search).trim().split(/\s+/).map((word) => ({
+        title: new RegExp(`\\b${escapeRegex(word)}`, 'i')
+      }));
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [codes, total] = await Promise.all([
+      Icd10Code.find(query)
+        .select('code title chapter category billable')
+        .sort({ code: 1 })
+        .limit(perPage)
+        .skip((currentPage - 1) * perPage),
+      Icd10Code.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        codes,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Search ICD-10 codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search ICD-10 codes',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/icd10/chapters
+// @desc    List ICD-10 chapters with the number of catalogue codes in each
+// @access  Private
+router.get('/chapters', authenticateToken, async (req, res) => {
+  try {
+    const counts = await Icd10Code.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$chapter', codes: { $sum: 1 } } }
+    ]);
+    const byChapter = new Map(counts.map(({ _id, codes }) => [_id, codes]));
+
+    res.json({
+      success: true,
+      data: {
+        chapters: CHAPTERS.map(({ chapter, from, to, title }) => ({
+          chapter,
+          range: `${from}-${to}`,
+          title,
+          codes: byChapter.get(chapter) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List ICD-10 chapters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list ICD-10 chapters',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/icd10/:code
+// @desc    Get an ICD-10 code with its category and any subdivisions
+// @access  Private
+router.get('/:code', authenticateToken, async (req, res) => {
+  try {
+    const code = normalizeCode(req.params.code);
+
+    if (!isWellFormedCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Malformed ICD-10 code'
+      });
+    }
+
+    const entry = await Icd10Code.findOne({ code });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'ICD-10 code not found'
+      });
+    }
+
+    const [category, subdivisions] = await Promise.all([
+      entry.category !== entry.code ? Icd10Code.findOne({ code: entry.category }).select('code title') : null,
+      Icd10Code.find({ code: new RegExp(`^${escapeRegex(entry.code)}.`), isActive: true })
+        .select('code title billable')
+        .sort({ code: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        code: entry,
+        category,
+        subdivisions
+      }
+    });
+  } catch (error) {
+    console.error('Get ICD-10 code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ICD-10 code',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
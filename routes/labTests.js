@@ -0,0 +1,212 @@
+const express = require('express');
+const LabTest = require('../models/LabTest');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  validateLabTest,
+  validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Helpers
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields clients may not set directly
+const PROTECTED_LAB_TEST_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const labTestUpdate = (body) => {
+  const update = { ...body };
+  PROTECTED_LAB_TEST_FIELDS.forEach((field) => delete update[field]);
+  return update;
+};
+
+// Panel components must already be in the catalogue
+const missingComponents = async (components = []) => {
+  if (!components.length) return [];
+  const found = await LabTest.distinct('code', { code: { $in: components } });
+  return components.filter((code) => !found.includes(code));
+};
+
+// @route   GET /api/lab-tests
+// @desc    Search the lab test catalogue by code, name or alias and category
+// @access  Private
+router.get('/', authenticateToken, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, category, panels, includeInactive } = req.query;
+    const query = {};
+
+    if (!(includeInactive === 'true' && req.user.role === 'admin')) query.isActive = true;
+    if (category) query.category = String(category).toLowerCase();
+    if (panels === 'true') query['components.0'] = { $exists: true };
+    if (search) {
+      // Prefix match on names, so "haem" finds haemoglobin as the user types
+      const pattern = new RegExp(`^${escapeRegex(search)}`, 'i');
+      query.$or = [
+        { code: pattern },
+        { name: pattern },
+        { shortName: pattern },
+        { aliases: pattern }
+      ];
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [tests, total] = await Promise.all([
+      LabTest.find(query)
+        .sort({ name: 1 })
+        .limit(perPage)
+        .skip((currentPage - 1) * perPage),
+      LabTest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        tests,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Search lab tests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search lab tests',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/lab-tests/:code
+// @desc    Get a lab test by code, with the components of a panel
+// @access  Private
+router.get('/:code', authenticateToken, async (req, res) => {
+  try {
+    const test = await LabTest.findOne({ code: req.params.code });
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab test not found'
+      });
+    }
+
+    const components = test.isPanel()
+      ? await LabTest.find({ code: { $in: test.components } })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        test,
+        // In the panel's order
+        components: test.components
+          .map((code) => components.find((component) => component.code === code))
+          .filter(Boolean)
+      }
+    });
+  } catch (error) {
+    console.error('Get lab test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get lab test',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/lab-tests
+// @desc    Add a test to the lab test catalogue
+// @access  Private (Admin only)
+router.post('/', authenticateToken, requireAdmin, validateLabTest, async (req, res) => {
+  try {
+    const existing = await LabTest.findOne({ code: req.body.code });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A lab test with this code is already in the catalogue'
+      });
+    }
+
+    const missing = await missingComponents(req.body.components);
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Panel components must be in the catalogue',
+        missingComponents: missing
+      });
+    }
+
+    const test = await LabTest.create(labTestUpdate(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Lab test added to catalogue',
+      data: {
+        test
+      }
+    });
+  } catch (error) {
+    console.error('Create lab test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add lab test',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/lab-tests/:code
+// @desc    Update a lab test; set isActive to false to withdraw it
+// @access  Private (Admin only)
+router.put('/:code', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const update = labTestUpdate(req.body);
+    // The code identifies the test in stored results, so it can't be changed
+    delete update.code;
+
+    const missing = await missingComponents(update.components);
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Panel components must be in the catalogue',
+        missingComponents: missing
+      });
+    }
+
+    const test = await LabTest.findOneAndUpdate(
+      { code: req.params.code },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab test not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lab test updated successfully',
+      data: {
+        test
+      }
+    });
+  } catch (error) {
+    console.error('Update lab test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update lab test',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,45 @@
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const mongoose = require('mongoose');
 const MedicalRecord = require('../models/MedicalRecord');
 const Patient = require('../models/Patient');
 const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const RecordVersion = require('../models/RecordVersion');
 const {
   authenticateToken,
   authorize,
   canAccessMedicalRecord,
-  canAccessPatient
+  canAccessPatient,
+  requireRecordAccess
 } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const { uploadAttachment } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+const { syncFollowUpAppointments } = require('../services/scheduling');
+const { raiseCriticalAlert } = require('../services/criticalAlerts');
+const { recordVitals } = require('../services/vitals');
+const { checkMedicationList } = require('../services/prescribing');
+const { codeAssessment, diagnosisStats } = require('../services/diagnosisCoding');
+const { normalizeCode } = require('../utils/icd10');
+const { buildLabResult, analyteTrend, reportedAnalytes } = require('../services/labResults');
+const {
+  recordCreation,
+  updateRecordWithHistory,
+  getRecordAtVersion
+} = require('../services/recordHistory');
 const {
   validateMedicalRecord,
   validatePagination,
   validateObjectId,
-  validateDateRange
+  validateDateRange,
+  validateRecordVersion,
+  validateAccessListEntry,
+  validateConfidentialityLevel,
+  validateAttachment,
+  validateAssessment,
+  validateLaboratoryResult
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -31,11 +57,159 @@ const buildDateRangeFilter = (startDate, endDate) => {
   return range;
 };
 
-const populateRecord = (query) => {
-  return query
-    .populate('patient', 'patientId biodata')
-    .populate('hospital', 'name address contact')
-    .populate('createdBy', 'email profile.firstName profile.lastName profile.department');
+const RECORD_POPULATE = [
+  { path: 'patient', select: 'patientId biodata' },
+  { path: 'hospital', select: 'name address contact' },
+  { path: 'createdBy', select: 'email profile.firstName profile.lastName profile.department' }
+];
+
+// Works for both queries and documents
+const populateRecord = (queryOrDocument) => {
+  return queryOrDocument.populate(RECORD_POPULATE);
+};
+
+// Fields clients may not overwrite through the generic update
+const PROTECTED_RECORD_FIELDS = [
+  '_id',
+  '__v',
+  'version',
+  'createdBy',
+  'createdAt',
+  'updatedAt',
+  'changeReason',
+  'confidentiality',
+  // Only changed by the attachment upload and delete routes, which manage the stored files
+  'attachments',
+  // Changed through PUT /:recordId/treatment, which safety-checks new medications
+  'treatment',
+  // Added through POST /:recordId/laboratory-results, which validates and flags them
+  'laboratoryResults'
+];
+
+// Author, reason and action stored with each record version
+const historyContext = (req, action) => ({
+  author: req.user._id,
+  reason: req.body.changeReason,
+  action
+});
+
+const formatAccessList = (record) => {
+  return (record.confidentiality?.accessList || []).map((entry) => ({
+    user: entry.user,
+    accessLevel: entry.accessLevel
+  }));
+};
+
+const attachmentUrl = (recordId, attachmentId) => {
+  return `/api/medical-records/${recordId}/attachments/${attachmentId}`;
+};
+
+// Free-text medications found in the formulary get the same allergy and interaction checks as
+// prescriptions; ones already on the record were checked when first added. Responds 409 and
+// returns null when a check blocks and no overrideReason was given.
+const checkRecordMedications = async (req, res, patient, medications, existing = []) => {
+  const { overrideReason } = req.body;
+  const medicationChecks = await checkMedicationList(patient, medications || [], {
+    existing: existing.map((medication) => medication.name)
+  });
+
+  if (medicationChecks.blocking && !overrideReason) {
+    res.status(409).json({
+      success: false,
+      message: 'Medications blocked by safety checks - review the issues and give an overrideReason to proceed',
+      data: {
+        checks: medicationChecks
+      }
+    });
+    return null;
+  }
+
+  if (medicationChecks.blocking) {
+    setAuditTarget(res, { details: { overrideReason }, flags: ['safety_override'] });
+  }
+
+  return medicationChecks;
+};
+
+// A laboratory result ready to store. Results with a test code, analytes or a value are
+// structured: checked against the lab test catalogue and flagged from the patient's reference
+// ranges. Returns { result } or { errors }.
+const prepareLabResult = async (laboratoryResult, patient) => {
+  if (laboratoryResult.testCode || laboratoryResult.analytes || laboratoryResult.value !== undefined) {
+    return buildLabResult(laboratoryResult, patient);
+  }
+
+  return {
+    result: {
+      ...laboratoryResult,
+      testDate: laboratoryResult.testDate ? new Date(laboratoryResult.testDate) : new Date()
+    }
+  };
+};
+
+// Imaging image links point at stored attachments, so they only change through the attachment
+// routes: imaging results keep the images they already had and new ones start with none
+const keepImagingImages = (imagingResults, existing = []) => {
+  if (!Array.isArray(imagingResults)) return imagingResults;
+
+  return imagingResults.map((imagingResult) => {
+    const current = imagingResult?._id && existing.find((entry) => entry._id.toString() === imagingResult._id.toString());
+    return { ...imagingResult, images: current ? [...current.images] : [] };
+  });
+};
+
+// Treatment medications and referrals link to prescriptions and referrals made through their own
+// routes, so clients cannot set those links: an entry keeps the link it already had on the stored
+// record (while its name is unchanged) and new entries start without one
+const keepTreatmentLinks = (treatment, existing = {}) => {
+  if (!treatment || typeof treatment !== 'object') return treatment;
+
+  const keepLink = (entries, current = [], field, sameEntry) => {
+    if (!Array.isArray(entries)) return entries;
+
+    return entries.map((entry) => {
+      const stored = entry?._id && current.find((item) => item._id.toString() === entry._id.toString());
+      const { [field]: link, ...rest } = entry || {};
+      return stored && stored[field] && sameEntry(entry, stored) ? { ...rest, [field]: stored[field] } : rest;
+    });
+  };
+
+  return {
+    ...treatment,
+    medications: keepLink(treatment.medications, existing.medications, 'prescription', (entry, stored) => entry.name === stored.name),
+    referrals: keepLink(treatment.referrals, existing.referrals, 'referral', () => true)
+  };
+};
+
+// Checks the assessment's ICD-10 codes, responding 400 and returning null if any are unknown
+const codeRecordAssessment = async (res, assessment) => {
+  const coding = await codeAssessment(assessment);
+
+  if (coding.invalid.length) {
+    res.status(400).json({
+      success: false,
+      message: 'Unknown or malformed ICD-10 codes',
+      invalidCodes: coding.invalid
+    });
+    return null;
+  }
+
+  return coding;
+};
+
+const respondToUpdateError = (res, error, message) => {
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'Medical record was modified by someone else - reload and try again'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
 };
 
 // @route   GET /api/medical-records
@@ -44,6 +218,7 @@ const populateRecord = (query) => {
 router.get(
   '/',
   authenticateToken,
+  auditAccess('record.list'),
   authorize('medical_personnel', 'admin'),
   validatePagination,
   validateDateRange,
@@ -58,6 +233,7 @@ router.get(
         status,
         isEmergency,
         search,
+        diagnosisCode,
         startDate,
         endDate
       } = req.query;
@@ -76,6 +252,10 @@ router.get(
       if (status) {
         query.status = status;
       }
+      if (diagnosisCode) {
+        // A category matches its subdivisions: B50 finds B50.0 and B50.9
+        query['assessment.icd10Codes'] = new RegExp(`^${normalizeCode(diagnosisCode).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+      }
       if (typeof isEmergency !== 'undefined') {
         query.isEmergency = isEmergency === 'true';
       }
@@ -97,6 +277,12 @@ router.get(
         query.hospital = req.user.profile.hospitalId._id || req.user.profile.hospitalId;
       }
 
+      // Hide restricted records the user is not listed on
+      const visibilityFilter = MedicalRecord.visibilityFilterFor(req.user);
+      if (Object.keys(visibilityFilter).length > 0) {
+        query.$and = [visibilityFilter];
+      }
+
       const perPage = parseInt(limit, 10);
       const currentPage = parseInt(page, 10);
 
@@ -110,6 +296,11 @@ router.get(
         MedicalRecord.countDocuments(query)
       ]);
 
+      setAuditTarget(res, {
+        patients: records.map((record) => record.patient),
+        medicalRecords: records
+      });
+
       res.json({
         success: true,
         data: {
@@ -152,7 +343,7 @@ router.get(
         return [{ $match: baseMatch }, ...pipeline];
       };
 
-      const [totalRecords, recordsByStatus, visitsByType, emergencyCount, topHospitals] = await Promise.all([
+      const [totalRecords, recordsByStatus, visitsByType, emergencyCount, topHospitals, diagnoses] = await Promise.all([
         MedicalRecord.countDocuments(baseMatch),
         MedicalRecord.aggregate(
           withMatch([
@@ -188,7 +379,8 @@ router.get(
               }
             }
           ])
-        )
+        ),
+        diagnosisStats(MedicalRecord, baseMatch)
       ]);
 
       res.json({
@@ -196,11 +388,15 @@ router.get(
         data: {
           overview: {
             totalRecords,
-            emergencyCases: emergencyCount
+            emergencyCases: emergencyCount,
+            codedRecords: diagnoses.codedRecords
           },
           byStatus: recordsByStatus,
           visitsByType,
-          topHospitals
+          topHospitals,
+          // Coded records per ICD-10 chapter; a record counts once per chapter it has codes in
+          diagnosesByChapter: diagnoses.byChapter,
+          topDiagnoses: diagnoses.topCodes
         }
       });
     } catch (error) {
@@ -220,6 +416,7 @@ router.get(
 router.get(
   '/patient/:patientId',
   authenticateToken,
+  auditAccess('record.list', { patientParam: 'patientId' }),
   canAccessPatient,
   validateObjectId('patientId'),
   validatePagination,
@@ -230,17 +427,23 @@ router.get(
 
       const perPage = parseInt(limit, 10);
       const currentPage = parseInt(page, 10);
+      const query = {
+        patient: patientId,
+        ...(req.patientAccess?.via === 'break_glass' ? {} : MedicalRecord.visibilityFilterFor(req.user))
+      };
 
       const [records, total] = await Promise.all([
         populateRecord(
-          MedicalRecord.find({ patient: patientId })
+          MedicalRecord.find(query)
             .sort({ 'visitInfo.visitDate': -1 })
             .limit(perPage)
             .skip((currentPage - 1) * perPage)
         ),
-        MedicalRecord.countDocuments({ patient: patientId })
+        MedicalRecord.countDocuments(query)
       ]);
 
+      setAuditTarget(res, { medicalRecords: records });
+
       res.json({
         success: true,
         data: {
@@ -263,12 +466,116 @@ router.get(
   }
 );
 
+// Add the record's visit vitals to the patient's vitals series (scored for NEWS2) when they changed
+const trackVisitVitals = (req, record, recordedAt) => {
+  return recordVitals(record, record.toObject().vitalSigns, {
+    source: 'visit',
+    recordedAt,
+    recordedBy: req.user
+  });
+};
+
+// Raise an alert for each critical laboratory result. The results are already stored, so an
+// alerting failure is logged rather than failing the request.
+const alertCriticalResults = async (record, laboratoryResults, user) => {
+  const alerts = [];
+  for (const laboratoryResult of laboratoryResults) {
+    if (laboratoryResult.status !== 'critical') continue;
+
+    try {
+      const alert = await raiseCriticalAlert(record, laboratoryResult, user);
+      if (alert) alerts.push(alert);
+    } catch (error) {
+      console.error('Raise critical alert error:', error);
+    }
+  }
+  return alerts;
+};
+
+// Records of a patient the requester may see, for the lab trend routes
+const patientRecordMatch = (req) => {
+  return {
+    patient: new mongoose.Types.ObjectId(req.params.patientId),
+    ...(req.patientAccess?.via === 'break_glass' ? {} : MedicalRecord.visibilityFilterFor(req.user))
+  };
+};
+
+// @route   GET /api/medical-records/patient/:patientId/lab-trends
+// @desc    List the analytes with structured lab results for a patient, with the latest value of each
+// @access  Private (Patient - own records, Medical personnel, Admin)
+router.get(
+  '/patient/:patientId/lab-trends',
+  authenticateToken,
+  auditAccess('record.lab_trends', { patientParam: 'patientId' }),
+  canAccessPatient,
+  validateObjectId('patientId'),
+  async (req, res) => {
+    try {
+      const match = patientRecordMatch(req);
+
+      const analytes = await reportedAnalytes(MedicalRecord, match);
+
+      res.json({
+        success: true,
+        data: {
+          analytes
+        }
+      });
+    } catch (error) {
+      console.error('Get lab analytes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get lab analytes',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/medical-records/patient/:patientId/lab-trends/:analyteCode
+// @desc    Values of one analyte across all of a patient's records, oldest first
+// @access  Private (Patient - own records, Medical personnel, Admin)
+router.get(
+  '/patient/:patientId/lab-trends/:analyteCode',
+  authenticateToken,
+  auditAccess('record.lab_trends', { patientParam: 'patientId' }),
+  canAccessPatient,
+  validateObjectId('patientId'),
+  validateDateRange,
+  async (req, res) => {
+    try {
+      const match = patientRecordMatch(req);
+
+      const { startDate, endDate } = req.query;
+      const trend = await analyteTrend(MedicalRecord, match, req.params.analyteCode, { startDate, endDate });
+
+      setAuditTarget(res, { medicalRecords: [...new Set(trend.points.map((point) => point.recordId.toString()))] });
+
+      res.json({
+        success: true,
+        data: {
+          analyteCode: req.params.analyteCode,
+          ...trend
+        }
+      });
+    } catch (error) {
+      console.error('Get lab trend error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get lab trend',
+        error: error.message
+      });
+    }
+  }
+);
+
 // @route   POST /api/medical-records
 // @desc    Create new medical record
 // @access  Private (Medical personnel, Admin)
 router.post(
   '/',
   authenticateToken,
+  auditAccess('record.create'),
   authorize('medical_personnel', 'admin'),
   validateMedicalRecord,
   async (req, res) => {
@@ -294,13 +601,53 @@ router.post(
         });
       }
 
+      const coding = await codeRecordAssessment(res, req.body.assessment);
+      if (!coding) return;
+
+      const treatment = keepTreatmentLinks(req.body.treatment);
+      const medicationChecks = await checkRecordMedications(req, res, patientExists, treatment?.medications);
+      if (!medicationChecks) return;
+
+      const laboratoryResults = [];
+      for (const laboratoryResult of req.body.laboratoryResults || []) {
+        const { result, errors } = await prepareLabResult(laboratoryResult, patientExists);
+        if (errors) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid laboratory result',
+            errors
+          });
+        }
+        laboratoryResults.push(result);
+      }
+
+      const { attachments, overrideReason, ...fields } = req.body;
       const medicalRecord = new MedicalRecord({
-        ...req.body,
-        createdBy: req.user._id
+        ...fields,
+        assessment: coding.assessment,
+        treatment,
+        imagingResults: keepImagingImages(fields.imagingResults),
+        laboratoryResults,
+        createdBy: req.user._id,
+        version: 1
       });
 
       await medicalRecord.save();
 
+      const context = historyContext(req, 'create');
+      if (medicationChecks.blocking) {
+        context.reason = [context.reason, `Safety override: ${overrideReason}`].filter(Boolean).join(' - ');
+      }
+      await recordCreation(medicalRecord, context);
+      await syncFollowUpAppointments(medicalRecord, req.user._id);
+      await trackVisitVitals(req, medicalRecord, medicalRecord.visitInfo.visitDate);
+      const alerts = await alertCriticalResults(medicalRecord, medicalRecord.laboratoryResults, req.user);
+      setAuditTarget(res, {
+        patients: patient,
+        medicalRecords: medicalRecord,
+        details: alerts.length ? { criticalAlerts: alerts.map((alert) => alert._id) } : undefined
+      });
+
       const populatedRecord = await populateRecord(
         MedicalRecord.findById(medicalRecord._id)
       );
@@ -309,7 +656,9 @@ router.post(
         success: true,
         message: 'Medical record created successfully',
         data: {
-          record: populatedRecord
+          record: populatedRecord,
+          medicationChecks,
+          alerts
         }
       });
     } catch (error) {
@@ -329,6 +678,7 @@ router.post(
 router.get(
   '/:recordId',
   authenticateToken,
+  auditAccess('record.read'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
   async (req, res) => {
@@ -361,25 +711,132 @@ router.get(
   }
 );
 
+// @route   GET /api/medical-records/:recordId/history
+// @desc    Get the version history (field-level diffs) of a medical record
+// @access  Private (Patient - own records, Medical personnel, Admin)
+router.get(
+  '/:recordId/history',
+  authenticateToken,
+  auditAccess('record.read_history'),
+  canAccessMedicalRecord,
+  validateObjectId('recordId'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { recordId } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const perPage = parseInt(limit, 10);
+      const currentPage = parseInt(page, 10);
+
+      const [versions, total] = await Promise.all([
+        RecordVersion.find({ medicalRecord: recordId })
+          .populate('author', 'email role profile.firstName profile.lastName')
+          .sort({ version: -1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage),
+        RecordVersion.countDocuments({ medicalRecord: recordId })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          versions,
+          pagination: {
+            current: currentPage,
+            pages: Math.ceil(total / perPage),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get medical record history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get medical record history',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/medical-records/:recordId/versions/:version
+// @desc    Get a medical record as it was at a prior version
+// @access  Private (Patient - own records, Medical personnel, Admin)
+router.get(
+  '/:recordId/versions/:version',
+  authenticateToken,
+  auditAccess('record.read_version'),
+  canAccessMedicalRecord,
+  validateObjectId('recordId'),
+  validateRecordVersion,
+  async (req, res) => {
+    try {
+      const { recordId } = req.params;
+      const version = parseInt(req.params.version, 10);
+
+      const [record, versionEntry] = await Promise.all([
+        getRecordAtVersion(recordId, version),
+        RecordVersion.findOne({ medicalRecord: recordId, version })
+          .populate('author', 'email role profile.firstName profile.lastName')
+      ]);
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medical record version not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          record,
+          version: versionEntry
+        }
+      });
+    } catch (error) {
+      console.error('Get medical record version error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get medical record version',
+        error: error.message
+      });
+    }
+  }
+);
+
 // @route   PUT /api/medical-records/:recordId
 // @desc    Update medical record
 // @access  Private (Medical personnel, Admin)
 router.put(
   '/:recordId',
   authenticateToken,
+  auditAccess('record.update'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
   async (req, res) => {
     try {
       const { recordId } = req.params;
+      const updates = { ...req.body };
+      PROTECTED_RECORD_FIELDS.forEach((field) => delete updates[field]);
+
+      if (updates.assessment) {
+        const coding = await codeRecordAssessment(res, updates.assessment);
+        if (!coding) return;
+        updates.assessment = coding.assessment;
+      }
 
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $set: req.body },
-          { new: true, runValidators: true }
-        )
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          if (updates.imagingResults) {
+            updates.imagingResults = keepImagingImages(updates.imagingResults, record.imagingResults);
+          }
+          record.set(updates);
+        },
+        historyContext(req, 'update')
       );
 
       if (!updatedRecord) {
@@ -389,6 +846,15 @@ router.put(
         });
       }
 
+      // Follow-up dates create or move pending appointments
+      await syncFollowUpAppointments(updatedRecord, req.user._id);
+
+      if (updates.vitalSigns) {
+        await trackVisitVitals(req, updatedRecord);
+      }
+
+      await populateRecord(updatedRecord);
+
       res.json({
         success: true,
         message: 'Medical record updated successfully',
@@ -398,11 +864,7 @@ router.put(
       });
     } catch (error) {
       console.error('Update medical record error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update medical record',
-        error: error.message
-      });
+      respondToUpdateError(res, error, 'Failed to update medical record');
     }
   }
 );
@@ -413,6 +875,7 @@ router.put(
 router.delete(
   '/:recordId',
   authenticateToken,
+  auditAccess('record.archive'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
@@ -420,10 +883,12 @@ router.delete(
     try {
       const { recordId } = req.params;
 
-      const archivedRecord = await MedicalRecord.findByIdAndUpdate(
+      const archivedRecord = await updateRecordWithHistory(
         recordId,
-        { $set: { status: 'archived' } },
-        { new: true }
+        (record) => {
+          record.status = 'archived';
+        },
+        historyContext(req, 'archive')
       );
 
       if (!archivedRecord) {
@@ -439,21 +904,222 @@ router.delete(
       });
     } catch (error) {
       console.error('Archive medical record error:', error);
+      respondToUpdateError(res, error, 'Failed to archive medical record');
+    }
+  }
+);
+
+// @route   GET /api/medical-records/:recordId/access-list
+// @desc    Get the record's confidentiality level and access list
+// @access  Private (Record admins: creator, listed admins, Admin)
+router.get(
+  '/:recordId/access-list',
+  authenticateToken,
+  auditAccess('record.read_access_list'),
+  authorize('medical_personnel', 'admin'),
+  canAccessMedicalRecord,
+  requireRecordAccess('admin'),
+  validateObjectId('recordId'),
+  async (req, res) => {
+    try {
+      await req.medicalRecord.populate(
+        'confidentiality.accessList.user',
+        'email role profile.firstName profile.lastName profile.hospitalId'
+      );
+
+      res.json({
+        success: true,
+        data: {
+          level: req.medicalRecord.confidentiality?.level,
+          accessList: formatAccessList(req.medicalRecord)
+        }
+      });
+    } catch (error) {
+      console.error('Get access list error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to archive medical record',
+        message: 'Failed to get access list',
         error: error.message
       });
     }
   }
 );
 
+// @route   POST /api/medical-records/:recordId/access-list
+// @desc    Grant (or change) a user's access to the record
+// @access  Private (Record admins: creator, listed admins, Admin)
+router.post(
+  '/:recordId/access-list',
+  authenticateToken,
+  auditAccess('record.grant_access'),
+  authorize('medical_personnel', 'admin'),
+  canAccessMedicalRecord,
+  requireRecordAccess('admin'),
+  validateObjectId('recordId'),
+  validateAccessListEntry,
+  async (req, res) => {
+    try {
+      const { recordId } = req.params;
+      const { userId, accessLevel } = req.body;
+
+      const grantee = await User.findById(userId);
+      if (!grantee || !grantee.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          const existingEntry = record.confidentiality.accessList.find(
+            (entry) => entry.user.toString() === userId
+          );
+
+          if (existingEntry) {
+            existingEntry.accessLevel = accessLevel;
+          } else {
+            record.confidentiality.accessList.push({ user: userId, accessLevel });
+          }
+        },
+        historyContext(req, 'grant_access')
+      );
+
+      if (!updatedRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medical record not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Record access granted successfully',
+        data: {
+          level: updatedRecord.confidentiality.level,
+          accessList: formatAccessList(updatedRecord)
+        }
+      });
+    } catch (error) {
+      console.error('Grant record access error:', error);
+      respondToUpdateError(res, error, 'Failed to grant record access');
+    }
+  }
+);
+
+// @route   DELETE /api/medical-records/:recordId/access-list/:userId
+// @desc    Revoke a user's entry on the record access list
+// @access  Private (Record admins: creator, listed admins, Admin)
+router.delete(
+  '/:recordId/access-list/:userId',
+  authenticateToken,
+  auditAccess('record.revoke_access'),
+  authorize('medical_personnel', 'admin'),
+  canAccessMedicalRecord,
+  requireRecordAccess('admin'),
+  validateObjectId('recordId'),
+  validateObjectId('userId'),
+  async (req, res) => {
+    try {
+      const { recordId, userId } = req.params;
+
+      const isListed = (req.medicalRecord.confidentiality?.accessList || []).some(
+        (entry) => entry.user.toString() === userId
+      );
+      if (!isListed) {
+        return res.status(404).json({
+          success: false,
+          message: 'User is not on the access list'
+        });
+      }
+
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.confidentiality.accessList = record.confidentiality.accessList.filter(
+            (entry) => entry.user.toString() !== userId
+          );
+        },
+        historyContext(req, 'revoke_access')
+      );
+
+      if (!updatedRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medical record not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Record access revoked successfully',
+        data: {
+          level: updatedRecord.confidentiality.level,
+          accessList: formatAccessList(updatedRecord)
+        }
+      });
+    } catch (error) {
+      console.error('Revoke record access error:', error);
+      respondToUpdateError(res, error, 'Failed to revoke record access');
+    }
+  }
+);
+
+// @route   PUT /api/medical-records/:recordId/confidentiality
+// @desc    Change the record's confidentiality level
+// @access  Private (Record admins: creator, listed admins, Admin)
+router.put(
+  '/:recordId/confidentiality',
+  authenticateToken,
+  auditAccess('record.update_confidentiality'),
+  authorize('medical_personnel', 'admin'),
+  canAccessMedicalRecord,
+  requireRecordAccess('admin'),
+  validateObjectId('recordId'),
+  validateConfidentialityLevel,
+  async (req, res) => {
+    try {
+      const { recordId } = req.params;
+      const { level } = req.body;
+
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.confidentiality.level = level;
+        },
+        historyContext(req, 'update_confidentiality')
+      );
+
+      if (!updatedRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medical record not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Confidentiality level updated successfully',
+        data: {
+          level: updatedRecord.confidentiality.level,
+          accessList: formatAccessList(updatedRecord)
+        }
+      });
+    } catch (error) {
+      console.error('Update confidentiality error:', error);
+      respondToUpdateError(res, error, 'Failed to update confidentiality level');
+    }
+  }
+);
+
 // @route   PUT /api/medical-records/:recordId/vital-signs
 // @desc    Update vital signs
 // @access  Private (Medical personnel, Admin)
 router.put(
   '/:recordId/vital-signs',
   authenticateToken,
+  auditAccess('record.update_vital_signs'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
@@ -462,12 +1128,12 @@ router.put(
       const { recordId } = req.params;
       const { vitalSigns } = req.body;
 
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $set: { vitalSigns } },
-          { new: true, runValidators: true }
-        )
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.set({ vitalSigns });
+        },
+        historyContext(req, 'update_vital_signs')
       );
 
       if (!updatedRecord) {
@@ -477,20 +1143,22 @@ router.put(
         });
       }
 
+      const tracked = await trackVisitVitals(req, updatedRecord);
+
+      await populateRecord(updatedRecord);
+
       res.json({
         success: true,
         message: 'Vital signs updated successfully',
         data: {
-          record: updatedRecord
+          record: updatedRecord,
+          news2: tracked?.observation.news2 || null,
+          alert: tracked?.alert || null
         }
       });
     } catch (error) {
       console.error('Update vital signs error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update vital signs',
-        error: error.message
-      });
+      respondToUpdateError(res, error, 'Failed to update vital signs');
     }
   }
 );
@@ -501,6 +1169,7 @@ router.put(
 router.put(
   '/:recordId/physical-examination',
   authenticateToken,
+  auditAccess('record.update_physical_examination'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
@@ -509,12 +1178,12 @@ router.put(
       const { recordId } = req.params;
       const { physicalExamination } = req.body;
 
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $set: { physicalExamination } },
-          { new: true, runValidators: true }
-        )
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.set({ physicalExamination });
+        },
+        historyContext(req, 'update_physical_examination')
       );
 
       if (!updatedRecord) {
@@ -524,6 +1193,8 @@ router.put(
         });
       }
 
+      await populateRecord(updatedRecord);
+
       res.json({
         success: true,
         message: 'Physical examination updated successfully',
@@ -533,11 +1204,7 @@ router.put(
       });
     } catch (error) {
       console.error('Update physical examination error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update physical examination',
-        error: error.message
-      });
+      respondToUpdateError(res, error, 'Failed to update physical examination');
     }
   }
 );
@@ -548,20 +1215,24 @@ router.put(
 router.put(
   '/:recordId/assessment',
   authenticateToken,
+  auditAccess('record.update_assessment'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
+  validateAssessment,
   async (req, res) => {
     try {
       const { recordId } = req.params;
-      const { assessment } = req.body;
-
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $set: { assessment } },
-          { new: true, runValidators: true }
-        )
+
+      const coding = await codeRecordAssessment(res, req.body.assessment);
+      if (!coding) return;
+
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.set({ assessment: coding.assessment });
+        },
+        historyContext(req, 'update_assessment')
       );
 
       if (!updatedRecord) {
@@ -571,20 +1242,19 @@ router.put(
         });
       }
 
+      await populateRecord(updatedRecord);
+
       res.json({
         success: true,
         message: 'Assessment updated successfully',
         data: {
-          record: updatedRecord
+          record: updatedRecord,
+          codingWarnings: coding.warnings
         }
       });
     } catch (error) {
       console.error('Update assessment error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update assessment',
-        error: error.message
-      });
+      respondToUpdateError(res, error, 'Failed to update assessment');
     }
   }
 );
@@ -595,20 +1265,36 @@ router.put(
 router.put(
   '/:recordId/treatment',
   authenticateToken,
+  auditAccess('record.update_treatment'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
   async (req, res) => {
     try {
       const { recordId } = req.params;
-      const { treatment } = req.body;
-
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $set: { treatment } },
-          { new: true, runValidators: true }
-        )
+      const { overrideReason } = req.body;
+      const treatment = keepTreatmentLinks(req.body.treatment, req.medicalRecord.treatment);
+
+      const medicationChecks = await checkRecordMedications(
+        req,
+        res,
+        req.medicalRecord.patient,
+        treatment?.medications,
+        req.medicalRecord.treatment?.medications
+      );
+      if (!medicationChecks) return;
+
+      const context = historyContext(req, 'update_treatment');
+      if (medicationChecks.blocking) {
+        context.reason = [context.reason, `Safety override: ${overrideReason}`].filter(Boolean).join(' - ');
+      }
+
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.set({ treatment: keepTreatmentLinks(treatment, record.treatment) });
+        },
+        context
       );
 
       if (!updatedRecord) {
@@ -618,20 +1304,22 @@ router.put(
         });
       }
 
+      // Follow-up dates create or move pending appointments
+      await syncFollowUpAppointments(updatedRecord, req.user._id);
+
+      await populateRecord(updatedRecord);
+
       res.json({
         success: true,
         message: 'Treatment updated successfully',
         data: {
-          record: updatedRecord
+          record: updatedRecord,
+          medicationChecks
         }
       });
     } catch (error) {
       console.error('Update treatment error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update treatment',
-        error: error.message
-      });
+      respondToUpdateError(res, error, 'Failed to update treatment');
     }
   }
 );
@@ -642,29 +1330,39 @@ router.put(
 router.post(
   '/:recordId/laboratory-results',
   authenticateToken,
+  auditAccess('record.add_laboratory_result'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
+  validateLaboratoryResult,
   async (req, res) => {
     try {
       const { recordId } = req.params;
-      const { laboratoryResult } = req.body;
+      let { laboratoryResult } = req.body;
 
-      if (!laboratoryResult || !laboratoryResult.testName) {
+      if (!laboratoryResult || !(laboratoryResult.testName || laboratoryResult.testCode)) {
         return res.status(400).json({
           success: false,
           message: 'Laboratory result with test name is required'
         });
       }
 
-      laboratoryResult.testDate = laboratoryResult.testDate ? new Date(laboratoryResult.testDate) : new Date();
+      const { result, errors } = await prepareLabResult(laboratoryResult, req.medicalRecord.patient);
+      if (errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid laboratory result',
+          errors
+        });
+      }
+      laboratoryResult = result;
 
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $push: { laboratoryResults: laboratoryResult } },
-          { new: true, runValidators: true }
-        )
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.laboratoryResults.push(laboratoryResult);
+        },
+        historyContext(req, 'add_laboratory_result')
       );
 
       if (!updatedRecord) {
@@ -674,20 +1372,27 @@ router.post(
         });
       }
 
+      const addedResult = updatedRecord.laboratoryResults[updatedRecord.laboratoryResults.length - 1];
+      const [alert = null] = await alertCriticalResults(updatedRecord, [addedResult], req.user);
+
+      if (alert) {
+        setAuditTarget(res, { details: { criticalAlert: alert._id } });
+      }
+
+      await populateRecord(updatedRecord);
+
       res.status(201).json({
         success: true,
         message: 'Laboratory result added successfully',
         data: {
-          record: updatedRecord
+          record: updatedRecord,
+          laboratoryResult: addedResult,
+          alert
         }
       });
     } catch (error) {
       console.error('Add laboratory result error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to add laboratory result',
-        error: error.message
-      });
+      respondToUpdateError(res, error, 'Failed to add laboratory result');
     }
   }
 );
@@ -698,6 +1403,7 @@ router.post(
 router.post(
   '/:recordId/imaging-results',
   authenticateToken,
+  auditAccess('record.add_imaging_result'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
@@ -714,13 +1420,15 @@ router.post(
       }
 
       imagingResult.studyDate = imagingResult.studyDate ? new Date(imagingResult.studyDate) : new Date();
+      // Images are linked by uploading attachments against the result
+      imagingResult.images = [];
 
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $push: { imagingResults: imagingResult } },
-          { new: true, runValidators: true }
-        )
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.imagingResults.push(imagingResult);
+        },
+        historyContext(req, 'add_imaging_result')
       );
 
       if (!updatedRecord) {
@@ -730,6 +1438,8 @@ router.post(
         });
       }
 
+      await populateRecord(updatedRecord);
+
       res.status(201).json({
         success: true,
         message: 'Imaging result added successfully',
@@ -739,11 +1449,7 @@ router.post(
       });
     } catch (error) {
       console.error('Add imaging result error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to add imaging result',
-        error: error.message
-      });
+      respondToUpdateError(res, error, 'Failed to add imaging result');
     }
   }
 );
@@ -754,6 +1460,7 @@ router.post(
 router.post(
   '/:recordId/nursing-notes',
   authenticateToken,
+  auditAccess('record.add_nursing_note'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
@@ -771,12 +1478,12 @@ router.post(
 
       nursingNote.date = nursingNote.date ? new Date(nursingNote.date) : new Date();
 
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $push: { nursingNotes: nursingNote } },
-          { new: true, runValidators: true }
-        )
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.nursingNotes.push(nursingNote);
+        },
+        historyContext(req, 'add_nursing_note')
       );
 
       if (!updatedRecord) {
@@ -786,30 +1493,228 @@ router.post(
         });
       }
 
+      // Vitals taken with the note join the patient's vitals series
+      const addedNote = updatedRecord.nursingNotes[updatedRecord.nursingNotes.length - 1];
+      const tracked = addedNote.vitalSigns
+        ? await recordVitals(updatedRecord, addedNote.vitalSigns, {
+          source: 'nursing_note',
+          sourceId: addedNote._id,
+          recordedAt: addedNote.date,
+          recordedBy: req.user
+        })
+        : null;
+
+      await populateRecord(updatedRecord);
+
       res.status(201).json({
         success: true,
         message: 'Nursing note added successfully',
         data: {
-          record: updatedRecord
+          record: updatedRecord,
+          news2: tracked?.observation.news2 || null,
+          alert: tracked?.alert || null
         }
       });
     } catch (error) {
       console.error('Add nursing note error:', error);
+      respondToUpdateError(res, error, 'Failed to add nursing note');
+    }
+  }
+);
+
+// @route   POST /api/medical-records/:recordId/attachments
+// @desc    Upload a file attachment (multipart field "file"); pass imagingResultId to link it to an imaging result
+// @access  Private (Medical personnel, Admin)
+router.post(
+  '/:recordId/attachments',
+  authenticateToken,
+  auditAccess('record.add_attachment'),
+  authorize('medical_personnel', 'admin'),
+  canAccessMedicalRecord,
+  validateObjectId('recordId'),
+  uploadAttachment,
+  validateAttachment,
+  async (req, res) => {
+    const storage = getStorage();
+    let storageKey;
+
+    try {
+      const { recordId } = req.params;
+      const { category, description, imagingResultId } = req.body;
+
+      if (imagingResultId && !req.medicalRecord.imagingResults.id(imagingResultId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Imaging result not found on this record'
+        });
+      }
+
+      const attachmentId = new mongoose.Types.ObjectId();
+      const extension = path.extname(req.file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+      storageKey = `medical-records/${recordId}/${attachmentId}${extension}`;
+
+      await storage.put(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+
+      const attachment = {
+        _id: attachmentId,
+        filename: req.file.originalname,
+        fileType: req.file.mimetype,
+        filePath: storageKey,
+        storageDriver: storage.driver,
+        size: req.file.size,
+        checksum: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+        category: imagingResultId ? 'imaging' : category,
+        description,
+        imagingResult: imagingResultId,
+        uploadedBy: req.user._id,
+        uploadDate: new Date()
+      };
+
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.attachments.push(attachment);
+          if (imagingResultId) {
+            record.imagingResults.id(imagingResultId).images.push(attachmentUrl(recordId, attachmentId));
+          }
+        },
+        historyContext(req, 'add_attachment')
+      );
+
+      if (!updatedRecord) {
+        await storage.remove(storageKey);
+        return res.status(404).json({
+          success: false,
+          message: 'Medical record not found'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Attachment uploaded successfully',
+        data: {
+          attachment: updatedRecord.attachments.id(attachmentId),
+          downloadUrl: attachmentUrl(recordId, attachmentId)
+        }
+      });
+    } catch (error) {
+      console.error('Upload attachment error:', error);
+      if (storageKey) {
+        storage.remove(storageKey).catch((cleanupError) => {
+          console.error('Attachment cleanup error:', cleanupError);
+        });
+      }
+      respondToUpdateError(res, error, 'Failed to upload attachment');
+    }
+  }
+);
+
+// @route   GET /api/medical-records/:recordId/attachments/:attachmentId
+// @desc    Download a file attachment
+// @access  Private (Patient - own records, Medical personnel, Admin)
+router.get(
+  '/:recordId/attachments/:attachmentId',
+  authenticateToken,
+  auditAccess('record.download_attachment'),
+  canAccessMedicalRecord,
+  validateObjectId('recordId'),
+  validateObjectId('attachmentId'),
+  async (req, res) => {
+    try {
+      const attachment = req.medicalRecord.attachments.id(req.params.attachmentId);
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      const stream = await getStorage().get(attachment.filePath);
+
+      res.setHeader('Content-Type', attachment.fileType || 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename.replace(/"/g, '')}"`);
+      if (attachment.size) res.setHeader('Content-Length', attachment.size);
+      if (attachment.checksum) res.setHeader('X-Checksum-SHA256', attachment.checksum);
+
+      stream.on('error', (streamError) => {
+        console.error('Attachment stream error:', streamError);
+        res.destroy(streamError);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Download attachment error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to add nursing note',
+        message: 'Failed to download attachment',
         error: error.message
       });
     }
   }
 );
 
+// @route   DELETE /api/medical-records/:recordId/attachments/:attachmentId
+// @desc    Delete a file attachment
+// @access  Private (Medical personnel, Admin)
+router.delete(
+  '/:recordId/attachments/:attachmentId',
+  authenticateToken,
+  auditAccess('record.delete_attachment'),
+  authorize('medical_personnel', 'admin'),
+  canAccessMedicalRecord,
+  validateObjectId('recordId'),
+  validateObjectId('attachmentId'),
+  async (req, res) => {
+    try {
+      const { recordId, attachmentId } = req.params;
+      const attachment = req.medicalRecord.attachments.id(attachmentId);
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      const url = attachmentUrl(recordId, attachmentId);
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.attachments.pull(attachmentId);
+          record.imagingResults.forEach((imagingResult) => {
+            imagingResult.images = imagingResult.images.filter((image) => image !== url);
+          });
+        },
+        historyContext(req, 'delete_attachment')
+      );
+
+      if (!updatedRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medical record not found'
+        });
+      }
+
+      await getStorage().remove(attachment.filePath);
+
+      res.json({
+        success: true,
+        message: 'Attachment deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete attachment error:', error);
+      respondToUpdateError(res, error, 'Failed to delete attachment');
+    }
+  }
+);
+
 // @route   PUT /api/medical-records/:recordId/discharge
 // @desc    Update discharge information
 // @access  Private (Medical personnel, Admin)
 router.put(
   '/:recordId/discharge',
   authenticateToken,
+  auditAccess('record.update_discharge'),
   authorize('medical_personnel', 'admin'),
   canAccessMedicalRecord,
   validateObjectId('recordId'),
@@ -830,12 +1735,12 @@ router.put(
         updateData.status = 'completed';
       }
 
-      const updatedRecord = await populateRecord(
-        MedicalRecord.findByIdAndUpdate(
-          recordId,
-          { $set: updateData },
-          { new: true, runValidators: true }
-        )
+      const updatedRecord = await updateRecordWithHistory(
+        recordId,
+        (record) => {
+          record.set(updateData);
+        },
+        historyContext(req, 'update_discharge')
       );
 
       if (!updatedRecord) {
@@ -845,6 +1750,11 @@ router.put(
         });
       }
 
+      // Follow-up dates create or move pending appointments
+      await syncFollowUpAppointments(updatedRecord, req.user._id);
+
+      await populateRecord(updatedRecord);
+
       res.json({
         success: true,
         message: 'Discharge information updated successfully',
@@ -854,11 +1764,7 @@ router.put(
       });
     } catch (error) {
       console.error('Update discharge information error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update discharge information',
-        error: error.message
-      });
+      respondToUpdateError(res, error, 'Failed to update discharge information');
     }
   }
 );
@@ -0,0 +1,246 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { processOutbox } = require('../services/notifications');
+const { validatePagination, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get the current user's in-app notifications (?unread=true for unread only)
+// @access  Private
+router.get('/', authenticateToken, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const query = { user: req.user._id, channel: 'in_app' };
+    if (unread === 'true') query.readAt = null;
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select('template subject body readAt createdAt')
+        .sort({ createdAt: -1 })
+        .limit(perPage)
+        .skip((currentPage - 1) * perPage),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user._id, channel: 'in_app', readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's in-app notifications as read
+// @access  Private
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, channel: 'in_app', readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:notificationId/read
+// @desc    Mark an in-app notification as read
+// @access  Private
+router.put('/:notificationId/read', authenticateToken, validateObjectId('notificationId'), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, user: req.user._id, channel: 'in_app' },
+      { readAt: new Date() },
+      { new: true }
+    ).select('template subject body readAt createdAt');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/outbox
+// @desc    Inspect the notification outbox (filter by status, channel, template)
+// @access  Private (Admin)
+router.get('/outbox', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, channel, template } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+    if (template) query.template = template;
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    // Message bodies may carry links or clinical details, so they are left out
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .select('-body -data')
+        .sort({ createdAt: -1 })
+        .limit(perPage)
+        .skip((currentPage - 1) * perPage),
+      Notification.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notification outbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notification outbox',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/notifications/outbox/process
+// @desc    Send everything due in the outbox now
+// @access  Private (Admin)
+router.post('/outbox/process', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const processed = await processOutbox();
+
+    res.json({
+      success: true,
+      message: 'Outbox processed',
+      data: {
+        processed
+      }
+    });
+  } catch (error) {
+    console.error('Process notification outbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process notification outbox',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/notifications/outbox/:notificationId/retry
+// @desc    Queue a failed notification for another round of attempts
+// @access  Private (Admin)
+router.post(
+  '/outbox/:notificationId/retry',
+  authenticateToken,
+  requireAdmin,
+  validateObjectId('notificationId'),
+  async (req, res) => {
+    try {
+      const notification = await Notification.findById(req.params.notificationId);
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      if (notification.status !== 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only failed notifications can be retried'
+        });
+      }
+
+      // Sensitive bodies are cleared when delivery ends and cannot be resent
+      if (notification.sensitive) {
+        return res.status(400).json({
+          success: false,
+          message: 'This notification contained sensitive content and cannot be resent'
+        });
+      }
+
+      notification.status = 'queued';
+      notification.attempts = 0;
+      notification.nextAttemptAt = new Date();
+      notification.lastError = undefined;
+      await notification.save();
+
+      res.json({
+        success: true,
+        message: 'Notification queued for retry',
+        data: {
+          notification: {
+            id: notification._id,
+            status: notification.status,
+            nextAttemptAt: notification.nextAttemptAt
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Retry notification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retry notification',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,411 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const PatientDuplicate = require('../models/PatientDuplicate');
+const PatientMerge = require('../models/PatientMerge');
+const User = require('../models/User');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const { flagDuplicates } = require('../services/patientMatching');
+const { mergePatients, revertMerge } = require('../services/patientMerge');
+const {
+  validatePatientMerge,
+  validateMergeRevert,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+const PATIENT_SUMMARY_FIELDS = 'patientId biodata.firstName biodata.lastName biodata.middleName biodata.dateOfBirth biodata.gender biodata.contact.phone biodata.address.lga biodata.address.state primaryHospital isActive mergedInto';
+
+const populateDuplicate = (queryOrDocument) => {
+  return queryOrDocument.populate([
+    { path: 'patient', select: PATIENT_SUMMARY_FIELDS, populate: { path: 'primaryHospital', select: 'name' } },
+    { path: 'candidate', select: PATIENT_SUMMARY_FIELDS, populate: { path: 'primaryHospital', select: 'name' } },
+    { path: 'resolvedBy', select: 'email profile.firstName profile.lastName' }
+  ]);
+};
+
+const populateMerge = (queryOrDocument) => {
+  return queryOrDocument.populate([
+    { path: 'survivor', select: PATIENT_SUMMARY_FIELDS },
+    { path: 'merged', select: PATIENT_SUMMARY_FIELDS },
+    { path: 'performedBy', select: 'email profile.firstName profile.lastName' },
+    { path: 'revertedBy', select: 'email profile.firstName profile.lastName' }
+  ]);
+};
+
+// @route   GET /api/patient-duplicates
+// @desc    List probable duplicate patients (filter by status, default open, and minScore)
+// @access  Private (Admin)
+router.get('/', authenticateToken, auditAccess('patient.duplicate_list'), requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'open', patientId, minScore } = req.query;
+    const query = { status };
+
+    if (minScore) query.score = { $gte: parseInt(minScore, 10) || 0 };
+
+    if (patientId && mongoose.Types.ObjectId.isValid(patientId)) {
+      query.$or = [{ patient: patientId }, { candidate: patientId }];
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [duplicates, total] = await Promise.all([
+      populateDuplicate(
+        PatientDuplicate.find(query)
+          .sort({ score: -1, createdAt: -1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage)
+      ),
+      PatientDuplicate.countDocuments(query)
+    ]);
+    setAuditTarget(res, { patients: duplicates.flatMap((duplicate) => [duplicate.patient, duplicate.candidate]) });
+
+    res.json({
+      success: true,
+      data: {
+        duplicates,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get patient duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get patient duplicates',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/patient-duplicates/scan
+// @desc    Scan active patients (optionally those registered at ?hospitalId=) for duplicates
+// @access  Private (Admin)
+router.post('/scan', authenticateToken, auditAccess('patient.duplicate_scan'), requireAdmin, async (req, res) => {
+  try {
+    const { hospitalId } = req.query;
+    const query = { isActive: true, mergedInto: null };
+
+    if (hospitalId) {
+      if (!mongoose.Types.ObjectId.isValid(hospitalId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid hospital ID is required'
+        });
+      }
+      query['registeredHospitals.hospital'] = hospitalId;
+    }
+
+    const openBefore = await PatientDuplicate.countDocuments({ status: 'open' });
+    let scanned = 0;
+
+    const cursor = Patient.find(query).select('patientId biodata').cursor();
+    for (let patient = await cursor.next(); patient; patient = await cursor.next()) {
+      await flagDuplicates(patient, 'scan');
+      scanned += 1;
+    }
+
+    const open = await PatientDuplicate.countDocuments({ status: 'open' });
+
+    setAuditTarget(res, { details: { hospitalId, scanned, newlyFlagged: open - openBefore } });
+
+    res.json({
+      success: true,
+      message: 'Duplicate scan completed',
+      data: {
+        scanned,
+        newlyFlagged: open - openBefore,
+        open
+      }
+    });
+  } catch (error) {
+    console.error('Scan patient duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scan for duplicate patients',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/patient-duplicates/:duplicateId/dismiss
+// @desc    Mark a flagged pair as not the same person
+// @access  Private (Admin)
+router.put(
+  '/:duplicateId/dismiss',
+  authenticateToken,
+  auditAccess('patient.duplicate_dismiss'),
+  requireAdmin,
+  validateObjectId('duplicateId'),
+  async (req, res) => {
+    try {
+      const duplicate = await PatientDuplicate.findById(req.params.duplicateId);
+
+      if (!duplicate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Duplicate flag not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: [duplicate.patient, duplicate.candidate], details: { duplicate: duplicate._id } });
+
+      if (duplicate.status !== 'open') {
+        return res.status(400).json({
+          success: false,
+          message: `Duplicate flag is already ${duplicate.status}`
+        });
+      }
+
+      duplicate.status = 'dismissed';
+      duplicate.resolvedBy = req.user._id;
+      duplicate.resolvedAt = new Date();
+      duplicate.notes = req.body.notes;
+      await duplicate.save();
+      await populateDuplicate(duplicate);
+
+      res.json({
+        success: true,
+        message: 'Duplicate flag dismissed',
+        data: {
+          duplicate
+        }
+      });
+    } catch (error) {
+      console.error('Dismiss patient duplicate error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to dismiss duplicate flag',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   POST /api/patient-duplicates/merge
+// @desc    Merge a duplicate patient into the surviving patient
+// @access  Private (Admin)
+router.post(
+  '/merge',
+  authenticateToken,
+  auditAccess('patient.merge'),
+  requireAdmin,
+  validatePatientMerge,
+  async (req, res) => {
+    try {
+      const { survivorId, mergedId, reason } = req.body;
+
+      const [survivor, merged] = await Promise.all([
+        Patient.findById(survivorId),
+        Patient.findById(mergedId)
+      ]);
+
+      if (!survivor || !merged) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: [survivor, merged] });
+
+      if (!survivor.isActive || !merged.isActive || survivor.mergedInto || merged.mergedInto) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only active patients that have not been merged can be merged'
+        });
+      }
+
+      // A patient can have only one linked account, so two accounts can't both move to the survivor
+      const linkedAccounts = await User.countDocuments({ patient: { $in: [survivor._id, merged._id] } });
+      if (linkedAccounts > 1) {
+        return res.status(409).json({
+          success: false,
+          message: 'Both patients have linked accounts, and a patient can only have one - they cannot be merged'
+        });
+      }
+
+      const duplicate = await PatientDuplicate.findOne({
+        pairKey: PatientDuplicate.pairKeyFor(survivor._id, merged._id)
+      });
+
+      const { merge, status, message } = await mergePatients({ survivor, merged, user: req.user, reason, duplicate });
+
+      if (!merge) {
+        return res.status(status).json({
+          success: false,
+          message
+        });
+      }
+
+      setAuditTarget(res, {
+        medicalRecords: merge.moved.medicalRecords,
+        details: { merge: merge._id, survivor: survivor.patientId, merged: merged.patientId }
+      });
+      await populateMerge(merge);
+
+      res.status(201).json({
+        success: true,
+        message: `Patient ${merged.patientId} merged into ${survivor.patientId}`,
+        data: {
+          merge
+        }
+      });
+    } catch (error) {
+      console.error('Merge patients error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to merge patients',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/patient-duplicates/merges
+// @desc    Merge log (filter by ?patientId= on either side)
+// @access  Private (Admin)
+router.get('/merges', authenticateToken, auditAccess('patient.merge_list'), requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, patientId, status } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (patientId && mongoose.Types.ObjectId.isValid(patientId)) {
+      query.$or = [{ survivor: patientId }, { merged: patientId }];
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [merges, total] = await Promise.all([
+      populateMerge(
+        PatientMerge.find(query)
+          .sort({ createdAt: -1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage)
+      ),
+      PatientMerge.countDocuments(query)
+    ]);
+    setAuditTarget(res, { patients: merges.flatMap((merge) => [merge.survivor, merge.merged]) });
+
+    res.json({
+      success: true,
+      data: {
+        merges,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get patient merges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get patient merges',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/patient-duplicates/merges/:mergeId
+// @desc    Get a merge with everything it moved
+// @access  Private (Admin)
+router.get('/merges/:mergeId', authenticateToken, auditAccess('patient.merge_read'), requireAdmin, validateObjectId('mergeId'), async (req, res) => {
+  try {
+    const merge = await populateMerge(PatientMerge.findById(req.params.mergeId));
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merge not found'
+      });
+    }
+
+    setAuditTarget(res, { patients: [merge.survivor, merge.merged], details: { merge: merge._id } });
+
+    res.json({
+      success: true,
+      data: {
+        merge
+      }
+    });
+  } catch (error) {
+    console.error('Get patient merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get patient merge',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/patient-duplicates/merges/:mergeId/revert
+// @desc    Revert a merge, moving everything back to the reactivated duplicate
+// @access  Private (Admin)
+router.post(
+  '/merges/:mergeId/revert',
+  authenticateToken,
+  auditAccess('patient.unmerge'),
+  requireAdmin,
+  validateObjectId('mergeId'),
+  validateMergeRevert,
+  async (req, res) => {
+    try {
+      const merge = await PatientMerge.findById(req.params.mergeId);
+
+      if (!merge) {
+        return res.status(404).json({
+          success: false,
+          message: 'Merge not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: [merge.survivor, merge.merged], details: { merge: merge._id } });
+
+      if (merge.status !== 'merged') {
+        return res.status(400).json({
+          success: false,
+          message: 'Merge has already been reverted'
+        });
+      }
+
+      const { merge: reverted, status, message } = await revertMerge(merge, { user: req.user, reason: req.body.reason });
+
+      if (!reverted) {
+        return res.status(status).json({
+          success: false,
+          message
+        });
+      }
+
+      await populateMerge(reverted);
+
+      res.json({
+        success: true,
+        message: 'Merge reverted',
+        data: {
+          merge: reverted
+        }
+      });
+    } catch (error) {
+      console.error('Revert patient merge error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revert patient merge',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,15 +1,54 @@
 const express = require('express');
 const Patient = require('../models/Patient');
 const Hospital = require('../models/Hospital');
-const { authenticateToken, authorize, canAccessPatient, requireMedicalPersonnel } = require('../middleware/auth');
+const User = require('../models/User');
+const MedicalRecord = require('../models/MedicalRecord');
+const { authenticateToken, authorize, canAccessPatient, canAccessPatientSummary, requireMedicalPersonnel } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const { findDuplicates, flagDuplicates } = require('../services/patientMatching');
+const { parsePatientId } = require('../utils/patientId');
+const { isLegacyQrCode } = require('../services/qrTokens');
+const { PARAMETERS: VITAL_PARAMETERS, vitalsSeries } = require('../services/vitals');
 const { validatePatient, validatePagination, validateObjectId, validateSearch, validateDateRange } = require('../middleware/validation');
 
 const router = express.Router();
 
+const summarizeMatch = (match) => ({
+  id: match.patient._id,
+  patientId: match.patient.patientId,
+  name: `${match.patient.biodata.firstName} ${match.patient.biodata.lastName}`,
+  score: match.score,
+  reasons: match.reasons
+});
+
+// Top-level paths clients may set when registering or updating a patient. Everything else is
+// server-managed: patient IDs come from the allocator, QR tokens from services/qrTokens, merge
+// and account claim state from their own routes, hospitals from register-hospital.
+const EDITABLE_PATIENT_FIELDS = [
+  'biodata',
+  'medicalHistory',
+  'presentingComplaints',
+  'emergencySubscription',
+  'hmoProvider',
+  'accessLevel',
+  'notes'
+];
+
+// Dotted paths (e.g. "biodata.contact.phone") are kept when they sit under an editable field;
+// update operators and any other path are dropped
+const pickEditablePatientFields = (body = {}) => {
+  return Object.keys(body).reduce((fields, key) => {
+    if (EDITABLE_PATIENT_FIELDS.includes(key.split('.')[0])) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
 // @route   GET /api/patients
 // @desc    Get all patients with filtering and pagination
 // @access  Private (Medical personnel, Admin)
-router.get('/', authenticateToken, authorize('medical_personnel', 'admin'), validatePagination, async (req, res) => {
+router.get('/', authenticateToken, auditAccess('patient.list'), authorize('medical_personnel', 'admin'), validatePagination, async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -45,7 +84,8 @@ router.get('/', authenticateToken, authorize('medical_personnel', 'admin'), vali
         { 'biodata.firstName': new RegExp(search, 'i') },
         { 'biodata.lastName': new RegExp(search, 'i') },
         { 'biodata.contact.phone': new RegExp(search, 'i') },
-        { patientId: new RegExp(search, 'i') }
+        { patientId: new RegExp(search, 'i') },
+        { previousPatientIds: new RegExp(search, 'i') }
       ];
     }
 
@@ -64,6 +104,8 @@ router.get('/', authenticateToken, authorize('medical_personnel', 'admin'), vali
 
     const total = await Patient.countDocuments(query);
 
+    setAuditTarget(res, { patients });
+
     res.json({
       success: true,
       data: {
@@ -85,15 +127,65 @@ router.get('/', authenticateToken, authorize('medical_personnel', 'admin'), vali
   }
 });
 
+// @route   GET /api/patients/lookup?patientId=
+// @desc    Find a patient by the patient ID printed on their card, checking it for typos
+// @access  Private (Medical personnel, Admin)
+router.get('/lookup', authenticateToken, auditAccess('patient.lookup'), authorize('medical_personnel', 'admin'), async (req, res) => {
+  try {
+    const parsed = parsePatientId(req.query.patientId);
+
+    if (!parsed || !parsed.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is not valid, please check it for typos'
+      });
+    }
+
+    const patient = await Patient.findByPatientId(req.query.patientId, { isActive: true })
+      .select('patientId previousPatientIds biodata.firstName biodata.lastName biodata.middleName biodata.dateOfBirth biodata.gender primaryHospital')
+      .populate('primaryHospital', 'name');
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    setAuditTarget(res, { patients: patient });
+
+    res.json({
+      success: true,
+      data: {
+        patient
+      }
+    });
+  } catch (error) {
+    console.error('Lookup patient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up patient',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/patients/:id
 // @desc    Get single patient by ID
 // @access  Private (Medical personnel, Admin, Patient - own records only)
-router.get('/:id', authenticateToken, canAccessPatient, validateObjectId('id'), async (req, res) => {
+router.get('/:id', authenticateToken, auditAccess('patient.read', { patientParam: 'id' }), canAccessPatientSummary, validateObjectId('id'), async (req, res) => {
   try {
-    const patient = await Patient.findById(req.params.id)
+    const query = Patient.findById(req.params.id)
       .populate('primaryHospital', 'name address contact')
       .populate('registeredHospitals.hospital', 'name address contact');
 
+    // Emergency summary consents only expose identification and critical history
+    if (req.patientAccess?.consent?.scope === 'emergency_summary') {
+      query.select(Patient.EMERGENCY_SUMMARY_FIELDS);
+    }
+
+    const patient = await query;
+
     if (!patient) {
       return res.status(404).json({
         success: false,
@@ -117,12 +209,62 @@ router.get('/:id', authenticateToken, canAccessPatient, validateObjectId('id'),
   }
 });
 
+// @route   GET /api/patients/:id/vitals
+// @desc    Vital signs series across all the patient's records, oldest first, with NEWS2 scores
+// @access  Private (Medical personnel, Admin, Patient - own records only)
+router.get('/:id/vitals', authenticateToken, auditAccess('patient.read_vitals', { patientParam: 'id' }), canAccessPatient, validateObjectId('id'), validateDateRange, async (req, res) => {
+  try {
+    const { startDate, endDate, parameters, limit } = req.query;
+
+    // ?parameters=heartRate,temperature narrows the values returned
+    const selected = parameters ? String(parameters).split(',').map((parameter) => parameter.trim()) : VITAL_PARAMETERS;
+    const unknown = selected.filter((parameter) => !VITAL_PARAMETERS.includes(parameter));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown vital sign parameters: ${unknown.join(', ')}`,
+        parameters: VITAL_PARAMETERS
+      });
+    }
+
+    // Only observations from records the requester may see
+    const match = { patient: req.params.id };
+    if (req.patientAccess?.via !== 'break_glass') {
+      match.medicalRecord = {
+        $in: await MedicalRecord.find({ patient: req.params.id, ...MedicalRecord.visibilityFilterFor(req.user) }).distinct('_id')
+      };
+    }
+
+    const series = await vitalsSeries(match, {
+      startDate,
+      endDate,
+      parameters: selected,
+      limit: parseInt(limit, 10) || undefined
+    });
+
+    setAuditTarget(res, { medicalRecords: [...new Set(series.points.map((point) => point.medicalRecord.toString()))] });
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    console.error('Get patient vitals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get patient vitals',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/patients
 // @desc    Register new patient
 // @access  Private (Medical personnel, Admin)
-router.post('/', authenticateToken, authorize('medical_personnel', 'admin'), validatePatient, async (req, res) => {
+router.post('/', authenticateToken, auditAccess('patient.create'), authorize('medical_personnel', 'admin'), validatePatient, async (req, res) => {
   try {
     const { primaryHospitalId } = req.body;
+    const fields = pickEditablePatientFields(req.body);
 
     // Verify hospital exists if provided
     if (primaryHospitalId) {
@@ -136,7 +278,7 @@ router.post('/', authenticateToken, authorize('medical_personnel', 'admin'), val
     }
 
     // Create patient
-    const patient = new Patient(req.body);
+    const patient = new Patient(fields);
     
     if (primaryHospitalId) {
       patient.primaryHospital = primaryHospitalId;
@@ -148,6 +290,14 @@ router.post('/', authenticateToken, authorize('medical_personnel', 'admin'), val
     }
 
     await patient.save();
+    setAuditTarget(res, { patients: patient });
+
+    // Registration goes through even if duplicate detection fails
+    const duplicates = await flagDuplicates(patient, 'registration').catch((error) => {
+      console.error('Flag duplicates error:', error);
+      return [];
+    });
+
     await patient.populate('primaryHospital', 'name address');
     await patient.populate('registeredHospitals.hospital', 'name address');
 
@@ -155,7 +305,8 @@ router.post('/', authenticateToken, authorize('medical_personnel', 'admin'), val
       success: true,
       message: 'Patient registered successfully',
       data: {
-        patient
+        patient,
+        possibleDuplicates: duplicates.map(summarizeMatch)
       }
     });
   } catch (error) {
@@ -171,11 +322,11 @@ router.post('/', authenticateToken, authorize('medical_personnel', 'admin'), val
 // @route   PUT /api/patients/:id
 // @desc    Update patient information
 // @access  Private (Medical personnel, Admin)
-router.put('/:id', authenticateToken, authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
+router.put('/:id', authenticateToken, auditAccess('patient.update', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
   try {
     const patient = await Patient.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      pickEditablePatientFields(req.body),
       { new: true, runValidators: true }
     )
     .populate('primaryHospital', 'name address')
@@ -208,7 +359,7 @@ router.put('/:id', authenticateToken, authorize('medical_personnel', 'admin'), v
 // @route   DELETE /api/patients/:id
 // @desc    Deactivate patient (soft delete)
 // @access  Private (Medical personnel, Admin)
-router.delete('/:id', authenticateToken, authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
+router.delete('/:id', authenticateToken, auditAccess('patient.deactivate', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
   try {
     const patient = await Patient.findByIdAndUpdate(
       req.params.id,
@@ -240,7 +391,7 @@ router.delete('/:id', authenticateToken, authorize('medical_personnel', 'admin')
 // @route   POST /api/patients/:id/register-hospital
 // @desc    Register patient at a hospital
 // @access  Private (Medical personnel, Admin)
-router.post('/:id/register-hospital', authenticateToken, authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
+router.post('/:id/register-hospital', authenticateToken, auditAccess('patient.register_hospital', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
   try {
     const { hospitalId } = req.body;
 
@@ -268,25 +419,14 @@ router.post('/:id/register-hospital', authenticateToken, authorize('medical_pers
       });
     }
 
-    // Check if already registered
-    const existingRegistration = patient.registeredHospitals.find(
-      reg => reg.hospital.toString() === hospitalId && reg.isActive
-    );
-
-    if (existingRegistration) {
+    // Add hospital registration unless already registered
+    if (!patient.registerAtHospital(hospitalId)) {
       return res.status(400).json({
         success: false,
         message: 'Patient already registered at this hospital'
       });
     }
 
-    // Add hospital registration
-    patient.registeredHospitals.push({
-      hospital: hospitalId,
-      registrationDate: new Date(),
-      isActive: true
-    });
-
     await patient.save();
     await patient.populate('registeredHospitals.hospital', 'name address');
 
@@ -307,10 +447,55 @@ router.post('/:id/register-hospital', authenticateToken, authorize('medical_pers
   }
 });
 
+// @route   POST /api/patients/:id/claim-code
+// @desc    Issue a verification code the patient uses to register their account
+// @access  Private (Medical personnel, Admin)
+router.post('/:id/claim-code', authenticateToken, auditAccess('patient.issue_claim_code', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), canAccessPatient, async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id);
+
+    if (!patient || !patient.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const alreadyClaimed = await User.exists({ patient: patient._id });
+    if (alreadyClaimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient already has a linked user account'
+      });
+    }
+
+    // Issuing a new code replaces any previously issued one
+    const verificationCode = patient.createClaimCode(req.user._id);
+    await patient.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Verification code issued successfully',
+      data: {
+        patientId: patient.patientId,
+        verificationCode,
+        expiresAt: patient.accountClaim.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Issue claim code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue verification code',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/patients/:id/medical-history
 // @desc    Update patient medical history
 // @access  Private (Medical personnel, Admin)
-router.put('/:id/medical-history', authenticateToken, authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
+router.put('/:id/medical-history', authenticateToken, auditAccess('patient.update_medical_history', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
   try {
     const { medicalHistory } = req.body;
 
@@ -349,7 +534,7 @@ router.put('/:id/medical-history', authenticateToken, authorize('medical_personn
 // @route   POST /api/patients/:id/presenting-complaints
 // @desc    Add presenting complaints
 // @access  Private (Medical personnel, Admin)
-router.post('/:id/presenting-complaints', authenticateToken, authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
+router.post('/:id/presenting-complaints', authenticateToken, auditAccess('patient.add_presenting_complaint', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
   try {
     const { complaint } = req.body;
 
@@ -395,7 +580,7 @@ router.post('/:id/presenting-complaints', authenticateToken, authorize('medical_
 // @route   PUT /api/patients/:id/emergency-subscription
 // @desc    Update emergency health subscription
 // @access  Private (Medical personnel, Admin)
-router.put('/:id/emergency-subscription', authenticateToken, authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
+router.put('/:id/emergency-subscription', authenticateToken, auditAccess('patient.update_emergency_subscription', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
   try {
     const { emergencySubscription } = req.body;
 
@@ -434,7 +619,7 @@ router.put('/:id/emergency-subscription', authenticateToken, authorize('medical_
 // @route   PUT /api/patients/:id/hmo-provider
 // @desc    Update HMO provider information
 // @access  Private (Medical personnel, Admin)
-router.put('/:id/hmo-provider', authenticateToken, authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
+router.put('/:id/hmo-provider', authenticateToken, auditAccess('patient.update_hmo_provider', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
   try {
     const { hmoProvider } = req.body;
 
@@ -529,9 +714,9 @@ router.get('/stats/overview', authenticateToken, authorize('medical_personnel',
 // @route   GET /api/patients/:id/qr-code
 // @desc    Get patient QR code for limited access
 // @access  Private (Patient - own QR only, Medical personnel, Admin)
-router.get('/:id/qr-code', authenticateToken, canAccessPatient, validateObjectId('id'), async (req, res) => {
+router.get('/:id/qr-code', authenticateToken, auditAccess('patient.read_qr_code', { patientParam: 'id' }), canAccessPatient, validateObjectId('id'), async (req, res) => {
   try {
-    const patient = await Patient.findById(req.params.id).select('qrCode patientId biodata');
+    const patient = await Patient.findById(req.params.id).select('qrCode qrCodeExpiresAt patientId biodata');
     
     if (!patient) {
       return res.status(404).json({
@@ -540,11 +725,18 @@ router.get('/:id/qr-code', authenticateToken, canAccessPatient, validateObjectId
       });
     }
 
+    // Unsigned legacy codes and expired tokens no longer scan, so hand out a fresh one
+    if (isLegacyQrCode(patient.qrCode) || (patient.qrCodeExpiresAt && patient.qrCodeExpiresAt <= new Date())) {
+      patient.issueQrCode();
+      await patient.save();
+    }
+
     res.json({
       success: true,
       data: {
         qrCode: patient.qrCode,
         patientId: patient.patientId,
+        expiresAt: patient.qrCodeExpiresAt,
         accessUrl: `${process.env.QR_CODE_BASE_URL}/${patient.qrCode}`
       }
     });
@@ -558,5 +750,46 @@ router.get('/:id/qr-code', authenticateToken, canAccessPatient, validateObjectId
   }
 });
 
+// @route   GET /api/patients/:id/duplicates
+// @desc    Active patients that may be the same person
+// @access  Private (Staff at the patient's hospitals, Admin)
+router.get('/:id/duplicates', authenticateToken, auditAccess('patient.read_duplicates', { patientParam: 'id' }), authorize('medical_personnel', 'admin'), validateObjectId('id'), async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id).select('patientId biodata primaryHospital registeredHospitals');
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    // Lists other patients' identities, so only the patient's own hospitals may look
+    if (req.user.role !== 'admin' && !patient.isRegisteredAt(req.user.getHospitalId())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied - patient is not registered at your hospital'
+      });
+    }
+
+    const duplicates = await findDuplicates(patient);
+    setAuditTarget(res, { patients: [patient, ...duplicates.map((match) => match.patient)] });
+
+    res.json({
+      success: true,
+      data: {
+        duplicates: duplicates.map(summarizeMatch)
+      }
+    });
+  } catch (error) {
+    console.error('Get patient duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get possible duplicates',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,449 @@
+const express = require('express');
+const Prescription = require('../models/Prescription');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const { authenticateToken, authorize, canAccessPatient } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const { updateRecordWithHistory } = require('../services/recordHistory');
+const { resolveDrug, checkPrescription } = require('../services/prescribing');
+const {
+  validatePrescriptionCheck,
+  validatePrescription,
+  validatePrescriptionDiscontinue,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Helpers
+const isSameId = (a, b) => Boolean(a) && Boolean(b) && (a._id || a).toString() === (b._id || b).toString();
+
+const populatePrescription = (queryOrDocument) => {
+  return queryOrDocument.populate([
+    { path: 'patient', select: 'patientId biodata.firstName biodata.lastName' },
+    { path: 'hospital', select: 'name' },
+    { path: 'prescriber', select: 'email profile.firstName profile.lastName profile.department' },
+    { path: 'drug', select: 'genericName brandNames drugClass' },
+    { path: 'override.by', select: 'email profile.firstName profile.lastName' },
+    { path: 'discontinuedBy', select: 'email profile.firstName profile.lastName' }
+  ]);
+};
+
+const canViewPrescription = (user, prescription, patient) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'patient') return isSameId(user.getLinkedPatientId(), prescription.patient);
+  return patient.isRegisteredAt(user.getHospitalId()) || isSameId(user.getHospitalId(), prescription.hospital);
+};
+
+// Loads the prescription and checks access, responding and returning null on failure
+const loadPrescription = async (req, res) => {
+  const prescription = await Prescription.findById(req.params.prescriptionId);
+
+  if (!prescription) {
+    res.status(404).json({
+      success: false,
+      message: 'Prescription not found'
+    });
+    return null;
+  }
+
+  const patient = await Patient.findById(prescription.patient);
+  setAuditTarget(res, { patients: prescription.patient, medicalRecords: prescription.medicalRecord });
+
+  // Prescriptions written on a restricted record are only shown to those who can see the record
+  const recordHidden = prescription.medicalRecord && !(await MedicalRecord.exists({
+    _id: prescription.medicalRecord,
+    ...MedicalRecord.visibilityFilterFor(req.user)
+  }));
+
+  if (!patient || !canViewPrescription(req.user, prescription, patient) || recordHidden) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return prescription;
+};
+
+// Form, route and strength from the request, checked against the formulary entry
+const resolveDosageForm = (drug, { form, route, strength }) => {
+  if (!form) return { form, route, strength };
+
+  const entry = (drug.forms || []).find((candidate) => candidate.form === form && (!route || candidate.route === route));
+  if (!entry) {
+    return { error: `${drug.genericName} is not available as ${form}${route ? ` (${route})` : ''} in the formulary` };
+  }
+
+  if (strength && entry.strengths.length) {
+    const listed = entry.strengths.some((candidate) => (
+      candidate.value === Number(strength.value) && candidate.unit === strength.unit
+    ));
+    if (!listed) {
+      return { error: `${strength.value} ${strength.unit} is not a listed strength of ${drug.genericName} ${form}` };
+    }
+  }
+
+  return { form, route: route || entry.route, strength };
+};
+
+// Line added to the record's treatment plan for a prescription
+const treatmentMedication = (prescription, prescriber) => {
+  const strength = prescription.strength?.value ? ` ${prescription.strength.value} ${prescription.strength.unit}` : '';
+
+  return {
+    name: `${prescription.drugName}${strength}`,
+    dosage: `${prescription.dose.amount} ${prescription.dose.unit}`,
+    frequency: prescription.frequency,
+    duration: prescription.durationDays ? `${prescription.durationDays} days` : undefined,
+    instructions: prescription.instructions,
+    prescribedBy: prescriber.fullName,
+    prescription: prescription._id
+  };
+};
+
+// @route   POST /api/prescriptions/patient/:patientId/check
+// @desc    Check a drug against the patient's allergies and current medications without prescribing
+// @access  Private (Medical personnel, Admin)
+router.post(
+  '/patient/:patientId/check',
+  authenticateToken,
+  auditAccess('prescription.check', { patientParam: 'patientId' }),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('patientId'),
+  canAccessPatient,
+  validatePrescriptionCheck,
+  async (req, res) => {
+    try {
+      const [patient, drug] = await Promise.all([
+        Patient.findById(req.params.patientId),
+        resolveDrug(req.body.drug)
+      ]);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      if (!drug) {
+        return res.status(400).json({
+          success: false,
+          message: 'Drug not found in formulary'
+        });
+      }
+
+      const checks = await checkPrescription(drug, patient);
+
+      res.json({
+        success: true,
+        data: {
+          checks
+        }
+      });
+    } catch (error) {
+      console.error('Check prescription error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check prescription',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   POST /api/prescriptions/patient/:patientId
+// @desc    Prescribe a formulary drug; blocking safety issues need an overrideReason
+// @access  Private (Medical personnel, Admin)
+router.post(
+  '/patient/:patientId',
+  authenticateToken,
+  auditAccess('prescription.create', { patientParam: 'patientId' }),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('patientId'),
+  canAccessPatient,
+  validatePrescription,
+  async (req, res) => {
+    try {
+      const {
+        drug: drugReference,
+        medicalRecordId,
+        dose,
+        frequency,
+        durationDays,
+        quantity,
+        instructions,
+        startDate,
+        overrideReason
+      } = req.body;
+
+      const [patient, drug] = await Promise.all([
+        Patient.findById(req.params.patientId),
+        resolveDrug(drugReference)
+      ]);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      if (!drug) {
+        return res.status(400).json({
+          success: false,
+          message: 'Drug not found in formulary'
+        });
+      }
+
+      const dosageForm = resolveDosageForm(drug, req.body);
+      if (dosageForm.error) {
+        return res.status(400).json({
+          success: false,
+          message: dosageForm.error
+        });
+      }
+
+      let record;
+      if (medicalRecordId) {
+        record = await MedicalRecord.findById(medicalRecordId);
+
+        if (!record || !isSameId(record.patient, patient)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Medical record not found for this patient'
+          });
+        }
+
+        if (!MedicalRecord.hasAccessLevel(record.getAccessLevelFor(req.user), 'write')) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied - write access to this record is required'
+          });
+        }
+
+        setAuditTarget(res, { medicalRecords: record });
+      }
+
+      const checks = await checkPrescription(drug, patient);
+
+      if (checks.blocking && !overrideReason) {
+        return res.status(409).json({
+          success: false,
+          message: 'Prescription blocked by safety checks - review the issues and give an overrideReason to proceed',
+          data: {
+            checks
+          }
+        });
+      }
+
+      const hospitalId = req.user.role === 'medical_personnel'
+        ? req.user.getHospitalId()
+        : record?.hospital || patient.primaryHospital;
+
+      const prescription = await Prescription.create({
+        patient: patient._id,
+        medicalRecord: record?._id,
+        hospital: hospitalId,
+        prescriber: req.user._id,
+        drug: drug._id,
+        drugName: drug.genericName,
+        drugClass: drug.drugClass,
+        ...dosageForm,
+        dose,
+        frequency,
+        durationDays,
+        quantity,
+        instructions,
+        startDate,
+        warnings: checks.issues,
+        override: overrideReason && checks.issues.length
+          ? { reason: overrideReason, by: req.user._id, at: new Date() }
+          : undefined
+      });
+
+      setAuditTarget(res, {
+        details: { prescription: prescription._id, drug: drug.genericName },
+        flags: checks.blocking ? ['safety_override'] : []
+      });
+
+      // Keep the record's treatment plan in step with the prescription
+      if (record) {
+        await updateRecordWithHistory(
+          record._id,
+          (current) => {
+            current.treatment.medications.push(treatmentMedication(prescription, req.user));
+          },
+          { author: req.user._id, reason: `Prescribed ${drug.genericName}`, action: 'prescription' }
+        );
+      }
+
+      await populatePrescription(prescription);
+
+      res.status(201).json({
+        success: true,
+        message: checks.issues.length
+          ? 'Prescription created with warnings'
+          : 'Prescription created successfully',
+        data: {
+          prescription,
+          checks
+        }
+      });
+    } catch (error) {
+      console.error('Create prescription error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create prescription',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/prescriptions/patient/:patientId
+// @desc    Get a patient's prescriptions; ?current=true for those still being taken
+// @access  Private (Patient - own, Medical personnel, Admin)
+router.get(
+  '/patient/:patientId',
+  authenticateToken,
+  auditAccess('prescription.list', { patientParam: 'patientId' }),
+  validateObjectId('patientId'),
+  canAccessPatient,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status, current } = req.query;
+      const query = current === 'true'
+        ? Prescription.findCurrent(req.params.patientId).getFilter()
+        : { patient: req.params.patientId };
+
+      if (status && current !== 'true') query.status = status;
+
+      // Leave out prescriptions written on records the requester can't see; break-glass sees them all
+      const visibilityFilter = MedicalRecord.visibilityFilterFor(req.user);
+      if (req.patientAccess?.via !== 'break_glass' && Object.keys(visibilityFilter).length) {
+        query.medicalRecord = {
+          $nin: await MedicalRecord.find({ patient: req.params.patientId, $nor: [visibilityFilter] }).distinct('_id')
+        };
+      }
+
+      const perPage = parseInt(limit, 10);
+      const currentPage = parseInt(page, 10);
+
+      const [prescriptions, total] = await Promise.all([
+        populatePrescription(
+          Prescription.find(query)
+            .sort({ createdAt: -1 })
+            .limit(perPage)
+            .skip((currentPage - 1) * perPage)
+        ),
+        Prescription.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          prescriptions,
+          pagination: {
+            current: currentPage,
+            pages: Math.ceil(total / perPage),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get prescriptions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get prescriptions',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/prescriptions/:prescriptionId
+// @desc    Get a prescription with its safety warnings and any override
+// @access  Private (Patient - own, Medical personnel, Admin)
+router.get(
+  '/:prescriptionId',
+  authenticateToken,
+  auditAccess('prescription.read'),
+  validateObjectId('prescriptionId'),
+  async (req, res) => {
+    try {
+      const prescription = await loadPrescription(req, res);
+      if (!prescription) return;
+
+      await populatePrescription(prescription);
+
+      res.json({
+        success: true,
+        data: {
+          prescription
+        }
+      });
+    } catch (error) {
+      console.error('Get prescription error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get prescription',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/prescriptions/:prescriptionId/discontinue
+// @desc    Stop an active prescription
+// @access  Private (Medical personnel, Admin)
+router.put(
+  '/:prescriptionId/discontinue',
+  authenticateToken,
+  auditAccess('prescription.discontinue'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('prescriptionId'),
+  validatePrescriptionDiscontinue,
+  async (req, res) => {
+    try {
+      const prescription = await loadPrescription(req, res);
+      if (!prescription) return;
+
+      if (prescription.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: `Prescription is already ${prescription.status}`
+        });
+      }
+
+      prescription.status = 'discontinued';
+      prescription.discontinuedAt = new Date();
+      prescription.discontinuedBy = req.user._id;
+      prescription.discontinueReason = req.body.reason;
+      await prescription.save();
+
+      await populatePrescription(prescription);
+
+      res.json({
+        success: true,
+        message: 'Prescription discontinued',
+        data: {
+          prescription
+        }
+      });
+    } catch (error) {
+      console.error('Discontinue prescription error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to discontinue prescription',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
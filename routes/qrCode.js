@@ -1,16 +1,45 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const QRCode = require('qrcode');
 const Patient = require('../models/Patient');
 const MedicalRecord = require('../models/MedicalRecord');
+const QrRevocation = require('../models/QrRevocation');
+const QrLookupFailure = require('../models/QrLookupFailure');
+const QrBlock = require('../models/QrBlock');
 const {
   authenticateToken,
   authorize,
+  requireAdmin,
   canAccessPatient
 } = require('../middleware/auth');
-const { validateObjectId } = require('../middleware/validation');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const { qrRateLimit, blockAbusiveIps, recordQrMiss } = require('../middleware/qrAbuse');
+const {
+  validateObjectId,
+  validateQrRegenerate,
+  validateOfflineQrVerify,
+  validateIdCardBatch,
+  validatePagination
+} = require('../middleware/validation');
+const {
+  verifyQrToken,
+  revokeQrToken,
+  isLegacyQrCode,
+  acceptsLegacyQrCodes
+} = require('../services/qrTokens');
+const { renderCard, renderSheets } = require('../services/idCards');
+const {
+  isOfflineSigningEnabled,
+  publishedKeys,
+  signEmergencyPayload,
+  verifyEmergencyPayload
+} = require('../services/offlineQr');
 
 const router = express.Router();
 
+// Most ID cards printed in one batch
+const ID_CARD_BATCH_MAX = parseInt(process.env.ID_CARD_BATCH_MAX, 10) || 100;
+
 const QR_CODE_OPTIONS = {
   errorCorrectionLevel: 'M',
   type: 'image/png',
@@ -111,27 +140,113 @@ const generateQrPayload = (patient) => ({
   qrCode: patient.qrCode,
   patientId: patient.patientId,
   issuedAt: new Date().toISOString(),
+  expiresAt: patient.qrCodeExpiresAt,
   accessUrl: patient.qrCode
     ? `${process.env.QR_CODE_BASE_URL || ''}/${patient.qrCode}`
     : undefined
 });
 
-const regenerateQrForPatient = async (patient) => {
-  const timestamp = Date.now();
-  const uniqueCode = `LAMR-${patient.patientId}-${timestamp}`;
-
-  patient.qrCode = uniqueCode;
+// Issue a new signed QR code, revoking the current one
+const regenerateQrForPatient = async (patient, { user, reason = 'regenerated', expiresInDays } = {}) => {
+  await revokeQrToken({
+    tokenId: patient.qrTokenId,
+    patient: patient._id,
+    expiresAt: patient.qrCodeExpiresAt,
+    reason,
+    user
+  });
+
+  const code = patient.issueQrCode(expiresInDays ? { expiresInDays } : undefined);
   await patient.save();
 
-  return uniqueCode;
+  return code;
+};
+
+const wantsOffline = (req) => req.query.offline === 'true';
+
+// What goes in the QR image: the JSON payload, or with ?offline=true a signed emergency
+// summary scanners can verify without a connection (it carries the online code too)
+const buildQrContent = (patient, offline) => {
+  const payload = generateQrPayload(patient);
+  if (!offline) return { payload, content: JSON.stringify(payload) };
+
+  const offlineQr = signEmergencyPayload(buildPatientSnapshot(patient), {
+    qrCode: patient.qrCode,
+    qrCodeExpiresAt: patient.qrCodeExpiresAt
+  });
+  return {
+    payload: { ...payload, offlinePayload: offlineQr.payload, offlineExpiresAt: offlineQr.expiresAt },
+    content: offlineQr.payload
+  };
+};
+
+const offlineNotConfigured = (res) => res.status(503).json({
+  success: false,
+  message: 'Offline QR signing is not configured'
+});
+
+// Codes that need replacing before they are handed out again
+const needsNewQrCode = (patient) => {
+  return !patient.qrCode ||
+    isLegacyQrCode(patient.qrCode) ||
+    (patient.qrCodeExpiresAt && patient.qrCodeExpiresAt <= new Date());
+};
+
+const QR_FAILURES = {
+  expired: { status: 410, message: 'QR code has expired' },
+  revoked: { status: 410, message: 'QR code has been revoked' }
+};
+
+// Active patient a verified token was issued to, following merges to the surviving patient
+const findTokenPatient = async (patientId, select) => {
+  let patient = await Patient.findById(patientId).select(`${select} isActive mergedInto`);
+  while (patient?.mergedInto) {
+    patient = await Patient.findById(patient.mergedInto).select(`${select} isActive mergedInto`);
+  }
+  return patient?.isActive ? patient : null;
+};
+
+// Verify the scanned code's signature, expiry and revocation before any patient lookup,
+// then load the patient. Sends the error response and returns null if the code is unusable.
+const findQrPatient = async (req, res, select) => {
+  const { qrCode } = req.params;
+  let patient = null;
+  let reason = 'not_found';
+
+  if (isLegacyQrCode(qrCode)) {
+    if (acceptsLegacyQrCodes()) {
+      patient = await Patient.findByQrCode(qrCode).select(select);
+    } else {
+      reason = 'legacy_code';
+    }
+  } else {
+    const result = await verifyQrToken(qrCode);
+    if (result.valid) {
+      patient = await findTokenPatient(result.claims.sub, select);
+    } else {
+      reason = result.reason;
+    }
+  }
+
+  if (patient) return patient;
+
+  recordQrMiss(req, { route: `${req.baseUrl}${req.route.path}`, reason, code: qrCode });
+  setAuditTarget(res, { details: { reason } });
+  const failure = QR_FAILURES[reason] || { status: 404, message: 'QR code is invalid or expired' };
+  res.status(failure.status).json({
+    success: false,
+    message: failure.message
+  });
+  return null;
 };
 
 // @route   GET /api/qr/generate/:patientId
-// @desc    Generate (or retrieve existing) QR code for patient
+// @desc    Generate (or retrieve existing) QR code for patient (?offline=true embeds a signed emergency summary)
 // @access  Private (Medical personnel, Admin)
 router.get(
   '/generate/:patientId',
   authenticateToken,
+  auditAccess('qr.generate', { patientParam: 'patientId' }),
   authorize('medical_personnel', 'admin'),
   validateObjectId('patientId'),
   async (req, res) => {
@@ -145,12 +260,16 @@ router.get(
         });
       }
 
-      if (!patient.qrCode) {
-        await regenerateQrForPatient(patient);
+      if (wantsOffline(req) && !isOfflineSigningEnabled()) {
+        return offlineNotConfigured(res);
       }
 
-      const payload = generateQrPayload(patient);
-      const qrImage = await QRCode.toDataURL(JSON.stringify(payload), QR_CODE_OPTIONS);
+      if (needsNewQrCode(patient)) {
+        await regenerateQrForPatient(patient, { user: req.user });
+      }
+
+      const { payload, content } = buildQrContent(patient, wantsOffline(req));
+      const qrImage = await QRCode.toDataURL(content, QR_CODE_OPTIONS);
 
       res.json({
         success: true,
@@ -171,13 +290,15 @@ router.get(
 );
 
 // @route   POST /api/qr/regenerate/:patientId
-// @desc    Regenerate QR code for patient
+// @desc    Regenerate QR code for patient, revoking the current one (reason: regenerated, lost, compromised)
 // @access  Private (Medical personnel, Admin)
 router.post(
   '/regenerate/:patientId',
   authenticateToken,
+  auditAccess('qr.regenerate', { patientParam: 'patientId' }),
   authorize('medical_personnel', 'admin'),
   validateObjectId('patientId'),
+  validateQrRegenerate,
   async (req, res) => {
     try {
       const patient = await Patient.findById(req.params.patientId);
@@ -189,7 +310,11 @@ router.post(
         });
       }
 
-      await regenerateQrForPatient(patient);
+      await regenerateQrForPatient(patient, {
+        user: req.user,
+        reason: req.body.reason,
+        expiresInDays: req.body.expiresInDays
+      });
 
       const payload = generateQrPayload(patient);
       const qrImage = await QRCode.toDataURL(JSON.stringify(payload), QR_CODE_OPTIONS);
@@ -216,19 +341,12 @@ router.post(
 // @route   GET /api/qr/validate/:qrCode
 // @desc    Validate QR code and return basic patient info
 // @access  Public (limited response)
-router.get('/validate/:qrCode', async (req, res) => {
+router.get('/validate/:qrCode', qrRateLimit('validate'), blockAbusiveIps, auditAccess('qr.validate'), async (req, res) => {
   try {
-    const patient = await Patient.findOne({
-      qrCode: req.params.qrCode,
-      isActive: true
-    });
+    const patient = await findQrPatient(req, res, 'patientId qrCodeExpiresAt');
+    if (!patient) return;
 
-    if (!patient) {
-      return res.status(404).json({
-        success: false,
-        message: 'QR code is invalid or expired'
-      });
-    }
+    setAuditTarget(res, { patients: patient });
 
     res.json({
       success: true,
@@ -250,21 +368,16 @@ router.get('/validate/:qrCode', async (req, res) => {
 // @route   GET /api/qr/scan/:qrCode
 // @desc    Scan QR code and get limited patient snapshot
 // @access  Public (limited response)
-router.get('/scan/:qrCode', async (req, res) => {
+router.get('/scan/:qrCode', qrRateLimit('scan'), blockAbusiveIps, auditAccess('qr.scan'), async (req, res) => {
   try {
-    const patient = await Patient.findOne({
-      qrCode: req.params.qrCode,
-      isActive: true
-    }).select(
+    const patient = await findQrPatient(
+      req,
+      res,
       'patientId biodata medicalHistory emergencySubscription qrCode accessLevel updatedAt'
     );
+    if (!patient) return;
 
-    if (!patient) {
-      return res.status(404).json({
-        success: false,
-        message: 'QR code is invalid or expired'
-      });
-    }
+    setAuditTarget(res, { patients: patient });
 
     res.json({
       success: true,
@@ -286,21 +399,16 @@ router.get('/scan/:qrCode', async (req, res) => {
 // @route   GET /api/qr/patient-access/:qrCode
 // @desc    Get patient self-service access data via QR code
 // @access  Public (limited response)
-router.get('/patient-access/:qrCode', async (req, res) => {
+router.get('/patient-access/:qrCode', qrRateLimit('patient_access'), blockAbusiveIps, auditAccess('qr.patient_access'), async (req, res) => {
   try {
-    const patient = await Patient.findOne({
-      qrCode: req.params.qrCode,
-      isActive: true
-    }).select(
+    const patient = await findQrPatient(
+      req,
+      res,
       'patientId biodata medicalHistory emergencySubscription hmoProvider accessLevel updatedAt'
     );
+    if (!patient) return;
 
-    if (!patient) {
-      return res.status(404).json({
-        success: false,
-        message: 'QR code is invalid or expired'
-      });
-    }
+    setAuditTarget(res, { patients: patient });
 
     const patientSnapshot = buildPatientSnapshot(patient);
 
@@ -331,21 +439,12 @@ router.get('/patient-access/:qrCode', async (req, res) => {
 // @route   GET /api/qr/patient-records/:qrCode
 // @desc    Get limited medical records via QR code
 // @access  Public (limited response)
-router.get('/patient-records/:qrCode', async (req, res) => {
+router.get('/patient-records/:qrCode', qrRateLimit('patient_records'), blockAbusiveIps, auditAccess('qr.patient_records'), async (req, res) => {
   try {
-    const patient = await Patient.findOne({
-      qrCode: req.params.qrCode,
-      isActive: true
-    })
-      .select('patientId qrCode accessLevel')
-      .lean();
+    const patient = await findQrPatient(req, res, 'patientId qrCode accessLevel');
+    if (!patient) return;
 
-    if (!patient) {
-      return res.status(404).json({
-        success: false,
-        message: 'QR code is invalid or expired'
-      });
-    }
+    setAuditTarget(res, { patients: patient });
 
     if (patient.accessLevel === 'emergency_only') {
       return res.status(403).json({
@@ -354,9 +453,11 @@ router.get('/patient-records/:qrCode', async (req, res) => {
       });
     }
 
+    // Restricted records never appear in public summaries
     const records = await MedicalRecord.find({
       patient: patient._id,
-      status: { $ne: 'archived' }
+      status: { $ne: 'archived' },
+      'confidentiality.level': { $ne: 'restricted' }
     })
       .sort({ 'visitInfo.visitDate': -1 })
       .limit(5)
@@ -365,6 +466,8 @@ router.get('/patient-records/:qrCode', async (req, res) => {
       )
       .populate('hospital', 'name address');
 
+    setAuditTarget(res, { medicalRecords: records });
+
     res.json({
       success: true,
       data: {
@@ -384,11 +487,12 @@ router.get('/patient-records/:qrCode', async (req, res) => {
 });
 
 // @route   GET /api/qr/download/:patientId
-// @desc    Download QR code image for patient
+// @desc    Download QR code image for patient (?offline=true embeds a signed emergency summary)
 // @access  Private (Patient - own QR, Medical personnel, Admin)
 router.get(
   '/download/:patientId',
   authenticateToken,
+  auditAccess('qr.download', { patientParam: 'patientId' }),
   canAccessPatient,
   validateObjectId('patientId'),
   async (req, res) => {
@@ -402,15 +506,16 @@ router.get(
         });
       }
 
-      if (!patient.qrCode) {
-        await regenerateQrForPatient(patient);
+      if (wantsOffline(req) && !isOfflineSigningEnabled()) {
+        return offlineNotConfigured(res);
       }
 
-      const payload = generateQrPayload(patient);
-      const pngBuffer = await QRCode.toBuffer(
-        JSON.stringify(payload),
-        QR_CODE_OPTIONS
-      );
+      if (needsNewQrCode(patient)) {
+        await regenerateQrForPatient(patient, { user: req.user });
+      }
+
+      const { content } = buildQrContent(patient, wantsOffline(req));
+      const pngBuffer = await QRCode.toBuffer(content, QR_CODE_OPTIONS);
 
       res.setHeader('Content-Type', 'image/png');
       res.setHeader(
@@ -429,6 +534,364 @@ router.get(
   }
 );
 
+// @route   GET /api/qr/card/:patientId
+// @desc    Printable ID card PDF, front and back (?offline=true embeds a signed emergency summary)
+// @access  Private (Patient - own card, Medical personnel, Admin)
+router.get(
+  '/card/:patientId',
+  authenticateToken,
+  auditAccess('qr.id_card', { patientParam: 'patientId' }),
+  canAccessPatient,
+  validateObjectId('patientId'),
+  async (req, res) => {
+    try {
+      const patient = await Patient.findById(req.params.patientId);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      if (wantsOffline(req) && !isOfflineSigningEnabled()) {
+        return offlineNotConfigured(res);
+      }
+
+      if (needsNewQrCode(patient)) {
+        await regenerateQrForPatient(patient, { user: req.user });
+      }
+
+      const { content } = buildQrContent(patient, wantsOffline(req));
+      const pdf = await renderCard({ patient, qrContent: content });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${patient.patientId}-card.pdf`);
+      return res.send(pdf);
+    } catch (error) {
+      console.error('Generate ID card error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate ID card',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   POST /api/qr/cards/batch
+// @desc    A4 sheets of ID cards for a hospital's patients, by default those registered there
+//          whose card has not been printed yet (or patientIds / registeredSince)
+// @access  Private (Medical personnel - own hospital, Admin)
+router.post(
+  '/cards/batch',
+  authenticateToken,
+  auditAccess('qr.id_card_batch'),
+  authorize('medical_personnel', 'admin'),
+  validateIdCardBatch,
+  async (req, res) => {
+    try {
+      const { patientIds, registeredSince, includePrinted, offline } = req.body;
+      const hospitalId = req.user.role === 'medical_personnel' ? req.user.getHospitalId() : req.body.hospitalId;
+
+      if (!hospitalId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Hospital ID is required'
+        });
+      }
+
+      if (offline && !isOfflineSigningEnabled()) {
+        return offlineNotConfigured(res);
+      }
+
+      const registration = { hospital: hospitalId, isActive: true };
+      if (registeredSince) registration.registrationDate = { $gte: new Date(registeredSince) };
+
+      const query = {
+        isActive: true,
+        registeredHospitals: { $elemMatch: registration }
+      };
+      if (patientIds) query._id = { $in: patientIds };
+      if (!includePrinted && !patientIds) query.idCardPrintedAt = null;
+
+      const patients = await Patient.find(query)
+        .sort({ 'biodata.lastName': 1, 'biodata.firstName': 1 })
+        .limit(ID_CARD_BATCH_MAX);
+
+      if (!patients.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'No patients to print cards for'
+        });
+      }
+
+      setAuditTarget(res, { patients, details: { hospital: hospitalId, cards: patients.length } });
+
+      const entries = [];
+      for (const patient of patients) {
+        if (needsNewQrCode(patient)) {
+          await regenerateQrForPatient(patient, { user: req.user });
+        }
+        entries.push({ patient, qrContent: buildQrContent(patient, offline).content });
+      }
+
+      const pdf = await renderSheets(entries);
+
+      await Patient.updateMany(
+        { _id: { $in: patients.map((patient) => patient._id) } },
+        { idCardPrintedAt: new Date() }
+      );
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=patient-cards-${new Date().toISOString().slice(0, 10)}.pdf`);
+      res.setHeader('X-Card-Count', String(patients.length));
+      return res.send(pdf);
+    } catch (error) {
+      console.error('Generate ID card batch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate ID cards',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/qr/offline/keys
+// @desc    Public keys for verifying offline emergency QR payloads
+// @access  Public
+router.get('/offline/keys', (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.json({
+      success: true,
+      data: {
+        keys: publishedKeys()
+      }
+    });
+  } catch (error) {
+    console.error('Get offline QR keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get offline QR keys',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/qr/offline/verify
+// @desc    Verify an offline emergency QR payload and report whether its online code still works
+// @access  Public
+router.post('/offline/verify', qrRateLimit('offline_verify'), blockAbusiveIps, auditAccess('qr.offline_verify'), validateOfflineQrVerify, async (req, res) => {
+  try {
+    const result = verifyEmergencyPayload(req.body.payload);
+
+    if (!result.valid) {
+      setAuditTarget(res, { details: { reason: result.reason } });
+      return res.json({
+        success: true,
+        data: {
+          valid: false,
+          reason: result.reason
+        }
+      });
+    }
+
+    // The card itself is authentic; the online code says whether it has since been replaced
+    let online;
+    if (result.payload.q) {
+      const token = await verifyQrToken(result.payload.q);
+      online = { valid: token.valid, reason: token.reason };
+      if (token.valid) setAuditTarget(res, { patients: token.claims.sub });
+    }
+
+    setAuditTarget(res, { details: { kid: result.kid, patientId: result.patient.patientId } });
+
+    res.json({
+      success: true,
+      data: {
+        valid: true,
+        kid: result.kid,
+        patient: result.patient,
+        online
+      }
+    });
+  } catch (error) {
+    console.error('Verify offline QR payload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify offline QR payload',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/qr/abuse
+// @desc    Suspicious public QR activity: IPs with failed lookups in the last ?hours= (default 24)
+//          and at least ?minFailures= (default 3), plus blocks in that period
+// @access  Private (Admin)
+router.get('/abuse', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const hours = Math.min(parseInt(req.query.hours, 10) || 24, 24 * 7);
+    const minFailures = parseInt(req.query.minFailures, 10) || 3;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const [sources, blocks] = await Promise.all([
+      QrLookupFailure.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: '$ipAddress',
+            failures: { $sum: 1 },
+            codes: { $addToSet: '$codeHash' },
+            routes: { $addToSet: '$route' },
+            reasons: { $addToSet: '$reason' },
+            userAgents: { $addToSet: '$userAgent' },
+            firstSeen: { $min: '$createdAt' },
+            lastSeen: { $max: '$createdAt' }
+          }
+        },
+        { $match: { failures: { $gte: minFailures } } },
+        { $sort: { failures: -1 } },
+        { $limit: 100 },
+        {
+          $project: {
+            _id: 0,
+            ipAddress: '$_id',
+            failures: 1,
+            distinctCodes: { $size: '$codes' },
+            routes: 1,
+            reasons: 1,
+            userAgents: { $slice: ['$userAgents', 5] },
+            firstSeen: 1,
+            lastSeen: 1
+          }
+        }
+      ]),
+      QrBlock.find({ $or: [{ createdAt: { $gte: since } }, { blockedUntil: { $gt: new Date() } }] })
+        .populate('liftedBy', 'email profile.firstName profile.lastName')
+        .sort({ createdAt: -1 })
+    ]);
+
+    const now = new Date();
+    const activeIps = new Set(
+      blocks.filter((block) => !block.liftedAt && block.blockedUntil > now).map((block) => block.ipAddress)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        since,
+        sources: sources.map((source) => ({ ...source, blocked: activeIps.has(source.ipAddress) })),
+        blocks
+      }
+    });
+  } catch (error) {
+    console.error('Get QR abuse activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get QR abuse activity',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/qr/abuse/blocks/:blockId/lift
+// @desc    Lift a block before it expires
+// @access  Private (Admin)
+router.put(
+  '/abuse/blocks/:blockId/lift',
+  authenticateToken,
+  auditAccess('qr.lift_block'),
+  requireAdmin,
+  validateObjectId('blockId'),
+  async (req, res) => {
+    try {
+      const block = await QrBlock.findById(req.params.blockId);
+
+      if (!block) {
+        return res.status(404).json({
+          success: false,
+          message: 'Block not found'
+        });
+      }
+
+      setAuditTarget(res, { details: { block: block._id, ipAddress: block.ipAddress } });
+
+      if (block.liftedAt || block.blockedUntil <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Block is no longer active'
+        });
+      }
+
+      block.liftedAt = new Date();
+      block.liftedBy = req.user._id;
+      await block.save();
+
+      res.json({
+        success: true,
+        message: 'Block lifted',
+        data: {
+          block
+        }
+      });
+    } catch (error) {
+      console.error('Lift QR block error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to lift block',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/qr/revocations
+// @desc    Revocation list of QR tokens (filter by ?patientId=)
+// @access  Private (Admin)
+router.get('/revocations', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, patientId } = req.query;
+    const query = {};
+
+    if (patientId && mongoose.Types.ObjectId.isValid(patientId)) query.patient = patientId;
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [revocations, total] = await Promise.all([
+      QrRevocation.find(query)
+        .populate('patient', 'patientId')
+        .populate('revokedBy', 'email profile.firstName profile.lastName')
+        .sort({ createdAt: -1 })
+        .limit(perPage)
+        .skip((currentPage - 1) * perPage),
+      QrRevocation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        revocations,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get QR revocations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get QR revocations',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
 
@@ -0,0 +1,557 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const Patient = require('../models/Patient');
+const Hospital = require('../models/Hospital');
+const MedicalRecord = require('../models/MedicalRecord');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { auditAccess, setAuditTarget } = require('../middleware/audit');
+const { updateRecordWithHistory } = require('../services/recordHistory');
+const {
+  validateReferral,
+  validateReferralRejection,
+  validateReferralCancellation,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// The sending hospital can withdraw a referral until it is completed or rejected
+const CANCELLABLE_STATUSES = ['sent', 'accepted'];
+
+// Helpers
+const isSameId = (a, b) => Boolean(a) && Boolean(b) && (a._id || a).toString() === (b._id || b).toString();
+
+const isStaffAt = (user, hospitalId) => {
+  return user.role === 'medical_personnel' && isSameId(user.getHospitalId(), hospitalId);
+};
+
+const canViewReferral = (user, referral) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'patient') return isSameId(user.getLinkedPatientId(), referral.patient);
+  return isStaffAt(user, referral.sendingHospital) || isStaffAt(user, referral.receivingHospital);
+};
+
+const populateReferral = (queryOrDocument) => {
+  return queryOrDocument.populate([
+    { path: 'patient', select: 'patientId biodata.firstName biodata.lastName biodata.dateOfBirth biodata.gender' },
+    { path: 'sendingHospital', select: 'name address contact' },
+    { path: 'receivingHospital', select: 'name address contact' },
+    { path: 'referredBy', select: 'email profile.firstName profile.lastName profile.department' },
+    { path: 'acceptedBy', select: 'email profile.firstName profile.lastName' },
+    { path: 'rejectedBy', select: 'email profile.firstName profile.lastName' },
+    { path: 'completedBy', select: 'email profile.firstName profile.lastName' },
+    { path: 'cancelledBy', select: 'email profile.firstName profile.lastName' }
+  ]);
+};
+
+// Move a referral on from one of the `from` statuses. The update only matches while the referral
+// is still in that status, so of two concurrent requests only one succeeds; the other gets a 409.
+const moveReferral = async (res, referral, from, update) => {
+  const moved = await Referral.findOneAndUpdate(
+    { _id: referral._id, status: { $in: [].concat(from) } },
+    update,
+    { new: true }
+  );
+
+  if (!moved) {
+    res.status(409).json({
+      success: false,
+      message: 'Referral was updated by someone else - reload and try again'
+    });
+  }
+
+  return moved;
+};
+
+// Load a referral the receiving hospital acts on, checking it is in the expected status
+const loadIncomingReferral = async (req, res, expectedStatus) => {
+  const referral = await Referral.findById(req.params.referralId);
+
+  if (!referral) {
+    res.status(404).json({
+      success: false,
+      message: 'Referral not found'
+    });
+    return null;
+  }
+
+  setAuditTarget(res, {
+    patients: referral.patient,
+    medicalRecords: referral.medicalRecord,
+    details: { referral: referral._id }
+  });
+
+  if (req.user.role !== 'admin' && !isStaffAt(req.user, referral.receivingHospital)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied - only the receiving hospital can act on this referral'
+    });
+    return null;
+  }
+
+  if (referral.status !== expectedStatus) {
+    res.status(400).json({
+      success: false,
+      message: `Referral is ${referral.status}, expected ${expectedStatus}`
+    });
+    return null;
+  }
+
+  return referral;
+};
+
+// @route   GET /api/referrals
+// @desc    List referrals (staff: ?direction=incoming|outgoing for their hospital; patients: own)
+// @access  Private
+router.get('/', authenticateToken, auditAccess('referral.list'), validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, direction, status, urgency, patientId, hospitalId } = req.query;
+    const user = req.user;
+    const query = {};
+
+    if (status) query.status = status;
+    if (urgency) query.urgency = urgency;
+    if (patientId && mongoose.Types.ObjectId.isValid(patientId)) query.patient = patientId;
+
+    if (user.role === 'patient') {
+      query.patient = user.getLinkedPatientId();
+    } else if (user.role === 'medical_personnel' || mongoose.Types.ObjectId.isValid(hospitalId)) {
+      // Admins may narrow to a hospital with ?hospitalId=
+      const ownHospital = user.role === 'admin' ? hospitalId : user.getHospitalId() || null;
+
+      if (direction === 'incoming') {
+        query.receivingHospital = ownHospital;
+      } else if (direction === 'outgoing') {
+        query.sendingHospital = ownHospital;
+      } else {
+        query.$or = [
+          { sendingHospital: ownHospital },
+          { receivingHospital: ownHospital }
+        ];
+      }
+    }
+
+    const perPage = parseInt(limit, 10);
+    const currentPage = parseInt(page, 10);
+
+    const [referrals, total] = await Promise.all([
+      populateReferral(
+        Referral.find(query)
+          .sort({ createdAt: -1 })
+          .limit(perPage)
+          .skip((currentPage - 1) * perPage)
+      ),
+      Referral.countDocuments(query)
+    ]);
+
+    setAuditTarget(res, { patients: referrals.map((referral) => referral.patient) });
+
+    res.json({
+      success: true,
+      data: {
+        referrals,
+        pagination: {
+          current: currentPage,
+          pages: Math.ceil(total / perPage),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get referrals',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/referrals/:referralId
+// @desc    Get a single referral
+// @access  Private (Sending/receiving hospital staff, Patient - own, Admin)
+router.get(
+  '/:referralId',
+  authenticateToken,
+  auditAccess('referral.read'),
+  validateObjectId('referralId'),
+  async (req, res) => {
+    try {
+      const referral = await Referral.findById(req.params.referralId);
+
+      if (!referral) {
+        return res.status(404).json({
+          success: false,
+          message: 'Referral not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: referral.patient, details: { referral: referral._id } });
+
+      if (!canViewReferral(req.user, referral)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      await populateReferral(referral);
+
+      res.json({
+        success: true,
+        data: {
+          referral
+        }
+      });
+    } catch (error) {
+      console.error('Get referral error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get referral',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   POST /api/referrals
+// @desc    Refer a patient to another hospital
+// @access  Private (Medical personnel)
+router.post(
+  '/',
+  authenticateToken,
+  auditAccess('referral.create'),
+  authorize('medical_personnel'),
+  validateReferral,
+  async (req, res) => {
+    try {
+      const {
+        patientId,
+        receivingHospitalId,
+        medicalRecordId,
+        urgency,
+        department,
+        reason,
+        clinicalSummary
+      } = req.body;
+      const sendingHospitalId = req.user.getHospitalId();
+
+      const [patient, receivingHospital] = await Promise.all([
+        Patient.findById(patientId),
+        Hospital.findById(receivingHospitalId)
+      ]);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      setAuditTarget(res, { patients: patient });
+
+      if (!patient.isRegisteredAt(sendingHospitalId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied - patient not registered at your hospital'
+        });
+      }
+
+      if (!receivingHospital || receivingHospital.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Receiving hospital not found or not active'
+        });
+      }
+
+      if (isSameId(receivingHospital, sendingHospitalId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot refer a patient to your own hospital'
+        });
+      }
+
+      if (medicalRecordId) {
+        const record = await MedicalRecord.findById(medicalRecordId);
+
+        if (!record || !isSameId(record.patient, patient)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Medical record not found for this patient'
+          });
+        }
+
+        if (!MedicalRecord.hasAccessLevel(record.getAccessLevelFor(req.user), 'write')) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied - write access to this record is required'
+          });
+        }
+
+        setAuditTarget(res, { medicalRecords: record });
+      }
+
+      const referral = await Referral.create({
+        patient: patient._id,
+        sendingHospital: sendingHospitalId,
+        receivingHospital: receivingHospital._id,
+        medicalRecord: medicalRecordId,
+        urgency,
+        department,
+        reason,
+        clinicalSummary,
+        referredBy: req.user._id
+      });
+
+      setAuditTarget(res, { details: { referral: referral._id } });
+
+      // Keep the record's treatment plan in step with the referral
+      if (medicalRecordId) {
+        await updateRecordWithHistory(
+          medicalRecordId,
+          (record) => {
+            record.treatment.referrals.push({
+              referral: referral._id,
+              department,
+              reason,
+              urgency: referral.urgency
+            });
+          },
+          { author: req.user._id, reason: 'Referral sent', action: 'referral' }
+        );
+      }
+
+      await populateReferral(referral);
+
+      res.status(201).json({
+        success: true,
+        message: 'Referral sent successfully',
+        data: {
+          referral
+        }
+      });
+    } catch (error) {
+      console.error('Create referral error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create referral',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/referrals/:referralId/accept
+// @desc    Accept a referral and register the patient at the receiving hospital
+// @access  Private (Receiving hospital staff, Admin)
+router.put(
+  '/:referralId/accept',
+  authenticateToken,
+  auditAccess('referral.accept'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('referralId'),
+  async (req, res) => {
+    try {
+      const loaded = await loadIncomingReferral(req, res, 'sent');
+      if (!loaded) return;
+
+      const patient = await Patient.findById(loaded.patient);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      const referral = await moveReferral(res, loaded, 'sent', {
+        status: 'accepted',
+        acceptedBy: req.user._id,
+        acceptedAt: new Date()
+      });
+      if (!referral) return;
+
+      const patientRegistered = patient.registerAtHospital(referral.receivingHospital);
+      if (patientRegistered) {
+        await patient.save();
+      }
+
+      await populateReferral(referral);
+
+      res.json({
+        success: true,
+        message: patientRegistered
+          ? 'Referral accepted and patient registered at your hospital'
+          : 'Referral accepted',
+        data: {
+          referral,
+          patientRegistered
+        }
+      });
+    } catch (error) {
+      console.error('Accept referral error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept referral',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/referrals/:referralId/reject
+// @desc    Reject a referral
+// @access  Private (Receiving hospital staff, Admin)
+router.put(
+  '/:referralId/reject',
+  authenticateToken,
+  auditAccess('referral.reject'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('referralId'),
+  validateReferralRejection,
+  async (req, res) => {
+    try {
+      const loaded = await loadIncomingReferral(req, res, 'sent');
+      if (!loaded) return;
+
+      const referral = await moveReferral(res, loaded, 'sent', {
+        status: 'rejected',
+        rejectedBy: req.user._id,
+        rejectedAt: new Date(),
+        rejectionReason: req.body.reason
+      });
+      if (!referral) return;
+
+      await populateReferral(referral);
+
+      res.json({
+        success: true,
+        message: 'Referral rejected',
+        data: {
+          referral
+        }
+      });
+    } catch (error) {
+      console.error('Reject referral error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reject referral',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/referrals/:referralId/complete
+// @desc    Mark an accepted referral as completed, with an optional outcome summary
+// @access  Private (Receiving hospital staff, Admin)
+router.put(
+  '/:referralId/complete',
+  authenticateToken,
+  auditAccess('referral.complete'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('referralId'),
+  async (req, res) => {
+    try {
+      const loaded = await loadIncomingReferral(req, res, 'accepted');
+      if (!loaded) return;
+
+      const referral = await moveReferral(res, loaded, 'accepted', {
+        status: 'completed',
+        completedBy: req.user._id,
+        completedAt: new Date(),
+        outcome: req.body.outcome
+      });
+      if (!referral) return;
+
+      await populateReferral(referral);
+
+      res.json({
+        success: true,
+        message: 'Referral completed',
+        data: {
+          referral
+        }
+      });
+    } catch (error) {
+      console.error('Complete referral error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete referral',
+        error: error.message
+      });
+    }
+  }
+);
+
+// @route   PUT /api/referrals/:referralId/cancel
+// @desc    Cancel a referral that has not been completed or rejected, with a reason
+// @access  Private (Sending hospital staff, Admin)
+router.put(
+  '/:referralId/cancel',
+  authenticateToken,
+  auditAccess('referral.cancel'),
+  authorize('medical_personnel', 'admin'),
+  validateObjectId('referralId'),
+  validateReferralCancellation,
+  async (req, res) => {
+    try {
+      const loaded = await Referral.findById(req.params.referralId);
+
+      if (!loaded) {
+        return res.status(404).json({
+          success: false,
+          message: 'Referral not found'
+        });
+      }
+
+      setAuditTarget(res, {
+        patients: loaded.patient,
+        medicalRecords: loaded.medicalRecord,
+        details: { referral: loaded._id }
+      });
+
+      if (req.user.role !== 'admin' && !isStaffAt(req.user, loaded.sendingHospital)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied - only the sending hospital can cancel this referral'
+        });
+      }
+
+      if (!CANCELLABLE_STATUSES.includes(loaded.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Referral is ${loaded.status} and can no longer be cancelled`
+        });
+      }
+
+      const referral = await moveReferral(res, loaded, CANCELLABLE_STATUSES, {
+        status: 'cancelled',
+        cancelledBy: req.user._id,
+        cancelledAt: new Date(),
+        cancellationReason: req.body.reason
+      });
+      if (!referral) return;
+
+      await populateReferral(referral);
+
+      res.json({
+        success: true,
+        message: 'Referral cancelled',
+        data: {
+          referral
+        }
+      });
+    } catch (error) {
+      console.error('Cancel referral error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel referral',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
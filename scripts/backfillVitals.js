@@ -0,0 +1,71 @@
+// Build the vital signs series from vitals already stored on medical records.
+//
+//   node scripts/backfillVitals.js              add observations for record and nursing note vitals
+//   node scripts/backfillVitals.js --dry-run    report what would be added without writing
+//
+// Each record's visit vitals become one observation at the visit date, and each nursing note
+// with vitals one at the note's date, scored for NEWS2. No alerts are raised for past
+// observations. Records and notes that already have observations are skipped, so it is safe
+// to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const MedicalRecord = require('../models/MedicalRecord');
+const VitalObservation = require('../models/VitalObservation');
+const { normalizeVitals } = require('../utils/vitals');
+const { recordVitals } = require('../services/vitals');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+const hasMeasurements = (vitals) => Object.keys(normalizeVitals(vitals)).length > 0;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lifearmada_medical_records');
+
+  let visits = 0;
+  let notes = 0;
+
+  // Oldest first, so each observation is scored after the ones before it
+  const cursor = MedicalRecord.find({
+    $or: [{ vitalSigns: { $exists: true } }, { 'nursingNotes.vitalSigns': { $exists: true } }]
+  })
+    .sort({ 'visitInfo.visitDate': 1 })
+    .cursor();
+
+  for await (const record of cursor) {
+    const vitalSigns = record.toObject().vitalSigns;
+    const options = { recordedBy: record.createdBy, raiseAlerts: false };
+
+    if (hasMeasurements(vitalSigns) && !await VitalObservation.exists({ medicalRecord: record._id, source: 'visit' })) {
+      if (!dryRun) {
+        await recordVitals(record, vitalSigns, { ...options, source: 'visit', recordedAt: record.visitInfo.visitDate });
+      }
+      visits += 1;
+    }
+
+    for (const note of record.nursingNotes) {
+      if (!hasMeasurements(note.vitalSigns)) continue;
+      if (await VitalObservation.exists({ medicalRecord: record._id, sourceId: note._id })) continue;
+
+      if (!dryRun) {
+        await recordVitals(record, note.vitalSigns, {
+          ...options,
+          source: 'nursing_note',
+          sourceId: note._id,
+          recordedAt: note.date || record.visitInfo.visitDate
+        });
+      }
+      notes += 1;
+    }
+  }
+
+  console.log(`${dryRun ? 'Would add' : 'Added'} ${visits} visit and ${notes} nursing note vital observations`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Vitals backfill error:', error);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,14 @@
+// Generate an Ed25519 key pair for offline emergency QR payloads.
+//
+//   node scripts/generateOfflineQrKey.js [kid]
+//
+// Prints the settings to add to .env. When rotating, move the old key's "kid:x" line
+// into QR_OFFLINE_RETIRED_KEYS so cards it signed still verify.
+const crypto = require('crypto');
+
+const kid = process.argv[2] || `offline-${new Date().toISOString().slice(0, 10)}`;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+console.log(`QR_OFFLINE_KEY_ID=${kid}`);
+console.log(`QR_OFFLINE_SIGNING_KEY=${privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')}`);
+console.log(`# Public key, for QR_OFFLINE_RETIRED_KEYS after rotation: ${kid}:${publicKey.export({ format: 'jwk' }).x}`);
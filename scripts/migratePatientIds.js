@@ -0,0 +1,89 @@
+// Move existing patient IDs onto the counter-based allocator.
+//
+//   node scripts/migratePatientIds.js              seed the ID counters past every existing ID
+//   node scripts/migratePatientIds.js --reissue    also give legacy IDs a check digit (PA000042 -> PA0000427)
+//   node scripts/migratePatientIds.js --dry-run    report what would change without writing
+//
+// Reissued patients keep their old ID in previousPatientIds, so lookups, patient account
+// registration and FHIR imports by the old ID keep working. QR codes are not changed.
+// Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Counter = require('../models/Counter');
+const { formatPatientId, parsePatientId } = require('../utils/patientId');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const reissue = args.includes('--reissue');
+
+// New ID for a legacy one: same number with a check digit, or the next free number if that is taken
+const reissuedId = async (parsed) => {
+  const sameNumber = formatPatientId(parsed.prefix, parsed.sequence);
+  if (!await Patient.exists({ patientId: sameNumber })) return sameNumber;
+
+  if (dryRun) return `${parsed.prefix} (next free number)`;
+  for (;;) {
+    const patientId = formatPatientId(
+      parsed.prefix,
+      await Counter.nextValue(Patient.patientIdCounter(parsed.prefix))
+    );
+    if (!await Patient.exists({ patientId })) return patientId;
+  }
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lifearmada_medical_records');
+
+  const highest = new Map(); // prefix -> highest sequence in use
+  const legacy = [];
+  const unrecognised = [];
+
+  const cursor = Patient.find().select('patientId').lean().cursor();
+  for (let patient = await cursor.next(); patient; patient = await cursor.next()) {
+    const parsed = parsePatientId(patient.patientId);
+    if (!parsed) {
+      unrecognised.push(patient.patientId);
+      continue;
+    }
+    highest.set(parsed.prefix, Math.max(highest.get(parsed.prefix) || 0, parsed.sequence));
+    if (parsed.legacy) legacy.push({ _id: patient._id, patientId: patient.patientId, parsed });
+  }
+
+  for (const [prefix, sequence] of highest) {
+    const counter = Patient.patientIdCounter(prefix);
+    if (dryRun) {
+      console.log(`Would seed ${counter} to at least ${sequence}`);
+    } else {
+      console.log(`Seeded ${counter} to ${await Counter.ensureAtLeast(counter, sequence)}`);
+    }
+  }
+
+  if (unrecognised.length) {
+    console.log(`${unrecognised.length} patient IDs are not in a recognised format and were left alone: ${unrecognised.join(', ')}`);
+  }
+
+  if (!reissue) {
+    console.log(`${legacy.length} legacy patient IDs without a check digit; run with --reissue to update them`);
+    return;
+  }
+
+  for (const { _id, patientId, parsed } of legacy) {
+    const newId = await reissuedId(parsed);
+    console.log(`${dryRun ? 'Would reissue' : 'Reissued'} ${patientId} as ${newId}`);
+    if (dryRun) continue;
+
+    await Patient.updateOne(
+      { _id, patientId },
+      { $set: { patientId: newId }, $addToSet: { previousPatientIds: patientId } }
+    );
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Patient ID migration error:', error);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
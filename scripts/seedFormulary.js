@@ -0,0 +1,53 @@
+// Load the drug formulary from data/formulary.json, or another file given as the first argument.
+//
+//   node scripts/seedFormulary.js                      add new drugs and update existing ones
+//   node scripts/seedFormulary.js path/to/file.json    load a different formulary file
+//   node scripts/seedFormulary.js --dry-run            report what would change without writing
+//
+// Drugs are matched on generic name. Drugs missing from the file are left as they are;
+// withdraw one by setting isActive to false. Safe to run more than once.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Drug = require('../models/Drug');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const file = args.find((arg) => !arg.startsWith('--')) || path.join(__dirname, '..', 'data', 'formulary.json');
+
+const run = async () => {
+  const drugs = JSON.parse(fs.readFileSync(file, 'utf8'));
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lifearmada_medical_records');
+
+  let added = 0;
+  let updated = 0;
+
+  for (const entry of drugs) {
+    const genericName = entry.genericName.trim().toLowerCase();
+    const exists = await Drug.exists({ genericName });
+
+    if (dryRun) {
+      console.log(`Would ${exists ? 'update' : 'add'} ${genericName}`);
+    } else {
+      await Drug.findOneAndUpdate(
+        { genericName },
+        { ...entry, genericName },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    if (exists) updated += 1;
+    else added += 1;
+  }
+
+  console.log(`${dryRun ? 'Would add' : 'Added'} ${added} and ${dryRun ? 'update' : 'updated'} ${updated} drugs from ${file}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Formulary seed error:', error);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,130 @@
+// Load the ICD-10 catalogue from data/icd10.json, or from another file given as the first argument.
+//
+//   node scripts/seedIcd10.js                      load the bundled starter catalogue
+//   node scripts/seedIcd10.js path/to/codes.txt    load a full release (JSON, CSV or tab-separated)
+//   node scripts/seedIcd10.js --deactivate-missing also withdraw catalogue codes missing from the file
+//   node scripts/seedIcd10.js --dry-run            report what would change without writing
+//
+// JSON files hold an array of { code, title }. CSV and tab-separated files have the code in the
+// first column and the title in the second; a header row is skipped. Codes are matched after
+// normalizing (a010 and A01.0 are the same code). Safe to run more than once.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Icd10Code = require('../models/Icd10Code');
+const { normalizeCode, isWellFormedCode, categoryOf, chapterFor } = require('../utils/icd10');
+
+const BATCH_SIZE = 1000;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const deactivateMissing = args.includes('--deactivate-missing');
+const file = args.find((arg) => !arg.startsWith('--')) || path.join(__dirname, '..', 'data', 'icd10.json');
+
+// Split one CSV line, allowing quoted fields with commas
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      field += '"';
+      i += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+const readEntries = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (filePath.endsWith('.json')) return JSON.parse(text);
+
+  return text.split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => (line.includes('\t') ? line.split('\t') : splitCsvLine(line)))
+    .map(([code, title]) => ({ code: (code || '').trim(), title: (title || '').trim() }))
+    .filter((entry) => isWellFormedCode(entry.code));
+};
+
+const run = async () => {
+  const entries = readEntries(file);
+  const codes = new Set(entries.map((entry) => normalizeCode(entry.code)));
+  // A code with subdivisions in the catalogue (B50 when B50.9 exists) is not billable
+  const parents = new Set();
+  for (const code of codes) {
+    const compact = code.replace('.', '');
+    for (let length = 3; length < compact.length; length += 1) {
+      parents.add(normalizeCode(compact.slice(0, length)));
+    }
+  }
+
+  const invalid = entries.filter((entry) => !isWellFormedCode(entry.code) || !entry.title);
+  if (invalid.length) {
+    console.log(`Skipping ${invalid.length} malformed entries, e.g. ${JSON.stringify(invalid[0])}`);
+  }
+
+  const operations = entries
+    .filter((entry) => isWellFormedCode(entry.code) && entry.title)
+    .map((entry) => {
+      const code = normalizeCode(entry.code);
+      return {
+        updateOne: {
+          filter: { code },
+          update: {
+            $set: {
+              title: entry.title.trim(),
+              category: categoryOf(code),
+              chapter: chapterFor(code)?.chapter,
+              billable: !parents.has(code),
+              isActive: true
+            },
+            $setOnInsert: { code }
+          },
+          upsert: true
+        }
+      };
+    });
+
+  if (dryRun) {
+    console.log(`Would load ${operations.length} codes from ${file}`);
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lifearmada_medical_records');
+
+  let added = 0;
+  let updated = 0;
+  for (let start = 0; start < operations.length; start += BATCH_SIZE) {
+    const result = await Icd10Code.bulkWrite(operations.slice(start, start + BATCH_SIZE), { ordered: false });
+    added += result.upsertedCount;
+    updated += result.modifiedCount;
+  }
+  console.log(`Added ${added} and updated ${updated} ICD-10 codes from ${file}`);
+
+  if (deactivateMissing) {
+    const result = await Icd10Code.updateMany(
+      { code: { $nin: [...codes] }, isActive: true },
+      { $set: { isActive: false } }
+    );
+    console.log(`Deactivated ${result.modifiedCount} codes missing from ${file}`);
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('ICD-10 seed error:', error);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
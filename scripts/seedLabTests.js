@@ -0,0 +1,61 @@
+// Load the lab test catalogue from data/labTests.json, or another file given as the first argument.
+//
+//   node scripts/seedLabTests.js                      add new tests and update existing ones
+//   node scripts/seedLabTests.js path/to/file.json    load a different catalogue file
+//   node scripts/seedLabTests.js --dry-run            report what would change without writing
+//
+// Tests are matched on code. Panels whose components are missing from the catalogue are
+// reported but still loaded. Safe to run more than once.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const LabTest = require('../models/LabTest');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const file = args.find((arg) => !arg.startsWith('--')) || path.join(__dirname, '..', 'data', 'labTests.json');
+
+const run = async () => {
+  const tests = JSON.parse(fs.readFileSync(file, 'utf8'));
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lifearmada_medical_records');
+
+  let added = 0;
+  let updated = 0;
+
+  for (const entry of tests) {
+    const code = entry.code.trim();
+    const exists = await LabTest.exists({ code });
+
+    if (dryRun) {
+      console.log(`Would ${exists ? 'update' : 'add'} ${code} ${entry.name}`);
+    } else {
+      await LabTest.findOneAndUpdate(
+        { code },
+        { ...entry, code },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    if (exists) updated += 1;
+    else added += 1;
+  }
+
+  const codes = new Set([...tests.map((entry) => entry.code.trim()), ...await LabTest.distinct('code')]);
+  for (const entry of tests) {
+    const missing = (entry.components || []).filter((code) => !codes.has(code));
+    if (missing.length) {
+      console.warn(`Panel ${entry.code} has components not in the catalogue: ${missing.join(', ')}`);
+    }
+  }
+
+  console.log(`${dryRun ? 'Would add' : 'Added'} ${added} and ${dryRun ? 'update' : 'updated'} ${updated} lab tests from ${file}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Lab test seed error:', error);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -7,10 +7,15 @@ require('dotenv').config();
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
+// Rate limiting (public QR routes also have their own limits, see middleware/qrAbuse.js)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100 // limit each IP to 100 requests per windowMs
@@ -34,15 +39,38 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lifearmad
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Notification outbox and reminders
+  if (process.env.NOTIFICATION_SCHEDULER !== 'false') {
+    require('./services/notifications/scheduler').startScheduler();
+  }
+
+  // Resume FHIR import jobs left queued or interrupted by a restart
+  require('./services/fhir/import').scheduleImportJobs();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/hospitals', require('./routes/hospitals'));
 app.use('/api/patients', require('./routes/patients'));
+app.use('/api/patient-duplicates', require('./routes/patientDuplicates'));
 app.use('/api/medical-records', require('./routes/medicalRecords'));
+app.use('/api/prescriptions', require('./routes/prescriptions'));
+app.use('/api/formulary', require('./routes/formulary'));
+app.use('/api/icd10', require('./routes/icd10'));
+app.use('/api/lab-tests', require('./routes/labTests'));
+app.use('/api/alerts', require('./routes/alerts'));
 app.use('/api/qr', require('./routes/qrCode'));
+app.use('/api/consents', require('./routes/consents'));
+app.use('/api/emergency-access', require('./routes/emergencyAccess'));
+app.use('/api/referrals', require('./routes/referrals'));
+app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/fhir', require('./routes/fhir'));
+app.use('/api/audit', require('./routes/audit'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,294 @@
+const CriticalAlert = require('../models/CriticalAlert');
+const MedicalRecord = require('../models/MedicalRecord');
+const Patient = require('../models/Patient');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const { notify, recipientForUser } = require('./notifications');
+
+const MINUTE_MS = 60 * 1000;
+const ESCALATION_MINUTES = parseInt(process.env.CRITICAL_ALERT_ESCALATION_MINUTES, 10) || 30;
+const MAX_ESCALATIONS = parseInt(process.env.CRITICAL_ALERT_MAX_ESCALATIONS, 10) || 3;
+
+const STAFF_CHANNELS = ['email', 'sms', 'in_app'];
+
+// Notification templates by alert type: when raised and when escalated
+const TEMPLATES = {
+  lab_result: { raised: 'critical_lab_result', escalated: 'critical_lab_result_escalated' },
+  news2: { raised: 'news2_alert', escalated: 'news2_alert_escalated' }
+};
+
+// Sent to the hospital contact address instead when the record is restricted
+const RESTRICTED_TEMPLATES = { raised: 'restricted_record_alert', escalated: 'restricted_record_alert_escalated' };
+
+const ALERT_KINDS = {
+  lab_result: 'critical laboratory result',
+  news2: 'early warning score'
+};
+
+const FLAG_LABELS = {
+  critical_low: 'critical low',
+  critical_high: 'critical high',
+  critical: 'critical'
+};
+
+const NEWS2_PARAMETER_LABELS = {
+  respiratoryRate: 'respiratory rate',
+  oxygenSaturation: 'SpO2',
+  supplementalOxygen: 'oxygen',
+  systolic: 'systolic BP',
+  heartRate: 'pulse',
+  consciousness: 'consciousness',
+  temperature: 'temperature'
+};
+
+// Helpers
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const patientName = (patient) => `${patient.biodata.firstName} ${patient.biodata.lastName}`;
+
+// "Hb 5.5 g/dL (critical low), K+ 6.9 mmol/L (critical high)" for structured results
+const criticalSummary = (laboratoryResult) => {
+  return (laboratoryResult.analytes || [])
+    .filter((analyte) => FLAG_LABELS[analyte.flag])
+    .map((analyte) => {
+      const value = analyte.value ?? analyte.valueText;
+      return `${analyte.name} ${value}${analyte.unit ? ` ${analyte.unit}` : ''} (${FLAG_LABELS[analyte.flag]})`;
+    })
+    .join(', ') || undefined;
+};
+
+// "NEWS2 7 (high): respiratory rate 26 (3), systolic 88 (3)", listing the parameters that scored
+const news2Summary = (observation) => {
+  const { score, level, components = {} } = observation.news2;
+  const scoring = Object.entries(components)
+    .filter(([, points]) => points > 0)
+    .map(([parameter, points]) => {
+      const value = parameter === 'supplementalOxygen' ? 'on oxygen' : observation[parameter];
+      return `${NEWS2_PARAMETER_LABELS[parameter]} ${value} (${points})`;
+    });
+  return `NEWS2 ${score} (${level.replace('_', '-')})${scoring.length ? `: ${scoring.join(', ')}` : ''}`;
+};
+
+const onCallStaff = (hospitalId) => {
+  return User.find({
+    role: 'medical_personnel',
+    isActive: true,
+    onCall: true,
+    'profile.hospitalId': hospitalId
+  });
+};
+
+const hospitalAdmins = (hospitalId) => {
+  return User.find({
+    role: 'admin',
+    isActive: true,
+    'profile.hospitalId': hospitalId
+  });
+};
+
+const alertData = (alert, patient, hospital) => ({
+  alertId: alert._id.toString(),
+  patientName: patientName(patient),
+  patientId: patient.patientId,
+  testName: alert.testName,
+  news2Score: alert.news2Score,
+  news2Level: alert.news2Level,
+  summary: alert.summary,
+  recordId: alert.medicalRecord.toString(),
+  hospitalName: hospital.name,
+  level: alert.escalationLevel,
+  openMinutes: Math.round((Date.now() - alert.createdAt.getTime()) / MINUTE_MS)
+});
+
+// Alert data without patient details or values, for restricted records
+const redactedAlertData = (alert, hospital) => ({
+  alertId: alert._id.toString(),
+  alertKind: ALERT_KINDS[alert.type],
+  hospitalName: hospital.name,
+  level: alert.escalationLevel,
+  openMinutes: Math.round((Date.now() - alert.createdAt.getTime()) / MINUTE_MS)
+});
+
+const isRestricted = (record) => record.confidentiality?.level === 'restricted';
+
+// Restricted records only alert users on their access list (plus the author and admins)
+const canSeeRecord = (record, user) => !isRestricted(record) || record.getAccessLevelFor(user) !== 'none';
+
+// The hospital contact address gets the full alert, or a redacted one for restricted records
+const notifyHospitalContact = (alert, record, hospital, stage, data) => {
+  if (!hospital.contact?.email) return null;
+
+  const restricted = isRestricted(record);
+  return notify({
+    template: restricted ? RESTRICTED_TEMPLATES[stage] : TEMPLATES[alert.type][stage],
+    recipient: { email: hospital.contact.email },
+    data: restricted ? redactedAlertData(alert, hospital) : data,
+    dedupeKey: `critical-alert:${alert._id}:${alert.escalationLevel}:hospital`
+  });
+};
+
+// Notify users once each; the dedupe key stops a user hearing twice about the same level
+const notifyUsers = async (alert, users, template, data) => {
+  for (const user of users) {
+    await notify({
+      template,
+      channels: STAFF_CHANNELS,
+      recipient: recipientForUser(user),
+      data,
+      dedupeKey: `critical-alert:${alert._id}:${alert.escalationLevel}:${user._id}`
+    });
+  }
+};
+
+// Raise an alert on a record: notifies the record's author and the hospital's on-call staff,
+// leaving out anyone who cannot see a restricted record, and schedules the first escalation.
+// `fields` identify what triggered it. Returns the alert, or the existing one if that trigger
+// already raised an alert.
+const raiseAlert = async (record, fields, raisedBy, existingFilter) => {
+  const hospitalId = idOf(record.hospital);
+  const [patient, hospital, author, onCall] = await Promise.all([
+    Patient.findById(idOf(record.patient)),
+    Hospital.findById(hospitalId),
+    User.findById(idOf(record.createdBy)),
+    onCallStaff(hospitalId)
+  ]);
+  if (!patient || !hospital) return null;
+
+  const recipients = new Map();
+  if (author && author.isActive) recipients.set(idOf(author), { user: author, reason: 'record_author' });
+  onCall.forEach((user) => {
+    if (!recipients.has(idOf(user))) recipients.set(idOf(user), { user, reason: 'on_call' });
+  });
+  recipients.forEach(({ user }, userId) => {
+    if (!canSeeRecord(record, user)) recipients.delete(userId);
+  });
+
+  let alert;
+  try {
+    alert = await CriticalAlert.create({
+      ...fields,
+      hospital: hospital._id,
+      patient: patient._id,
+      medicalRecord: record._id,
+      raisedBy: idOf(raisedBy),
+      recipients: [...recipients.values()].map(({ user, reason }) => ({ user: user._id, reason })),
+      nextEscalationAt: new Date(Date.now() + ESCALATION_MINUTES * MINUTE_MS)
+    });
+  } catch (error) {
+    // Already raised for this trigger
+    if (error.code === 11000) return CriticalAlert.findOne(existingFilter);
+    throw error;
+  }
+
+  const template = TEMPLATES[alert.type].raised;
+  const data = alertData(alert, patient, hospital);
+  await notifyUsers(alert, [...recipients.values()].map(({ user }) => user), template, data);
+  await notifyHospitalContact(alert, record, hospital, 'raised', data);
+
+  return alert;
+};
+
+// Raise an alert for a critical laboratory result
+const raiseCriticalAlert = (record, laboratoryResult, raisedBy) => {
+  return raiseAlert(
+    record,
+    {
+      type: 'lab_result',
+      laboratoryResult: laboratoryResult._id,
+      testName: laboratoryResult.testName,
+      testCode: laboratoryResult.testCode,
+      summary: criticalSummary(laboratoryResult)
+    },
+    raisedBy,
+    { medicalRecord: record._id, laboratoryResult: laboratoryResult._id }
+  );
+};
+
+// Raise an alert for a vital observation whose NEWS2 score crossed the alerting level
+const raiseNews2Alert = (record, observation, raisedBy) => {
+  return raiseAlert(
+    record,
+    {
+      type: 'news2',
+      vitalObservation: observation._id,
+      news2Score: observation.news2.score,
+      news2Level: observation.news2.level,
+      summary: news2Summary(observation)
+    },
+    raisedBy,
+    { vitalObservation: observation._id }
+  );
+};
+
+// Escalate one overdue alert: everyone already notified, the hospital's admins and whoever is
+// on call now hear about it again, apart from anyone who cannot see a restricted record.
+// Claims the alert first so only one process escalates it.
+const escalateAlert = async (alert) => {
+  const level = alert.escalationLevel + 1;
+  const now = new Date();
+
+  const claimed = await CriticalAlert.findOneAndUpdate(
+    { _id: alert._id, status: 'open', escalationLevel: alert.escalationLevel },
+    {
+      escalationLevel: level,
+      lastEscalatedAt: now,
+      nextEscalationAt: level < MAX_ESCALATIONS ? new Date(now.getTime() + ESCALATION_MINUTES * MINUTE_MS) : null
+    },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  const [patient, hospital, record, admins, onCall, notified] = await Promise.all([
+    Patient.findById(claimed.patient),
+    Hospital.findById(claimed.hospital),
+    MedicalRecord.findById(claimed.medicalRecord).select('patient hospital createdBy confidentiality'),
+    hospitalAdmins(claimed.hospital),
+    onCallStaff(claimed.hospital),
+    User.find({ _id: { $in: claimed.recipients.map((recipient) => recipient.user) }, isActive: true })
+  ]);
+  if (!patient || !hospital || !record) return false;
+
+  const users = new Map();
+  [...notified, ...onCall, ...admins]
+    .filter((user) => canSeeRecord(record, user))
+    .forEach((user) => users.set(idOf(user), user));
+
+  const added = [...users.keys()]
+    .filter((userId) => !claimed.recipients.some((recipient) => idOf(recipient.user) === userId))
+    .map((userId) => ({ user: userId, reason: 'escalation', level, notifiedAt: now }));
+  if (added.length) {
+    await CriticalAlert.updateOne({ _id: claimed._id }, { $push: { recipients: { $each: added } } });
+  }
+
+  const data = alertData(claimed, patient, hospital);
+  const template = TEMPLATES[claimed.type].escalated;
+  await notifyUsers(claimed, [...users.values()], template, data);
+  await notifyHospitalContact(claimed, record, hospital, 'escalated', data);
+
+  return true;
+};
+
+// Scheduled: escalate open alerts that are past their escalation time. Returns the number escalated.
+const escalateOverdueAlerts = async ({ limit = 50 } = {}) => {
+  const overdue = await CriticalAlert.find({
+    status: 'open',
+    nextEscalationAt: { $ne: null, $lte: new Date() }
+  })
+    .sort({ nextEscalationAt: 1 })
+    .limit(limit);
+
+  let escalated = 0;
+  for (const alert of overdue) {
+    if (await escalateAlert(alert)) escalated += 1;
+  }
+
+  return escalated;
+};
+
+module.exports = {
+  ESCALATION_MINUTES,
+  MAX_ESCALATIONS,
+  raiseCriticalAlert,
+  raiseNews2Alert,
+  escalateOverdueAlerts
+};
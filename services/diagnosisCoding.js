@@ -0,0 +1,124 @@
+const Icd10Code = require('../models/Icd10Code');
+const { CHAPTERS, normalizeCode, isWellFormedCode } = require('../utils/icd10');
+
+// Helpers
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Check an assessment's ICD-10 codes against the catalogue and link them to the diagnoses.
+// primaryDiagnosisCode codes primaryDiagnosis; secondaryDiagnosisCodes[i] codes secondaryDiagnoses[i].
+// Missing diagnosis text is filled from the catalogue title, and icd10Codes becomes every code
+// on the assessment. Returns { assessment, invalid, warnings }; invalid lists codes that are
+// malformed or not in the catalogue. Until a catalogue is loaded only the format is checked.
+const codeAssessment = async (assessment = {}) => {
+  const primaryCode = assessment.primaryDiagnosisCode ? normalizeCode(assessment.primaryDiagnosisCode) : undefined;
+  const secondaryCodes = (assessment.secondaryDiagnosisCodes || []).map((code) => (code ? normalizeCode(code) : ''));
+  const codes = unique([primaryCode, ...secondaryCodes, ...(assessment.icd10Codes || []).map(normalizeCode)]);
+
+  const malformed = codes.filter((code) => !isWellFormedCode(code));
+  if (malformed.length) {
+    return { invalid: malformed, warnings: [] };
+  }
+
+  const catalogueLoaded = await Icd10Code.estimatedDocumentCount() > 0;
+  const entries = catalogueLoaded ? await Icd10Code.findByCodes(codes) : new Map();
+  const unknown = catalogueLoaded ? codes.filter((code) => !entries.has(code)) : [];
+  if (unknown.length) {
+    return { invalid: unknown, warnings: [] };
+  }
+
+  const secondaryDiagnoses = [...(assessment.secondaryDiagnoses || [])];
+  secondaryCodes.forEach((code, index) => {
+    if (code && !secondaryDiagnoses[index]) secondaryDiagnoses[index] = entries.get(code)?.title || code;
+  });
+
+  const warnings = codes
+    .filter((code) => entries.get(code)?.billable === false)
+    .map((code) => `${code} is a category with more specific codes; use one of them where possible`);
+
+  return {
+    assessment: {
+      ...assessment,
+      primaryDiagnosis: assessment.primaryDiagnosis || (primaryCode && (entries.get(primaryCode)?.title || primaryCode)),
+      primaryDiagnosisCode: primaryCode,
+      secondaryDiagnoses,
+      secondaryDiagnosisCodes: secondaryCodes,
+      icd10Codes: codes
+    },
+    invalid: [],
+    warnings
+  };
+};
+
+// Aggregation expression for the chapter of the code in `field` (null outside every chapter)
+const chapterExpression = (field) => {
+  const category = { $toUpper: { $substrCP: [field, 0, 3] } };
+
+  return {
+    $switch: {
+      branches: CHAPTERS.map(({ chapter, from, to }) => ({
+        case: { $and: [{ $gte: [category, from] }, { $lte: [category, to] }] },
+        then: chapter
+      })),
+      default: null
+    }
+  };
+};
+
+// Coded records per chapter and the most frequent codes for records matching `match`
+const diagnosisStats = async (MedicalRecord, match = {}, { top = 10 } = {}) => {
+  const coded = [
+    { $match: { ...match, 'assessment.icd10Codes.0': { $exists: true } } },
+    { $unwind: '$assessment.icd10Codes' }
+  ];
+
+  const [byChapter, topCodes, codedRecords] = await Promise.all([
+    MedicalRecord.aggregate([
+      ...coded,
+      { $group: { _id: { record: '$_id', chapter: chapterExpression('$assessment.icd10Codes') } } },
+      { $group: { _id: '$_id.chapter', records: { $sum: 1 } } },
+      { $sort: { records: -1 } }
+    ]),
+    MedicalRecord.aggregate([
+      ...coded,
+      { $group: { _id: '$assessment.icd10Codes', records: { $sum: 1 } } },
+      { $sort: { records: -1, _id: 1 } },
+      { $limit: top },
+      {
+        $lookup: {
+          from: Icd10Code.collection.name,
+          localField: '_id',
+          foreignField: 'code',
+          as: 'entry'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          code: '$_id',
+          title: { $first: '$entry.title' },
+          records: 1
+        }
+      }
+    ]),
+    MedicalRecord.countDocuments({ ...match, 'assessment.icd10Codes.0': { $exists: true } })
+  ]);
+
+  return {
+    codedRecords,
+    byChapter: byChapter.map(({ _id, records }) => {
+      const chapter = CHAPTERS.find((entry) => entry.chapter === _id);
+      return {
+        chapter: _id || 'unknown',
+        title: chapter ? chapter.title : 'Codes outside the ICD-10 chapters',
+        range: chapter ? `${chapter.from}-${chapter.to}` : undefined,
+        records
+      };
+    }),
+    topCodes
+  };
+};
+
+module.exports = {
+  codeAssessment,
+  diagnosisStats
+};
@@ -0,0 +1,32 @@
+const { SYSTEMS } = require('./codes');
+const { reference, codeableConcept, compact, derivedId } = require('./helpers');
+
+// AllergyIntolerance.reaction.severity uses mild | moderate | severe, same as our enum
+const REACTION_SEVERITY = ['mild', 'moderate', 'severe'];
+
+// Allergies in the patient's medical history -> AllergyIntolerance
+const toFhirAllergies = (patient) => {
+  const allergies = patient.medicalHistory?.allergies || [];
+
+  return allergies
+    .filter((allergy) => allergy.allergen)
+    .map((allergy) => compact({
+      resourceType: 'AllergyIntolerance',
+      id: derivedId(patient, 'allergy', allergy._id && allergy._id.toString()),
+      clinicalStatus: codeableConcept(SYSTEMS.allergyClinical, { code: 'active' }),
+      criticality: allergy.severity === 'severe' ? 'high' : 'low',
+      code: { text: allergy.allergen },
+      patient: reference('Patient', patient),
+      reaction: allergy.reaction || allergy.severity
+        ? [{
+            manifestation: [{ text: allergy.reaction || 'Unspecified reaction' }],
+            severity: REACTION_SEVERITY.includes(allergy.severity) ? allergy.severity : undefined
+          }]
+        : undefined,
+      note: allergy.notes ? [{ text: allergy.notes }] : undefined
+    }));
+};
+
+module.exports = {
+  toFhirAllergies
+};
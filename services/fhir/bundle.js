@@ -0,0 +1,18 @@
+const { compact } = require('./helpers');
+
+// Wrap resources in a searchset Bundle. baseUrl is the FHIR base, e.g. https://host/api/fhir
+const searchsetBundle = (resources, baseUrl) => compact({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  meta: { lastUpdated: new Date().toISOString() },
+  total: resources.length,
+  entry: resources.map((resource) => ({
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode: 'match' }
+  }))
+}) || {};
+
+module.exports = {
+  searchsetBundle
+};
@@ -0,0 +1,107 @@
+// Code systems and value mappings shared by the FHIR mappers
+
+const SYSTEMS = {
+  loinc: 'http://loinc.org',
+  snomed: 'http://snomed.info/sct',
+  ucum: 'http://unitsofmeasure.org',
+  icd10: 'http://hl7.org/fhir/sid/icd-10',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  observationInterpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+  conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+  conditionVerification: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+  allergyClinical: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+  actCode: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  maritalStatus: 'http://terminology.hl7.org/CodeSystem/v3-MaritalStatus',
+  dischargeDisposition: 'http://terminology.hl7.org/CodeSystem/discharge-disposition',
+  medicationRequestCategory: 'http://terminology.hl7.org/CodeSystem/medicationrequest-category',
+  // Identifier namespace for Life Armada patient IDs
+  patientId: process.env.FHIR_PATIENT_ID_SYSTEM || 'https://lifearmada.com/fhir/patient-id'
+};
+
+// Vital sign fields on MedicalRecord.vitalSigns and their LOINC codes
+const VITAL_SIGNS = {
+  heartRate: { code: '8867-4', display: 'Heart rate' },
+  temperature: { code: '8310-5', display: 'Body temperature' },
+  respiratoryRate: { code: '9279-1', display: 'Respiratory rate' },
+  oxygenSaturation: { code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry' },
+  weight: { code: '29463-7', display: 'Body weight' },
+  height: { code: '8302-2', display: 'Body height' },
+  bmi: { code: '39156-5', display: 'Body mass index (BMI) [Ratio]' }
+};
+
+const BLOOD_PRESSURE = {
+  panel: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+  systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+  diastolic: { code: '8462-4', display: 'Diastolic blood pressure' }
+};
+
+const BLOOD_GROUP = { code: '882-1', display: 'ABO and Rh group [Type] in Blood' };
+
+// Units stored on records and their UCUM codes
+const UCUM_UNITS = {
+  mmHg: 'mm[Hg]',
+  bpm: '/min',
+  'breaths/min': '/min',
+  '°C': 'Cel',
+  '°F': '[degF]',
+  '%': '%',
+  kg: 'kg',
+  lb: '[lb_av]',
+  cm: 'cm',
+  m: 'm',
+  'kg/m2': 'kg/m2'
+};
+
+const SEVERITY = {
+  mild: { code: '255604002', display: 'Mild' },
+  moderate: { code: '6736007', display: 'Moderate' },
+  severe: { code: '24484000', display: 'Severe' },
+  critical: { code: '24484000', display: 'Severe' }
+};
+
+// Result statuses and analyte flags
+const LAB_INTERPRETATION = {
+  normal: { code: 'N', display: 'Normal' },
+  abnormal: { code: 'A', display: 'Abnormal' },
+  critical: { code: 'AA', display: 'Critical abnormal' },
+  low: { code: 'L', display: 'Low' },
+  high: { code: 'H', display: 'High' },
+  critical_low: { code: 'LL', display: 'Critical low' },
+  critical_high: { code: 'HH', display: 'Critical high' }
+};
+
+const ENCOUNTER_STATUS = {
+  draft: 'planned',
+  active: 'in-progress',
+  completed: 'finished',
+  archived: 'finished'
+};
+
+const DISCHARGE_DISPOSITION = {
+  home: { code: 'home', display: 'Home' },
+  transfer: { code: 'other-hcf', display: 'Other healthcare facility' },
+  ama: { code: 'aadvice', display: 'Left against advice' },
+  deceased: { code: 'exp', display: 'Expired' }
+};
+
+const MARITAL_STATUS = {
+  single: { code: 'S', display: 'Never Married' },
+  married: { code: 'M', display: 'Married' },
+  divorced: { code: 'D', display: 'Divorced' },
+  widowed: { code: 'W', display: 'Widowed' },
+  other: { code: 'UNK', display: 'unknown' }
+};
+
+module.exports = {
+  SYSTEMS,
+  VITAL_SIGNS,
+  BLOOD_PRESSURE,
+  BLOOD_GROUP,
+  UCUM_UNITS,
+  SEVERITY,
+  LAB_INTERPRETATION,
+  ENCOUNTER_STATUS,
+  DISCHARGE_DISPOSITION,
+  MARITAL_STATUS
+};
@@ -0,0 +1,93 @@
+const { SYSTEMS, SEVERITY } = require('./codes');
+const { toDate, toDateTime, reference, codeableConcept, compact, derivedId } = require('./helpers');
+
+const category = (code, display) => [codeableConcept(SYSTEMS.conditionCategory, { code, display })];
+
+const clinicalStatus = (code) => codeableConcept(SYSTEMS.conditionClinical, { code });
+
+const verificationStatus = (code) => codeableConcept(SYSTEMS.conditionVerification, { code });
+
+const severity = (value) => (SEVERITY[value] ? codeableConcept(SYSTEMS.snomed, SEVERITY[value], value) : undefined);
+
+// Diagnoses in a record's assessment -> encounter-diagnosis Conditions.
+// Secondary and differential diagnoses are plain strings, so their position is the sub id.
+const assessmentConditions = (record) => {
+  const assessment = record.assessment || {};
+  const resolved = record.status === 'completed' || record.status === 'archived';
+  const base = {
+    resourceType: 'Condition',
+    category: category('encounter-diagnosis', 'Encounter Diagnosis'),
+    subject: reference('Patient', record.patient),
+    encounter: reference('Encounter', record),
+    recordedDate: toDateTime(record.visitInfo?.visitDate)
+  };
+
+  const conditions = [];
+
+  if (assessment.primaryDiagnosis) {
+    const icd10Code = assessment.primaryDiagnosisCode || (assessment.icd10Codes || [])[0];
+    conditions.push(compact({
+      ...base,
+      id: derivedId(record, 'dx', 'primary'),
+      clinicalStatus: clinicalStatus(resolved ? 'resolved' : 'active'),
+      verificationStatus: verificationStatus('confirmed'),
+      severity: severity(assessment.severity),
+      code: codeableConcept(SYSTEMS.icd10, icd10Code && { code: icd10Code }, assessment.primaryDiagnosis)
+    }));
+  }
+
+  (assessment.secondaryDiagnoses || []).forEach((diagnosis, index) => {
+    if (!diagnosis) return;
+    const icd10Code = (assessment.secondaryDiagnosisCodes || [])[index];
+    conditions.push(compact({
+      ...base,
+      id: derivedId(record, 'dx', `secondary${index}`),
+      clinicalStatus: clinicalStatus(resolved ? 'resolved' : 'active'),
+      verificationStatus: verificationStatus('confirmed'),
+      code: codeableConcept(SYSTEMS.icd10, icd10Code && { code: icd10Code }, diagnosis)
+    }));
+  });
+
+  (assessment.differentialDiagnoses || []).forEach((diagnosis, index) => {
+    if (!diagnosis) return;
+    conditions.push(compact({
+      ...base,
+      id: derivedId(record, 'dx', `differential${index}`),
+      verificationStatus: verificationStatus('differential'),
+      code: { text: diagnosis }
+    }));
+  });
+
+  return conditions;
+};
+
+// Chronic illnesses in the patient's medical history -> problem-list-item Conditions
+const chronicConditions = (patient) => {
+  const illnesses = patient.medicalHistory?.chronicIllnesses || [];
+
+  return illnesses
+    .filter((illness) => illness.condition)
+    .map((illness) => compact({
+      resourceType: 'Condition',
+      id: derivedId(patient, 'chronic', illness._id && illness._id.toString()),
+      clinicalStatus: clinicalStatus(illness.isActive === false ? 'inactive' : 'active'),
+      verificationStatus: verificationStatus('confirmed'),
+      category: [
+        ...category('problem-list-item', 'Problem List Item'),
+        illness.category && { text: illness.category }
+      ],
+      severity: severity(illness.severity),
+      code: { text: illness.condition },
+      subject: reference('Patient', patient),
+      onsetDateTime: toDate(illness.diagnosisDate),
+      note: [
+        illness.notes && { text: illness.notes },
+        illness.medications?.length > 0 && { text: `Medications: ${illness.medications.join(', ')}` }
+      ]
+    }));
+};
+
+module.exports = {
+  assessmentConditions,
+  chronicConditions
+};
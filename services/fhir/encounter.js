@@ -0,0 +1,45 @@
+const { SYSTEMS, ENCOUNTER_STATUS, DISCHARGE_DISPOSITION } = require('./codes');
+const { idOf, toDateTime, reference, codeableConcept, compact } = require('./helpers');
+
+// MedicalRecord -> FHIR Encounter (one record is one visit)
+const toFhirEncounter = (record) => {
+  const visitInfo = record.visitInfo || {};
+  const discharge = record.discharge || {};
+  const isEmergency = visitInfo.visitType === 'emergency';
+
+  return compact({
+    resourceType: 'Encounter',
+    id: idOf(record),
+    meta: { lastUpdated: toDateTime(record.updatedAt), versionId: record.version && String(record.version) },
+    identifier: visitInfo.visitNumber ? [{ value: visitInfo.visitNumber }] : undefined,
+    status: ENCOUNTER_STATUS[record.status] || 'unknown',
+    class: {
+      system: SYSTEMS.actCode,
+      code: isEmergency ? 'EMER' : 'AMB',
+      display: isEmergency ? 'emergency' : 'ambulatory'
+    },
+    type: visitInfo.visitType ? [{ text: visitInfo.visitType }] : undefined,
+    serviceType: visitInfo.department ? { text: visitInfo.department } : undefined,
+    priority: record.assessment?.severity ? { text: record.assessment.severity } : undefined,
+    subject: reference('Patient', record.patient),
+    period: {
+      start: toDateTime(visitInfo.visitDate),
+      end: toDateTime(discharge.dischargeDate)
+    },
+    reasonCode: visitInfo.chiefComplaint ? [{ text: visitInfo.chiefComplaint }] : undefined,
+    hospitalization: discharge.dischargeType
+      ? {
+          dischargeDisposition: codeableConcept(
+            SYSTEMS.dischargeDisposition,
+            DISCHARGE_DISPOSITION[discharge.dischargeType],
+            discharge.dischargeType
+          )
+        }
+      : undefined,
+    serviceProvider: reference('Organization', record.hospital)
+  });
+};
+
+module.exports = {
+  toFhirEncounter
+};
@@ -0,0 +1,343 @@
+const {
+  SYSTEMS,
+  VITAL_SIGNS,
+  BLOOD_PRESSURE,
+  BLOOD_GROUP,
+  UCUM_UNITS,
+  SEVERITY,
+  DISCHARGE_DISPOSITION,
+  MARITAL_STATUS
+} = require('./codes');
+
+// FHIR -> model mappers used by the bundle import. Each returns plain data for our schemas;
+// required fields are left to Mongoose validation so failures are reported per resource.
+
+const VISIT_TYPES = ['routine', 'emergency', 'follow_up', 'consultation', 'surgery'];
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const GENOTYPES = ['AA', 'AS', 'SS', 'AC', 'SC', 'CC'];
+
+const ENCOUNTER_STATUS = {
+  planned: 'draft',
+  arrived: 'active',
+  triaged: 'active',
+  'in-progress': 'active',
+  onleave: 'active',
+  finished: 'completed'
+};
+
+// Interpretation codes -> laboratoryResults.status
+const LAB_STATUS = {
+  N: 'normal',
+  A: 'abnormal',
+  H: 'abnormal',
+  L: 'abnormal',
+  AA: 'critical',
+  HH: 'critical',
+  LL: 'critical',
+  HU: 'critical',
+  LU: 'critical'
+};
+
+const reverse = (map) => {
+  const result = {};
+  Object.entries(map).forEach(([key, coding]) => {
+    if (!result[coding.code]) result[coding.code] = key;
+  });
+  return result;
+};
+
+const MARITAL_STATUS_BY_CODE = reverse(MARITAL_STATUS);
+const DISCHARGE_TYPE_BY_CODE = reverse(DISCHARGE_DISPOSITION);
+const SEVERITY_BY_CODE = reverse(SEVERITY);
+const VITAL_SIGN_BY_CODE = reverse(VITAL_SIGNS);
+const UNIT_BY_UCUM = {};
+Object.entries(UCUM_UNITS).forEach(([unit, code]) => {
+  if (!UNIT_BY_UCUM[code]) UNIT_BY_UCUM[code] = unit;
+});
+
+// Helpers
+const first = (list) => (Array.isArray(list) ? list[0] : undefined);
+
+const codingIn = (concept, system) => (concept?.coding || []).find((coding) => !system || coding.system === system);
+
+const codeIn = (concept, system) => codingIn(concept, system)?.code;
+
+const textOf = (concept) => concept?.text || codingIn(concept)?.display || codingIn(concept)?.code;
+
+const toDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const ageOn = (birthDate, at = new Date()) => {
+  if (!birthDate) return undefined;
+  let age = at.getFullYear() - birthDate.getFullYear();
+  const beforeBirthday = at.getMonth() < birthDate.getMonth() ||
+    (at.getMonth() === birthDate.getMonth() && at.getDate() < birthDate.getDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+const unitOf = (quantity) => {
+  if (!quantity) return undefined;
+  if (UCUM_UNITS[quantity.unit]) return quantity.unit;
+  return UNIT_BY_UCUM[quantity.code] || quantity.unit;
+};
+
+const humanName = (name) => {
+  if (!name) return undefined;
+  const given = name.given || [];
+  return name.text || [...given, name.family].filter(Boolean).join(' ') || undefined;
+};
+
+const severityOf = (concept) => {
+  const severity = SEVERITY_BY_CODE[codeIn(concept, SYSTEMS.snomed)] || concept?.text;
+  return ['mild', 'moderate', 'severe'].includes(severity) ? severity : undefined;
+};
+
+// Patient -> Patient fields. Identifiers from other systems are kept for matching on re-import.
+const fromFhirPatient = (resource) => {
+  const name = (resource.name || []).find((entry) => entry.use === 'official') || first(resource.name) || {};
+  const given = name.given || [];
+  const [textFirst, ...textRest] = (!given.length && name.text ? name.text.split(/\s+/) : []);
+  const telecom = resource.telecom || [];
+  const address = (resource.address || []).find((entry) => entry.use === 'home') || first(resource.address) || {};
+  const contact = first(resource.contact);
+  const dateOfBirth = toDate(resource.birthDate);
+
+  const identifiers = resource.identifier || [];
+  const ownIdentifier = identifiers.find((identifier) => identifier.system === SYSTEMS.patientId);
+
+  return {
+    patientId: ownIdentifier?.value,
+    externalIdentifiers: identifiers
+      .filter((identifier) => identifier.system && identifier.value && identifier.system !== SYSTEMS.patientId)
+      .map(({ system, value }) => ({ system, value })),
+    biodata: {
+      firstName: given[0] || textFirst,
+      middleName: given.slice(1).join(' ') || undefined,
+      lastName: name.family || textRest.pop(),
+      dateOfBirth,
+      age: ageOn(dateOfBirth),
+      gender: ['male', 'female', 'other'].includes(resource.gender) ? resource.gender : undefined,
+      maritalStatus: MARITAL_STATUS_BY_CODE[codeIn(resource.maritalStatus)],
+      address: {
+        street: (address.line || []).join(', ') || undefined,
+        city: address.city,
+        lga: address.district,
+        state: address.state,
+        postalCode: address.postalCode,
+        country: address.country
+      },
+      contact: {
+        phone: telecom.find((entry) => entry.system === 'phone')?.value,
+        email: telecom.find((entry) => entry.system === 'email')?.value,
+        emergencyContact: contact
+          ? {
+              name: humanName(contact.name),
+              relationship: textOf(first(contact.relationship)),
+              phone: (contact.telecom || []).find((entry) => entry.system === 'phone')?.value,
+              address: contact.address?.text
+            }
+          : undefined
+      }
+    }
+  };
+};
+
+// Encounter -> MedicalRecord fields
+const fromFhirEncounter = (resource) => {
+  const typeText = textOf(first(resource.type));
+  const isEmergency = resource.class?.code === 'EMER';
+  const dischargeType = DISCHARGE_TYPE_BY_CODE[codeIn(resource.hospitalization?.dischargeDisposition)];
+
+  let visitType = VISIT_TYPES.includes(typeText) ? typeText : undefined;
+  if (!visitType) visitType = isEmergency ? 'emergency' : 'consultation';
+
+  return {
+    status: ENCOUNTER_STATUS[resource.status] || 'active',
+    isEmergency,
+    visitInfo: {
+      visitDate: toDate(resource.period?.start) || new Date(),
+      visitType,
+      department: textOf(resource.serviceType),
+      chiefComplaint: textOf(first(resource.reasonCode)),
+      visitNumber: first(resource.identifier)?.value
+    },
+    discharge: dischargeType || resource.period?.end
+      ? {
+          dischargeType,
+          dischargeDate: toDate(resource.period?.end)
+        }
+      : undefined
+  };
+};
+
+// Observation -> one of
+//   { kind: 'vital', field, value }             vitalSigns[field] = value
+//   { kind: 'lab', result }                     laboratoryResults entry
+//   { kind: 'bloodGroup' | 'genotype', value }  patient medicalHistory
+//   null when the observation can't be mapped
+const fromFhirObservation = (resource) => {
+  const loinc = codeIn(resource.code, SYSTEMS.loinc);
+  const quantity = resource.valueQuantity;
+  const components = resource.component || [];
+
+  if (loinc === BLOOD_PRESSURE.panel.code || loinc === BLOOD_PRESSURE.systolic.code || loinc === BLOOD_PRESSURE.diastolic.code) {
+    const readings = loinc === BLOOD_PRESSURE.panel.code
+      ? components
+      : [{ code: resource.code, valueQuantity: quantity }];
+    const valueFor = (code) => readings.find((reading) => codeIn(reading.code, SYSTEMS.loinc) === code)?.valueQuantity;
+    const systolic = valueFor(BLOOD_PRESSURE.systolic.code);
+    const diastolic = valueFor(BLOOD_PRESSURE.diastolic.code);
+
+    return {
+      kind: 'vital',
+      field: 'bloodPressure',
+      value: {
+        systolic: systolic?.value,
+        diastolic: diastolic?.value,
+        unit: unitOf(systolic || diastolic) || 'mmHg'
+      }
+    };
+  }
+
+  const vitalSign = VITAL_SIGN_BY_CODE[loinc];
+  if (vitalSign && quantity?.value !== undefined) {
+    return {
+      kind: 'vital',
+      field: vitalSign,
+      value: vitalSign === 'bmi' ? quantity.value : { value: quantity.value, unit: unitOf(quantity) }
+    };
+  }
+
+  const valueText = resource.valueString || textOf(resource.valueCodeableConcept);
+  if (loinc === BLOOD_GROUP.code && BLOOD_GROUPS.includes(valueText)) {
+    return { kind: 'bloodGroup', value: valueText };
+  }
+  if (/genotype/i.test(textOf(resource.code) || '') && GENOTYPES.includes(valueText)) {
+    return { kind: 'genotype', value: valueText };
+  }
+
+  const testName = textOf(resource.code);
+  if (!testName) return null;
+
+  const valueOf = (entry) => {
+    if (entry.valueQuantity) return { value: entry.valueQuantity.value, unit: entry.valueQuantity.unit };
+    if (entry.valueString !== undefined) return entry.valueString;
+    if (entry.valueBoolean !== undefined) return entry.valueBoolean;
+    if (entry.valueInteger !== undefined) return entry.valueInteger;
+    return textOf(entry.valueCodeableConcept);
+  };
+
+  let results = valueOf(resource);
+  if (results === undefined && components.length) {
+    results = {};
+    components.forEach((component) => {
+      results[textOf(component.code) || 'value'] = valueOf(component);
+    });
+  }
+
+  const range = first(resource.referenceRange);
+  const normalRange = range?.text || (range?.low || range?.high
+    ? `${range.low?.value ?? ''}-${range.high?.value ?? ''} ${range.high?.unit || range.low?.unit || ''}`.trim()
+    : undefined);
+  const interpretation = codeIn(first(resource.interpretation));
+  const pending = ['registered', 'preliminary'].includes(resource.status);
+
+  return {
+    kind: 'lab',
+    result: {
+      testName,
+      testDate: toDate(resource.effectiveDateTime || resource.issued),
+      results,
+      normalRange,
+      status: pending ? 'pending' : LAB_STATUS[interpretation],
+      labTechnician: first(resource.performer)?.display,
+      notes: (resource.note || []).map((note) => note.text).filter(Boolean).join('\n') || undefined
+    }
+  };
+};
+
+// Condition -> { kind: 'chronic', illness } for problem-list items,
+// otherwise { kind: 'diagnosis', text, icd10Code, differential, severity }
+const fromFhirCondition = (resource) => {
+  const text = textOf(resource.code);
+  if (!text) return null;
+
+  const categories = (resource.category || []).map((category) => codeIn(category));
+  const clinicalStatus = codeIn(resource.clinicalStatus);
+  const notes = (resource.note || []).map((note) => note.text).filter(Boolean).join('\n') || undefined;
+
+  if (categories.includes('problem-list-item') || (!resource.encounter && !categories.includes('encounter-diagnosis'))) {
+    return {
+      kind: 'chronic',
+      illness: {
+        condition: text,
+        diagnosisDate: toDate(resource.onsetDateTime || resource.recordedDate),
+        severity: severityOf(resource.severity),
+        isActive: !['inactive', 'resolved', 'remission'].includes(clinicalStatus),
+        notes
+      }
+    };
+  }
+
+  return {
+    kind: 'diagnosis',
+    text,
+    icd10Code: codeIn(resource.code, SYSTEMS.icd10),
+    differential: codeIn(resource.verificationStatus) === 'differential',
+    severity: severityOf(resource.severity)
+  };
+};
+
+// AllergyIntolerance -> medicalHistory.allergies entry
+const fromFhirAllergy = (resource) => {
+  const allergen = textOf(resource.code);
+  if (!allergen) return null;
+
+  const reaction = first(resource.reaction);
+  const severity = ['mild', 'moderate', 'severe'].includes(reaction?.severity)
+    ? reaction.severity
+    : (resource.criticality === 'high' ? 'severe' : undefined);
+
+  return {
+    allergen,
+    reaction: textOf(first(reaction?.manifestation)),
+    severity,
+    notes: (resource.note || []).map((note) => note.text).filter(Boolean).join('\n') || undefined
+  };
+};
+
+// MedicationRequest -> { discharge: true, text } or { discharge: false, medication }
+const fromFhirMedicationRequest = (resource) => {
+  const name = textOf(resource.medicationCodeableConcept) || resource.medicationReference?.display;
+  if (!name) return null;
+
+  const dosage = first(resource.dosageInstruction) || {};
+  const isDischarge = (resource.category || []).some((category) => codeIn(category) === 'discharge');
+
+  if (isDischarge) {
+    return { discharge: true, text: [name, dosage.text].filter(Boolean).join(' ') };
+  }
+
+  return {
+    discharge: false,
+    medication: {
+      name,
+      dosage: dosage.text,
+      instructions: dosage.patientInstruction,
+      prescribedBy: resource.requester?.display
+    }
+  };
+};
+
+module.exports = {
+  fromFhirPatient,
+  fromFhirEncounter,
+  fromFhirObservation,
+  fromFhirCondition,
+  fromFhirAllergy,
+  fromFhirMedicationRequest
+};
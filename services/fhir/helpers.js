@@ -0,0 +1,63 @@
+// Small helpers shared by the FHIR mappers
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// FHIR date (YYYY-MM-DD)
+const toDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+
+// FHIR dateTime / instant
+const toDateTime = (value) => (value ? new Date(value).toISOString() : undefined);
+
+const reference = (resourceType, value, display) => {
+  if (!value) return undefined;
+  return compact({
+    reference: `${resourceType}/${idOf(value)}`,
+    display: display || (value.name ? value.name : undefined)
+  });
+};
+
+const codeableConcept = (system, coding, text) => compact({
+  coding: coding ? [compact({ system, code: coding.code, display: coding.display })] : undefined,
+  text
+});
+
+// Drop undefined, null, empty strings, empty arrays and empty objects so resources stay valid.
+// Array items may also be false, so lists can be built from `condition && item`.
+const compact = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter((item) => item !== undefined && item !== false);
+    return items.length ? items : undefined;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    Object.entries(value).forEach(([key, entry]) => {
+      const compacted = compact(entry);
+      if (compacted !== undefined) result[key] = compacted;
+    });
+    return Object.keys(result).length ? result : undefined;
+  }
+
+  if (value === undefined || value === null || value === '') return undefined;
+  return value;
+};
+
+// Ids of resources derived from embedded data are "<owner id>-<kind>[-<sub id>]",
+// where the owner is a Patient or MedicalRecord document
+const derivedId = (owner, kind, subId) => [idOf(owner), kind, subId].filter(Boolean).join('-');
+
+const parseDerivedId = (id) => {
+  const [ownerId, kind, ...rest] = String(id).split('-');
+  return { ownerId, kind, subId: rest.join('-') || undefined };
+};
+
+module.exports = {
+  idOf,
+  toDate,
+  toDateTime,
+  reference,
+  codeableConcept,
+  compact,
+  derivedId,
+  parseDerivedId
+};
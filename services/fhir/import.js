@@ -0,0 +1,452 @@
+const Patient = require('../../models/Patient');
+const MedicalRecord = require('../../models/MedicalRecord');
+const Consent = require('../../models/Consent');
+const ImportJob = require('../../models/ImportJob');
+const { recordCreation } = require('../recordHistory');
+const { flagDuplicates } = require('../patientMatching');
+const { normalizeCode } = require('../../utils/icd10');
+const {
+  fromFhirPatient,
+  fromFhirEncounter,
+  fromFhirObservation,
+  fromFhirCondition,
+  fromFhirAllergy,
+  fromFhirMedicationRequest
+} = require('./fromFhir');
+
+// Jobs still "processing" after this long are assumed to belong to a crashed server
+const STALE_JOB_MINUTES = 15;
+// Refresh the job lock every this many entries
+const HEARTBEAT_ENTRIES = 50;
+
+// Patients and encounters first so other resources can attach to them
+const IMPORT_ORDER = ['Patient', 'Encounter', 'Observation', 'Condition', 'AllergyIntolerance', 'MedicationRequest'];
+
+// Helpers
+const exactMatch = (value) => new RegExp(`^${String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Map Bundle references (fullUrl, Type/id or an absolute URL ending in Type/id) to entry positions
+const buildReferenceIndex = (entries) => {
+  const index = new Map();
+  entries.forEach((entry, position) => {
+    const resource = entry.resource || {};
+    if (entry.fullUrl) index.set(entry.fullUrl, position);
+    if (resource.resourceType && resource.id) index.set(`${resource.resourceType}/${resource.id}`, position);
+  });
+
+  return (reference) => {
+    const value = reference?.reference;
+    if (!value) return undefined;
+    if (index.has(value)) return index.get(value);
+    return index.get(value.split('/').slice(-2).join('/'));
+  };
+};
+
+// A patient merged into another resolves to the surviving patient
+const followMerge = async (patient) => {
+  const visited = new Set();
+  let current = patient;
+  while (current?.mergedInto) {
+    const id = current._id.toString();
+    if (visited.has(id)) throw new Error(`Merge chain for patient ${current.patientId} loops back on itself`);
+    visited.add(id);
+    current = await Patient.findById(current.mergedInto);
+  }
+  return current;
+};
+
+// Existing patient for imported Patient data: our own patient ID, then an identifier
+// from another system, then name and date of birth. Ambiguous demographic matches are not merged.
+const findExistingPatient = async (data) => {
+  if (data.patientId) {
+    const patient = await followMerge(await Patient.findByPatientId(data.patientId));
+    if (patient) return { patient, matchedBy: 'patient ID' };
+  }
+
+  for (const identifier of data.externalIdentifiers) {
+    const patient = await followMerge(await Patient.findOne({ externalIdentifiers: { $elemMatch: identifier } }));
+    if (patient) return { patient, matchedBy: `identifier ${identifier.system}` };
+  }
+
+  const { firstName, lastName, dateOfBirth } = data.biodata;
+  if (!firstName || !lastName || !dateOfBirth) return {};
+
+  const dayStart = new Date(Date.UTC(dateOfBirth.getUTCFullYear(), dateOfBirth.getUTCMonth(), dateOfBirth.getUTCDate()));
+  const candidates = await Patient.find({
+    'biodata.firstName': exactMatch(firstName),
+    'biodata.lastName': exactMatch(lastName),
+    'biodata.dateOfBirth': { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
+    isActive: true
+  }).limit(2);
+
+  if (candidates.length > 1) return { ambiguous: true };
+  if (candidates.length === 1) return { patient: candidates[0], matchedBy: 'name and date of birth' };
+  return {};
+};
+
+// Import a FHIR transaction or batch Bundle into the given hospital.
+// Entries are imported independently and one result is returned per entry.
+const importBundle = async (bundle, { hospitalId, userId, jobId, onProgress }) => {
+  const entries = bundle?.entry || [];
+  const resolve = buildReferenceIndex(entries);
+  const results = entries.map((entry, position) => ({
+    entry: position,
+    fullUrl: entry.fullUrl,
+    resourceType: entry.resource?.resourceType
+  }));
+
+  const patients = new Map(); // entry position -> Patient document
+  const records = new Map(); // entry position -> { record, isNew, children: [entry positions] }
+  const patientChildren = new Map(); // Patient document id -> [entry positions]
+
+  const settle = (position, status, message, target) => {
+    Object.assign(results[position], { status, message, target });
+  };
+
+  // Resolve the Patient a resource belongs to, or settle the entry as failed
+  const patientFor = (position, reference) => {
+    const patientPosition = resolve(reference);
+    if (patientPosition === undefined || results[patientPosition].resourceType !== 'Patient') {
+      settle(position, 'failed', 'Subject patient is not in this bundle');
+      return null;
+    }
+    const patient = patients.get(patientPosition);
+    if (!patient) {
+      settle(position, 'failed', `Patient entry ${patientPosition} was not imported`);
+      return null;
+    }
+    return patient;
+  };
+
+  // Resolve the new record for a resource's encounter, or settle the entry
+  const recordFor = (position, reference, patient) => {
+    const encounterPosition = resolve(reference);
+    if (encounterPosition === undefined || results[encounterPosition].resourceType !== 'Encounter') {
+      settle(position, 'skipped', 'Not linked to an Encounter in this bundle');
+      return null;
+    }
+    const entry = records.get(encounterPosition);
+    if (!entry) {
+      settle(position, 'failed', `Encounter entry ${encounterPosition} was not imported`);
+      return null;
+    }
+    if (!entry.isNew) {
+      settle(position, 'skipped', 'Encounter was already imported', { model: 'MedicalRecord', id: entry.record._id });
+      return null;
+    }
+    if (!entry.record.patient.equals(patient._id)) {
+      settle(position, 'failed', 'Encounter belongs to a different patient');
+      return null;
+    }
+    entry.children.push(position);
+    return entry.record;
+  };
+
+  const attachToPatient = (position, patient) => {
+    const list = patientChildren.get(patient._id.toString()) || [];
+    list.push(position);
+    patientChildren.set(patient._id.toString(), list);
+    settle(position, 'created', undefined, { model: 'Patient', id: patient._id });
+  };
+
+  const importers = {
+    Patient: async (resource, position) => {
+      const data = fromFhirPatient(resource);
+      const { patient: existing, matchedBy, ambiguous } = await findExistingPatient(data);
+
+      if (ambiguous) {
+        return settle(position, 'failed', 'More than one existing patient has this name and date of birth');
+      }
+
+      if (existing) {
+        // Matching is not a registration: the patient must already be registered here or have
+        // given this hospital a full-records consent
+        const canAttach = existing.isRegisteredAt(hospitalId) ||
+          Boolean(await Consent.findActive(existing._id, hospitalId, 'all_records'));
+        if (!canAttach) {
+          return settle(position, 'failed', 'Matched existing patient not registered at this hospital');
+        }
+
+        data.externalIdentifiers.forEach((identifier) => {
+          const known = existing.externalIdentifiers.some(
+            (entry) => entry.system === identifier.system && entry.value === identifier.value
+          );
+          if (!known) existing.externalIdentifiers.push(identifier);
+        });
+        await existing.save();
+        patients.set(position, existing);
+        return settle(position, 'matched', `Matched ${existing.patientId} by ${matchedBy}`, { model: 'Patient', id: existing._id });
+      }
+
+      const { patientId, ...fields } = data;
+      const patient = new Patient({
+        ...fields,
+        primaryHospital: hospitalId,
+        registeredHospitals: [{ hospital: hospitalId, registrationDate: new Date(), isActive: true }]
+      });
+      await patient.save();
+      patients.set(position, patient);
+      settle(position, 'created', undefined, { model: 'Patient', id: patient._id });
+
+      await flagDuplicates(patient, 'import').catch((error) => {
+        console.error('Flag duplicates error:', error);
+      });
+    },
+
+    Encounter: async (resource, position) => {
+      const patient = patientFor(position, resource.subject);
+      if (!patient) return;
+
+      const data = fromFhirEncounter(resource);
+
+      if (data.visitInfo.visitNumber) {
+        const existing = await MedicalRecord.findOne({
+          patient: patient._id,
+          hospital: hospitalId,
+          'visitInfo.visitNumber': data.visitInfo.visitNumber
+        });
+        if (existing) {
+          records.set(position, { record: existing, isNew: false, children: [] });
+          return settle(position, 'matched', 'Encounter was already imported', { model: 'MedicalRecord', id: existing._id });
+        }
+      }
+
+      const record = new MedicalRecord({
+        ...data,
+        patient: patient._id,
+        hospital: hospitalId,
+        createdBy: userId,
+        version: 1
+      });
+      records.set(position, { record, isNew: true, children: [] });
+      settle(position, 'created', undefined, { model: 'MedicalRecord', id: record._id });
+    },
+
+    Observation: (resource, position) => {
+      const patient = patientFor(position, resource.subject);
+      if (!patient) return;
+
+      const observation = fromFhirObservation(resource);
+      if (!observation) return settle(position, 'skipped', 'Observation has no code');
+
+      if (observation.kind === 'bloodGroup' || observation.kind === 'genotype') {
+        patient.medicalHistory[observation.kind] = observation.value;
+        return attachToPatient(position, patient);
+      }
+
+      const record = recordFor(position, resource.encounter, patient);
+      if (!record) return;
+
+      if (observation.kind === 'vital') {
+        record.vitalSigns[observation.field] = observation.value;
+      } else {
+        // Another hospital's history, so critical results don't raise alerts here
+        record.laboratoryResults.push(observation.result);
+      }
+      settle(position, 'created', undefined, { model: 'MedicalRecord', id: record._id });
+    },
+
+    Condition: (resource, position) => {
+      const patient = patientFor(position, resource.subject);
+      if (!patient) return;
+
+      const condition = fromFhirCondition(resource);
+      if (!condition) return settle(position, 'skipped', 'Condition has no code');
+
+      if (condition.kind === 'chronic') {
+        const illnesses = patient.medicalHistory.chronicIllnesses;
+        if (illnesses.some((illness) => sameText(illness.condition, condition.illness.condition))) {
+          return settle(position, 'skipped', 'Condition is already recorded', { model: 'Patient', id: patient._id });
+        }
+        illnesses.push(condition.illness);
+        return attachToPatient(position, patient);
+      }
+
+      const record = recordFor(position, resource.encounter, patient);
+      if (!record) return;
+
+      const { assessment } = record;
+      const icd10Code = condition.icd10Code && normalizeCode(condition.icd10Code);
+      if (condition.differential) {
+        assessment.differentialDiagnoses.push(condition.text);
+      } else if (!assessment.primaryDiagnosis) {
+        assessment.primaryDiagnosis = condition.text;
+        assessment.primaryDiagnosisCode = icd10Code;
+        if (condition.severity) assessment.severity = condition.severity;
+      } else {
+        // Keep secondaryDiagnosisCodes in step with secondaryDiagnoses
+        while (assessment.secondaryDiagnosisCodes.length < assessment.secondaryDiagnoses.length) {
+          assessment.secondaryDiagnosisCodes.push('');
+        }
+        assessment.secondaryDiagnoses.push(condition.text);
+        assessment.secondaryDiagnosisCodes.push(icd10Code || '');
+      }
+      if (icd10Code && !assessment.icd10Codes.includes(icd10Code)) {
+        assessment.icd10Codes.push(icd10Code);
+      }
+      settle(position, 'created', undefined, { model: 'MedicalRecord', id: record._id });
+    },
+
+    AllergyIntolerance: (resource, position) => {
+      const patient = patientFor(position, resource.patient);
+      if (!patient) return;
+
+      const allergy = fromFhirAllergy(resource);
+      if (!allergy) return settle(position, 'skipped', 'AllergyIntolerance has no code');
+
+      const allergies = patient.medicalHistory.allergies;
+      if (allergies.some((entry) => sameText(entry.allergen, allergy.allergen))) {
+        return settle(position, 'skipped', 'Allergy is already recorded', { model: 'Patient', id: patient._id });
+      }
+      allergies.push(allergy);
+      attachToPatient(position, patient);
+    },
+
+    MedicationRequest: (resource, position) => {
+      const patient = patientFor(position, resource.subject);
+      if (!patient) return;
+
+      const request = fromFhirMedicationRequest(resource);
+      if (!request) return settle(position, 'skipped', 'MedicationRequest has no medication');
+
+      const record = recordFor(position, resource.encounter, patient);
+      if (!record) return;
+
+      if (request.discharge) {
+        record.discharge.medications.push(request.text);
+      } else {
+        record.treatment.medications.push(request.medication);
+      }
+      settle(position, 'created', undefined, { model: 'MedicalRecord', id: record._id });
+    }
+  };
+
+  // Import entries type by type, keeping Bundle order within a type
+  let done = 0;
+  for (const resourceType of IMPORT_ORDER) {
+    for (const [position, entry] of entries.entries()) {
+      if (entry.resource?.resourceType !== resourceType) continue;
+
+      try {
+        await importers[resourceType](entry.resource, position);
+      } catch (error) {
+        settle(position, 'failed', error.message);
+      }
+
+      done += 1;
+      if (onProgress && done % HEARTBEAT_ENTRIES === 0) await onProgress(done);
+    }
+  }
+
+  results.forEach((result, position) => {
+    if (result.status) return;
+    settle(position, 'skipped', result.resourceType
+      ? `${result.resourceType} resources are not imported`
+      : 'Entry has no resource');
+  });
+
+  // Save new records with their attached resources; a failed save fails the whole encounter
+  for (const [position, { record, isNew, children }] of records) {
+    if (!isNew) continue;
+
+    try {
+      await record.save();
+      await recordCreation(record, {
+        author: userId,
+        reason: jobId ? `Imported from FHIR bundle (import job ${jobId})` : 'Imported from FHIR bundle'
+      });
+    } catch (error) {
+      [position, ...children].forEach((child) => settle(child, 'failed', error.message));
+    }
+  }
+
+  // Save history added to patients
+  for (const patient of new Set(patients.values())) {
+    if (!patient.isModified()) continue;
+
+    try {
+      await patient.save();
+    } catch (error) {
+      (patientChildren.get(patient._id.toString()) || []).forEach((child) => settle(child, 'failed', error.message));
+    }
+  }
+
+  return results;
+};
+
+const summarize = (results) => {
+  const summary = { created: 0, matched: 0, skipped: 0, failed: 0 };
+  results.forEach((result) => {
+    summary[result.status] += 1;
+  });
+  return summary;
+};
+
+// Run a claimed job (with its bundle selected) to completion
+const runImportJob = async (job) => {
+  try {
+    const results = await importBundle(job.bundle, {
+      hospitalId: job.hospital,
+      userId: job.createdBy,
+      jobId: job._id,
+      onProgress: () => ImportJob.updateOne({ _id: job._id }, { lockedAt: new Date() })
+    });
+
+    await ImportJob.updateOne({ _id: job._id }, {
+      status: 'completed',
+      completedAt: new Date(),
+      results,
+      summary: summarize(results),
+      $unset: { bundle: 1, lockedAt: 1 }
+    });
+  } catch (error) {
+    console.error('Import job error:', error);
+    await ImportJob.updateOne({ _id: job._id }, {
+      status: 'failed',
+      completedAt: new Date(),
+      error: error.message,
+      $unset: { bundle: 1, lockedAt: 1 }
+    });
+  }
+};
+
+// Claim and run queued jobs one at a time, including jobs left "processing" by a crashed server.
+// Returns the number of jobs run.
+const processImportJobs = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000);
+    const job = await ImportJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', lockedAt: { $lt: staleBefore } }
+        ]
+      },
+      { status: 'processing', lockedAt: new Date(), startedAt: new Date() },
+      { sort: { createdAt: 1 }, new: true }
+    ).select('+bundle');
+
+    if (!job) return processed;
+
+    await runImportJob(job);
+    processed += 1;
+  }
+};
+
+// Start processing queued jobs in the background
+const scheduleImportJobs = () => {
+  setImmediate(() => {
+    processImportJobs().catch((error) => console.error('Import jobs error:', error));
+  });
+};
+
+module.exports = {
+  importBundle,
+  runImportJob,
+  processImportJobs,
+  scheduleImportJobs
+};
@@ -0,0 +1,49 @@
+const { toFhirPatient } = require('./patient');
+const { toFhirEncounter } = require('./encounter');
+const { patientObservations, recordObservations } = require('./observation');
+const { assessmentConditions, chronicConditions } = require('./condition');
+const { toFhirAllergies } = require('./allergyIntolerance');
+const { toFhirMedicationRequests } = require('./medicationRequest');
+const { searchsetBundle } = require('./bundle');
+const { parseDerivedId } = require('./helpers');
+
+// Kinds of derived ids owned by a Patient document; everything else hangs off a MedicalRecord
+const PATIENT_OWNED_KINDS = ['allergy', 'chronic', 'bloodgroup', 'genotype'];
+
+// Resources built from a Patient document, keyed by resource type
+const patientResources = (patient) => ({
+  Patient: [toFhirPatient(patient)],
+  Observation: patientObservations(patient),
+  Condition: chronicConditions(patient),
+  AllergyIntolerance: toFhirAllergies(patient)
+});
+
+// Resources built from a MedicalRecord document, keyed by resource type
+const recordResources = (record) => ({
+  Encounter: [toFhirEncounter(record)],
+  Observation: recordObservations(record),
+  Condition: assessmentConditions(record),
+  MedicationRequest: toFhirMedicationRequests(record)
+});
+
+// Merge several keyed resource maps into one
+const mergeResources = (...maps) => {
+  const merged = {};
+  maps.forEach((map) => {
+    Object.entries(map).forEach(([type, resources]) => {
+      merged[type] = [...(merged[type] || []), ...resources];
+    });
+  });
+  return merged;
+};
+
+module.exports = {
+  PATIENT_OWNED_KINDS,
+  patientResources,
+  recordResources,
+  mergeResources,
+  searchsetBundle,
+  parseDerivedId,
+  toFhirPatient,
+  toFhirEncounter
+};
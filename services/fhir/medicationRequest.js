@@ -0,0 +1,48 @@
+const { SYSTEMS } = require('./codes');
+const { toDateTime, reference, codeableConcept, compact, derivedId } = require('./helpers');
+
+const category = (code, display) => [codeableConcept(SYSTEMS.medicationRequestCategory, { code, display })];
+
+// Treatment medications are structured; discharge medications are free-text lines.
+// Both are orders made during the encounter.
+const toFhirMedicationRequests = (record) => {
+  const active = record.status !== 'completed' && record.status !== 'archived';
+  const base = {
+    resourceType: 'MedicationRequest',
+    intent: 'order',
+    subject: reference('Patient', record.patient),
+    encounter: reference('Encounter', record),
+    authoredOn: toDateTime(record.visitInfo?.visitDate)
+  };
+
+  const treatment = (record.treatment?.medications || [])
+    .filter((medication) => medication.name)
+    .map((medication) => compact({
+      ...base,
+      id: derivedId(record, 'med', medication._id && medication._id.toString()),
+      status: active ? 'active' : 'completed',
+      medicationCodeableConcept: { text: medication.name },
+      requester: medication.prescribedBy ? { display: medication.prescribedBy } : undefined,
+      dosageInstruction: [{
+        text: [medication.dosage, medication.frequency, medication.duration].filter(Boolean).join(', '),
+        patientInstruction: medication.instructions
+      }]
+    }));
+
+  const discharge = (record.discharge?.medications || [])
+    .filter(Boolean)
+    .map((medication, index) => compact({
+      ...base,
+      id: derivedId(record, 'med', `discharge${index}`),
+      status: 'active',
+      category: category('discharge', 'Discharge'),
+      medicationCodeableConcept: { text: medication },
+      authoredOn: toDateTime(record.discharge.dischargeDate) || base.authoredOn
+    }));
+
+  return [...treatment, ...discharge];
+};
+
+module.exports = {
+  toFhirMedicationRequests
+};
@@ -0,0 +1,204 @@
+const {
+  SYSTEMS,
+  VITAL_SIGNS,
+  BLOOD_PRESSURE,
+  BLOOD_GROUP,
+  UCUM_UNITS,
+  LAB_INTERPRETATION
+} = require('./codes');
+const { toDateTime, reference, codeableConcept, compact, derivedId } = require('./helpers');
+
+const category = (code, display) => [codeableConcept(SYSTEMS.observationCategory, { code, display })];
+
+const quantity = (value, unit) => compact({
+  value,
+  unit,
+  system: UCUM_UNITS[unit] ? SYSTEMS.ucum : undefined,
+  code: UCUM_UNITS[unit]
+});
+
+// Lab results are free-form: numbers, strings, { value, unit } or a map of named analytes
+const labValue = (value) => {
+  if (typeof value === 'number') return { valueQuantity: { value } };
+  if (typeof value === 'boolean') return { valueBoolean: value };
+  if (typeof value === 'string') return { valueString: value };
+  if (value && typeof value === 'object' && value.value !== undefined) {
+    const numeric = Number(value.value);
+    return Number.isFinite(numeric)
+      ? { valueQuantity: quantity(numeric, value.unit) }
+      : { valueString: String(value.value) };
+  }
+  return {};
+};
+
+const isAnalyteMap = (value) => {
+  return value && typeof value === 'object' && !Array.isArray(value) && value.value === undefined;
+};
+
+// Catalogue codes are LOINC unless they are local ("LA-" prefix)
+const labCode = (code, text) => (
+  code && !code.startsWith('LA-') ? codeableConcept(SYSTEMS.loinc, { code }, text) : { text }
+);
+
+const interpretationOf = (flag) => (
+  LAB_INTERPRETATION[flag] ? [codeableConcept(SYSTEMS.observationInterpretation, LAB_INTERPRETATION[flag])] : undefined
+);
+
+const analyteReferenceRange = (analyte) => {
+  const range = analyte.referenceRange;
+  if (!range) return undefined;
+
+  return [compact({
+    low: range.low !== undefined && range.low !== null ? quantity(range.low, analyte.unit) : undefined,
+    high: range.high !== undefined && range.high !== null ? quantity(range.high, analyte.unit) : undefined,
+    text: range.text
+  })];
+};
+
+// A structured analyte -> value, interpretation and reference range
+const analyteFields = (analyte) => ({
+  ...(typeof analyte.value === 'number'
+    ? { valueQuantity: quantity(analyte.value, analyte.unit) }
+    : analyte.valueText ? { valueString: analyte.valueText } : {}),
+  interpretation: interpretationOf(analyte.flag),
+  referenceRange: analyteReferenceRange(analyte)
+});
+
+// Structured results carry analytes: a single analyte maps to the observation's value,
+// a panel to components. Older free-form results fall back to `results`.
+const labResultFields = (result) => {
+  const analytes = result.analytes || [];
+
+  if (analytes.length === 1 && analytes[0].code === result.testCode) {
+    return analyteFields(analytes[0]);
+  }
+  if (analytes.length) {
+    return {
+      component: analytes
+        .filter((analyte) => analyte.flag !== 'pending')
+        .map((analyte) => ({ code: labCode(analyte.code, analyte.name), ...analyteFields(analyte) })),
+      interpretation: interpretationOf(result.status)
+    };
+  }
+
+  return {
+    ...(isAnalyteMap(result.results) ? {} : labValue(result.results)),
+    component: isAnalyteMap(result.results)
+      ? Object.entries(result.results).map(([name, value]) => ({ code: { text: name }, ...labValue(value) }))
+      : undefined,
+    interpretation: interpretationOf(result.status),
+    referenceRange: result.normalRange ? [{ text: result.normalRange }] : undefined
+  };
+};
+
+// Vital signs recorded at a visit -> one Observation per measurement
+const vitalSignObservations = (record) => {
+  const vitals = record.vitalSigns || {};
+  const base = {
+    resourceType: 'Observation',
+    status: 'final',
+    category: category('vital-signs', 'Vital Signs'),
+    subject: reference('Patient', record.patient),
+    encounter: reference('Encounter', record),
+    effectiveDateTime: toDateTime(record.visitInfo?.visitDate)
+  };
+
+  const observations = [];
+
+  const { systolic, diastolic, unit = 'mmHg' } = vitals.bloodPressure || {};
+  if (systolic !== undefined || diastolic !== undefined) {
+    observations.push(compact({
+      ...base,
+      id: derivedId(record, 'vs', 'bp'),
+      code: codeableConcept(SYSTEMS.loinc, BLOOD_PRESSURE.panel, 'Blood pressure'),
+      component: [
+        systolic !== undefined && {
+          code: codeableConcept(SYSTEMS.loinc, BLOOD_PRESSURE.systolic),
+          valueQuantity: quantity(systolic, unit)
+        },
+        diastolic !== undefined && {
+          code: codeableConcept(SYSTEMS.loinc, BLOOD_PRESSURE.diastolic),
+          valueQuantity: quantity(diastolic, unit)
+        }
+      ].filter(Boolean)
+    }));
+  }
+
+  Object.entries(VITAL_SIGNS).forEach(([field, coding]) => {
+    const measurement = field === 'bmi' ? { value: vitals.bmi, unit: 'kg/m2' } : vitals[field];
+    if (!measurement || measurement.value === undefined || measurement.value === null) return;
+
+    observations.push(compact({
+      ...base,
+      id: derivedId(record, 'vs', field),
+      code: codeableConcept(SYSTEMS.loinc, coding, coding.display),
+      valueQuantity: quantity(measurement.value, measurement.unit)
+    }));
+  });
+
+  return observations;
+};
+
+// Laboratory results on a record -> one Observation per test
+const laboratoryObservations = (record) => {
+  return (record.laboratoryResults || []).map((result) => {
+    const pending = (result.analytes || []).some((analyte) => analyte.flag === 'pending');
+
+    return compact({
+      resourceType: 'Observation',
+      id: derivedId(record, 'lab', result._id && result._id.toString()),
+      // Panels with some components still to come are preliminary
+      status: result.status === 'pending' ? 'registered' : pending ? 'preliminary' : 'final',
+      category: category('laboratory', 'Laboratory'),
+      code: labCode(result.testCode, result.testName),
+      subject: reference('Patient', record.patient),
+      encounter: reference('Encounter', record),
+      effectiveDateTime: toDateTime(result.testDate),
+      ...labResultFields(result),
+      performer: result.labTechnician ? [{ display: result.labTechnician }] : undefined,
+      note: result.notes ? [{ text: result.notes }] : undefined
+    });
+  });
+};
+
+// Blood group and genotype from the patient's medical history
+const patientObservations = (patient) => {
+  const history = patient.medicalHistory || {};
+  const base = {
+    resourceType: 'Observation',
+    status: 'final',
+    category: category('laboratory', 'Laboratory'),
+    subject: reference('Patient', patient)
+  };
+
+  const observations = [];
+
+  if (history.bloodGroup && history.bloodGroup !== 'unknown') {
+    observations.push(compact({
+      ...base,
+      id: derivedId(patient, 'bloodgroup'),
+      code: codeableConcept(SYSTEMS.loinc, BLOOD_GROUP, 'Blood group'),
+      valueString: history.bloodGroup
+    }));
+  }
+
+  if (history.genotype && history.genotype !== 'unknown') {
+    observations.push(compact({
+      ...base,
+      id: derivedId(patient, 'genotype'),
+      code: { text: 'Haemoglobin genotype' },
+      valueString: history.genotype
+    }));
+  }
+
+  return observations;
+};
+
+const recordObservations = (record) => [...vitalSignObservations(record), ...laboratoryObservations(record)];
+
+module.exports = {
+  vitalSignObservations,
+  laboratoryObservations,
+  patientObservations,
+  recordObservations
+};
@@ -0,0 +1,61 @@
+const { SYSTEMS, MARITAL_STATUS } = require('./codes');
+const { idOf, toDate, toDateTime, reference, codeableConcept, compact } = require('./helpers');
+
+// Patient -> FHIR Patient
+const toFhirPatient = (patient) => {
+  const { biodata } = patient;
+  const contact = biodata.contact || {};
+  const emergencyContact = contact.emergencyContact || {};
+  const address = biodata.address || {};
+
+  return compact({
+    resourceType: 'Patient',
+    id: idOf(patient),
+    meta: { lastUpdated: toDateTime(patient.updatedAt) },
+    identifier: [
+      {
+        use: 'usual',
+        system: SYSTEMS.patientId,
+        value: patient.patientId
+      },
+      ...(patient.externalIdentifiers || []).map(({ system, value }) => ({ use: 'secondary', system, value }))
+    ],
+    active: patient.isActive,
+    name: [{
+      use: 'official',
+      family: biodata.lastName,
+      given: [biodata.firstName, biodata.middleName]
+    }],
+    telecom: [
+      contact.phone && { system: 'phone', value: contact.phone, use: 'mobile' },
+      contact.email && { system: 'email', value: contact.email }
+    ],
+    gender: biodata.gender,
+    birthDate: toDate(biodata.dateOfBirth),
+    address: [{
+      use: 'home',
+      line: [address.street],
+      city: address.city,
+      district: address.lga,
+      state: address.state,
+      postalCode: address.postalCode,
+      country: address.country
+    }],
+    maritalStatus: biodata.maritalStatus
+      ? codeableConcept(SYSTEMS.maritalStatus, MARITAL_STATUS[biodata.maritalStatus], biodata.maritalStatus)
+      : undefined,
+    contact: emergencyContact.name || emergencyContact.phone
+      ? [{
+          relationship: [{ text: emergencyContact.relationship || 'Emergency contact' }],
+          name: { text: emergencyContact.name },
+          telecom: [emergencyContact.phone && { system: 'phone', value: emergencyContact.phone }],
+          address: emergencyContact.address ? { text: emergencyContact.address } : undefined
+        }]
+      : undefined,
+    managingOrganization: reference('Organization', patient.primaryHospital)
+  });
+};
+
+module.exports = {
+  toFhirPatient
+};
@@ -0,0 +1,223 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// Patient ID cards in ISO/IEC 7810 ID-1 (CR80) size, 85.6 x 54 mm, in PDF points
+const MM = 72 / 25.4;
+const CARD = { width: 85.6 * MM, height: 53.98 * MM };
+const A4 = { width: 595.28, height: 841.89 };
+// Cards per A4 sheet, laid out edge to edge so one guillotine cut separates neighbours
+const SHEET = { columns: 2, rows: 5 };
+
+const COLOURS = {
+  brand: '#0b5394',
+  text: '#1a1a1a',
+  muted: '#666666',
+  alert: '#b00020',
+  placeholder: '#d9d9d9'
+};
+
+const PADDING = 4 * MM;
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+
+const known = (value) => (value && value !== 'unknown' ? value : '-');
+
+// Card data from a patient document and the text to encode in its QR code
+const buildCard = async (patient, qrContent) => {
+  const { biodata = {}, medicalHistory = {}, hmoProvider } = patient;
+  const emergencyContact = biodata.contact?.emergencyContact || {};
+
+  return {
+    name: [biodata.firstName, biodata.middleName, biodata.lastName].filter(Boolean).join(' '),
+    patientId: patient.patientId,
+    dateOfBirth: formatDate(biodata.dateOfBirth),
+    gender: biodata.gender,
+    bloodGroup: known(medicalHistory.bloodGroup),
+    genotype: known(medicalHistory.genotype),
+    allergies: (medicalHistory.allergies || []).map((allergy) => (
+      allergy.severity === 'severe' ? `${allergy.allergen} (severe)` : allergy.allergen
+    )),
+    emergencyContact: emergencyContact.phone
+      ? [emergencyContact.name, emergencyContact.relationship && `(${emergencyContact.relationship})`, emergencyContact.phone]
+        .filter(Boolean).join(' ')
+      : '-',
+    hmo: hmoProvider?.providerName && hmoProvider.status === 'active'
+      ? `${hmoProvider.providerName}${hmoProvider.policyNumber ? ` - ${hmoProvider.policyNumber}` : ''}`
+      : 'None',
+    qrImage: await QRCode.toBuffer(qrContent, { errorCorrectionLevel: 'M', type: 'png', margin: 0, width: 300 })
+  };
+};
+
+const drawBorder = (doc, x, y) => {
+  doc.save()
+    .lineWidth(0.5)
+    .strokeColor(COLOURS.placeholder)
+    .roundedRect(x, y, CARD.width, CARD.height, 3 * MM)
+    .stroke()
+    .restore();
+};
+
+const drawHeader = (doc, x, y, title) => {
+  doc.save()
+    .rect(x, y, CARD.width, 8 * MM)
+    .fill(COLOURS.brand)
+    .fillColor('#ffffff')
+    .font('Helvetica-Bold')
+    .fontSize(8)
+    .text(title, x + PADDING, y + 2.5 * MM, { width: CARD.width - 2 * PADDING, lineBreak: false })
+    .restore();
+};
+
+// Front: name, patient ID, photo placeholder and QR code
+const drawFront = (doc, card, x, y) => {
+  drawBorder(doc, x, y);
+  drawHeader(doc, x, y, 'LIFE ARMADA PATIENT ID');
+
+  const top = y + 11 * MM;
+  const photo = { width: 20 * MM, height: 25 * MM };
+  const qrSize = 27 * MM;
+
+  doc.save()
+    .rect(x + PADDING, top, photo.width, photo.height)
+    .fill(COLOURS.placeholder)
+    .fillColor(COLOURS.muted)
+    .font('Helvetica')
+    .fontSize(6)
+    .text('PHOTO', x + PADDING, top + photo.height / 2 - 3, { width: photo.width, align: 'center' })
+    .restore();
+
+  const textX = x + PADDING + photo.width + 3 * MM;
+  const textWidth = CARD.width - (textX - x) - qrSize - 2 * PADDING;
+
+  doc.fillColor(COLOURS.text)
+    .font('Helvetica-Bold')
+    .fontSize(9)
+    .text(card.name, textX, top, { width: textWidth, height: 22, ellipsis: true })
+    .moveDown(0.3)
+    .font('Helvetica')
+    .fontSize(6)
+    .fillColor(COLOURS.muted)
+    .text('Patient ID', { width: textWidth })
+    .font('Courier-Bold')
+    .fontSize(9)
+    .fillColor(COLOURS.text)
+    .text(card.patientId, { width: textWidth })
+    .moveDown(0.3)
+    .font('Helvetica')
+    .fontSize(6)
+    .fillColor(COLOURS.muted)
+    .text(`DOB ${card.dateOfBirth}  ${card.gender || ''}`, { width: textWidth });
+
+  doc.image(card.qrImage, x + CARD.width - PADDING - qrSize, top, { width: qrSize, height: qrSize });
+
+  doc.fillColor(COLOURS.muted)
+    .fontSize(5)
+    .text('Scan in an emergency', x + PADDING, y + CARD.height - PADDING - 5, {
+      width: CARD.width - 2 * PADDING,
+      align: 'right',
+      lineBreak: false
+    });
+};
+
+// Back: blood group, genotype, allergies, emergency contact and HMO
+const drawBack = (doc, card, x, y) => {
+  drawBorder(doc, x, y);
+  drawHeader(doc, x, y, 'EMERGENCY INFORMATION');
+
+  const width = CARD.width - 2 * PADDING;
+  const left = x + PADDING;
+
+  const field = (label, value, options = {}) => {
+    doc.font('Helvetica').fontSize(5.5).fillColor(COLOURS.muted).text(label.toUpperCase(), { width });
+    doc.font('Helvetica-Bold').fontSize(7.5).fillColor(options.colour || COLOURS.text)
+      .text(value, { width, height: options.height || 10, ellipsis: true });
+    doc.moveDown(0.2);
+  };
+
+  const top = y + 10 * MM;
+  const half = width / 2;
+  [['Blood group', card.bloodGroup, COLOURS.alert], ['Genotype', card.genotype, COLOURS.text]].forEach(([label, value, colour], index) => {
+    const columnX = left + index * half;
+    doc.font('Helvetica').fontSize(5.5).fillColor(COLOURS.muted).text(label.toUpperCase(), columnX, top, { width: half });
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(colour).text(value, columnX, top + 7, { width: half });
+  });
+
+  doc.x = left;
+  doc.y = top + 20;
+  field('Allergies', card.allergies.length ? card.allergies.join(', ') : 'None recorded', {
+    colour: card.allergies.length ? COLOURS.alert : COLOURS.text,
+    height: 19
+  });
+  field('Emergency contact', card.emergencyContact);
+  field('HMO', card.hmo);
+};
+
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+// One card: front on page 1, back on page 2, each page the size of the card
+const renderCard = async ({ patient, qrContent }) => {
+  const card = await buildCard(patient, qrContent);
+  const doc = new PDFDocument({ size: [CARD.width, CARD.height], margin: 0, autoFirstPage: false });
+  doc.info.Title = `Patient ID card ${card.patientId}`;
+
+  doc.addPage();
+  drawFront(doc, card, 0, 0);
+  doc.addPage();
+  drawBack(doc, card, 0, 0);
+
+  return toBuffer(doc);
+};
+
+// Many cards on A4: each sheet of fronts is followed by a sheet of backs with the columns
+// mirrored, so printing double-sided (flip on long edge) lines each back up with its front
+const renderSheets = async (entries) => {
+  const cards = [];
+  for (const entry of entries) {
+    cards.push(await buildCard(entry.patient, entry.qrContent));
+  }
+
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+  doc.info.Title = `Patient ID cards (${cards.length})`;
+
+  const perSheet = SHEET.columns * SHEET.rows;
+  const marginX = (A4.width - SHEET.columns * CARD.width) / 2;
+  const marginY = (A4.height - SHEET.rows * CARD.height) / 2;
+  const position = (index, mirrored) => {
+    const column = index % SHEET.columns;
+    const row = Math.floor(index / SHEET.columns);
+    return {
+      x: marginX + (mirrored ? SHEET.columns - 1 - column : column) * CARD.width,
+      y: marginY + row * CARD.height
+    };
+  };
+
+  for (let start = 0; start < cards.length; start += perSheet) {
+    const sheet = cards.slice(start, start + perSheet);
+
+    doc.addPage();
+    sheet.forEach((card, index) => {
+      const { x, y } = position(index, false);
+      drawFront(doc, card, x, y);
+    });
+
+    doc.addPage();
+    sheet.forEach((card, index) => {
+      const { x, y } = position(index, true);
+      drawBack(doc, card, x, y);
+    });
+  }
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  CARDS_PER_SHEET: SHEET.columns * SHEET.rows,
+  renderCard,
+  renderSheets
+};
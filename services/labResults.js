@@ -0,0 +1,283 @@
+const LabTest = require('../models/LabTest');
+
+// Analyte flags and the result status they put the whole test in
+const FLAG_STATUS = {
+  critical_low: 'critical',
+  critical_high: 'critical',
+  critical: 'critical',
+  low: 'abnormal',
+  high: 'abnormal',
+  abnormal: 'abnormal',
+  normal: 'normal',
+  pending: 'pending'
+};
+const STATUS_RANK = { critical: 3, abnormal: 2, normal: 1, pending: 0 };
+
+// Helpers
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const matchesTest = (test, reference) => (
+  test.code === String(reference).trim() ||
+  [test.name, test.shortName, ...(test.aliases || [])].some((name) => name && sameText(name, reference))
+);
+
+const ageAt = (dateOfBirth, at) => {
+  if (!dateOfBirth) return null;
+  return (new Date(at).getTime() - new Date(dateOfBirth).getTime()) / YEAR_MS;
+};
+
+// The most specific reference range for the patient's sex and age: sex-specific beats 'any',
+// age-bounded beats open. Without a date of birth, the open-ended (adult) ranges are used.
+const referenceRangeFor = (test, { sex, age }) => {
+  const candidates = (test.referenceRanges || []).filter((range) => {
+    if (range.sex !== 'any' && range.sex !== sex) return false;
+    if (age === null) return isBlank(range.ageMax);
+    return (isBlank(range.ageMin) || age >= range.ageMin) && (isBlank(range.ageMax) || age < range.ageMax);
+  });
+
+  const specificity = (range) => (range.sex !== 'any' ? 2 : 0) + (isBlank(range.ageMin) && isBlank(range.ageMax) ? 0 : 1);
+  return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+const rangeText = (range, unit) => {
+  if (!range) return undefined;
+  const suffix = unit ? ` ${unit}` : '';
+  if (!isBlank(range.low) && !isBlank(range.high)) return `${range.low}-${range.high}${suffix}`;
+  if (!isBlank(range.high)) return `<= ${range.high}${suffix}`;
+  if (!isBlank(range.low)) return `>= ${range.low}${suffix}`;
+  return undefined;
+};
+
+const flagNumeric = (value, range) => {
+  if (!range) return undefined;
+  if (!isBlank(range.criticalLow) && value < range.criticalLow) return 'critical_low';
+  if (!isBlank(range.criticalHigh) && value > range.criticalHigh) return 'critical_high';
+  if (!isBlank(range.low) && value < range.low) return 'low';
+  if (!isBlank(range.high) && value > range.high) return 'high';
+  return 'normal';
+};
+
+const flagText = (value, test) => {
+  if ((test.criticalValues || []).some((candidate) => sameText(candidate, value))) return 'critical';
+  if (!(test.normalValues || []).length) return undefined;
+  return test.normalValues.some((candidate) => sameText(candidate, value)) ? 'normal' : 'abnormal';
+};
+
+// Worst status across analytes. Analytes without a flag (no reference range) don't count, so a
+// result with only unflagged values has no status; one with nothing reported yet is pending.
+const overallStatus = (analytes) => {
+  if (analytes.every((analyte) => analyte.flag === 'pending')) return 'pending';
+
+  const statuses = analytes
+    .map((analyte) => FLAG_STATUS[analyte.flag])
+    .filter((status) => status && status !== 'pending');
+  return statuses.sort((a, b) => STATUS_RANK[b] - STATUS_RANK[a])[0];
+};
+
+// One analyte from its catalogue test and the reported value
+const buildAnalyte = (test, input, patient, testDate) => {
+  const analyte = { code: test.code, name: test.shortName || test.name, unit: test.unit };
+
+  if (isBlank(input?.value)) {
+    return { analyte: { ...analyte, flag: 'pending' } };
+  }
+
+  if (test.valueType === 'text') {
+    const valueText = String(input.value).trim();
+    return { analyte: { ...analyte, valueText, flag: flagText(valueText, test) } };
+  }
+
+  const value = Number(input.value);
+  if (!Number.isFinite(value)) {
+    return { error: `${analyte.name} must be a number` };
+  }
+  if (input.unit && test.unit && !sameText(input.unit, test.unit)) {
+    return { error: `${analyte.name} must be reported in ${test.unit}, not ${input.unit}` };
+  }
+
+  const range = referenceRangeFor(test, {
+    sex: patient?.biodata?.gender,
+    age: ageAt(patient?.biodata?.dateOfBirth, testDate)
+  });
+
+  return {
+    analyte: {
+      ...analyte,
+      value,
+      referenceRange: range
+        ? {
+          low: range.low,
+          high: range.high,
+          criticalLow: range.criticalLow,
+          criticalHigh: range.criticalHigh,
+          text: rangeText(range, test.unit)
+        }
+        : undefined,
+      flag: flagNumeric(value, range)
+    }
+  };
+};
+
+// Build a structured laboratoryResults entry from a catalogue test and reported values.
+// `input` names the test with testCode or testName and gives either `analytes`
+// ([{ code or name, value, unit }]) or, for a single-analyte test, `value` and `unit`.
+// Panel components that are not reported are added as pending.
+// Returns { result } or { errors }.
+const buildLabResult = async (input, patient) => {
+  const test = await LabTest.findByReference(input.testCode || input.testName);
+  if (!test) {
+    return { errors: [`${input.testCode || input.testName} is not in the lab test catalogue`] };
+  }
+
+  const components = test.isPanel()
+    ? await LabTest.find({ code: { $in: test.components }, isActive: true })
+    : [test];
+  const reported = input.analytes || (isBlank(input.value) ? [] : [{ code: test.code, value: input.value, unit: input.unit }]);
+  const testDate = input.testDate ? new Date(input.testDate) : new Date();
+
+  const errors = [];
+  const byCode = new Map();
+  for (const entry of reported) {
+    const component = components.find((candidate) => matchesTest(candidate, entry.code || entry.name));
+    if (!component) {
+      errors.push(`${entry.code || entry.name} is not part of ${test.shortName || test.name}`);
+    } else if (byCode.has(component.code)) {
+      errors.push(`${component.shortName || component.name} is reported more than once`);
+    } else {
+      byCode.set(component.code, entry);
+    }
+  }
+
+  // Keep the panel's component order
+  const analytes = [];
+  const codes = test.isPanel() ? test.components : [test.code];
+  for (const code of codes) {
+    const component = components.find((candidate) => candidate.code === code);
+    if (!component) continue;
+
+    const { analyte, error } = buildAnalyte(component, byCode.get(code), patient, testDate);
+    if (error) errors.push(error);
+    else analytes.push(analyte);
+  }
+
+  if (errors.length) return { errors };
+
+  return {
+    result: {
+      testName: test.shortName || test.name,
+      testCode: test.code,
+      testDate,
+      analytes,
+      normalRange: analytes.length === 1 ? analytes[0].referenceRange?.text : undefined,
+      status: overallStatus(analytes),
+      notes: input.notes,
+      labTechnician: input.labTechnician
+    }
+  };
+};
+
+// Aggregation stages that turn a patient's records into one row per reported value of an analyte
+const analyteRows = (match, code) => [
+  { $match: { ...match, 'laboratoryResults.analytes.code': code } },
+  { $unwind: '$laboratoryResults' },
+  { $unwind: '$laboratoryResults.analytes' },
+  {
+    $match: {
+      'laboratoryResults.analytes.code': code,
+      'laboratoryResults.analytes.flag': { $ne: 'pending' }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      recordId: '$_id',
+      hospital: '$hospital',
+      resultId: '$laboratoryResults._id',
+      date: { $ifNull: ['$laboratoryResults.testDate', '$visitInfo.visitDate'] },
+      name: '$laboratoryResults.analytes.name',
+      value: '$laboratoryResults.analytes.value',
+      valueText: '$laboratoryResults.analytes.valueText',
+      unit: '$laboratoryResults.analytes.unit',
+      flag: '$laboratoryResults.analytes.flag',
+      referenceRange: '$laboratoryResults.analytes.referenceRange'
+    }
+  }
+];
+
+// Values of one analyte over time for records matching `match`, oldest first, with a summary
+const analyteTrend = async (MedicalRecord, match, code, { startDate, endDate } = {}) => {
+  const dateMatch = {};
+  if (startDate) dateMatch.$gte = new Date(startDate);
+  if (endDate) dateMatch.$lte = new Date(endDate);
+
+  const points = await MedicalRecord.aggregate([
+    ...analyteRows(match, code),
+    ...(Object.keys(dateMatch).length ? [{ $match: { date: dateMatch } }] : []),
+    { $sort: { date: 1 } }
+  ]);
+
+  const numeric = points.filter((point) => typeof point.value === 'number');
+  const latest = points[points.length - 1];
+  const previous = numeric.length > 1 ? numeric[numeric.length - 2] : null;
+
+  return {
+    points,
+    summary: {
+      count: points.length,
+      latest: latest || null,
+      min: numeric.length ? Math.min(...numeric.map((point) => point.value)) : null,
+      max: numeric.length ? Math.max(...numeric.map((point) => point.value)) : null,
+      // Change in the latest numeric value since the one before it
+      change: previous && typeof latest?.value === 'number' ? Number((latest.value - previous.value).toFixed(4)) : null,
+      abnormalCount: points.filter((point) => ['abnormal', 'critical'].includes(FLAG_STATUS[point.flag])).length
+    }
+  };
+};
+
+// Every analyte with structured results for records matching `match`, with its latest value
+const reportedAnalytes = (MedicalRecord, match) => {
+  return MedicalRecord.aggregate([
+    { $match: { ...match, 'laboratoryResults.analytes.0': { $exists: true } } },
+    { $unwind: '$laboratoryResults' },
+    { $unwind: '$laboratoryResults.analytes' },
+    { $match: { 'laboratoryResults.analytes.flag': { $ne: 'pending' } } },
+    { $sort: { 'laboratoryResults.testDate': 1 } },
+    {
+      $group: {
+        _id: '$laboratoryResults.analytes.code',
+        name: { $last: '$laboratoryResults.analytes.name' },
+        unit: { $last: '$laboratoryResults.analytes.unit' },
+        count: { $sum: 1 },
+        latestDate: { $last: '$laboratoryResults.testDate' },
+        latestValue: { $last: '$laboratoryResults.analytes.value' },
+        latestValueText: { $last: '$laboratoryResults.analytes.valueText' },
+        latestFlag: { $last: '$laboratoryResults.analytes.flag' }
+      }
+    },
+    { $sort: { name: 1 } },
+    {
+      $project: {
+        _id: 0,
+        code: '$_id',
+        name: 1,
+        unit: 1,
+        count: 1,
+        latestDate: 1,
+        latestValue: 1,
+        latestValueText: 1,
+        latestFlag: 1
+      }
+    }
+  ]);
+};
+
+module.exports = {
+  referenceRangeFor,
+  buildLabResult,
+  analyteTrend,
+  reportedAnalytes
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'Life Armada <no-reply@lifearmada.com>';
+
+// Messages captured by the memory transport
+const memoryOutbox = [];
+
+// Transport factories, keyed by MAIL_TRANSPORT value
+const transportFactories = {
+  // Real delivery through the EMAIL_* SMTP settings
+  smtp: () => {
+    const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+
+    return nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined
+    });
+  },
+
+  // Local runs: print the message instead of sending it
+  console: () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        console.log('[mail] Outgoing message:', info.message);
+        return info;
+      }
+    };
+  },
+
+  // Tests: keep messages in memoryOutbox
+  memory: () => ({
+    sendMail: async (message) => {
+      const messageId = `<memory-${memoryOutbox.length + 1}@lifearmada.local>`;
+      memoryOutbox.push({ ...message, messageId });
+      return { messageId };
+    }
+  }),
+
+  // Local runs: write each message as an .eml file to MAIL_FILE_DIR
+  file: () => {
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const outputDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        await fs.promises.mkdir(outputDir, { recursive: true });
+
+        const filename = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(outputDir, filename), info.message);
+
+        return { ...info, filePath: path.join(outputDir, filename) };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+};
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = resolveTransportName();
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+};
+
+// Register an additional transport factory usable through MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Override the active transport (any object exposing sendMail(message))
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  registerTransport,
+  memoryOutbox
+};
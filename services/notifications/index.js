@@ -0,0 +1,213 @@
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const { sendMail } = require('../mailer');
+const { sendSms } = require('../sms');
+const { renderTemplate } = require('./templates');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 60;
+// A notification stuck in "sending" this long (e.g. after a crash) is picked up again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const REDACTED_BODY = '[redacted]';
+
+// Channel adapters. Each delivers a claimed notification and returns the provider message id.
+const channelAdapters = {
+  email: async (notification) => {
+    const info = await sendMail({
+      to: notification.to,
+      subject: notification.subject,
+      text: notification.body
+    });
+    return info && info.messageId;
+  },
+
+  sms: async (notification) => {
+    const info = await sendSms({
+      to: notification.to,
+      text: notification.body
+    });
+    return info && info.messageId;
+  },
+
+  // The stored notification is the inbox entry, so there is nothing to hand off
+  in_app: async () => undefined
+};
+
+// Templates carrying secrets that are never written to the outbox. The stored notification keeps
+// a redacted body and the secret data is produced again for every delivery attempt.
+const sendTimeData = {
+  // A fresh reset token per attempt; only its hash is stored, on the user
+  password_reset: async (notification) => {
+    const user = await User.findById(notification.user);
+    if (!user || !user.isActive) {
+      throw new Error('Account is no longer active');
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    return {
+      resetUrl: `${process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password'}/${resetToken}`,
+      expiresInMinutes: Math.round((user.passwordResetExpires - Date.now()) / 60000)
+    };
+  }
+};
+
+// The message to hand to the channel adapter, rendered with any send-time data
+const outgoingMessage = async (notification) => {
+  const resolve = sendTimeData[notification.template];
+  if (!resolve) return notification;
+
+  const rendered = renderTemplate(notification.template, { ...notification.data, ...await resolve(notification) });
+  return {
+    to: notification.to,
+    subject: rendered.subject,
+    body: notification.channel === 'email' ? rendered.text : rendered.sms
+  };
+};
+
+// Exponential backoff: base, 2x base, 4x base...
+const retryDelayMs = (attempts) => RETRY_BASE_SECONDS * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+
+const finish = (notification, update) => {
+  if (notification.sensitive) {
+    update.body = REDACTED_BODY;
+    update.$unset = { data: 1 };
+  }
+
+  return Notification.updateOne({ _id: notification._id }, update);
+};
+
+// Send a notification already claimed by this process
+const deliver = async (notification) => {
+  try {
+    const providerMessageId = await channelAdapters[notification.channel](await outgoingMessage(notification));
+
+    await finish(notification, {
+      status: 'sent',
+      sentAt: new Date(),
+      providerMessageId,
+      lockedAt: null,
+      lastError: null
+    });
+    return true;
+  } catch (error) {
+    console.error(`Notification ${notification._id} (${notification.channel}) delivery error:`, error.message);
+
+    if (notification.attempts >= notification.maxAttempts) {
+      await finish(notification, { status: 'failed', lockedAt: null, lastError: error.message });
+    } else {
+      await Notification.updateOne({ _id: notification._id }, {
+        status: 'queued',
+        lockedAt: null,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + retryDelayMs(notification.attempts))
+      });
+    }
+    return false;
+  }
+};
+
+// Atomically claim a notification so only one worker sends it
+const claim = (filter) => {
+  return Notification.findOneAndUpdate(
+    filter,
+    { status: 'sending', lockedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Send everything due in the outbox. Returns the number of notifications processed.
+const processOutbox = async ({ limit = 50 } = {}) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    const now = new Date();
+    const notification = await claim({
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    });
+
+    if (!notification) break;
+
+    await deliver(notification);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+// Queue a template for one recipient on the given channels and try to send it straight away;
+// failed attempts are retried by the outbox worker.
+// recipient: { user, patient, email, phone } - channels without an address are skipped.
+// dedupeKey: skip channels where a notification with the same key was already queued.
+const notify = async ({ template, data, recipient, channels = ['email'], dedupeKey }) => {
+  const rendered = renderTemplate(template, data);
+  const addresses = {
+    email: recipient.email,
+    sms: recipient.phone,
+    in_app: recipient.user ? String(recipient.user._id || recipient.user) : null
+  };
+
+  const queued = [];
+
+  for (const channel of channels) {
+    if (!addresses[channel]) continue;
+
+    try {
+      queued.push(await Notification.create({
+        user: recipient.user,
+        patient: recipient.patient,
+        channel,
+        to: channel === 'in_app' ? undefined : addresses[channel],
+        template,
+        subject: rendered.subject,
+        body: sendTimeData[template] ? REDACTED_BODY : (channel === 'email' ? rendered.text : rendered.sms),
+        data,
+        sensitive: rendered.sensitive,
+        maxAttempts: MAX_ATTEMPTS,
+        dedupeKey
+      }));
+    } catch (error) {
+      // Already queued under this dedupe key
+      if (error.code === 11000) continue;
+      throw error;
+    }
+  }
+
+  queued.forEach((notification) => {
+    claim({ _id: notification._id, status: 'queued' })
+      .then((claimed) => claimed && deliver(claimed))
+      .catch((error) => console.error('Notification delivery error:', error));
+  });
+
+  return queued;
+};
+
+// Recipient details for a user account
+const recipientForUser = (user) => ({
+  user: user._id,
+  email: user.email,
+  phone: user.profile?.phoneNumber
+});
+
+// Recipient details for a patient, including their linked account (if any) for in-app notices
+const recipientForPatient = async (patient) => {
+  const account = await User.findOne({ patient: patient._id, isActive: true });
+
+  return {
+    user: account ? account._id : undefined,
+    patient: patient._id,
+    email: patient.biodata?.contact?.email || account?.email,
+    phone: patient.biodata?.contact?.phone
+  };
+};
+
+module.exports = {
+  notify,
+  processOutbox,
+  recipientForUser,
+  recipientForPatient
+};
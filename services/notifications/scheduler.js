@@ -0,0 +1,52 @@
+const { processOutbox } = require('./index');
+const { sendAppointmentReminders, sendSubscriptionExpiryNotices } = require('./triggers');
+const { escalateOverdueAlerts } = require('../criticalAlerts');
+
+const OUTBOX_POLL_SECONDS = parseInt(process.env.NOTIFICATION_POLL_SECONDS, 10) || 30;
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.NOTIFICATION_REMINDER_INTERVAL_MINUTES, 10) || 60;
+const ALERT_ESCALATION_POLL_SECONDS = parseInt(process.env.CRITICAL_ALERT_POLL_SECONDS, 10) || 60;
+
+const timers = [];
+
+// Run a job on an interval, skipping a tick while the previous run is still going
+const every = (intervalMs, name, job) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`${name} job error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  timers.push(timer);
+  run();
+};
+
+// Start sending queued notifications, running reminder triggers and escalating critical alerts in this process
+const startScheduler = () => {
+  if (timers.length) return;
+
+  every(OUTBOX_POLL_SECONDS * 1000, 'Notification outbox', () => processOutbox());
+  every(REMINDER_INTERVAL_MINUTES * 60 * 1000, 'Notification reminders', async () => {
+    await sendAppointmentReminders();
+    await sendSubscriptionExpiryNotices();
+  });
+  every(ALERT_ESCALATION_POLL_SECONDS * 1000, 'Critical alert escalation', () => escalateOverdueAlerts());
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
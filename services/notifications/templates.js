@@ -0,0 +1,174 @@
+// Notification templates. Each returns a subject, a full text body and an optional short
+// sms body (used for SMS and in-app notifications). Sensitive templates have their body
+// cleared from the outbox once delivery ends.
+
+const formatDateTime = (value) => {
+  return new Date(value).toLocaleString('en-NG', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const formatDate = (value) => {
+  return new Date(value).toLocaleDateString('en-NG', { dateStyle: 'medium' });
+};
+
+const templates = {
+  // Account events
+  account_registered: ({ firstName }) => ({
+    subject: 'Welcome to Life Armada',
+    text: [
+      `Hello ${firstName},`,
+      'Your Life Armada account has been created. You can now sign in to view and manage your records.'
+    ].join('\n\n')
+  }),
+
+  password_reset: ({ resetUrl, expiresInMinutes }) => ({
+    sensitive: true,
+    subject: 'Reset your Life Armada password',
+    text: [
+      'A password reset was requested for your Life Armada account.',
+      `Use the link below within ${expiresInMinutes} minutes to choose a new password:`,
+      resetUrl,
+      'If you did not request this, you can ignore this email.'
+    ].join('\n\n')
+  }),
+
+  password_changed: () => ({
+    subject: 'Your Life Armada password was changed',
+    text: [
+      'The password for your Life Armada account was just changed and all other sessions were signed out.',
+      'If you did not make this change, reset your password immediately and contact your hospital.'
+    ].join('\n\n'),
+    sms: 'Your Life Armada password was changed. If this was not you, reset it immediately.'
+  }),
+
+  account_deactivated: () => ({
+    subject: 'Your Life Armada account was deactivated',
+    text: 'Your Life Armada account has been deactivated by an administrator. Contact your hospital if you think this is a mistake.'
+  }),
+
+  // Appointments
+  follow_up_reminder: ({ patientName, hospitalName, startTime, department, status }) => ({
+    subject: `Appointment reminder: ${hospitalName}`,
+    text: [
+      `Hello ${patientName},`,
+      status === 'pending'
+        ? `You are due for a follow-up visit at ${hospitalName}${department ? ` (${department})` : ''} on ${formatDate(startTime)}. ` +
+          'Please contact the hospital to confirm a time.'
+        : `This is a reminder of your appointment at ${hospitalName}${department ? ` (${department})` : ''} on ${formatDateTime(startTime)}.`
+    ].join('\n\n'),
+    sms: status === 'pending'
+      ? `Life Armada: follow-up due at ${hospitalName} on ${formatDate(startTime)}. Please call to confirm a time.`
+      : `Life Armada: reminder of your appointment at ${hospitalName} on ${formatDateTime(startTime)}.`
+  }),
+
+  // Subscriptions
+  subscription_expiring: ({ patientName, subscriptionType, providerName, expiryDate }) => ({
+    subject: `Your ${subscriptionType} cover expires on ${formatDate(expiryDate)}`,
+    text: [
+      `Hello ${patientName},`,
+      `Your ${subscriptionType} cover${providerName ? ` with ${providerName}` : ''} expires on ${formatDate(expiryDate)}.`,
+      'Renew it before then to avoid interruptions to your care.'
+    ].join('\n\n'),
+    sms: `Life Armada: your ${subscriptionType} cover expires on ${formatDate(expiryDate)}. Renew to avoid interruptions.`
+  }),
+
+  // Clinical events
+  critical_lab_result: ({ patientName, patientId, testName, summary, recordId, hospitalName, alertId }) => ({
+    subject: `Critical lab result: ${testName} for ${patientName}`,
+    text: [
+      `A critical result was recorded for ${testName} (patient ${patientName}, ${patientId}) at ${hospitalName}.`,
+      summary && `Critical values: ${summary}`,
+      `Review medical record ${recordId} as soon as possible and acknowledge alert ${alertId}.`
+    ].filter(Boolean).join('\n\n'),
+    sms: `CRITICAL lab result: ${testName} for ${patientName} (${patientId})${summary ? `: ${summary}` : ''}. ` +
+      `Review record ${recordId} and acknowledge alert ${alertId}.`
+  }),
+
+  critical_lab_result_escalated: ({ patientName, patientId, testName, summary, recordId, hospitalName, alertId, level, openMinutes }) => ({
+    subject: `Unacknowledged critical lab result: ${testName} for ${patientName}`,
+    text: [
+      `A critical result for ${testName} (patient ${patientName}, ${patientId}) at ${hospitalName} ` +
+        `has not been acknowledged after ${openMinutes} minutes (escalation ${level}).`,
+      summary && `Critical values: ${summary}`,
+      `Review medical record ${recordId} now and acknowledge alert ${alertId}.`
+    ].filter(Boolean).join('\n\n'),
+    sms: `ESCALATION ${level}: critical ${testName} for ${patientName} (${patientId}) unacknowledged ` +
+      `for ${openMinutes} min. Review record ${recordId}, acknowledge alert ${alertId}.`
+  }),
+
+  news2_alert: ({ patientName, patientId, summary, recordId, hospitalName, alertId }) => ({
+    subject: `Early warning score alert for ${patientName}`,
+    text: [
+      `Patient ${patientName} (${patientId}) at ${hospitalName} has a raised early warning score.`,
+      summary,
+      `Review the patient and medical record ${recordId} urgently and acknowledge alert ${alertId}.`
+    ].join('\n\n'),
+    sms: `${summary} for ${patientName} (${patientId}). Review urgently, record ${recordId}, acknowledge alert ${alertId}.`
+  }),
+
+  news2_alert_escalated: ({ patientName, patientId, summary, recordId, hospitalName, alertId, level, openMinutes }) => ({
+    subject: `Unacknowledged early warning score alert for ${patientName}`,
+    text: [
+      `A raised early warning score for ${patientName} (${patientId}) at ${hospitalName} ` +
+        `has not been acknowledged after ${openMinutes} minutes (escalation ${level}).`,
+      summary,
+      `Review the patient and medical record ${recordId} now and acknowledge alert ${alertId}.`
+    ].join('\n\n'),
+    sms: `ESCALATION ${level}: ${summary} for ${patientName} (${patientId}) unacknowledged ` +
+      `for ${openMinutes} min. Review record ${recordId}, acknowledge alert ${alertId}.`
+  }),
+
+  // Sent to the hospital contact address for alerts on restricted records: no patient details or values
+  restricted_record_alert: ({ alertKind, hospitalName, alertId }) => ({
+    subject: `Critical alert at ${hospitalName}`,
+    text: [
+      `A ${alertKind} alert was raised at ${hospitalName} on a restricted medical record.`,
+      `Staff with access to the record have been notified. Details are in the alert dashboard (alert ${alertId}).`
+    ].join('\n\n')
+  }),
+
+  restricted_record_alert_escalated: ({ alertKind, hospitalName, alertId, level, openMinutes }) => ({
+    subject: `Unacknowledged critical alert at ${hospitalName}`,
+    text: [
+      `A ${alertKind} alert on a restricted medical record at ${hospitalName} ` +
+        `has not been acknowledged after ${openMinutes} minutes (escalation ${level}).`,
+      `Details are in the alert dashboard (alert ${alertId}).`
+    ].join('\n\n')
+  }),
+
+  break_glass_access: ({ clinicianName, clinicianEmail, hospitalName, patientName, patientId, justification, expiresAt, accessId }) => ({
+    subject: `Break-glass access to patient ${patientId}`,
+    text: [
+      `${clinicianName} (${clinicianEmail}) at ${hospitalName} used emergency break-glass access ` +
+        `for patient ${patientName} (${patientId}).`,
+      `Justification: ${justification}`,
+      `Access expires at ${new Date(expiresAt).toISOString()}.`,
+      `Please review this access (reference ${accessId}).`
+    ].join('\n\n')
+  }),
+
+  break_glass_emergency_contact: ({ patientName, hospitalName }) => ({
+    subject: 'Emergency access to medical records',
+    text: `Life Armada: ${hospitalName} accessed the medical records of ${patientName} in an emergency. ` +
+      'Their primary hospital will review this access.'
+  })
+};
+
+// Render a template into { subject, text, sms, sensitive }
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const rendered = template(data);
+  return {
+    subject: rendered.subject,
+    text: rendered.text,
+    sms: rendered.sms || rendered.text,
+    sensitive: Boolean(rendered.sensitive)
+  };
+};
+
+module.exports = {
+  renderTemplate
+};
@@ -0,0 +1,116 @@
+const Appointment = require('../../models/Appointment');
+const Patient = require('../../models/Patient');
+const { notify, recipientForUser, recipientForPatient } = require('./index');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const FOLLOW_UP_REMINDER_HOURS = parseInt(process.env.FOLLOW_UP_REMINDER_HOURS, 10) || 24;
+const SUBSCRIPTION_EXPIRY_NOTICE_DAYS = parseInt(process.env.SUBSCRIPTION_EXPIRY_NOTICE_DAYS, 10) || 14;
+
+const PATIENT_CHANNELS = ['email', 'sms', 'in_app'];
+
+const patientName = (patient) => `${patient.biodata.firstName} ${patient.biodata.lastName}`;
+
+// Scheduled: remind patients of appointments starting within FOLLOW_UP_REMINDER_HOURS
+const sendAppointmentReminders = async () => {
+  const now = new Date();
+  const appointments = await Appointment.find({
+    status: { $in: ['pending', 'booked'] },
+    startTime: { $gte: now, $lte: new Date(now.getTime() + FOLLOW_UP_REMINDER_HOURS * HOUR_MS) }
+  })
+    .populate('patient')
+    .populate('hospital', 'name');
+
+  let queued = 0;
+  for (const appointment of appointments) {
+    if (!appointment.patient || !appointment.hospital) continue;
+
+    const notifications = await notify({
+      template: 'follow_up_reminder',
+      channels: PATIENT_CHANNELS,
+      recipient: await recipientForPatient(appointment.patient),
+      data: {
+        patientName: patientName(appointment.patient),
+        hospitalName: appointment.hospital.name,
+        department: appointment.department,
+        startTime: appointment.startTime,
+        status: appointment.status,
+        appointmentId: appointment._id
+      },
+      dedupeKey: `appointment-reminder:${appointment._id}:${appointment.startTime.toISOString()}`
+    });
+    queued += notifications.length;
+  }
+
+  return queued;
+};
+
+// Scheduled: warn patients whose HMO or emergency subscription expires within SUBSCRIPTION_EXPIRY_NOTICE_DAYS
+const sendSubscriptionExpiryNotices = async () => {
+  const now = new Date();
+  const window = { $gte: now, $lte: new Date(now.getTime() + SUBSCRIPTION_EXPIRY_NOTICE_DAYS * DAY_MS) };
+
+  const patients = await Patient.find({
+    isActive: true,
+    $or: [
+      { 'hmoProvider.status': 'active', 'hmoProvider.expiryDate': window },
+      { 'emergencySubscription.isActive': true, 'emergencySubscription.expiryDate': window }
+    ]
+  });
+
+  const inWindow = (date) => Boolean(date) && date >= window.$gte && date <= window.$lte;
+
+  let queued = 0;
+  for (const patient of patients) {
+    const subscriptions = [];
+    if (patient.hmoProvider?.status === 'active' && inWindow(patient.hmoProvider.expiryDate)) {
+      subscriptions.push({
+        key: 'hmo',
+        subscriptionType: 'HMO',
+        providerName: patient.hmoProvider.providerName,
+        expiryDate: patient.hmoProvider.expiryDate
+      });
+    }
+    if (patient.emergencySubscription?.isActive && inWindow(patient.emergencySubscription.expiryDate)) {
+      subscriptions.push({
+        key: 'emergency',
+        subscriptionType: 'emergency subscription',
+        expiryDate: patient.emergencySubscription.expiryDate
+      });
+    }
+    if (!subscriptions.length) continue;
+
+    const recipient = await recipientForPatient(patient);
+    for (const { key, ...data } of subscriptions) {
+      const notifications = await notify({
+        template: 'subscription_expiring',
+        channels: PATIENT_CHANNELS,
+        recipient,
+        data: { ...data, patientName: patientName(patient) },
+        dedupeKey: `subscription-expiry:${key}:${patient._id}:${data.expiryDate.toISOString()}`
+      });
+      queued += notifications.length;
+    }
+  }
+
+  return queued;
+};
+
+// Event: account changes the user should hear about. The change has already been saved when
+// this runs, so a failure to queue the notice is logged rather than failing the request.
+const notifyAccountEvent = (user, template, data = {}) => {
+  return notify({
+    template,
+    recipient: recipientForUser(user),
+    data
+  }).catch((error) => {
+    console.error(`Account notification error (${template}):`, error);
+    return [];
+  });
+};
+
+module.exports = {
+  sendAppointmentReminders,
+  sendSubscriptionExpiryNotices,
+  notifyAccountEvent
+};
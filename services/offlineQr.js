@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { compactSnapshot, signOfflinePayload, verifyOfflinePayload } = require('../utils/offlineQr');
+
+// Ed25519 keys for offline emergency QR payloads.
+// QR_OFFLINE_SIGNING_KEY holds the private key (PEM, or base64 PKCS#8 DER) named QR_OFFLINE_KEY_ID.
+// Public keys of retired signing keys stay published via QR_OFFLINE_RETIRED_KEYS ("kid:x,kid:x",
+// x being the base64url raw public key) so cards signed with them still verify.
+
+const DEFAULT_TTL_DAYS = 180;
+
+let keyring = null;
+
+const parsePrivateKey = (value) => {
+  const text = value.replace(/\\n/g, '\n').trim();
+  if (text.startsWith('-----BEGIN')) return crypto.createPrivateKey(text);
+  return crypto.createPrivateKey({ key: Buffer.from(text, 'base64'), format: 'der', type: 'pkcs8' });
+};
+
+const publicKeyX = (publicKey) => publicKey.export({ format: 'jwk' }).x;
+
+const loadKeys = () => {
+  if (keyring) return keyring;
+
+  const published = [];
+  let signing = null;
+
+  if (process.env.QR_OFFLINE_SIGNING_KEY) {
+    const privateKey = parsePrivateKey(process.env.QR_OFFLINE_SIGNING_KEY);
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('QR_OFFLINE_SIGNING_KEY must be an Ed25519 private key');
+    }
+    const kid = process.env.QR_OFFLINE_KEY_ID || 'offline-1';
+    signing = { kid, privateKey };
+    published.push({ kid, x: publicKeyX(crypto.createPublicKey(privateKey)), status: 'active' });
+  }
+
+  (process.env.QR_OFFLINE_RETIRED_KEYS || '').split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [kid, x] = entry.split(':');
+    if (!kid || !x) throw new Error(`Invalid QR_OFFLINE_RETIRED_KEYS entry "${entry}"`);
+    published.push({ kid, x, status: 'retired' });
+  });
+
+  keyring = { signing, published };
+  return keyring;
+};
+
+const isOfflineSigningEnabled = () => Boolean(loadKeys().signing);
+
+// Published verification keys, in JWK form
+const publishedKeys = () => loadKeys().published.map(({ kid, x, status }) => ({
+  kty: 'OKP',
+  crv: 'Ed25519',
+  use: 'sig',
+  alg: 'EdDSA',
+  kid,
+  x,
+  status
+}));
+
+// Signed offline payload for a QR patient snapshot. The payload expires after
+// QR_OFFLINE_TTL_DAYS (so stale allergy lists are not trusted forever) or with the
+// online QR code, whichever comes first.
+const signEmergencyPayload = (snapshot, { qrCode, qrCodeExpiresAt } = {}) => {
+  const { signing } = loadKeys();
+  if (!signing) throw new Error('Offline QR signing is not configured');
+
+  const days = parseInt(process.env.QR_OFFLINE_TTL_DAYS, 10) || DEFAULT_TTL_DAYS;
+  let expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  if (qrCodeExpiresAt && qrCodeExpiresAt < expiresAt) expiresAt = qrCodeExpiresAt;
+
+  const payload = compactSnapshot(snapshot, { qrCode, expiresAt });
+  return {
+    payload: signOfflinePayload(payload, signing),
+    expiresAt
+  };
+};
+
+const verifyEmergencyPayload = (text) => verifyOfflinePayload(text, loadKeys().published);
+
+module.exports = {
+  isOfflineSigningEnabled,
+  publishedKeys,
+  signEmergencyPayload,
+  verifyEmergencyPayload
+};
@@ -0,0 +1,187 @@
+const Patient = require('../models/Patient');
+const PatientDuplicate = require('../models/PatientDuplicate');
+
+// Score out of 100 at which two patients are flagged as probable duplicates
+const DUPLICATE_THRESHOLD = parseInt(process.env.PATIENT_DUPLICATE_THRESHOLD, 10) || 65;
+// Candidates fetched per patient before scoring
+const CANDIDATE_LIMIT = 100;
+
+const WEIGHTS = {
+  name: 40,
+  dateOfBirth: 30,
+  phone: 20,
+  lga: 10
+};
+
+// Helpers
+const normalizeName = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z]/g, '');
+
+// Local and international forms of a number share their last 10 digits (0803..., +234803...)
+const normalizePhone = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Jaro-Winkler similarity between 0 and 1
+const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i += 1) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j += 1) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k += 1;
+    if (a[i] !== b[k]) transpositions += 1;
+    k += 1;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix += 1;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Best of first/last and swapped first/last name similarity
+const nameSimilarity = (a, b) => {
+  const [aFirst, aLast] = [normalizeName(a.firstName), normalizeName(a.lastName)];
+  const [bFirst, bLast] = [normalizeName(b.firstName), normalizeName(b.lastName)];
+
+  const straight = (jaroWinkler(aFirst, bFirst) + jaroWinkler(aLast, bLast)) / 2;
+  const swapped = (jaroWinkler(aFirst, bLast) + jaroWinkler(aLast, bFirst)) / 2;
+  return Math.max(straight, swapped);
+};
+
+const sameDay = (a, b) => a.getUTCFullYear() === b.getUTCFullYear() &&
+  a.getUTCMonth() === b.getUTCMonth() &&
+  a.getUTCDate() === b.getUTCDate();
+
+// Day and month swapped on entry (03/04 vs 04/03)
+const transposedDay = (a, b) => a.getUTCFullYear() === b.getUTCFullYear() &&
+  a.getUTCMonth() === b.getUTCDate() - 1 &&
+  a.getUTCDate() === b.getUTCMonth() + 1;
+
+// Score how likely two patients are the same person. Returns { score, reasons }.
+const scoreMatch = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  const similarity = nameSimilarity(a.biodata || {}, b.biodata || {});
+  if (similarity >= 0.8) {
+    score += WEIGHTS.name * similarity;
+    reasons.push(similarity === 1 ? 'Same name' : `Similar name (${Math.round(similarity * 100)}%)`);
+  }
+
+  const aBirth = a.biodata?.dateOfBirth && new Date(a.biodata.dateOfBirth);
+  const bBirth = b.biodata?.dateOfBirth && new Date(b.biodata.dateOfBirth);
+  if (aBirth && bBirth) {
+    if (sameDay(aBirth, bBirth)) {
+      score += WEIGHTS.dateOfBirth;
+      reasons.push('Same date of birth');
+    } else if (transposedDay(aBirth, bBirth)) {
+      score += WEIGHTS.dateOfBirth / 2;
+      reasons.push('Date of birth with day and month swapped');
+    }
+  }
+
+  const aPhone = normalizePhone(a.biodata?.contact?.phone);
+  if (aPhone && aPhone === normalizePhone(b.biodata?.contact?.phone)) {
+    score += WEIGHTS.phone;
+    reasons.push('Same phone number');
+  }
+
+  const aLga = normalizeName(a.biodata?.address?.lga);
+  if (aLga && aLga === normalizeName(b.biodata?.address?.lga)) {
+    score += WEIGHTS.lga;
+    reasons.push('Same LGA');
+  }
+
+  return { score: Math.round(score), reasons };
+};
+
+// Active patients that may be duplicates of the given one, best match first.
+// Candidates share a phone number, date of birth or surname (either way round) before scoring.
+const findDuplicates = async (patient, { threshold = DUPLICATE_THRESHOLD } = {}) => {
+  const { biodata = {} } = patient;
+  const or = [];
+
+  const phone = normalizePhone(biodata.contact?.phone);
+  if (phone) or.push({ 'biodata.contact.phone': new RegExp(`${escapeRegex(phone)}$`) });
+
+  if (biodata.dateOfBirth) {
+    const birth = new Date(biodata.dateOfBirth);
+    const dayStart = new Date(Date.UTC(birth.getUTCFullYear(), birth.getUTCMonth(), birth.getUTCDate()));
+    or.push({ 'biodata.dateOfBirth': { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) } });
+  }
+
+  [biodata.lastName, biodata.firstName].filter(Boolean).forEach((name) => {
+    or.push({ 'biodata.lastName': new RegExp(`^${escapeRegex(name.trim())}$`, 'i') });
+  });
+
+  if (!or.length) return [];
+
+  const candidates = await Patient.find({
+    _id: { $ne: patient._id },
+    isActive: true,
+    mergedInto: null,
+    $or: or
+  })
+    .select('patientId biodata primaryHospital')
+    .limit(CANDIDATE_LIMIT);
+
+  return candidates
+    .map((candidate) => ({ patient: candidate, ...scoreMatch(patient, candidate) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Find duplicates of a patient and record each pair for review.
+// Pairs already dismissed or merged keep their status. Returns the matches.
+const flagDuplicates = async (patient, source) => {
+  const matches = await findDuplicates(patient);
+
+  for (const match of matches) {
+    await PatientDuplicate.updateOne(
+      { pairKey: PatientDuplicate.pairKeyFor(patient._id, match.patient._id) },
+      {
+        $set: { score: match.score, reasons: match.reasons },
+        $setOnInsert: { patient: patient._id, candidate: match.patient._id, source, status: 'open' }
+      },
+      { upsert: true }
+    );
+  }
+
+  return matches;
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  scoreMatch,
+  findDuplicates,
+  flagDuplicates
+};
@@ -0,0 +1,239 @@
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const Appointment = require('../models/Appointment');
+const Referral = require('../models/Referral');
+const Consent = require('../models/Consent');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const VitalObservation = require('../models/VitalObservation');
+const Prescription = require('../models/Prescription');
+const CriticalAlert = require('../models/CriticalAlert');
+const User = require('../models/User');
+const PatientMerge = require('../models/PatientMerge');
+const PatientDuplicate = require('../models/PatientDuplicate');
+const { updateRecordWithHistory } = require('./recordHistory');
+
+// Models whose `patient` field is re-pointed on merge, keyed by PatientMerge.moved path.
+// Medical records are handled separately so each move is versioned.
+const MOVED_MODELS = {
+  appointments: Appointment,
+  referrals: Referral,
+  consents: Consent,
+  emergencyAccess: EmergencyAccess,
+  vitalObservations: VitalObservation,
+  prescriptions: Prescription,
+  criticalAlerts: CriticalAlert,
+  users: User
+};
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const isKnown = (value) => value && value !== 'unknown';
+
+const idsOf = (Model, patientId) => Model.find({ patient: patientId }).distinct('_id');
+
+// Point a set of medical records at another patient, one history version each
+const moveRecords = async (recordIds, from, to, { author, reason, action }) => {
+  for (const recordId of recordIds) {
+    await updateRecordWithHistory(recordId, (record) => {
+      if (record.patient.equals(from)) record.patient = to;
+    }, { author, reason, action });
+  }
+};
+
+// Work out what moves and what the survivor gains, and write it to a merge log
+const writeMergeLog = async ({ survivor, merged, user, reason, duplicate }) => {
+  const moved = { medicalRecords: await idsOf(MedicalRecord, merged._id) };
+  for (const [path, Model] of Object.entries(MOVED_MODELS)) {
+    moved[path] = await idsOf(Model, merged._id);
+  }
+
+  const added = {
+    registrations: [],
+    externalIdentifiers: [],
+    qrCode: merged.qrCode,
+    allergies: [],
+    chronicIllnesses: []
+  };
+
+  merged.registeredHospitals
+    .filter((registration) => registration.isActive)
+    .forEach((registration) => {
+      if (survivor.registerAtHospital(registration.hospital)) added.registrations.push(registration.hospital);
+    });
+
+  merged.externalIdentifiers.forEach((identifier) => {
+    const known = survivor.externalIdentifiers.some(
+      (entry) => entry.system === identifier.system && entry.value === identifier.value
+    );
+    if (!known) {
+      survivor.externalIdentifiers.push(identifier);
+      added.externalIdentifiers.push({ system: identifier.system, value: identifier.value });
+    }
+  });
+
+  if (merged.qrCode && !survivor.mergedQrCodes.includes(merged.qrCode)) {
+    survivor.mergedQrCodes.push(merged.qrCode);
+  }
+
+  const history = merged.medicalHistory || {};
+  (history.allergies || []).forEach((allergy) => {
+    if (survivor.medicalHistory.allergies.some((entry) => sameText(entry.allergen, allergy.allergen))) return;
+    const { _id, ...fields } = allergy.toObject();
+    survivor.medicalHistory.allergies.push(fields);
+    added.allergies.push(survivor.medicalHistory.allergies[survivor.medicalHistory.allergies.length - 1]._id);
+  });
+  (history.chronicIllnesses || []).forEach((illness) => {
+    if (survivor.medicalHistory.chronicIllnesses.some((entry) => sameText(entry.condition, illness.condition))) return;
+    const { _id, ...fields } = illness.toObject();
+    survivor.medicalHistory.chronicIllnesses.push(fields);
+    added.chronicIllnesses.push(survivor.medicalHistory.chronicIllnesses[survivor.medicalHistory.chronicIllnesses.length - 1]._id);
+  });
+  ['bloodGroup', 'genotype'].forEach((field) => {
+    if (!isKnown(survivor.medicalHistory[field]) && isKnown(history[field])) {
+      survivor.medicalHistory[field] = history[field];
+      added[field] = history[field];
+    }
+  });
+
+  const merge = await PatientMerge.create({
+    survivor: survivor._id,
+    merged: merged._id,
+    duplicate: duplicate?._id,
+    performedBy: user._id,
+    reason,
+    moved,
+    added
+  });
+
+  return merge;
+};
+
+// Merge a duplicate patient into the survivor: records, appointments, referrals, consents,
+// break-glass grants, vital observations, prescriptions, critical alerts and linked accounts
+// move across, the survivor picks up the duplicate's registrations, identifiers, QR code and any
+// allergies or chronic illnesses it lacks, and the duplicate is deactivated.
+// The duplicate is claimed with a conditional update first, so two concurrent merges can't both
+// take it, and the log is written before anything moves so a partial merge can still be reverted.
+// Resolves to { merge }, or { status, message } when either patient has been merged meanwhile.
+const mergePatients = async ({ survivor, merged, user, reason, duplicate }) => {
+  const survivorUnmerged = await Patient.exists({ _id: survivor._id, isActive: true, mergedInto: null });
+  if (!survivorUnmerged) {
+    return { status: 409, message: 'The surviving patient has been merged into another patient' };
+  }
+
+  const claimed = await Patient.findOneAndUpdate(
+    { _id: merged._id, isActive: true, mergedInto: null },
+    { isActive: false, mergedInto: survivor._id, mergedAt: new Date() }
+  );
+  if (!claimed) {
+    return { status: 409, message: 'The duplicate patient has already been merged' };
+  }
+
+  let merge;
+  try {
+    merge = await writeMergeLog({ survivor, merged, user, reason, duplicate });
+  } catch (error) {
+    // Nothing has moved yet, so hand the duplicate back
+    await Patient.updateOne(
+      { _id: merged._id, mergedInto: survivor._id },
+      { isActive: true, mergedInto: null, mergedAt: null }
+    );
+    throw error;
+  }
+
+  await survivor.save();
+
+  const historyReason = `Patient ${merged.patientId} merged into ${survivor.patientId} (merge ${merge._id})`;
+  await moveRecords(merge.moved.medicalRecords, merged._id, survivor._id, {
+    author: user._id,
+    reason: historyReason,
+    action: 'patient_merge'
+  });
+  for (const [path, Model] of Object.entries(MOVED_MODELS)) {
+    await Model.updateMany({ _id: { $in: merge.moved[path] }, patient: merged._id }, { patient: survivor._id });
+  }
+
+  await PatientDuplicate.updateOne(
+    { pairKey: PatientDuplicate.pairKeyFor(survivor._id, merged._id) },
+    { status: 'merged', resolvedBy: user._id, resolvedAt: new Date() }
+  );
+
+  return { merge };
+};
+
+// Undo a merge: move everything listed in the log back, remove what the survivor gained
+// and reactivate the duplicate. Anything added to the survivor since the merge stays.
+// The log is claimed with a conditional update so a merge is only reverted once. Resolves to
+// { merge }, or { status, message } when a patient is missing or the merge can't be reverted.
+const revertMerge = async (merge, { user, reason }) => {
+  const [survivor, merged] = await Promise.all([
+    Patient.findById(merge.survivor),
+    Patient.findById(merge.merged)
+  ]);
+
+  if (!survivor || !merged) {
+    return { status: 404, message: 'Patient not found' };
+  }
+  if (survivor.mergedInto) {
+    return {
+      status: 409,
+      message: 'The surviving patient has since been merged into another patient; revert that merge first'
+    };
+  }
+
+  const reverted = await PatientMerge.findOneAndUpdate(
+    { _id: merge._id, status: 'merged' },
+    { status: 'reverted', revertedBy: user._id, revertedAt: new Date(), revertReason: reason },
+    { new: true }
+  );
+  if (!reverted) {
+    return { status: 409, message: 'Merge has already been reverted' };
+  }
+
+  const historyReason = `Merge ${merge._id} of ${merged.patientId} into ${survivor.patientId} reverted`;
+  await moveRecords(merge.moved.medicalRecords, survivor._id, merged._id, {
+    author: user._id,
+    reason: historyReason,
+    action: 'patient_unmerge'
+  });
+  for (const [path, Model] of Object.entries(MOVED_MODELS)) {
+    await Model.updateMany({ _id: { $in: merge.moved[path] }, patient: survivor._id }, { patient: merged._id });
+  }
+
+  const { added } = merge;
+  const addedHospitals = added.registrations.map((id) => id.toString());
+  survivor.registeredHospitals = survivor.registeredHospitals.filter(
+    (registration) => !addedHospitals.includes(registration.hospital.toString())
+  );
+  survivor.externalIdentifiers = survivor.externalIdentifiers.filter(
+    (identifier) => !added.externalIdentifiers.some(
+      (entry) => entry.system === identifier.system && entry.value === identifier.value
+    )
+  );
+  survivor.mergedQrCodes = survivor.mergedQrCodes.filter((code) => code !== added.qrCode);
+  added.allergies.forEach((id) => survivor.medicalHistory.allergies.pull(id));
+  added.chronicIllnesses.forEach((id) => survivor.medicalHistory.chronicIllnesses.pull(id));
+  ['bloodGroup', 'genotype'].forEach((field) => {
+    if (added[field] && survivor.medicalHistory[field] === added[field]) {
+      survivor.medicalHistory[field] = undefined;
+    }
+  });
+  await survivor.save();
+
+  merged.isActive = true;
+  merged.mergedInto = undefined;
+  merged.mergedAt = undefined;
+  await merged.save();
+
+  await PatientDuplicate.updateOne(
+    { pairKey: PatientDuplicate.pairKeyFor(survivor._id, merged._id) },
+    { status: 'open', $unset: { resolvedBy: 1, resolvedAt: 1 } }
+  );
+
+  return { merge: reverted };
+};
+
+module.exports = {
+  mergePatients,
+  revertMerge
+};
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Drug = require('../models/Drug');
+const Prescription = require('../models/Prescription');
+
+// Interaction severities that stop a prescription unless the prescriber overrides them
+const BLOCKING_INTERACTIONS = ['contraindicated', 'major'];
+const SEVERITY_RANK = { contraindicated: 4, major: 3, moderate: 2, minor: 1 };
+
+// Helpers
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// An allergen matches a term if it is the term or contains it as whole words ("sulfa drugs" matches "sulfa")
+const allergenMatches = (allergen, terms) => {
+  const text = ` ${normalize(allergen)} `;
+  if (!text.trim()) return null;
+  return terms.find((term) => term && text.includes(` ${normalize(term)} `)) || null;
+};
+
+const drugTerms = (drug) => [drug.genericName, drug.drugClass, ...(drug.brandNames || []), ...(drug.allergyGroups || [])];
+
+const label = (drug) => drug.genericName;
+
+// Find a formulary drug by id, generic name or brand name
+const resolveDrug = async (reference) => {
+  if (!reference) return null;
+  if (reference instanceof Drug) return reference;
+  if (mongoose.Types.ObjectId.isValid(reference) && String(reference).length === 24) {
+    return Drug.findOne({ _id: reference, isActive: true });
+  }
+  return Drug.findByName(reference);
+};
+
+// The patient's current prescriptions with their formulary drugs, as { drug, prescription }
+const loadActiveMedications = async (patientId, { exclude } = {}) => {
+  const query = Prescription.findCurrent(patientId).populate('drug');
+  if (exclude) query.where('_id').ne(exclude);
+  const prescriptions = await query;
+
+  return prescriptions
+    .filter((prescription) => prescription.drug)
+    .map((prescription) => ({ drug: prescription.drug, prescription }));
+};
+
+// Allergy issues for a drug: a direct match blocks, cross-sensitivity warns unless the allergy was severe
+const checkAllergies = (drug, allergies = []) => {
+  const issues = [];
+
+  for (const allergy of allergies) {
+    const direct = allergenMatches(allergy.allergen, drugTerms(drug));
+    if (direct) {
+      issues.push({
+        type: 'allergy',
+        severity: allergy.severity || 'unknown',
+        blocking: true,
+        allergen: allergy.allergen,
+        message: `Patient is allergic to ${allergy.allergen}${allergy.reaction ? ` (${allergy.reaction})` : ''}; ${label(drug)} is in the same group`
+      });
+      continue;
+    }
+
+    const cross = allergenMatches(allergy.allergen, drug.crossSensitivity || []);
+    if (cross) {
+      issues.push({
+        type: 'cross_sensitivity',
+        severity: allergy.severity || 'unknown',
+        blocking: allergy.severity === 'severe',
+        allergen: allergy.allergen,
+        message: `Patient is allergic to ${allergy.allergen}; ${label(drug)} (${drug.drugClass}) can cross-react`
+      });
+    }
+  }
+
+  return issues;
+};
+
+// The most severe interaction listed on either drug against the other
+const findInteraction = (drug, other) => {
+  const matches = (entry, target) => (
+    (entry.drug && entry.drug === target.genericName) || (entry.drugClass && entry.drugClass === target.drugClass)
+  );
+  const candidates = [
+    ...(drug.interactions || []).filter((entry) => matches(entry, other)),
+    ...(other.interactions || []).filter((entry) => matches(entry, drug))
+  ];
+
+  return candidates.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])[0] || null;
+};
+
+// Interaction and duplicate therapy issues for a drug against the patient's other medications
+const checkInteractions = (drug, medications = []) => {
+  const issues = [];
+
+  for (const { drug: other, prescription } of medications) {
+    const reference = {
+      interactingDrug: label(other),
+      interactingPrescription: prescription?._id
+    };
+
+    if (other.genericName === drug.genericName) {
+      issues.push({
+        type: 'duplicate_therapy',
+        severity: 'moderate',
+        blocking: false,
+        ...reference,
+        message: `Patient is already taking ${label(other)}`
+      });
+      continue;
+    }
+
+    const interaction = findInteraction(drug, other);
+    if (interaction) {
+      issues.push({
+        type: 'interaction',
+        severity: interaction.severity,
+        blocking: BLOCKING_INTERACTIONS.includes(interaction.severity),
+        ...reference,
+        message: `${label(drug)} + ${label(other)}: ${interaction.effect || `${interaction.severity} interaction`}`
+      });
+    } else if (other.drugClass === drug.drugClass) {
+      issues.push({
+        type: 'duplicate_therapy',
+        severity: 'minor',
+        blocking: false,
+        ...reference,
+        message: `Patient is already taking ${label(other)}, also a ${drug.drugClass}`
+      });
+    }
+  }
+
+  return issues;
+};
+
+// Check one drug for a patient against their allergies and current medications
+const checkDrug = (drug, patient, medications) => {
+  const issues = [
+    ...checkAllergies(drug, patient.medicalHistory?.allergies),
+    ...checkInteractions(drug, medications)
+  ];
+
+  return {
+    drug: label(drug),
+    blocking: issues.some((issue) => issue.blocking),
+    issues
+  };
+};
+
+// Check a new prescription; pass exclude to ignore a prescription being replaced
+const checkPrescription = async (drug, patient, { exclude } = {}) => {
+  const medications = await loadActiveMedications(patient._id, { exclude });
+  return checkDrug(drug, patient, medications);
+};
+
+// Ids of the given prescription refs that are real prescriptions for the patient
+const ownPrescriptionIds = async (patientId, medications) => {
+  const refs = medications.map((medication) => medication.prescription).filter(Boolean);
+  if (!refs.length) return new Set();
+
+  const ids = await Prescription.find({ _id: { $in: refs }, patient: patientId }).distinct('_id');
+  return new Set(ids.map(String));
+};
+
+// Check free-text treatment medications: each one found in the formulary is checked against the
+// patient's allergies, current prescriptions and the medications listed before it. Names in
+// `existing` were accepted on an earlier save and are only checked against, not re-checked.
+// Callers only pass on prescription refs carried over from the stored record.
+const checkMedicationList = async (patient, medications = [], { existing = [] } = {}) => {
+  const [active, prescribed] = await Promise.all([
+    loadActiveMedications(patient._id),
+    ownPrescriptionIds(patient._id, medications)
+  ]);
+  const accepted = new Set(existing.map(normalize));
+  const listed = [];
+  const results = [];
+  const unrecognised = [];
+
+  for (const medication of medications) {
+    // Structured prescriptions were checked when they were written
+    if (medication.prescription && prescribed.has(String(medication.prescription))) continue;
+
+    const drug = await resolveDrug(medication.name);
+    if (!drug) {
+      if (medication.name) unrecognised.push(medication.name);
+      continue;
+    }
+
+    if (!accepted.has(normalize(medication.name))) {
+      const result = checkDrug(drug, patient, [...active, ...listed]);
+      if (result.issues.length) results.push(result);
+    }
+    listed.push({ drug });
+  }
+
+  return {
+    blocking: results.some((result) => result.blocking),
+    results,
+    unrecognised
+  };
+};
+
+module.exports = {
+  resolveDrug,
+  loadActiveMedications,
+  checkDrug,
+  checkPrescription,
+  checkMedicationList
+};
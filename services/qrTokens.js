@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const QrRevocation = require('../models/QrRevocation');
+
+// Signed QR tokens: <kid>.<payload>.<signature>, all base64url except the key id.
+// The payload holds the patient (sub), a random token id (jti) used for revocation,
+// the issue time (iat) and an optional expiry (exp), both in seconds.
+// Signatures are HMAC-SHA256 with the key named by kid, so old keys can stay in
+// QR_TOKEN_KEYS for verification after QR_TOKEN_ACTIVE_KEY moves to a new one.
+
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+// Codes issued before signed tokens: LAMR-<patientId>-<timestamp>
+const LEGACY_CODE_PATTERN = /^LAMR-[A-Z0-9]+-\d+$/;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+let keyring = null;
+
+// Parse QR_TOKEN_KEYS ("kid:secret,kid:secret"). Without it, a single key derived
+// from JWT_SECRET is used so development setups work out of the box.
+const loadKeys = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  (process.env.QR_TOKEN_KEYS || '').split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const separator = entry.indexOf(':');
+    const kid = entry.slice(0, separator);
+    const secret = entry.slice(separator + 1);
+    if (separator < 1 || !KID_PATTERN.test(kid) || !secret) {
+      throw new Error(`Invalid QR_TOKEN_KEYS entry for key "${kid || entry}"`);
+    }
+    keys.set(kid, secret);
+  });
+
+  if (!keys.size) {
+    keys.set('default', crypto.createHmac('sha256', process.env.JWT_SECRET || '').update('qr-token').digest('hex'));
+  }
+
+  const activeKid = process.env.QR_TOKEN_ACTIVE_KEY || keys.keys().next().value;
+  if (!keys.has(activeKid)) {
+    throw new Error(`QR_TOKEN_ACTIVE_KEY "${activeKid}" is not in QR_TOKEN_KEYS`);
+  }
+
+  keyring = { keys, activeKid };
+  return keyring;
+};
+
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Default lifetime of new tokens; unset means they do not expire
+const defaultExpiryDays = () => {
+  const days = parseInt(process.env.QR_TOKEN_TTL_DAYS, 10);
+  return days > 0 ? days : null;
+};
+
+// Issue a token for a patient. Returns { token, tokenId, expiresAt }.
+const issueQrToken = (patientId, { expiresInDays = defaultExpiryDays() } = {}) => {
+  const { keys, activeKid } = loadKeys();
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = {
+    sub: String(patientId),
+    jti: crypto.randomBytes(12).toString('base64url'),
+    iat: issuedAt
+  };
+  if (expiresInDays) claims.exp = issuedAt + Math.round(expiresInDays * 24 * 60 * 60);
+
+  const data = `${activeKid}.${base64url(JSON.stringify(claims))}`;
+  return {
+    token: `${data}.${sign(keys.get(activeKid), data)}`,
+    tokenId: claims.jti,
+    expiresAt: claims.exp ? new Date(claims.exp * 1000) : undefined
+  };
+};
+
+// Check a token's signature and expiry without touching the database.
+// Returns { valid: true, claims, kid } or { valid: false, reason }.
+const decodeQrToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return { valid: false, reason: 'malformed' };
+
+  const [kid, payload, signature] = parts;
+  const secret = loadKeys().keys.get(kid);
+  if (!secret) return { valid: false, reason: 'unknown_key' };
+
+  const expected = Buffer.from(sign(secret, `${kid}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (!claims.sub || !claims.jti) return { valid: false, reason: 'malformed' };
+
+  if (claims.exp && claims.exp * 1000 <= Date.now()) {
+    return { valid: false, reason: 'expired', claims };
+  }
+
+  return { valid: true, claims, kid };
+};
+
+// Full verification: signature, expiry, then the revocation list
+const verifyQrToken = async (token) => {
+  const result = decodeQrToken(token);
+  if (!result.valid) return result;
+
+  if (await QrRevocation.exists({ tokenId: result.claims.jti })) {
+    return { valid: false, reason: 'revoked', claims: result.claims };
+  }
+
+  return result;
+};
+
+// Add a token to the revocation list. Safe to call for a token that is already revoked.
+const revokeQrToken = async ({ tokenId, patient, expiresAt, reason, user }) => {
+  if (!tokenId) return;
+
+  await QrRevocation.updateOne(
+    { tokenId },
+    {
+      $setOnInsert: {
+        tokenId,
+        patient,
+        reason,
+        revokedBy: user?._id,
+        expiresAt
+      }
+    },
+    { upsert: true }
+  );
+};
+
+const isLegacyQrCode = (code) => LEGACY_CODE_PATTERN.test(String(code || ''));
+
+// Legacy codes are guessable; they are only honoured while QR_ACCEPT_LEGACY_CODES is on
+const acceptsLegacyQrCodes = () => process.env.QR_ACCEPT_LEGACY_CODES === 'true';
+
+module.exports = {
+  issueQrToken,
+  decodeQrToken,
+  verifyQrToken,
+  revokeQrToken,
+  isLegacyQrCode,
+  acceptsLegacyQrCodes
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const MedicalRecord = require('../models/MedicalRecord');
+const RecordVersion = require('../models/RecordVersion');
+const { diffObjects, revertChanges } = require('../utils/objectDiff');
+
+// Bookkeeping fields that are not part of the clinical content
+const IGNORED_PATHS = ['_id', '__v', 'version', 'createdAt', 'updatedAt'];
+
+const toPlainRecord = (record) => {
+  return JSON.parse(JSON.stringify(record.toObject({ depopulate: true, virtuals: false })));
+};
+
+// Store the initial version of a newly created record
+const recordCreation = (record, { author, reason }) => {
+  return RecordVersion.create({
+    medicalRecord: record._id,
+    version: record.version,
+    action: 'create',
+    author,
+    reason
+  });
+};
+
+// Apply a change to a record and store the resulting diff as a new version.
+// The record and its version are written in one transaction, so a record is never ahead of
+// its history. Returns null when the record does not exist. Concurrent edits fail with a VersionError.
+const updateRecordWithHistory = async (recordId, applyChanges, { author, reason, action }) => {
+  const record = await MedicalRecord.findById(recordId);
+  if (!record) return null;
+
+  const before = toPlainRecord(record);
+  applyChanges(record);
+  const changes = diffObjects(before, toPlainRecord(record), { ignore: IGNORED_PATHS });
+
+  if (!changes.length) {
+    return record;
+  }
+
+  record.version = (record.version || 1) + 1;
+
+  // Connection#transaction resets the record's change tracking if the transaction is retried
+  await mongoose.connection.transaction(async (session) => {
+    await record.save({ session });
+    await RecordVersion.create([{
+      medicalRecord: record._id,
+      version: record.version,
+      action,
+      author,
+      reason,
+      changes
+    }], { session });
+  });
+
+  return record;
+};
+
+// Rebuild a record as it was at a given version
+const getRecordAtVersion = async (recordId, version) => {
+  const record = await MedicalRecord.findById(recordId);
+  if (!record || version < 1 || version > record.version) return null;
+
+  const laterVersions = await RecordVersion.find({
+    medicalRecord: recordId,
+    version: { $gt: version }
+  }).sort({ version: -1 });
+
+  // Every version after the requested one must be present to walk back
+  if (laterVersions.length !== record.version - version) return null;
+
+  const snapshot = laterVersions.reduce(
+    (state, entry) => revertChanges(state, entry.changes),
+    toPlainRecord(record)
+  );
+
+  return { ...snapshot, version };
+};
+
+module.exports = {
+  recordCreation,
+  updateRecordWithHistory,
+  getRecordAtVersion
+};
@@ -0,0 +1,217 @@
+const Appointment = require('../models/Appointment');
+const { DEFAULT_TIME_ZONE } = require('../models/Hospital');
+
+const SLOT_MINUTES = parseInt(process.env.APPOINTMENT_SLOT_MINUTES, 10) || 30;
+const MINUTE_MS = 60 * 1000;
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Only booked appointments hold a slot; pending follow-ups have no confirmed time yet
+const SLOT_HOLDING_STATUSES = ['booked'];
+
+// Record fields whose dates create follow-up appointments
+const FOLLOW_UP_FIELDS = [
+  {
+    field: 'treatment.followUp',
+    getDate: (record) => record.treatment?.followUp?.date,
+    getReason: (record) => record.treatment?.followUp?.instructions || 'Follow-up visit'
+  },
+  {
+    field: 'discharge.followUpAppointment',
+    getDate: (record) => record.discharge?.followUpAppointment,
+    getReason: () => 'Post-discharge follow-up'
+  }
+];
+
+// Working hours are wall-clock times in the hospital's time zone
+const timeZoneOf = (hospital) => hospital.timeZone || DEFAULT_TIME_ZONE;
+
+// Calendar day of an instant in a time zone. A plain "YYYY-MM-DD" is taken as that day as is.
+const localDay = (date, timeZone) => {
+  const plain = typeof date === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (plain) {
+    return { year: Number(plain[1]), month: Number(plain[2]), day: Number(plain[3]) };
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+    .formatToParts(new Date(date));
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+};
+
+// How far a time zone's wall clock is ahead of UTC at an instant, in ms
+const zoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(instant);
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+  return wallClock - Math.floor(instant.getTime() / MINUTE_MS) * MINUTE_MS;
+};
+
+// "HH:mm" on a calendar day in a time zone, as an instant
+const atTime = ({ year, month, day }, time, timeZone) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+
+  const wallClock = Date.UTC(year, month - 1, day, parseInt(match[1], 10), parseInt(match[2], 10));
+  const guess = wallClock - zoneOffset(new Date(wallClock), timeZone);
+  // Check the offset again at the result in case a daylight saving change falls in between
+  return new Date(wallClock - zoneOffset(new Date(guess), timeZone));
+};
+
+const hoursOn = (hospital, day) => {
+  return hospital.workingHours?.[DAYS[new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay()]];
+};
+
+// Opening and closing times of a hospital on a given day, or null when closed
+const getWorkingWindow = (hospital, date) => {
+  const timeZone = timeZoneOf(hospital);
+  const day = localDay(date, timeZone);
+  const hours = hoursOn(hospital, day);
+  if (!hours || !hours.isOpen) return null;
+
+  const open = atTime(day, hours.open, timeZone);
+  const close = atTime(day, hours.close, timeZone);
+  if (!open || !close || close <= open) return null;
+
+  return { open, close };
+};
+
+// Returns a reason the time range falls outside working hours, or null when it fits
+const checkWorkingHours = (hospital, startTime, endTime) => {
+  const window = getWorkingWindow(hospital, startTime);
+
+  if (!window) {
+    return 'Hospital is closed on the requested day';
+  }
+  if (startTime < window.open || endTime > window.close) {
+    const hours = hoursOn(hospital, localDay(startTime, timeZoneOf(hospital)));
+    return `Appointment must fall within working hours (${hours.open}-${hours.close}, ${timeZoneOf(hospital)})`;
+  }
+  return null;
+};
+
+// Whether a save failed because an overlapping booking was saved first (see Appointment#slotKeys)
+const isSlotTaken = (error) => error.code === 11000 && Boolean(error.keyPattern?.slotKeys);
+
+// Booked appointments overlapping the range for the same patient or the same slot owner
+// (the clinician if given, otherwise the hospital department)
+const findConflicts = ({ patient, hospital, department, clinician, startTime, endTime, excludeId }) => {
+  const slotOwner = clinician
+    ? { clinician }
+    : { hospital, department: department || null, clinician: null };
+
+  const query = {
+    status: { $in: SLOT_HOLDING_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+    $or: [{ patient }, slotOwner]
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return Appointment.find(query);
+};
+
+// All slots of a day for a hospital department/clinician, marking which are free
+const getSlots = async (hospital, date, { department, clinician, slotMinutes = SLOT_MINUTES } = {}) => {
+  const window = getWorkingWindow(hospital, date);
+  if (!window) return [];
+
+  const booked = await Appointment.find({
+    status: { $in: SLOT_HOLDING_STATUSES },
+    startTime: { $lt: window.close },
+    endTime: { $gt: window.open },
+    ...(clinician ? { clinician } : { hospital: hospital._id, department: department || null, clinician: null })
+  });
+
+  const slots = [];
+  for (let start = window.open.getTime(); start + slotMinutes * MINUTE_MS <= window.close.getTime(); start += slotMinutes * MINUTE_MS) {
+    const startTime = new Date(start);
+    const endTime = new Date(start + slotMinutes * MINUTE_MS);
+
+    slots.push({
+      startTime,
+      endTime,
+      available: !booked.some((appointment) => appointment.startTime < endTime && appointment.endTime > startTime)
+    });
+  }
+
+  return slots;
+};
+
+const slotEnd = (startTime, durationMinutes) => {
+  return new Date(startTime.getTime() + (durationMinutes || SLOT_MINUTES) * MINUTE_MS);
+};
+
+// Keep pending appointments in step with a record's follow-up dates: create one when a date is set,
+// move it when the date changes and cancel it when the date is cleared.
+// Appointments that were already booked or handled are left alone.
+const syncFollowUpAppointments = async (record, author) => {
+  const changed = [];
+
+  for (const { field, getDate, getReason } of FOLLOW_UP_FIELDS) {
+    const date = getDate(record);
+    const latest = await Appointment.findOne({
+      'source.medicalRecord': record._id,
+      'source.field': field
+    }).sort({ createdAt: -1 });
+
+    if (!date) {
+      if (latest && latest.status === 'pending') {
+        latest.status = 'cancelled';
+        latest.cancelledBy = author;
+        latest.cancelledAt = new Date();
+        latest.cancellationReason = 'Follow-up removed from medical record';
+        changed.push(await latest.save());
+      }
+      continue;
+    }
+
+    const requestedDate = new Date(date);
+    if (latest && latest.source.requestedDate?.getTime() === requestedDate.getTime()) {
+      continue;
+    }
+
+    if (latest && latest.status === 'pending') {
+      latest.startTime = requestedDate;
+      latest.endTime = slotEnd(requestedDate);
+      latest.source.requestedDate = requestedDate;
+      changed.push(await latest.save());
+      continue;
+    }
+
+    changed.push(await Appointment.create({
+      patient: record.patient._id || record.patient,
+      hospital: record.hospital._id || record.hospital,
+      department: record.visitInfo?.department,
+      startTime: requestedDate,
+      endTime: slotEnd(requestedDate),
+      type: 'follow_up',
+      status: 'pending',
+      reason: getReason(record),
+      notes: record.treatment?.followUp?.doctor ? `Requested clinician: ${record.treatment.followUp.doctor}` : undefined,
+      source: { medicalRecord: record._id, field, requestedDate },
+      bookedBy: author
+    }));
+  }
+
+  return changed;
+};
+
+module.exports = {
+  SLOT_MINUTES,
+  isSlotTaken,
+  getWorkingWindow,
+  checkWorkingHours,
+  findConflicts,
+  getSlots,
+  slotEnd,
+  syncFollowUpAppointments
+};
@@ -0,0 +1,91 @@
+// Messages captured by the memory provider
+const memoryOutbox = [];
+
+// Provider factories, keyed by SMS_PROVIDER value
+const providerFactories = {
+  // Local runs: print the message instead of sending it
+  console: () => ({
+    sendSms: async ({ to, text }) => {
+      console.log(`[sms] To ${to}: ${text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  }),
+
+  // Tests: keep messages in memoryOutbox
+  memory: () => ({
+    sendSms: async (message) => {
+      const messageId = `memory-${memoryOutbox.length + 1}`;
+      memoryOutbox.push({ ...message, messageId });
+      return { messageId };
+    }
+  }),
+
+  // Hand messages to an SMS gateway that accepts JSON over HTTP
+  webhook: () => ({
+    sendSms: async ({ to, text }) => {
+      if (!process.env.SMS_WEBHOOK_URL) {
+        throw new Error('SMS_WEBHOOK_URL is not set');
+      }
+
+      const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` } : {})
+        },
+        body: JSON.stringify({ to, text, sender: process.env.SMS_SENDER_ID })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { messageId: result.messageId || result.id };
+    }
+  })
+};
+
+let activeProvider = null;
+
+// Production sends through the gateway unless told otherwise; messages carry patient details
+// and must never end up in the logs
+const resolveProviderName = () => {
+  if (process.env.SMS_PROVIDER) return process.env.SMS_PROVIDER;
+  return process.env.NODE_ENV === 'production' ? 'webhook' : 'console';
+};
+
+const getProvider = () => {
+  if (activeProvider) return activeProvider;
+
+  const name = resolveProviderName();
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  activeProvider = factory();
+  return activeProvider;
+};
+
+// Register an additional provider factory usable through SMS_PROVIDER
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+// Override the active provider (any object exposing sendSms(message))
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+const sendSms = async ({ to, text }) => {
+  return getProvider().sendSms({ to, text });
+};
+
+module.exports = {
+  sendSms,
+  setProvider,
+  registerProvider,
+  memoryOutbox
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+// Storage factories, keyed by STORAGE_DRIVER value.
+// Every storage exposes put(key, buffer, { contentType }), get(key) -> stream and remove(key).
+const storageFactories = {
+  local: () => createLocalStorage({
+    rootDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+  }),
+
+  s3: () => createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  })
+};
+
+let activeStorage = null;
+
+const getStorage = () => {
+  if (activeStorage) return activeStorage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  const factory = storageFactories[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  activeStorage = factory();
+  return activeStorage;
+};
+
+// Override the active storage (any object exposing put/get/remove)
+const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
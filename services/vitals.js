@@ -0,0 +1,127 @@
+const VitalObservation = require('../models/VitalObservation');
+const { MEASUREMENTS, normalizeVitals, news2Score, news2LevelRank } = require('../utils/vitals');
+const { raiseNews2Alert } = require('./criticalAlerts');
+
+// NEWS2 level that raises an alert when a patient's score reaches it: low_medium, medium or high
+const NEWS2_ALERT_LEVEL = process.env.NEWS2_ALERT_LEVEL || 'medium';
+
+// Most points returned by one series request
+const SERIES_LIMIT = 1000;
+
+const PARAMETERS = [...Object.keys(MEASUREMENTS), 'supplementalOxygen', 'consciousness'];
+
+// Helpers
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const sameMeasurements = (observation, measurements) => PARAMETERS.every((parameter) => (
+  (observation[parameter] ?? null) === (measurements[parameter] ?? null)
+));
+
+// Whether this score should alert: it reached NEWS2_ALERT_LEVEL and is a higher level than the
+// patient's previous observation, so a patient sitting at the same level isn't alerted again
+const crossesAlertLevel = (news2, previous) => {
+  const rank = news2LevelRank(news2.level);
+  if (rank < news2LevelRank(NEWS2_ALERT_LEVEL)) return false;
+  return !previous?.news2 || news2LevelRank(previous.news2.level) < rank;
+};
+
+// Store vitals entered on a record as a timestamped observation with BMI and NEWS2, alerting
+// when NEWS2 crosses NEWS2_ALERT_LEVEL. `source` is 'visit' for the record's vitalSigns (only
+// stored when the values changed) or 'nursing_note' with the note's _id as `sourceId`.
+// SpO2 scale 2 carries over from the patient's previous observation unless vitals set spo2Scale.
+// An alerting failure is logged, since the observation is already stored.
+// Returns { observation, alert }, or null when there are no measurements.
+const recordVitals = async (record, vitals, { source, sourceId, recordedAt, recordedBy, raiseAlerts = true }) => {
+  const measurements = normalizeVitals(vitals);
+  if (!Object.keys(measurements).length) return null;
+
+  const patient = idOf(record.patient);
+  const at = recordedAt ? new Date(recordedAt) : new Date();
+
+  if (source === 'visit') {
+    const lastVisit = await VitalObservation.findOne({ medicalRecord: record._id, source: 'visit' })
+      .sort({ recordedAt: -1 });
+    if (lastVisit && sameMeasurements(lastVisit, measurements)) {
+      return { observation: lastVisit, alert: null };
+    }
+  }
+
+  const previous = await VitalObservation.findOne({ patient, recordedAt: { $lte: at } }).sort({ recordedAt: -1 });
+  const spo2Scale = Number(vitals.spo2Scale) || previous?.news2?.spo2Scale || 1;
+
+  const observation = await VitalObservation.create({
+    ...measurements,
+    patient,
+    hospital: idOf(record.hospital),
+    medicalRecord: record._id,
+    source,
+    sourceId,
+    recordedAt: at,
+    recordedBy: idOf(recordedBy),
+    news2: news2Score(measurements, { spo2Scale }) || undefined
+  });
+
+  let alert = null;
+  if (raiseAlerts && observation.news2?.level && crossesAlertLevel(observation.news2, previous)) {
+    alert = await raiseNews2Alert(record, observation, recordedBy).catch((error) => {
+      console.error('Raise NEWS2 alert error:', error);
+      return null;
+    });
+  }
+
+  return { observation, alert };
+};
+
+// A patient's observations matching `match`, oldest first, with the latest, lowest and highest
+// value of each parameter. `parameters` narrows the values returned; NEWS2 is always included.
+const vitalsSeries = async (match, { startDate, endDate, parameters = PARAMETERS, limit = SERIES_LIMIT } = {}) => {
+  const query = { ...match };
+  if (startDate || endDate) {
+    query.recordedAt = {};
+    if (startDate) query.recordedAt.$gte = new Date(startDate);
+    if (endDate) query.recordedAt.$lte = new Date(endDate);
+  }
+
+  const max = Math.min(Math.max(limit, 1), SERIES_LIMIT);
+  const [latestFirst, total] = await Promise.all([
+    VitalObservation.find(query)
+      .select(['recordedAt', 'source', 'medicalRecord', 'hospital', 'news2.score', 'news2.level', 'news2.redScore', ...parameters])
+      .sort({ recordedAt: -1 })
+      .limit(max)
+      .lean(),
+    VitalObservation.countDocuments(query)
+  ]);
+  const points = latestFirst.reverse();
+
+  const summary = {};
+  for (const parameter of parameters) {
+    const values = points.filter((point) => point[parameter] !== undefined && point[parameter] !== null);
+    if (!values.length) continue;
+
+    const latest = values[values.length - 1];
+    const numeric = values.map((point) => point[parameter]).filter((value) => typeof value === 'number');
+    summary[parameter] = {
+      unit: MEASUREMENTS[parameter],
+      count: values.length,
+      latest: { value: latest[parameter], recordedAt: latest.recordedAt },
+      min: numeric.length ? Math.min(...numeric) : undefined,
+      max: numeric.length ? Math.max(...numeric) : undefined
+    };
+  }
+
+  const scored = points.filter((point) => point.news2);
+  return {
+    points,
+    summary,
+    news2: scored.length ? { ...scored[scored.length - 1].news2, recordedAt: scored[scored.length - 1].recordedAt } : null,
+    // Only the most recent points were returned
+    truncated: total > points.length
+  };
+};
+
+module.exports = {
+  PARAMETERS,
+  NEWS2_ALERT_LEVEL,
+  recordVitals,
+  vitalsSeries
+};
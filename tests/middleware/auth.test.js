@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Patient = require('../../models/Patient');
+const Consent = require('../../models/Consent');
+const EmergencyAccess = require('../../models/EmergencyAccess');
+const User = require('../../models/User');
+const { canAccessPatient, canAccessPatientSummary } = require('../../middleware/auth');
+
+const homeHospital = new mongoose.Types.ObjectId();
+const partnerHospital = new mongoose.Types.ObjectId();
+
+const patient = new Patient({
+  primaryHospital: homeHospital,
+  registeredHospitals: [{ hospital: homeHospital, isActive: true }]
+});
+
+const clinician = (hospitalId) => new User({
+  email: 'clinician@example.org',
+  role: 'medical_personnel',
+  profile: { firstName: 'Tunde', lastName: 'Bello', hospitalId }
+});
+
+const homeClinician = clinician(homeHospital);
+const partnerClinician = clinician(partnerHospital);
+const partnerColleague = clinician(partnerHospital);
+
+// Active consents and break-glass grants, looked up the way the real queries filter them
+let consents = [];
+let grants = [];
+
+const sorted = (result) => ({ sort: () => Promise.resolve(result) });
+
+beforeEach(() => {
+  consents = [];
+  grants = [];
+  jest.spyOn(Patient, 'findById').mockImplementation((id) => Promise.resolve(patient._id.equals(id) ? patient : null));
+  jest.spyOn(Consent, 'find').mockImplementation((query) => sorted(consents.filter((consent) => (
+    consent.patient.equals(query.patient) &&
+    consent.hospital.equals(query.hospital) &&
+    (!query.scope || consent.scope === query.scope)
+  ))));
+  jest.spyOn(EmergencyAccess, 'findOne').mockImplementation((query) => sorted(grants.find((grant) => (
+    grant.user.equals(query.user) && grant.patient.equals(query.patient)
+  )) || null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const consentFor = (scope) => {
+  consents.push({ _id: new mongoose.Types.ObjectId(), patient: patient._id, hospital: partnerHospital, scope });
+};
+
+const run = async (middleware, user, { method = 'GET', patientId = patient._id.toString() } = {}) => {
+  const req = { method, params: { id: patientId }, user };
+  const res = {
+    locals: {},
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+  };
+  const next = jest.fn();
+
+  await middleware(req, res, next);
+  return {
+    req,
+    allowed: next.mock.calls.length === 1,
+    status: res.status.mock.calls[0]?.[0],
+    message: res.json.mock.calls[0]?.[0].message,
+    auditTarget: res.locals.auditTarget
+  };
+};
+
+describe('canAccessPatient', () => {
+  it('lets staff at a hospital where the patient is registered in', async () => {
+    const result = await run(canAccessPatient, homeClinician);
+
+    expect(result.allowed).toBe(true);
+    expect(result.req.patientAccess).toEqual({ via: 'registration' });
+  });
+
+  it('answers 404 for an unknown patient', async () => {
+    const result = await run(canAccessPatient, homeClinician, { patientId: new mongoose.Types.ObjectId().toString() });
+
+    expect(result.status).toBe(404);
+  });
+
+  it('turns away a partner hospital without a consent', async () => {
+    const result = await run(canAccessPatient, partnerClinician);
+
+    expect(result.allowed).toBe(false);
+    expect(result.status).toBe(403);
+    expect(result.message).toBe('Access denied - patient not registered at your hospital');
+  });
+
+  it('lets a partner hospital read under an all_records consent', async () => {
+    consentFor('all_records');
+    const result = await run(canAccessPatient, partnerClinician);
+
+    expect(result.allowed).toBe(true);
+    expect(result.req.patientAccess.via).toBe('consent');
+    expect(result.auditTarget.details).toMatchObject({ consentScope: 'all_records' });
+  });
+
+  it('does not accept an emergency_summary consent', async () => {
+    consentFor('emergency_summary');
+    const result = await run(canAccessPatient, partnerClinician);
+
+    expect(result.status).toBe(403);
+    expect(result.message).toBe('Access denied - consent covers the emergency summary only');
+  });
+
+  it('never lets a consent cover writes', async () => {
+    consentFor('all_records');
+    const result = await run(canAccessPatient, partnerClinician, { method: 'PUT' });
+
+    expect(result.status).toBe(403);
+  });
+
+  it('honours a break-glass grant for the clinician who requested it only', async () => {
+    grants.push({ _id: new mongoose.Types.ObjectId(), user: partnerClinician._id, patient: patient._id });
+
+    const requester = await run(canAccessPatient, partnerClinician, { method: 'PUT' });
+    expect(requester.allowed).toBe(true);
+    expect(requester.req.patientAccess.via).toBe('break_glass');
+    expect(requester.auditTarget.flags).toEqual(['break_glass']);
+
+    const colleague = await run(canAccessPatient, partnerColleague);
+    expect(colleague.allowed).toBe(false);
+    expect(colleague.status).toBe(403);
+  });
+
+  it('limits patients to their own record', async () => {
+    const own = new User({ email: 'patient@example.org', role: 'patient', patient: patient._id });
+    const other = new User({ email: 'other@example.org', role: 'patient', patient: new mongoose.Types.ObjectId() });
+
+    expect((await run(canAccessPatient, own)).allowed).toBe(true);
+    expect((await run(canAccessPatient, other)).status).toBe(403);
+  });
+});
+
+describe('canAccessPatientSummary', () => {
+  it('accepts an emergency_summary consent', async () => {
+    consentFor('emergency_summary');
+    const result = await run(canAccessPatientSummary, partnerClinician);
+
+    expect(result.allowed).toBe(true);
+    expect(result.req.patientAccess.consent.scope).toBe('emergency_summary');
+    expect(result.auditTarget.details).toMatchObject({ consentScope: 'emergency_summary' });
+  });
+
+  it('prefers an all_records consent when both are active', async () => {
+    consentFor('emergency_summary');
+    consentFor('all_records');
+    const result = await run(canAccessPatientSummary, partnerClinician);
+
+    expect(result.req.patientAccess.consent.scope).toBe('all_records');
+  });
+});
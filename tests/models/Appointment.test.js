@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Appointment = require('../../models/Appointment');
+
+const hospital = new mongoose.Types.ObjectId();
+const clinician = new mongoose.Types.ObjectId();
+
+const booking = async (fields) => {
+  const appointment = new Appointment({
+    patient: new mongoose.Types.ObjectId(),
+    hospital,
+    department: 'Cardiology',
+    ...fields
+  });
+  await appointment.validate();
+  return appointment;
+};
+
+const at = (time) => new Date(`2026-01-05T${time}:00Z`);
+
+const sharedKeys = (a, b) => a.slotKeys.filter((key) => b.slotKeys.includes(key));
+
+describe('Appointment slot keys', () => {
+  it('hold every step a booking covers', async () => {
+    const appointment = await booking({ startTime: at('09:00'), endTime: at('09:30') });
+
+    expect(appointment.slotKeys).toHaveLength(6);
+    expect(appointment.slotKeys[0]).toBe(`department:${hospital}:Cardiology@2026-01-05T09:00:00.000Z`);
+    expect(appointment.slotKeys[5]).toBe(`department:${hospital}:Cardiology@2026-01-05T09:25:00.000Z`);
+  });
+
+  it('clash for overlapping bookings with different start times', async () => {
+    const long = await booking({ clinician, startTime: at('09:00'), endTime: at('10:00') });
+    const short = await booking({ clinician, startTime: at('09:30'), endTime: at('10:00') });
+
+    expect(sharedKeys(long, short).length).toBeGreaterThan(0);
+  });
+
+  it('clash for bookings off the step boundaries', async () => {
+    const first = await booking({ startTime: at('09:00'), endTime: at('09:32') });
+    const second = await booking({ startTime: at('09:31'), endTime: at('09:50') });
+
+    expect(sharedKeys(first, second).length).toBeGreaterThan(0);
+  });
+
+  it('do not clash for back-to-back bookings', async () => {
+    const first = await booking({ startTime: at('09:00'), endTime: at('09:30') });
+    const second = await booking({ startTime: at('09:30'), endTime: at('10:00') });
+
+    expect(sharedKeys(first, second)).toEqual([]);
+  });
+
+  it('belong to the clinician when one is named', async () => {
+    const withClinician = await booking({ clinician, startTime: at('09:00'), endTime: at('09:30') });
+    const department = await booking({ startTime: at('09:00'), endTime: at('09:30') });
+
+    expect(withClinician.slotKeys[0]).toBe(`clinician:${clinician}@2026-01-05T09:00:00.000Z`);
+    expect(sharedKeys(withClinician, department)).toEqual([]);
+  });
+
+  it('are only held by booked appointments', async () => {
+    const pending = await booking({ status: 'pending', startTime: at('09:00'), endTime: at('09:30') });
+    const cancelled = await booking({ status: 'cancelled', startTime: at('09:00'), endTime: at('09:30') });
+
+    expect(pending.slotKeys).toBeUndefined();
+    expect(cancelled.slotKeys).toBeUndefined();
+  });
+});
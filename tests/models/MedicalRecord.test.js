@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const MedicalRecord = require('../../models/MedicalRecord');
+const User = require('../../models/User');
+
+const hospital = new mongoose.Types.ObjectId();
+const otherHospital = new mongoose.Types.ObjectId();
+const patient = new mongoose.Types.ObjectId();
+
+const staff = (hospitalId = hospital) => new User({
+  email: 'clinician@example.org',
+  role: 'medical_personnel',
+  profile: { firstName: 'Ngozi', lastName: 'Eze', hospitalId }
+});
+
+const author = staff();
+const colleague = staff();
+const outsider = staff(otherHospital);
+const admin = new User({ email: 'admin@example.org', role: 'admin' });
+const patientUser = new User({ email: 'patient@example.org', role: 'patient', patient });
+const otherPatientUser = new User({ email: 'other@example.org', role: 'patient', patient: new mongoose.Types.ObjectId() });
+
+const record = (level, accessList = []) => new MedicalRecord({
+  patient,
+  hospital,
+  createdBy: author._id,
+  confidentiality: { level, accessList }
+});
+
+describe('MedicalRecord.getAccessLevelFor', () => {
+  it('gives admins and the author admin access', () => {
+    const restricted = record('restricted');
+
+    expect(restricted.getAccessLevelFor(admin)).toBe('admin');
+    expect(restricted.getAccessLevelFor(author)).toBe('admin');
+  });
+
+  it('gives staff at the record hospital write access and the patient read access', () => {
+    const confidential = record('confidential');
+
+    expect(confidential.getAccessLevelFor(colleague)).toBe('write');
+    expect(confidential.getAccessLevelFor(patientUser)).toBe('read');
+    expect(confidential.getAccessLevelFor(outsider)).toBe('none');
+    expect(confidential.getAccessLevelFor(otherPatientUser)).toBe('none');
+  });
+
+  it('raises but never lowers access for listed users', () => {
+    const confidential = record('confidential', [
+      { user: colleague._id, accessLevel: 'admin' },
+      { user: outsider._id, accessLevel: 'read' },
+      { user: patientUser._id, accessLevel: 'read' }
+    ]);
+
+    expect(confidential.getAccessLevelFor(colleague)).toBe('admin');
+    expect(confidential.getAccessLevelFor(outsider)).toBe('read');
+    expect(confidential.getAccessLevelFor(patientUser)).toBe('read');
+  });
+
+  it('limits restricted records to listed users at their listed level', () => {
+    const restricted = record('restricted', [
+      { user: outsider._id, accessLevel: 'write' },
+      { user: patientUser._id, accessLevel: 'read' }
+    ]);
+
+    expect(restricted.getAccessLevelFor(colleague)).toBe('none');
+    expect(restricted.getAccessLevelFor(outsider)).toBe('write');
+    expect(restricted.getAccessLevelFor(patientUser)).toBe('read');
+    expect(record('restricted').getAccessLevelFor(patientUser)).toBe('none');
+  });
+});
+
+describe('MedicalRecord.hasAccessLevel', () => {
+  it('compares levels from none to admin', () => {
+    expect(MedicalRecord.hasAccessLevel('write', 'read')).toBe(true);
+    expect(MedicalRecord.hasAccessLevel('write', 'write')).toBe(true);
+    expect(MedicalRecord.hasAccessLevel('read', 'write')).toBe(false);
+    expect(MedicalRecord.hasAccessLevel('none', 'read')).toBe(false);
+  });
+});
+
+describe('MedicalRecord.visibilityFilterFor', () => {
+  it('does not filter for admins', () => {
+    expect(MedicalRecord.visibilityFilterFor(admin)).toEqual({});
+  });
+
+  it('hides restricted records unless the user is listed or wrote them', () => {
+    expect(MedicalRecord.visibilityFilterFor(colleague)).toEqual({
+      $or: [
+        { 'confidentiality.level': { $ne: 'restricted' } },
+        { 'confidentiality.accessList.user': colleague._id },
+        { createdBy: colleague._id }
+      ]
+    });
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../../models/Icd10Code', () => ({
+  estimatedDocumentCount: jest.fn(),
+  findByCodes: jest.fn()
+}));
+
+const Icd10Code = require('../../models/Icd10Code');
+const { codeAssessment } = require('../../services/diagnosisCoding');
+
+const catalogue = new Map([
+  ['B54', { code: 'B54', title: 'Unspecified malaria', billable: true }],
+  ['E11', { code: 'E11', title: 'Type 2 diabetes mellitus', billable: false }],
+  ['I10', { code: 'I10', title: 'Essential (primary) hypertension', billable: true }]
+]);
+
+beforeEach(() => {
+  Icd10Code.estimatedDocumentCount.mockResolvedValue(catalogue.size);
+  Icd10Code.findByCodes.mockImplementation((codes) => Promise.resolve(
+    new Map(codes.filter((code) => catalogue.has(code)).map((code) => [code, catalogue.get(code)]))
+  ));
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('codeAssessment', () => {
+  it('normalises codes and fills diagnoses from the catalogue', async () => {
+    const { assessment, invalid } = await codeAssessment({
+      primaryDiagnosisCode: 'b54',
+      secondaryDiagnosisCodes: ['i10'],
+      icd10Codes: ['B54']
+    });
+
+    expect(invalid).toEqual([]);
+    expect(assessment).toMatchObject({
+      primaryDiagnosis: 'Unspecified malaria',
+      primaryDiagnosisCode: 'B54',
+      secondaryDiagnoses: ['Essential (primary) hypertension'],
+      secondaryDiagnosisCodes: ['I10'],
+      icd10Codes: ['B54', 'I10']
+    });
+  });
+
+  it('keeps diagnosis text the clinician wrote', async () => {
+    const { assessment } = await codeAssessment({ primaryDiagnosis: 'Severe malaria', primaryDiagnosisCode: 'B54' });
+    expect(assessment.primaryDiagnosis).toBe('Severe malaria');
+  });
+
+  it('rejects malformed codes without a catalogue lookup', async () => {
+    await expect(codeAssessment({ primaryDiagnosisCode: '1a0' })).resolves.toEqual({ invalid: ['1A0'], warnings: [] });
+    expect(Icd10Code.findByCodes).not.toHaveBeenCalled();
+  });
+
+  it('rejects codes missing from the catalogue', async () => {
+    const { invalid } = await codeAssessment({ icd10Codes: ['B54', 'A00.9'] });
+    expect(invalid).toEqual(['A00.9']);
+  });
+
+  it('warns about categories that have more specific codes', async () => {
+    const { warnings } = await codeAssessment({ primaryDiagnosisCode: 'E11' });
+    expect(warnings).toEqual(['E11 is a category with more specific codes; use one of them where possible']);
+  });
+
+  it('only checks the format until a catalogue is loaded', async () => {
+    Icd10Code.estimatedDocumentCount.mockResolvedValue(0);
+
+    const { assessment, invalid } = await codeAssessment({ primaryDiagnosisCode: 'a009' });
+
+    expect(invalid).toEqual([]);
+    expect(assessment.primaryDiagnosis).toBe('A00.9');
+    expect(Icd10Code.findByCodes).not.toHaveBeenCalled();
+  });
+});
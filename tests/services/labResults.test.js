@@ -0,0 +1,139 @@
+jest.mock('../../models/LabTest', () => ({
+  findByReference: jest.fn(),
+  find: jest.fn()
+}));
+
+const LabTest = require('../../models/LabTest');
+const labTests = require('../../data/labTests.json');
+const { referenceRangeFor, buildLabResult } = require('../../services/labResults');
+
+// Catalogue entries shaped like LabTest documents
+const catalogue = [
+  ...labTests,
+  {
+    code: 'LA-CSF',
+    name: 'CSF culture',
+    valueType: 'text',
+    normalValues: ['no growth'],
+    criticalValues: ['neisseria meningitidis']
+  }
+].map((entry) => ({
+  ...entry,
+  components: entry.components || [],
+  isPanel() {
+    return this.components.length > 0;
+  }
+}));
+
+const byCode = (code) => catalogue.find((test) => test.code === code);
+const HAEMOGLOBIN = byCode('718-7');
+
+const patient = (gender, dateOfBirth) => ({ biodata: { gender, dateOfBirth } });
+const adultMan = patient('male', '1980-06-01');
+
+beforeEach(() => {
+  LabTest.findByReference.mockImplementation((reference) => Promise.resolve(
+    catalogue.find((test) => test.code === reference || [test.name, test.shortName, ...(test.aliases || [])]
+      .some((name) => name && name.toLowerCase() === String(reference).toLowerCase())) || null
+  ));
+  LabTest.find.mockImplementation(({ code }) => Promise.resolve(catalogue.filter((test) => code.$in.includes(test.code))));
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('referenceRangeFor', () => {
+  it('prefers the sex-specific adult range', () => {
+    expect(referenceRangeFor(HAEMOGLOBIN, { sex: 'female', age: 30 })).toMatchObject({ sex: 'female', low: 12, high: 15 });
+    expect(referenceRangeFor(HAEMOGLOBIN, { sex: 'male', age: 30 })).toMatchObject({ sex: 'male', low: 13, high: 17 });
+  });
+
+  it('uses the age band for children, with ageMax exclusive', () => {
+    expect(referenceRangeFor(HAEMOGLOBIN, { sex: 'male', age: 3 })).toMatchObject({ ageMin: 0.5, ageMax: 12 });
+    expect(referenceRangeFor(HAEMOGLOBIN, { sex: 'male', age: 12 })).toMatchObject({ sex: 'male', ageMin: 12 });
+  });
+
+  it('falls back to open-ended ranges without an age', () => {
+    expect(referenceRangeFor(HAEMOGLOBIN, { sex: 'female', age: null })).toMatchObject({ sex: 'female', ageMin: 12 });
+  });
+
+  it('returns null when no range applies', () => {
+    expect(referenceRangeFor(byCode('32700-7'), { sex: 'male', age: 30 })).toBeNull();
+  });
+});
+
+describe('buildLabResult', () => {
+  it('flags a single numeric value against the patient\'s range', async () => {
+    const { result } = await buildLabResult({ testName: 'Haemoglobin', value: 12.1, unit: 'g/dL' }, adultMan);
+
+    expect(result).toMatchObject({
+      testName: 'Hb',
+      testCode: '718-7',
+      normalRange: '13-17 g/dL',
+      status: 'abnormal'
+    });
+    expect(result.analytes).toEqual([expect.objectContaining({ value: 12.1, flag: 'low' })]);
+  });
+
+  it('flags critical values', async () => {
+    const { result } = await buildLabResult({ testCode: '2823-3', value: '6.9' }, adultMan);
+
+    expect(result.analytes[0]).toMatchObject({ value: 6.9, flag: 'critical_high' });
+    expect(result.status).toBe('critical');
+  });
+
+  it('reads normal values as normal', async () => {
+    const { result } = await buildLabResult({ testCode: '2823-3', value: 4.2 }, adultMan);
+    expect(result.status).toBe('normal');
+  });
+
+  it('flags text results from the expected and critical values', async () => {
+    const negative = await buildLabResult({ testName: 'Malaria RDT', value: 'Negative' }, adultMan);
+    const positive = await buildLabResult({ testName: 'Malaria RDT', value: 'P. falciparum' }, adultMan);
+    const critical = await buildLabResult({ testCode: 'LA-CSF', value: 'Neisseria meningitidis' }, adultMan);
+
+    expect(negative.result.analytes[0]).toMatchObject({ valueText: 'Negative', flag: 'normal' });
+    expect(positive.result.status).toBe('abnormal');
+    expect(critical.result.status).toBe('critical');
+  });
+
+  it('takes the worst analyte of a panel and adds unreported components as pending', async () => {
+    const { result } = await buildLabResult({
+      testName: 'FBC',
+      analytes: [{ name: 'Hb', value: 5.5 }]
+    }, adultMan);
+
+    expect(result.testCode).toBe('58410-2');
+    expect(result.analytes).toHaveLength(byCode('58410-2').components.length);
+    expect(result.analytes[0]).toMatchObject({ code: '718-7', flag: 'critical_low' });
+    expect(result.analytes.slice(1).every((analyte) => analyte.flag === 'pending')).toBe(true);
+    expect(result.status).toBe('critical');
+    expect(result.normalRange).toBeUndefined();
+  });
+
+  it('is pending when nothing is reported yet', async () => {
+    const { result } = await buildLabResult({ testName: 'FBC', analytes: [] }, adultMan);
+    expect(result.status).toBe('pending');
+  });
+
+  it('rejects unknown tests, wrong units, non-numbers and analytes outside the panel', async () => {
+    await expect(buildLabResult({ testName: 'Unobtainium' }, adultMan))
+      .resolves.toEqual({ errors: ['Unobtainium is not in the lab test catalogue'] });
+    await expect(buildLabResult({ testCode: '2823-3', value: 4, unit: 'mg/dL' }, adultMan))
+      .resolves.toEqual({ errors: ['K must be reported in mmol/L, not mg/dL'] });
+    await expect(buildLabResult({ testCode: '2823-3', value: 'high' }, adultMan))
+      .resolves.toEqual({ errors: ['K must be a number'] });
+    await expect(buildLabResult({ testName: 'FBC', analytes: [{ name: 'Potassium', value: 4 }] }, adultMan))
+      .resolves.toEqual({ errors: ['Potassium is not part of FBC'] });
+  });
+
+  it('rejects an analyte reported twice', async () => {
+    const { errors } = await buildLabResult({
+      testName: 'FBC',
+      analytes: [{ name: 'Hb', value: 14 }, { code: '718-7', value: 14.2 }]
+    }, adultMan);
+
+    expect(errors).toEqual(['Hb is reported more than once']);
+  });
+});
@@ -0,0 +1,168 @@
+jest.mock('../../models/Drug', () => {
+  class Drug {}
+  Drug.findOne = jest.fn();
+  Drug.findByName = jest.fn();
+  return Drug;
+});
+
+jest.mock('../../models/Prescription', () => ({
+  findCurrent: jest.fn(),
+  find: jest.fn()
+}));
+
+const Drug = require('../../models/Drug');
+const Prescription = require('../../models/Prescription');
+const formulary = require('../../data/formulary.json');
+const { checkDrug, checkMedicationList } = require('../../services/prescribing');
+
+const drug = (genericName) => formulary.find((entry) => entry.genericName === genericName);
+
+const patient = (allergies = []) => ({
+  _id: 'patient-1',
+  medicalHistory: { allergies }
+});
+
+// A query that resolves to `result` whatever it is chained with
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    where: () => chain,
+    ne: () => chain,
+    distinct: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Current prescriptions and the patient's prescription ids
+const givenPrescriptions = (current = [], ownIds = []) => {
+  Prescription.findCurrent.mockReturnValue(query(current));
+  Prescription.find.mockReturnValue(query(ownIds));
+};
+
+beforeEach(() => {
+  Drug.findByName.mockImplementation((name) => Promise.resolve(drug(String(name).toLowerCase()) || null));
+  givenPrescriptions();
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('checkDrug', () => {
+  it('blocks a drug the patient is allergic to', () => {
+    const result = checkDrug(drug('amoxicillin'), patient([{ allergen: 'Penicillin', reaction: 'rash' }]), []);
+
+    expect(result.blocking).toBe(true);
+    expect(result.issues).toEqual([expect.objectContaining({
+      type: 'allergy',
+      blocking: true,
+      message: 'Patient is allergic to Penicillin (rash); amoxicillin is in the same group'
+    })]);
+  });
+
+  it('matches allergens that name the group in more words', () => {
+    const result = checkDrug(drug('ibuprofen'), patient([{ allergen: 'NSAIDs (all)' }]), []);
+    expect(result.issues[0].type).toBe('allergy');
+  });
+
+  it('does not match part of a word', () => {
+    const result = checkDrug(drug('aspirin'), patient([{ allergen: 'aspirinate cream' }]), []);
+    expect(result.issues).toEqual([]);
+  });
+
+  it('warns on cross-sensitivity and blocks it only after a severe reaction', () => {
+    const mild = checkDrug(drug('ceftriaxone'), patient([{ allergen: 'penicillin', severity: 'mild' }]), []);
+    const severe = checkDrug(drug('ceftriaxone'), patient([{ allergen: 'penicillin', severity: 'severe' }]), []);
+
+    expect(mild.issues).toEqual([expect.objectContaining({ type: 'cross_sensitivity', blocking: false })]);
+    expect(severe.blocking).toBe(true);
+  });
+
+  it('blocks a major interaction listed on either drug', () => {
+    const onWarfarin = [{ drug: drug('warfarin'), prescription: { _id: 'prescription-1' } }];
+    const result = checkDrug(drug('ibuprofen'), patient(), onWarfarin);
+
+    expect(result.issues).toEqual([expect.objectContaining({
+      type: 'interaction',
+      severity: 'major',
+      blocking: true,
+      interactingDrug: 'warfarin',
+      interactingPrescription: 'prescription-1'
+    })]);
+  });
+
+  it('warns without blocking on a moderate interaction', () => {
+    const result = checkDrug(drug('amoxicillin'), patient(), [{ drug: drug('warfarin') }]);
+
+    expect(result.blocking).toBe(false);
+    expect(result.issues[0]).toMatchObject({ type: 'interaction', severity: 'moderate' });
+  });
+
+  it('flags the same drug as duplicate therapy', () => {
+    const result = checkDrug(drug('amoxicillin'), patient(), [{ drug: drug('amoxicillin') }]);
+    expect(result.issues).toEqual([expect.objectContaining({ type: 'duplicate_therapy', blocking: false })]);
+  });
+
+  it('passes a drug with no allergies or other medications', () => {
+    expect(checkDrug(drug('amoxicillin'), patient(), [])).toEqual({ drug: 'amoxicillin', blocking: false, issues: [] });
+  });
+});
+
+describe('checkMedicationList', () => {
+  it('checks formulary medications against current prescriptions', async () => {
+    givenPrescriptions([{ _id: 'prescription-1', drug: drug('warfarin') }]);
+
+    const checks = await checkMedicationList(patient(), [{ name: 'Ibuprofen' }]);
+
+    expect(checks.blocking).toBe(true);
+    expect(checks.results[0].issues[0]).toMatchObject({ type: 'interaction', interactingDrug: 'warfarin' });
+  });
+
+  it('checks each medication against the ones listed before it', async () => {
+    const checks = await checkMedicationList(patient(), [{ name: 'warfarin' }, { name: 'diclofenac' }]);
+
+    expect(checks.blocking).toBe(true);
+    expect(checks.results).toHaveLength(1);
+    expect(checks.results[0].drug).toBe('diclofenac');
+  });
+
+  it('lists names that are not in the formulary', async () => {
+    const checks = await checkMedicationList(patient(), [{ name: 'Herbal tea' }]);
+    expect(checks).toEqual({ blocking: false, results: [], unrecognised: ['Herbal tea'] });
+  });
+
+  it('does not re-check medications accepted on an earlier save', async () => {
+    const checks = await checkMedicationList(
+      patient([{ allergen: 'penicillin' }]),
+      [{ name: 'Amoxicillin' }],
+      { existing: ['amoxicillin'] }
+    );
+
+    expect(checks.results).toEqual([]);
+  });
+
+  it('skips medications linked to one of the patient\'s prescriptions', async () => {
+    givenPrescriptions([], ['prescription-1']);
+
+    const checks = await checkMedicationList(
+      patient([{ allergen: 'penicillin' }]),
+      [{ name: 'amoxicillin', prescription: 'prescription-1' }]
+    );
+
+    expect(checks.results).toEqual([]);
+    expect(Prescription.find).toHaveBeenCalledWith({ _id: { $in: ['prescription-1'] }, patient: 'patient-1' });
+  });
+
+  it('checks medications whose prescription link is not the patient\'s', async () => {
+    givenPrescriptions([], []);
+
+    const checks = await checkMedicationList(
+      patient([{ allergen: 'penicillin' }]),
+      [{ name: 'amoxicillin', prescription: 'someone-elses-prescription' }]
+    );
+
+    expect(checks.blocking).toBe(true);
+    expect(checks.results[0].issues[0].type).toBe('allergy');
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../../models/QrRevocation', () => ({
+  exists: jest.fn()
+}));
+
+const QrRevocation = require('../../models/QrRevocation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ORIGINAL_ENV = process.env;
+
+// qrTokens caches its keyring, so each configuration gets a fresh copy of the module
+const loadQrTokens = (env = {}) => {
+  process.env = { ...ORIGINAL_ENV, QR_TOKEN_KEYS: 'k1:first-secret,k2:second-secret', ...env };
+  let qrTokens;
+  jest.isolateModules(() => {
+    qrTokens = require('../../services/qrTokens');
+  });
+  return qrTokens;
+};
+
+const tamperPayload = (token, changes) => {
+  const [kid, payload, signature] = token.split('.');
+  const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')), ...changes };
+  return [kid, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+};
+
+afterEach(() => {
+  process.env = ORIGINAL_ENV;
+  jest.useRealTimers();
+  QrRevocation.exists.mockReset();
+});
+
+describe('issueQrToken', () => {
+  it('signs with the first key unless another is active', () => {
+    const { issueQrToken, decodeQrToken } = loadQrTokens();
+    const { token, tokenId, expiresAt } = issueQrToken('patient-1');
+
+    expect(token.startsWith('k1.')).toBe(true);
+    expect(expiresAt).toBeUndefined();
+    expect(decodeQrToken(token)).toMatchObject({
+      valid: true,
+      kid: 'k1',
+      claims: { sub: 'patient-1', jti: tokenId }
+    });
+  });
+
+  it('signs with QR_TOKEN_ACTIVE_KEY', () => {
+    const { issueQrToken } = loadQrTokens({ QR_TOKEN_ACTIVE_KEY: 'k2' });
+    expect(issueQrToken('patient-1').token.startsWith('k2.')).toBe(true);
+  });
+
+  it('gives each token its own id', () => {
+    const { issueQrToken } = loadQrTokens();
+    expect(issueQrToken('patient-1').tokenId).not.toBe(issueQrToken('patient-1').tokenId);
+  });
+
+  it('sets an expiry from expiresInDays or QR_TOKEN_TTL_DAYS', () => {
+    const { issueQrToken } = loadQrTokens({ QR_TOKEN_TTL_DAYS: '30' });
+    const now = Date.now();
+
+    expect(issueQrToken('patient-1').expiresAt.getTime()).toBeGreaterThanOrEqual(now + 30 * DAY_MS - 1000);
+    expect(issueQrToken('patient-1', { expiresInDays: 1 }).expiresAt.getTime()).toBeLessThanOrEqual(now + DAY_MS + 1000);
+  });
+
+  it('refuses an active key that is not configured', () => {
+    const { issueQrToken } = loadQrTokens({ QR_TOKEN_ACTIVE_KEY: 'k3' });
+    expect(() => issueQrToken('patient-1')).toThrow('QR_TOKEN_ACTIVE_KEY "k3" is not in QR_TOKEN_KEYS');
+  });
+});
+
+describe('decodeQrToken', () => {
+  it('still verifies tokens signed with a key that is no longer active', () => {
+    const { token } = loadQrTokens({ QR_TOKEN_ACTIVE_KEY: 'k1' }).issueQrToken('patient-1');
+    const { decodeQrToken } = loadQrTokens({ QR_TOKEN_ACTIVE_KEY: 'k2' });
+
+    expect(decodeQrToken(token)).toMatchObject({ valid: true, kid: 'k1' });
+  });
+
+  it('rejects tokens signed with a key that was removed', () => {
+    const { token } = loadQrTokens().issueQrToken('patient-1');
+    const { decodeQrToken } = loadQrTokens({ QR_TOKEN_KEYS: 'k2:second-secret' });
+
+    expect(decodeQrToken(token)).toEqual({ valid: false, reason: 'unknown_key' });
+  });
+
+  it('rejects a changed payload', () => {
+    const { issueQrToken, decodeQrToken } = loadQrTokens();
+    const token = tamperPayload(issueQrToken('patient-1').token, { sub: 'patient-2' });
+
+    expect(decodeQrToken(token)).toEqual({ valid: false, reason: 'bad_signature' });
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const { token } = loadQrTokens({ QR_TOKEN_KEYS: 'k1:someone-elses-secret' }).issueQrToken('patient-1');
+    const { decodeQrToken } = loadQrTokens();
+
+    expect(decodeQrToken(token)).toEqual({ valid: false, reason: 'bad_signature' });
+  });
+
+  it('rejects malformed tokens', () => {
+    const { decodeQrToken } = loadQrTokens();
+
+    expect(decodeQrToken('not-a-token')).toEqual({ valid: false, reason: 'malformed' });
+    expect(decodeQrToken(undefined)).toEqual({ valid: false, reason: 'malformed' });
+  });
+
+  it('rejects expired tokens', () => {
+    const { issueQrToken, decodeQrToken } = loadQrTokens();
+    const { token } = issueQrToken('patient-1', { expiresInDays: 1 });
+
+    jest.useFakeTimers({ now: Date.now() + 2 * DAY_MS });
+    expect(decodeQrToken(token)).toMatchObject({ valid: false, reason: 'expired', claims: { sub: 'patient-1' } });
+  });
+});
+
+describe('verifyQrToken', () => {
+  it('accepts a token that is not revoked', async () => {
+    const { issueQrToken, verifyQrToken } = loadQrTokens();
+    const { token, tokenId } = issueQrToken('patient-1');
+    QrRevocation.exists.mockResolvedValue(null);
+
+    await expect(verifyQrToken(token)).resolves.toMatchObject({ valid: true });
+    expect(QrRevocation.exists).toHaveBeenCalledWith({ tokenId });
+  });
+
+  it('rejects a revoked token', async () => {
+    const { issueQrToken, verifyQrToken } = loadQrTokens();
+    QrRevocation.exists.mockResolvedValue({ _id: 'revocation' });
+
+    await expect(verifyQrToken(issueQrToken('patient-1').token)).resolves.toMatchObject({ valid: false, reason: 'revoked' });
+  });
+
+  it('does not look up tokens that fail the signature check', async () => {
+    const { verifyQrToken } = loadQrTokens();
+
+    await expect(verifyQrToken('k1.e30.bad')).resolves.toEqual({ valid: false, reason: 'bad_signature' });
+    expect(QrRevocation.exists).not.toHaveBeenCalled();
+  });
+});
+
+describe('isLegacyQrCode', () => {
+  it('recognises codes issued before signed tokens', () => {
+    const { isLegacyQrCode } = loadQrTokens();
+
+    expect(isLegacyQrCode('LAMR-PA000042-1700000000000')).toBe(true);
+    expect(isLegacyQrCode('k1.payload.signature')).toBe(false);
+  });
+});
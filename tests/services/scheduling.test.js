@@ -0,0 +1,132 @@
+jest.mock('../../models/Appointment', () => ({
+  find: jest.fn()
+}));
+
+const Appointment = require('../../models/Appointment');
+const {
+  getWorkingWindow,
+  checkWorkingHours,
+  getSlots,
+  slotEnd,
+  isSlotTaken
+} = require('../../services/scheduling');
+
+const weekdayHours = { isOpen: true, open: '08:00', close: '17:00' };
+
+const hospital = (timeZone, hours = {}) => ({
+  _id: 'hospital-1',
+  timeZone,
+  workingHours: {
+    monday: weekdayHours,
+    tuesday: weekdayHours,
+    saturday: { isOpen: false },
+    ...hours
+  }
+});
+
+afterEach(() => {
+  Appointment.find.mockReset();
+});
+
+describe('getWorkingWindow', () => {
+  it('reads working hours in the hospital time zone', () => {
+    // Monday 5 January 2026; Lagos is UTC+1
+    expect(getWorkingWindow(hospital('Africa/Lagos'), '2026-01-05')).toEqual({
+      open: new Date('2026-01-05T07:00:00Z'),
+      close: new Date('2026-01-05T16:00:00Z')
+    });
+  });
+
+  it('follows daylight saving time', () => {
+    const newYork = hospital('America/New_York');
+
+    expect(getWorkingWindow(newYork, '2026-03-02').open).toEqual(new Date('2026-03-02T13:00:00Z'));
+    expect(getWorkingWindow(newYork, '2026-03-09').open).toEqual(new Date('2026-03-09T12:00:00Z'));
+  });
+
+  it('takes the calendar day of an instant in the hospital time zone', () => {
+    // 23:30 UTC on Monday is already Tuesday in Lagos
+    const window = getWorkingWindow(hospital('Africa/Lagos'), new Date('2026-01-05T23:30:00Z'));
+    expect(window.open).toEqual(new Date('2026-01-06T07:00:00Z'));
+  });
+
+  it('returns null on closed days, days without hours and bad times', () => {
+    expect(getWorkingWindow(hospital('Africa/Lagos'), '2026-01-10')).toBeNull();
+    expect(getWorkingWindow(hospital('Africa/Lagos'), '2026-01-07')).toBeNull();
+    expect(getWorkingWindow(hospital('Africa/Lagos', { monday: { isOpen: true, open: '17:00', close: '08:00' } }), '2026-01-05')).toBeNull();
+    expect(getWorkingWindow(hospital('Africa/Lagos', { monday: { isOpen: true, open: 'noon', close: '17:00' } }), '2026-01-05')).toBeNull();
+  });
+});
+
+describe('checkWorkingHours', () => {
+  const lagos = hospital('Africa/Lagos');
+
+  it('accepts a booking inside working hours', () => {
+    expect(checkWorkingHours(lagos, new Date('2026-01-05T07:00:00Z'), new Date('2026-01-05T07:30:00Z'))).toBeNull();
+  });
+
+  it('rejects a booking that runs past closing', () => {
+    expect(checkWorkingHours(lagos, new Date('2026-01-05T15:45:00Z'), new Date('2026-01-05T16:15:00Z')))
+      .toBe('Appointment must fall within working hours (08:00-17:00, Africa/Lagos)');
+  });
+
+  it('rejects a booking on a closed day', () => {
+    expect(checkWorkingHours(lagos, new Date('2026-01-10T09:00:00Z'), new Date('2026-01-10T09:30:00Z')))
+      .toBe('Hospital is closed on the requested day');
+  });
+});
+
+describe('getSlots', () => {
+  const lagos = hospital('Africa/Lagos', { monday: { isOpen: true, open: '08:00', close: '10:00' } });
+
+  it('marks slots that overlap a booking as unavailable', async () => {
+    Appointment.find.mockResolvedValue([
+      { startTime: new Date('2026-01-05T07:30:00Z'), endTime: new Date('2026-01-05T08:15:00Z') }
+    ]);
+
+    const slots = await getSlots(lagos, '2026-01-05', { department: 'Cardiology' });
+
+    expect(slots.map((slot) => [slot.startTime.toISOString(), slot.available])).toEqual([
+      ['2026-01-05T07:00:00.000Z', true],
+      ['2026-01-05T07:30:00.000Z', false],
+      ['2026-01-05T08:00:00.000Z', false],
+      ['2026-01-05T08:30:00.000Z', true]
+    ]);
+    expect(Appointment.find).toHaveBeenCalledWith(expect.objectContaining({
+      hospital: 'hospital-1',
+      department: 'Cardiology',
+      clinician: null
+    }));
+  });
+
+  it('looks up bookings by clinician when one is given', async () => {
+    Appointment.find.mockResolvedValue([]);
+
+    const slots = await getSlots(lagos, '2026-01-05', { clinician: 'clinician-1', slotMinutes: 60 });
+
+    expect(slots).toHaveLength(2);
+    expect(Appointment.find).toHaveBeenCalledWith(expect.objectContaining({ clinician: 'clinician-1' }));
+  });
+
+  it('has no slots on a closed day', async () => {
+    await expect(getSlots(lagos, '2026-01-10')).resolves.toEqual([]);
+    expect(Appointment.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('slotEnd', () => {
+  it('adds the duration, or one slot by default', () => {
+    const start = new Date('2026-01-05T07:00:00Z');
+
+    expect(slotEnd(start, 45)).toEqual(new Date('2026-01-05T07:45:00Z'));
+    expect(slotEnd(start)).toEqual(new Date('2026-01-05T07:30:00Z'));
+  });
+});
+
+describe('isSlotTaken', () => {
+  it('recognises duplicate slot key errors only', () => {
+    expect(isSlotTaken({ code: 11000, keyPattern: { slotKeys: 1 } })).toBe(true);
+    expect(isSlotTaken({ code: 11000, keyPattern: { dedupeKey: 1 } })).toBe(false);
+    expect(isSlotTaken(new Error('timeout'))).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+const { normalizeCode, isWellFormedCode, categoryOf, chapterFor } = require('../../utils/icd10');
+
+describe('normalizeCode', () => {
+  it('upper-cases and puts the dot after the category', () => {
+    expect(normalizeCode('a010')).toBe('A01.0');
+    expect(normalizeCode('A01.0')).toBe('A01.0');
+    expect(normalizeCode(' b54 ')).toBe('B54');
+    expect(normalizeCode('e11.65')).toBe('E11.65');
+  });
+
+  it('moves a misplaced dot', () => {
+    expect(normalizeCode('A0.10')).toBe('A01.0');
+  });
+
+  it('handles empty input', () => {
+    expect(normalizeCode(undefined)).toBe('');
+  });
+});
+
+describe('isWellFormedCode', () => {
+  it('accepts categories and subdivisions', () => {
+    expect(isWellFormedCode('B54')).toBe(true);
+    expect(isWellFormedCode('a01.0')).toBe(true);
+    expect(isWellFormedCode('U07.1')).toBe(true);
+  });
+
+  it('rejects codes that are not ICD-10', () => {
+    expect(isWellFormedCode('')).toBe(false);
+    expect(isWellFormedCode('1A0')).toBe(false);
+    expect(isWellFormedCode('A1')).toBe(false);
+    expect(isWellFormedCode('A01.00000')).toBe(false);
+    expect(isWellFormedCode('malaria')).toBe(false);
+  });
+});
+
+describe('categoryOf', () => {
+  it('returns the three-character category', () => {
+    expect(categoryOf('a01.0')).toBe('A01');
+  });
+});
+
+describe('chapterFor', () => {
+  it('finds the chapter of a code', () => {
+    expect(chapterFor('B54')).toMatchObject({ chapter: 'I' });
+    expect(chapterFor('i10')).toMatchObject({ chapter: 'IX' });
+    expect(chapterFor('O80')).toMatchObject({ chapter: 'XV' });
+  });
+
+  it('includes both ends of a chapter range', () => {
+    expect(chapterFor('S00.0')).toMatchObject({ chapter: 'XIX' });
+    expect(chapterFor('T98')).toMatchObject({ chapter: 'XIX' });
+    expect(chapterFor('D48')).toMatchObject({ chapter: 'II' });
+    expect(chapterFor('D50')).toMatchObject({ chapter: 'III' });
+  });
+
+  it('returns null outside every chapter or for a partial code', () => {
+    expect(chapterFor('H96')).toBeNull();
+    expect(chapterFor('A1')).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const {
+  compactSnapshot,
+  signOfflinePayload,
+  isOfflinePayload,
+  verifyOfflinePayload
+} = require('../../utils/offlineQr');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const keyPair = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return { kid, privateKey, publicKey, x: publicKey.export({ format: 'jwk' }).x };
+};
+
+const current = keyPair('offline-2');
+const retired = keyPair('offline-1');
+// Same shape as GET /api/qr/offline/keys
+const published = [
+  { kid: current.kid, x: current.x, status: 'active' },
+  { kid: retired.kid, x: retired.x, status: 'retired' }
+];
+
+const snapshot = {
+  patientId: 'LAG-2024-000123',
+  fullName: 'Adaeze Okafor',
+  gender: 'female',
+  age: 34,
+  bloodGroup: 'O+',
+  genotype: 'unknown',
+  allergies: [
+    { allergen: 'Penicillin', reaction: 'Anaphylaxis', severity: 'severe' },
+    { allergen: 'Dust', severity: 'mild' }
+  ],
+  chronicIllnesses: [
+    { condition: 'Asthma', isActive: true },
+    { condition: 'Malaria', isActive: false }
+  ],
+  emergencyContact: { name: 'Chidi Okafor', relationship: 'brother', phone: '+2348012345678' }
+};
+
+const signWith = (key, options) => signOfflinePayload(compactSnapshot(snapshot, options), key);
+
+const tamperPayload = (text, changes) => {
+  const [prefix, kid, encoded, signature] = text.split('.');
+  const payload = { ...JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8')), ...changes };
+  return [prefix, kid, Buffer.from(JSON.stringify(payload)).toString('base64url'), signature].join('.');
+};
+
+describe('signOfflinePayload and verifyOfflinePayload', () => {
+  it('round-trips an emergency summary', () => {
+    const expiresAt = new Date(Date.now() + 30 * DAY_MS);
+    const text = signWith(current, { qrCode: 'qr-123', expiresAt });
+
+    expect(isOfflinePayload(text)).toBe(true);
+    expect(text.startsWith('LAMRE1.offline-2.')).toBe(true);
+
+    const result = verifyOfflinePayload(text, published);
+    expect(result).toMatchObject({ valid: true, kid: 'offline-2' });
+    expect(result.patient).toMatchObject({
+      patientId: 'LAG-2024-000123',
+      fullName: 'Adaeze Okafor',
+      bloodGroup: 'O+',
+      severeAllergies: [{ allergen: 'Penicillin', reaction: 'Anaphylaxis' }],
+      chronicConditions: ['Asthma'],
+      emergencyContact: { name: 'Chidi Okafor', relationship: 'brother', phone: '+2348012345678' },
+      qrCode: 'qr-123'
+    });
+    expect(result.patient.genotype).toBeUndefined();
+    expect(result.patient.expiresAt.getTime()).toBe(Math.floor(expiresAt.getTime() / 1000) * 1000);
+  });
+
+  it('accepts a map of KeyObjects as well as the published key list', () => {
+    const text = signWith(current);
+
+    expect(verifyOfflinePayload(text, new Map([[current.kid, current.publicKey]])).valid).toBe(true);
+  });
+
+  it('rejects a payload changed after signing', () => {
+    const text = signWith(current);
+
+    expect(verifyOfflinePayload(tamperPayload(text, { bg: 'AB-' }), published)).toEqual({
+      valid: false,
+      reason: 'bad_signature'
+    });
+  });
+
+  it('rejects a payload signed by a different key under a published kid', () => {
+    const impostor = keyPair('offline-2');
+    const text = signWith(impostor);
+
+    expect(verifyOfflinePayload(text, published)).toEqual({ valid: false, reason: 'bad_signature' });
+  });
+
+  it('rejects an unknown key ID', () => {
+    const text = signWith(keyPair('offline-9'));
+
+    expect(verifyOfflinePayload(text, published)).toEqual({ valid: false, reason: 'unknown_key' });
+  });
+
+  it('rejects malformed text', () => {
+    expect(verifyOfflinePayload('LAMRE1.offline-2.abc', published)).toEqual({ valid: false, reason: 'malformed' });
+    expect(verifyOfflinePayload('https://example.org/qr/abc', published)).toEqual({ valid: false, reason: 'malformed' });
+    expect(isOfflinePayload('https://example.org/qr/abc')).toBe(false);
+  });
+
+  it('rejects an expired payload but still returns it', () => {
+    const expiresAt = new Date(Date.now() + DAY_MS);
+    const text = signWith(current, { expiresAt });
+
+    expect(verifyOfflinePayload(text, published, { now: expiresAt.getTime() - 60 * 1000 }).valid).toBe(true);
+
+    const result = verifyOfflinePayload(text, published, { now: expiresAt.getTime() + 1000 });
+    expect(result).toMatchObject({ valid: false, reason: 'expired' });
+    expect(result.payload.pid).toBe('LAG-2024-000123');
+  });
+
+  it('verifies cards signed with a retired key that is still published', () => {
+    const text = signWith(retired);
+
+    expect(verifyOfflinePayload(text, published)).toMatchObject({ valid: true, kid: 'offline-1' });
+    expect(verifyOfflinePayload(text, published.filter((key) => key.status === 'active'))).toEqual({
+      valid: false,
+      reason: 'unknown_key'
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const {
+  checkDigit,
+  isValidPrefix,
+  normalizePatientId,
+  formatPatientId,
+  parsePatientId,
+  isValidPatientId
+} = require('../../utils/patientId');
+
+describe('checkDigit', () => {
+  it('computes the Damm check digit', () => {
+    expect(checkDigit('572')).toBe(4);
+    expect(checkDigit('000042')).toBe(7);
+  });
+
+  it('gives zero for digits that end in their check digit', () => {
+    expect(checkDigit('5724')).toBe(0);
+  });
+});
+
+describe('formatPatientId', () => {
+  it('zero-pads the sequence and appends the check digit', () => {
+    expect(formatPatientId('PA', 42)).toBe('PA0000427');
+  });
+
+  it('keeps sequences longer than the padding', () => {
+    const id = formatPatientId('LAG', 12345678);
+    expect(id).toMatch(/^LAG12345678\d$/);
+    expect(isValidPatientId(id)).toBe(true);
+  });
+});
+
+describe('normalizePatientId', () => {
+  it('upper-cases and drops spaces and dashes', () => {
+    expect(normalizePatientId(' pa-000 0427 ')).toBe('PA0000427');
+  });
+
+  it('handles empty input', () => {
+    expect(normalizePatientId(undefined)).toBe('');
+  });
+});
+
+describe('parsePatientId', () => {
+  it('parses a current ID', () => {
+    expect(parsePatientId('PA0000427')).toEqual({ prefix: 'PA', sequence: 42, legacy: false, valid: true });
+  });
+
+  it('treats six digits as a legacy ID', () => {
+    expect(parsePatientId('PA000042')).toEqual({ prefix: 'PA', sequence: 42, legacy: true, valid: true });
+  });
+
+  it('flags a mistyped digit', () => {
+    expect(parsePatientId('PA0000437').valid).toBe(false);
+  });
+
+  it('flags swapped adjacent digits', () => {
+    expect(parsePatientId('PA0000247').valid).toBe(false);
+  });
+
+  it('rejects text that is not a patient ID', () => {
+    expect(parsePatientId('hello')).toBeNull();
+    expect(parsePatientId('PA123')).toBeNull();
+    expect(parsePatientId('P0000427')).toBeNull();
+  });
+});
+
+describe('isValidPrefix', () => {
+  it('accepts two to six letters', () => {
+    expect(isValidPrefix('PA')).toBe(true);
+    expect(isValidPrefix('LAGOSX')).toBe(true);
+  });
+
+  it('rejects other prefixes', () => {
+    expect(isValidPrefix('P')).toBe(false);
+    expect(isValidPrefix('PA1')).toBe(false);
+    expect(isValidPrefix('pa')).toBe(false);
+    expect(isValidPrefix(undefined)).toBe(false);
+  });
+});
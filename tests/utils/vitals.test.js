@@ -0,0 +1,163 @@
+const { normalizeVitals, computeBmi, news2Score, news2LevelRank } = require('../../utils/vitals');
+
+const normal = {
+  respiratoryRate: 16,
+  oxygenSaturation: 97,
+  supplementalOxygen: false,
+  systolic: 120,
+  heartRate: 72,
+  consciousness: 'alert',
+  temperature: 36.8
+};
+
+describe('normalizeVitals', () => {
+  it('reads vitals stored on a record', () => {
+    expect(normalizeVitals({
+      bloodPressure: { systolic: 120, diastolic: 80 },
+      heartRate: { value: 88, unit: 'bpm' },
+      temperature: { value: 37.2, unit: '°C' }
+    })).toEqual({ systolic: 120, diastolic: 80, heartRate: 88, temperature: 37.2 });
+  });
+
+  it('reads free-form nursing note vitals and converts units', () => {
+    expect(normalizeVitals({
+      Pulse: 88,
+      BP: '118/76',
+      temp: '99.5 F',
+      SpO2: '95%',
+      resp_rate: '18',
+      O2: '2 L/min nasal cannula',
+      AVPU: 'V',
+      weight: '154 lbs',
+      height: '1.75 m'
+    })).toEqual({
+      systolic: 118,
+      diastolic: 76,
+      heartRate: 88,
+      respiratoryRate: 18,
+      temperature: 37.5,
+      oxygenSaturation: 95,
+      supplementalOxygen: true,
+      consciousness: 'voice',
+      weight: 69.9,
+      height: 175,
+      bmi: 22.8
+    });
+  });
+
+  it('reads room air and consciousness words', () => {
+    expect(normalizeVitals({ oxygen: 'room air', consciousness: 'new confusion' }))
+      .toEqual({ supplementalOxygen: false, consciousness: 'confusion' });
+  });
+
+  it('drops values that are not numbers', () => {
+    expect(normalizeVitals({ pulse: 'irregular', temp: '' })).toEqual({});
+    expect(normalizeVitals(null)).toEqual({});
+  });
+});
+
+describe('computeBmi', () => {
+  it('uses weight in kg and height in cm', () => {
+    expect(computeBmi(70, 175)).toBe(22.9);
+  });
+
+  it('needs both measurements', () => {
+    expect(computeBmi(70, 0)).toBeUndefined();
+    expect(computeBmi(undefined, 175)).toBeUndefined();
+  });
+});
+
+describe('news2Score', () => {
+  it('scores normal observations low', () => {
+    expect(news2Score(normal)).toEqual({
+      score: 0,
+      level: 'low',
+      redScore: false,
+      components: {
+        respiratoryRate: 0,
+        oxygenSaturation: 0,
+        supplementalOxygen: 0,
+        systolic: 0,
+        heartRate: 0,
+        consciousness: 0,
+        temperature: 0
+      },
+      missing: [],
+      spo2Scale: 1
+    });
+  });
+
+  it('scores a deteriorating patient high', () => {
+    const result = news2Score({
+      respiratoryRate: 26,
+      oxygenSaturation: 93,
+      supplementalOxygen: false,
+      systolic: 88,
+      heartRate: 125,
+      consciousness: 'alert',
+      temperature: 38.5
+    });
+
+    expect(result.components).toEqual({
+      respiratoryRate: 3,
+      oxygenSaturation: 2,
+      supplementalOxygen: 0,
+      systolic: 3,
+      heartRate: 2,
+      consciousness: 0,
+      temperature: 1
+    });
+    expect(result).toMatchObject({ score: 11, level: 'high', redScore: true });
+  });
+
+  it('scores the band edges', () => {
+    const component = (parameter, value) => news2Score({ [parameter]: value }).components[parameter];
+
+    expect([8, 9, 11, 12, 20, 21, 24, 25].map((value) => component('respiratoryRate', value))).toEqual([3, 1, 1, 0, 0, 2, 2, 3]);
+    expect([91, 92, 93, 94, 95, 96].map((value) => component('oxygenSaturation', value))).toEqual([3, 2, 2, 1, 1, 0]);
+    expect([90, 91, 100, 101, 110, 111, 219, 220].map((value) => component('systolic', value))).toEqual([3, 2, 2, 1, 1, 0, 0, 3]);
+    expect([40, 41, 50, 51, 90, 91, 110, 111, 130, 131].map((value) => component('heartRate', value))).toEqual([3, 1, 1, 0, 0, 1, 1, 2, 2, 3]);
+    expect([35, 35.1, 36, 36.1, 38, 38.1, 39, 39.1].map((value) => component('temperature', value))).toEqual([3, 1, 1, 0, 0, 1, 1, 2]);
+  });
+
+  it('makes a single red score low-medium', () => {
+    expect(news2Score({ ...normal, consciousness: 'voice' })).toMatchObject({ score: 3, level: 'low_medium', redScore: true });
+  });
+
+  it('makes a total of 5 or 6 medium', () => {
+    expect(news2Score({ ...normal, supplementalOxygen: true, heartRate: 115, temperature: 38.5 }))
+      .toMatchObject({ score: 5, level: 'medium' });
+  });
+
+  it('uses SpO2 scale 2 for patients in hypercapnic respiratory failure', () => {
+    const onAir = { ...normal, oxygenSaturation: 89 };
+    const onOxygen = { ...normal, supplementalOxygen: true };
+
+    expect(news2Score(onAir).components.oxygenSaturation).toBe(3);
+    expect(news2Score(onAir, { spo2Scale: 2 }).components.oxygenSaturation).toBe(0);
+    expect(news2Score({ ...onOxygen, oxygenSaturation: 97 }, { spo2Scale: 2 }).components.oxygenSaturation).toBe(3);
+    expect(news2Score({ ...onOxygen, oxygenSaturation: 93 }, { spo2Scale: 2 }).components.oxygenSaturation).toBe(1);
+    expect(news2Score({ ...onAir, oxygenSaturation: 84 }, { spo2Scale: 2 })).toMatchObject({
+      components: expect.objectContaining({ oxygenSaturation: 2 }),
+      spo2Scale: 2
+    });
+  });
+
+  it('lists missing parameters and scores nothing without any', () => {
+    expect(news2Score({ heartRate: 80 }).missing).toEqual([
+      'respiratoryRate',
+      'oxygenSaturation',
+      'supplementalOxygen',
+      'systolic',
+      'consciousness',
+      'temperature'
+    ]);
+    expect(news2Score({ weight: 70 })).toBeNull();
+  });
+});
+
+describe('news2LevelRank', () => {
+  it('orders levels from low to high', () => {
+    expect(['low', 'low_medium', 'medium', 'high'].map(news2LevelRank)).toEqual([0, 1, 2, 3]);
+  });
+});
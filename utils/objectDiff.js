@@ -0,0 +1,91 @@
+// Field-level diffing of plain (JSON-safe) objects.
+// Nested objects are compared key by key; array elements are compared by index
+// and recorded whole, so a change inside a lab result stores that entire entry.
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const joinPath = (base, key) => (base ? `${base}.${key}` : String(key));
+
+const collectChanges = (before, after, path, ignore, changes) => {
+  if (ignore.includes(path)) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach((key) => collectChanges(before[key], after[key], joinPath(path, key), ignore, changes));
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let index = 0; index < length; index += 1) {
+      if (!isEqual(before[index], after[index])) {
+        changes.push({ path: joinPath(path, index), before: before[index], after: after[index] });
+      }
+    }
+    return;
+  }
+
+  if (!isEqual(before, after)) {
+    changes.push({ path, before, after });
+  }
+};
+
+// List the changed leaf paths between two plain objects
+const diffObjects = (before, after, { ignore = [] } = {}) => {
+  const changes = [];
+  collectChanges(before || {}, after || {}, '', ignore, changes);
+  return changes;
+};
+
+// Set (or remove, when value is undefined) a dotted path on a plain object
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let node = target;
+
+  for (let index = 0; index < keys.length; index += 1) {
+    const key = keys[index];
+    if (node[key] === undefined || node[key] === null) {
+      node[key] = /^\d+$/.test(keys[index + 1] || last) ? [] : {};
+    }
+    node = node[key];
+  }
+
+  if (value === undefined) {
+    if (Array.isArray(node)) {
+      node[last] = undefined;
+    } else {
+      delete node[last];
+    }
+    return;
+  }
+
+  node[last] = value;
+};
+
+// Drop array slots emptied while reverting
+const compactArrays = (value) => {
+  if (Array.isArray(value)) {
+    return value.filter((item) => item !== undefined).map(compactArrays);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, compactArrays(item)]));
+  }
+  return value;
+};
+
+// Undo a list of changes on a copy of the object
+const revertChanges = (current, changes) => {
+  const result = JSON.parse(JSON.stringify(current));
+  changes.forEach((change) => setPath(result, change.path, change.before));
+  return compactArrays(result);
+};
+
+module.exports = {
+  diffObjects,
+  revertChanges
+};
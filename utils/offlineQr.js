@@ -0,0 +1,115 @@
+// Offline emergency QR payloads: LAMRE1.<kid>.<payload>.<signature>
+//
+// The payload is a compact base64url JSON emergency summary, signed with Ed25519 so a
+// scanner holding the published public keys (GET /api/qr/offline/keys) can check it
+// without a connection. This file only depends on Node's crypto module so scanner apps
+// can ship it as is; signing keys live in services/offlineQr.js.
+const crypto = require('crypto');
+
+const PREFIX = 'LAMRE1';
+
+// Compact emergency summary from a QR patient snapshot. Short keys keep the QR code small:
+//   pid patient ID, n name, s sex, a age, bg blood group, gt genotype,
+//   al severe allergies [allergen, reaction], cc active chronic conditions,
+//   ec emergency contact [name, relationship, phone], q online QR code, iat/exp seconds
+const compactSnapshot = (snapshot, { qrCode, expiresAt } = {}) => {
+  const payload = {
+    pid: snapshot.patientId,
+    n: snapshot.fullName,
+    s: snapshot.gender,
+    a: snapshot.age,
+    bg: snapshot.bloodGroup,
+    gt: snapshot.genotype,
+    al: (snapshot.allergies || [])
+      .filter((allergy) => allergy.severity === 'severe')
+      .map((allergy) => [allergy.allergen, allergy.reaction || '']),
+    cc: (snapshot.chronicIllnesses || [])
+      .filter((illness) => illness.isActive !== false)
+      .map((illness) => illness.condition),
+    ec: snapshot.emergencyContact?.phone
+      ? [snapshot.emergencyContact.name || '', snapshot.emergencyContact.relationship || '', snapshot.emergencyContact.phone]
+      : undefined,
+    q: qrCode,
+    iat: Math.floor(Date.now() / 1000),
+    exp: expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : undefined
+  };
+
+  Object.keys(payload).forEach((key) => {
+    const value = payload[key];
+    if (value === undefined || value === null || value === 'unknown' || (Array.isArray(value) && !value.length)) {
+      delete payload[key];
+    }
+  });
+  return payload;
+};
+
+// Readable form of a compact payload
+const expandPayload = (payload) => ({
+  patientId: payload.pid,
+  fullName: payload.n,
+  gender: payload.s,
+  age: payload.a,
+  bloodGroup: payload.bg,
+  genotype: payload.gt,
+  severeAllergies: (payload.al || []).map(([allergen, reaction]) => ({ allergen, reaction: reaction || undefined })),
+  chronicConditions: payload.cc || [],
+  emergencyContact: payload.ec
+    ? { name: payload.ec[0] || undefined, relationship: payload.ec[1] || undefined, phone: payload.ec[2] }
+    : undefined,
+  qrCode: payload.q,
+  issuedAt: new Date(payload.iat * 1000),
+  expiresAt: payload.exp ? new Date(payload.exp * 1000) : undefined
+});
+
+// Sign a compact payload with an Ed25519 private key (KeyObject or PEM)
+const signOfflinePayload = (payload, { kid, privateKey }) => {
+  const data = `${PREFIX}.${kid}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+  const signature = crypto.sign(null, Buffer.from(data), privateKey).toString('base64url');
+  return `${data}.${signature}`;
+};
+
+const isOfflinePayload = (text) => String(text || '').startsWith(`${PREFIX}.`);
+
+// Verify a scanned payload against public keys, given as the published key list
+// ([{ kid, x }] with x the base64url raw Ed25519 key) or a map of kid -> KeyObject.
+// Returns { valid: true, kid, payload, patient } or { valid: false, reason }.
+const verifyOfflinePayload = (text, publicKeys, { now = Date.now() } = {}) => {
+  const parts = String(text || '').split('.');
+  if (parts.length !== 4 || parts[0] !== PREFIX) return { valid: false, reason: 'malformed' };
+
+  const [, kid, encoded, signature] = parts;
+  let publicKey = publicKeys instanceof Map
+    ? publicKeys.get(kid)
+    : (publicKeys || []).find((key) => key.kid === kid);
+  if (!publicKey) return { valid: false, reason: 'unknown_key' };
+
+  if (publicKey.x) {
+    publicKey = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: publicKey.x }, format: 'jwk' });
+  }
+
+  const data = Buffer.from(`${PREFIX}.${kid}.${encoded}`);
+  if (!crypto.verify(null, data, publicKey, Buffer.from(signature, 'base64url'))) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (payload.exp && payload.exp * 1000 <= now) {
+    return { valid: false, reason: 'expired', payload };
+  }
+
+  return { valid: true, kid, payload, patient: expandPayload(payload) };
+};
+
+module.exports = {
+  compactSnapshot,
+  expandPayload,
+  signOfflinePayload,
+  isOfflinePayload,
+  verifyOfflinePayload
+};
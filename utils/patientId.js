@@ -0,0 +1,75 @@
+// Patient ID format: prefix letters, a zero-padded sequence number and a check digit,
+// e.g. PA0000427 is sequence 42 under prefix PA with check digit 7.
+// IDs issued before check digits (PA000042) are "legacy" IDs: exactly six digits, no check digit.
+
+const DEFAULT_PREFIX = (process.env.PATIENT_ID_PREFIX || 'PA').toUpperCase();
+const SEQUENCE_DIGITS = 6;
+const LEGACY_DIGITS = 6;
+
+const PREFIX_PATTERN = /^[A-Z]{2,6}$/;
+const ID_PATTERN = /^([A-Z]{2,6})(\d+)$/;
+
+// Damm algorithm quasigroup table. Catches every single-digit error and every
+// swap of adjacent digits, the two most common typing mistakes.
+const DAMM_TABLE = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+];
+
+const checkDigit = (digits) => {
+  let interim = 0;
+  for (const digit of String(digits)) {
+    interim = DAMM_TABLE[interim][Number(digit)];
+  }
+  return interim;
+};
+
+const isValidPrefix = (prefix) => PREFIX_PATTERN.test(String(prefix || ''));
+
+// Staff type IDs with spaces, dashes and lower case; store and compare them without
+const normalizePatientId = (value) => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+const formatPatientId = (prefix, sequence) => {
+  const digits = String(sequence).padStart(SEQUENCE_DIGITS, '0');
+  return `${prefix}${digits}${checkDigit(digits)}`;
+};
+
+// Split an ID into prefix, sequence and format. Returns null if it is not a patient ID at all.
+const parsePatientId = (value) => {
+  const match = ID_PATTERN.exec(normalizePatientId(value));
+  if (!match) return null;
+
+  const [, prefix, digits] = match;
+  if (digits.length === LEGACY_DIGITS) {
+    return { prefix, sequence: Number(digits), legacy: true, valid: true };
+  }
+  if (digits.length < SEQUENCE_DIGITS + 1) return null;
+
+  return {
+    prefix,
+    sequence: Number(digits.slice(0, -1)),
+    legacy: false,
+    valid: checkDigit(digits) === 0
+  };
+};
+
+// True for legacy IDs and for new IDs whose check digit matches
+const isValidPatientId = (value) => Boolean(parsePatientId(value)?.valid);
+
+module.exports = {
+  DEFAULT_PREFIX,
+  checkDigit,
+  isValidPrefix,
+  normalizePatientId,
+  formatPatientId,
+  parsePatientId,
+  isValidPatientId
+};
@@ -0,0 +1,233 @@
+// Vital sign normalisation, BMI and the NEWS2 early warning score
+// (Royal College of Physicians, National Early Warning Score 2, 2017)
+
+// Measurements kept on a vital observation, in the units they are stored in
+const MEASUREMENTS = {
+  systolic: 'mmHg',
+  diastolic: 'mmHg',
+  heartRate: 'bpm',
+  respiratoryRate: 'breaths/min',
+  temperature: '°C',
+  oxygenSaturation: '%',
+  weight: 'kg',
+  height: 'cm',
+  bmi: 'kg/m2'
+};
+
+// ACVPU: alert, new confusion, responds to voice, to pain, unresponsive
+const CONSCIOUSNESS_LEVELS = ['alert', 'confusion', 'voice', 'pain', 'unresponsive'];
+
+const NEWS2_LEVELS = ['low', 'low_medium', 'medium', 'high'];
+
+// Names used for each measurement in free-form vitals (e.g. nursing notes), lower case
+const ALIASES = {
+  heartRate: ['heartrate', 'pulse', 'pulserate', 'hr'],
+  respiratoryRate: ['respiratoryrate', 'resprate', 'respirations', 'rr'],
+  temperature: ['temperature', 'temp'],
+  oxygenSaturation: ['oxygensaturation', 'spo2', 'sats', 'sao2'],
+  weight: ['weight', 'wt'],
+  height: ['height', 'ht'],
+  bmi: ['bmi'],
+  systolic: ['systolic', 'sbp'],
+  diastolic: ['diastolic', 'dbp'],
+  bloodPressure: ['bloodpressure', 'bp'],
+  supplementalOxygen: ['supplementaloxygen', 'onoxygen', 'oxygen', 'o2'],
+  consciousness: ['consciousness', 'levelofconsciousness', 'acvpu', 'avpu']
+};
+
+// Helpers
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// Find a field by any of its aliases, ignoring case and separators ("SpO2", "resp_rate")
+const fieldOf = (input, name) => {
+  const key = Object.keys(input).find((candidate) => (
+    ALIASES[name].includes(candidate.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  ));
+  return key === undefined ? undefined : input[key];
+};
+
+// { value, unit } or a bare number or numeric string -> { value, unit }
+const measurementOf = (field) => {
+  if (!isPresent(field)) return null;
+  const raw = typeof field === 'object' ? field.value : field;
+  const value = typeof raw === 'number' ? raw : parseFloat(raw);
+  if (!Number.isFinite(value)) return null;
+
+  const unit = typeof field === 'object' && field.unit
+    ? String(field.unit)
+    : typeof raw === 'string' ? raw.replace(/^[\s\d.+-]+/, '').trim() : '';
+  return { value, unit: unit.toLowerCase() };
+};
+
+const toCelsius = ({ value, unit }) => (/f/.test(unit.replace('fahrenheit', 'f')) ? round((value - 32) * 5 / 9) : value);
+
+const toKilograms = ({ value, unit }) => {
+  if (/^lbs?$|pound/.test(unit)) return round(value * 0.45359237);
+  if (unit === 'g') return round(value / 1000, 3);
+  return value;
+};
+
+const toCentimetres = ({ value, unit }) => {
+  if (unit === 'm') return round(value * 100);
+  if (/^in(ch(es)?)?$/.test(unit)) return round(value * 2.54);
+  return value;
+};
+
+// "120/80" or { systolic, diastolic }
+const bloodPressureOf = (input) => {
+  const field = fieldOf(input, 'bloodPressure');
+  const pressure = { systolic: fieldOf(input, 'systolic'), diastolic: fieldOf(input, 'diastolic') };
+
+  if (typeof field === 'string') {
+    const match = field.match(/(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+    if (match) return { systolic: Number(match[1]), diastolic: Number(match[2]) };
+  } else if (field && typeof field === 'object') {
+    pressure.systolic = isPresent(pressure.systolic) ? pressure.systolic : field.systolic;
+    pressure.diastolic = isPresent(pressure.diastolic) ? pressure.diastolic : field.diastolic;
+  }
+
+  return {
+    systolic: measurementOf(pressure.systolic)?.value,
+    diastolic: measurementOf(pressure.diastolic)?.value
+  };
+};
+
+const supplementalOxygenOf = (input) => {
+  const field = fieldOf(input, 'supplementalOxygen');
+  if (typeof field === 'boolean') return field;
+  if (!isPresent(field)) return undefined;
+
+  const text = String(field).trim().toLowerCase();
+  if (['air', 'room air', 'ra', 'no', 'false'].includes(text)) return false;
+  if (['yes', 'true', 'o2'].includes(text) || /oxygen|l\/min|mask|cannula/.test(text)) return true;
+  return undefined;
+};
+
+// "A", "alert", "V", "responds to voice", "new confusion"...
+const consciousnessOf = (input) => {
+  const field = fieldOf(input, 'consciousness');
+  if (!isPresent(field)) return undefined;
+
+  const text = String(field).trim().toLowerCase();
+  return CONSCIOUSNESS_LEVELS.find((level) => text === level[0] || text.includes(level.slice(0, 4)));
+};
+
+// Body mass index from weight in kg and height in cm
+const computeBmi = (weight, height) => {
+  if (!(weight > 0) || !(height > 0)) return undefined;
+  return round(weight / (height / 100) ** 2);
+};
+
+// Vitals as stored on a record (`{ heartRate: { value, unit } }`) or entered free-form in a
+// nursing note (`{ pulse: 88, bp: '120/80', temp: '99.1 F', spo2: 95, avpu: 'A' }`)
+// -> flat measurements in stored units. BMI is worked out when weight and height are known.
+const normalizeVitals = (input) => {
+  if (!input || typeof input !== 'object') return {};
+
+  const weight = measurementOf(fieldOf(input, 'weight'));
+  const height = measurementOf(fieldOf(input, 'height'));
+  const temperature = measurementOf(fieldOf(input, 'temperature'));
+
+  const measurements = {
+    ...bloodPressureOf(input),
+    heartRate: measurementOf(fieldOf(input, 'heartRate'))?.value,
+    respiratoryRate: measurementOf(fieldOf(input, 'respiratoryRate'))?.value,
+    temperature: temperature ? toCelsius(temperature) : undefined,
+    oxygenSaturation: measurementOf(fieldOf(input, 'oxygenSaturation'))?.value,
+    supplementalOxygen: supplementalOxygenOf(input),
+    consciousness: consciousnessOf(input),
+    weight: weight ? toKilograms(weight) : undefined,
+    height: height ? toCentimetres(height) : undefined
+  };
+  measurements.bmi = computeBmi(measurements.weight, measurements.height) ?? measurementOf(fieldOf(input, 'bmi'))?.value;
+
+  return Object.fromEntries(Object.entries(measurements).filter(([, value]) => value !== undefined));
+};
+
+// Score a value against [upper bound, score] bands, checked in order
+const band = (value, bands, above) => {
+  const match = bands.find(([upper]) => value <= upper);
+  return match ? match[1] : above;
+};
+
+// SpO2 scale 2 is for patients with hypercapnic respiratory failure, chosen by a clinician
+const oxygenSaturationScore = (spo2, onOxygen, scale) => {
+  if (scale !== 2) return band(spo2, [[91, 3], [93, 2], [95, 1]], 0);
+  if (spo2 <= 87) return band(spo2, [[83, 3], [85, 2], [87, 1]], 0);
+  if (spo2 <= 92 || !onOxygen) return 0;
+  return band(spo2, [[94, 1], [96, 2]], 3);
+};
+
+const NEWS2_PARAMETERS = [
+  'respiratoryRate',
+  'oxygenSaturation',
+  'supplementalOxygen',
+  'systolic',
+  'heartRate',
+  'consciousness',
+  'temperature'
+];
+
+// NEWS2 from normalised measurements. Missing parameters score 0 and are listed, so a partial
+// score can only under-read. Level: high at 7+, medium at 5-6, low_medium when any single
+// parameter scores 3, otherwise low.
+const news2Score = (measurements, { spo2Scale = 1 } = {}) => {
+  const m = measurements || {};
+  const components = {};
+
+  if (isPresent(m.respiratoryRate)) {
+    components.respiratoryRate = band(m.respiratoryRate, [[8, 3], [11, 1], [20, 0], [24, 2]], 3);
+  }
+  if (isPresent(m.oxygenSaturation)) {
+    components.oxygenSaturation = oxygenSaturationScore(m.oxygenSaturation, m.supplementalOxygen === true, spo2Scale);
+  }
+  if (typeof m.supplementalOxygen === 'boolean') {
+    components.supplementalOxygen = m.supplementalOxygen ? 2 : 0;
+  }
+  if (isPresent(m.systolic)) {
+    components.systolic = band(m.systolic, [[90, 3], [100, 2], [110, 1], [219, 0]], 3);
+  }
+  if (isPresent(m.heartRate)) {
+    components.heartRate = band(m.heartRate, [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2]], 3);
+  }
+  if (m.consciousness) {
+    components.consciousness = m.consciousness === 'alert' ? 0 : 3;
+  }
+  if (isPresent(m.temperature)) {
+    components.temperature = band(m.temperature, [[35, 3], [36, 1], [38, 0], [39, 1]], 2);
+  }
+
+  const scored = Object.keys(components);
+  if (!scored.length) return null;
+
+  const score = Object.values(components).reduce((sum, value) => sum + value, 0);
+  const redScore = Object.values(components).some((value) => value === 3);
+
+  let level = 'low';
+  if (score >= 7) level = 'high';
+  else if (score >= 5) level = 'medium';
+  else if (redScore) level = 'low_medium';
+
+  return {
+    score,
+    level,
+    redScore,
+    components,
+    missing: NEWS2_PARAMETERS.filter((parameter) => !scored.includes(parameter)),
+    spo2Scale: spo2Scale === 2 ? 2 : 1
+  };
+};
+
+const news2LevelRank = (level) => NEWS2_LEVELS.indexOf(level);
+
+module.exports = {
+  MEASUREMENTS,
+  CONSCIOUSNESS_LEVELS,
+  NEWS2_LEVELS,
+  normalizeVitals,
+  computeBmi,
+  news2Score,
+  news2LevelRank
+};